@@ -1,33 +1,83 @@
-import React, { useState, useEffect } from 'react';
-import { Sparkles, AlertCircle, Loader2, Database } from 'lucide-react';
+import React, { useState, useEffect, useRef } from 'react';
+import { Sparkles, AlertCircle, Loader2, Database, XCircle } from 'lucide-react';
 import FileUpload from './components/FileUpload';
 import ConstraintsForm from './components/ConstraintsForm';
 import MapView from './components/MapView';
 import RouteTable from './components/RouteTable';
+import RouteTimeline from './components/RouteTimeline';
 import ExportButton from './components/ExportButton';
-import { generateRoutes, getSampleData, healthCheck } from './services/api';
+import HistoryControls from './components/HistoryControls';
+import ScenarioPanel from './components/ScenarioPanel';
+import ProjectPicker from './components/ProjectPicker';
+import usePlanHistory from './hooks/usePlanHistory';
+import useProjects from './hooks/useProjects';
+import useRouteView from './hooks/useRouteView';
+import { generateRoutes, getSampleData, healthCheck, log, JOB_QUEUED, JOB_RUNNING } from './services/api';
+import { ValidationError, NetworkError, TimeoutError, describeField } from './services/apiErrors';
+import { getDistanceTable, createTableDistance } from './services/distanceMatrix';
+import { ENGINE_BACKEND, ENGINE_LOCAL } from './utils/routeSolver';
+import { solveRoutesInBackground } from './utils/backgroundSolver';
+import { validateDeliveryData, normalizeDeliveryData, formatDistance, isAbortError } from './utils/helpers';
+import { createVehicleClass, getFleet } from './utils/fleet';
+import { createDepot, getDepots, getDepotLocation, moveDepot, resolveRouteDepots } from './utils/depots';
+import { moveStop, recalculateRoute } from './utils/routeEditing';
+import { createScenario, getNextScenarioName, MAX_COMPARED_SCENARIOS } from './utils/scenarios';
+
+/**
+ * Create the plan a new project starts with
+ */
+const createInitialPlan = () => ({
+  deliveryData: null,
+  constraints: {
+    fleet: [createVehicleClass({ id: 'van', name: 'Standard Van', count: 5 })],
+    depots: [createDepot({ id: 'main', name: 'Main Warehouse' })],
+    deliveryWindowStart: '08:00',
+    deliveryWindowEnd: '18:00',
+  },
+  routes: null,
+  routeEngine: null, // ENGINE_BACKEND or ENGINE_LOCAL
+});
 
 /**
  * Main App Component
  * Orchestrates the entire route optimization workflow
  */
 function App() {
-  // State management
-  const [deliveryData, setDeliveryData] = useState(null);
-  const [constraints, setConstraints] = useState({
-    maxStopsPerRoute: 10,
-    deliveryWindowStart: '08:00',
-    deliveryWindowEnd: '18:00',
-    vehicleCapacity: 100,
-    startLocation: 'Main Warehouse',
-    startLat: '',
-    startLng: '',
-  });
-  const [routes, setRoutes] = useState(null);
+  // Planning state with undo/redo history
+  const history = usePlanHistory(createInitialPlan());
+  const { deliveryData, constraints, routes, routeEngine } = history.present;
+  const { commit } = history;
+
+  // UI state (not part of the history)
   const [isGenerating, setIsGenerating] = useState(false);
+  const [generation, setGeneration] = useState(null); // { status, progress, message, routes } of the running job
+  const generationController = useRef(null);
   const [error, setError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState([]); // Fields the backend rejected, from a ValidationError
   const [backendStatus, setBackendStatus] = useState('checking'); // 'checking', 'online', 'offline'
 
+  // Saved scenarios (snapshots of generated plans) for comparison
+  const [scenarios, setScenarios] = useState([]);
+  const [comparedIds, setComparedIds] = useState([]);
+  const [mapScenarioId, setMapScenarioId] = useState(null); // null shows the current plan
+
+  // Road distances from the last local solve; manual edits are recalculated with them
+  const roadDistanceRef = useRef(null);
+
+  // Projects saved in the browser; the open project is autosaved
+  const projectStore = useProjects({
+    plan: history.present,
+    scenarios,
+    onOpen: (project) => {
+      history.reset({ ...createInitialPlan(), ...project.plan }, 'Open project');
+      setScenarios(project.scenarios || []);
+      setComparedIds([]);
+      setMapScenarioId(null);
+      setError(null);
+    },
+    onError: setError,
+  });
+
   /**
    * Check backend health on mount
    */
@@ -44,7 +94,7 @@ function App() {
       setBackendStatus('online');
     } catch (err) {
       setBackendStatus('offline');
-      console.error('Backend health check failed:', err);
+      log('warn', 'Backend health check failed:', err);
     }
   };
 
@@ -52,10 +102,21 @@ function App() {
    * Handle file data load
    */
   const handleDataLoaded = (data) => {
-    setDeliveryData(data);
-    setRoutes(null); // Clear previous routes
+    // Clear previous routes
+    commit('Load delivery data', { deliveryData: data, routes: null, routeEngine: null });
     setError(null);
-    console.log('Delivery data loaded:', data.length, 'points');
+    setFieldErrors([]);
+    log('info', 'Delivery data loaded:', data.length, 'points');
+  };
+
+  /**
+   * Restore an exported route plan (delivery data, constraints and routes)
+   */
+  const handlePlanLoaded = (plan) => {
+    commit('Import route plan', plan);
+    setError(null);
+    setFieldErrors([]);
+    log('info', 'Route plan loaded:', plan.routes?.length || 0, 'routes');
   };
 
   /**
@@ -63,14 +124,18 @@ function App() {
    */
   const handleFileError = (errorMsg) => {
     setError(errorMsg);
-    console.error('File error:', errorMsg);
+    log('error', 'File error:', errorMsg);
   };
 
   /**
    * Handle constraints change
+   * Edits of the same field coalesce, so each field edited is one undo step.
    */
   const handleConstraintsChange = (newConstraints) => {
-    setConstraints(newConstraints);
+    const changedFields = Object.keys({ ...constraints, ...newConstraints })
+      .filter(field => newConstraints[field] !== constraints[field]);
+    if (changedFields.length === 0) return;
+    commit('Edit constraints', { constraints: newConstraints }, { coalesce: changedFields.sort().join(',') });
   };
 
   /**
@@ -79,18 +144,25 @@ function App() {
   const handleLoadSample = async () => {
     try {
       setError(null);
+      setFieldErrors([]);
       const response = await getSampleData();
-      setDeliveryData(response.data);
-      setRoutes(null);
-      console.log('Sample data loaded');
+      commit('Load sample data', {
+        deliveryData: normalizeDeliveryData(response.data),
+        routes: null,
+        routeEngine: null,
+      });
+      log('info', 'Sample data loaded');
     } catch (err) {
-      setError('Failed to load sample data. Please check if backend is running.');
-      console.error('Sample data error:', err);
+      setError(err instanceof NetworkError || err instanceof TimeoutError
+        ? 'Failed to load sample data. Please check if backend is running.'
+        : err.message);
+      log('error', 'Sample data error:', err);
     }
   };
 
   /**
-   * Generate optimized routes using AI
+   * Generate optimized routes using AI,
+   * or the local heuristic solver when the backend is offline
    */
   const handleGenerateRoutes = async () => {
     if (!deliveryData || deliveryData.length === 0) {
@@ -98,32 +170,200 @@ function App() {
       return;
     }
 
+    // Time windows may no longer fit if the global window was edited after upload
+    const validation = validateDeliveryData(deliveryData, constraints);
+    if (!validation.isValid) {
+      setError(`Validation failed: ${validation.errors.join(', ')}`);
+      return;
+    }
+
+    const controller = new AbortController();
+    generationController.current = controller;
     setIsGenerating(true);
+    setGeneration({ status: JOB_QUEUED, progress: 0, message: null, routes: null });
     setError(null);
-    setRoutes(null);
+    setFieldErrors([]);
 
     try {
-      console.log('Generating routes with constraints:', constraints);
+      log('info', 'Generating routes for', deliveryData.length, 'points');
+      log('debug', 'Route constraints:', constraints);
       
       const payload = {
         delivery_points: deliveryData,
         constraints: constraints,
       };
 
-      const response = await generateRoutes(payload);
-      
-      console.log('Routes generated:', response);
-      setRoutes(response.routes);
+      let response;
+      let engine;
+      let roadDistance = null;
+      if (backendStatus === 'online') {
+        response = await generateRoutes(payload, {
+          signal: controller.signal,
+          onProgress: (job) => setGeneration(prev => ({
+            status: job.status,
+            progress: job.progress ?? null,
+            message: job.message || null,
+            routes: job.best?.routes || prev?.routes || null,
+          })),
+        });
+        engine = ENGINE_BACKEND;
+      } else {
+        const depotLocations = getDepots(constraints).map(getDepotLocation).filter(Boolean);
+        const distanceTable = await getDistanceTable([...deliveryData, ...depotLocations], {
+          signal: controller.signal,
+        });
+        response = await solveRoutesInBackground(deliveryData, constraints, {
+          distanceTable,
+          signal: controller.signal,
+          onProgress: ({ progress }) => setGeneration({
+            status: JOB_RUNNING,
+            progress,
+            message: 'Planning routes locally...',
+            routes: null,
+          }),
+        });
+        engine = ENGINE_LOCAL;
+        roadDistance = createTableDistance(distanceTable);
+      }
+
+      // Cancelled after the last step finished: keep the current plan
+      if (controller.signal.aborted) {
+        log('info', 'Route generation cancelled');
+        return;
+      }
+
+      log('info', 'Routes generated:', response.routes?.length || 0, 'routes by the', engine, 'engine');
+      roadDistanceRef.current = roadDistance;
+      commit('Generate routes', { routes: response.routes, routeEngine: engine });
 
     } catch (err) {
+      if (isAbortError(err)) {
+        log('info', 'Route generation cancelled');
+        return;
+      }
       const errorMessage = err.message || 'Failed to generate routes. Please try again.';
       setError(errorMessage);
-      console.error('Route generation error:', err);
+      if (err instanceof ValidationError) setFieldErrors(err.fieldErrors);
+      log('error', 'Route generation error:', err);
     } finally {
       setIsGenerating(false);
+      setGeneration(null);
+      generationController.current = null;
     }
   };
 
+  /**
+   * Cancel the running route generation; the current plan is kept
+   */
+  const handleCancelGeneration = () => {
+    generationController.current?.abort();
+  };
+
+  /**
+   * Apply a manual stop move from the table or the map
+   */
+  const handleMoveStop = (move) => {
+    commit('Move stop', {
+      routes: moveStop(routes, move, deliveryData, constraints, { distance: roadDistanceRef.current }),
+    });
+  };
+
+  /**
+   * Place or drag a depot on the map
+   * Routes leaving from or returning to the depot are recalculated.
+   */
+  const handleDepotMove = (depotId, location) => {
+    const depots = moveDepot(getDepots(constraints), depotId, location);
+    const newConstraints = { ...constraints, depots };
+    const affectsRoute = (route) => {
+      const { start, end } = resolveRouteDepots(route, depots);
+      return start?.id === depotId || end?.id === depotId;
+    };
+
+    commit('Move depot', {
+      constraints: newConstraints,
+      routes: routes && routes.map(route => (
+        affectsRoute(route)
+          ? recalculateRoute(route, deliveryData, newConstraints, { distance: roadDistanceRef.current })
+          : route
+      )),
+    });
+  };
+
+  /**
+   * Add a delivery point placed on the map
+   * The point is not assigned to a route until routes are generated again.
+   */
+  const handleAddPoint = (point) => {
+    commit('Add delivery point', { deliveryData: [...(deliveryData || []), point] });
+    setError(null);
+  };
+
+  /**
+   * Save the current plan as a named scenario
+   * New scenarios join the comparison while there is room.
+   */
+  const handleSaveScenario = (name) => {
+    const scenario = createScenario(name, { deliveryData, constraints, routes, routeEngine });
+    setScenarios(prev => [...prev, scenario]);
+    setComparedIds(prev => (prev.length < MAX_COMPARED_SCENARIOS ? [...prev, scenario.id] : prev));
+  };
+
+  /**
+   * Add or remove a scenario from the comparison
+   */
+  const handleToggleCompare = (id) => {
+    setComparedIds(prev => {
+      if (prev.includes(id)) return prev.filter(comparedId => comparedId !== id);
+      return prev.length < MAX_COMPARED_SCENARIOS ? [...prev, id] : prev;
+    });
+  };
+
+  /**
+   * Restore a scenario as the current plan
+   */
+  const handleLoadScenario = (id) => {
+    const scenario = scenarios.find(s => s.id === id);
+    if (!scenario) return;
+    commit('Load scenario', {
+      deliveryData: scenario.deliveryData,
+      constraints: scenario.constraints,
+      routes: scenario.routes,
+      routeEngine: scenario.routeEngine,
+    });
+    setMapScenarioId(null);
+  };
+
+  /**
+   * Delete a saved scenario
+   */
+  const handleDeleteScenario = (id) => {
+    setScenarios(prev => prev.filter(s => s.id !== id));
+    setComparedIds(prev => prev.filter(comparedId => comparedId !== id));
+    if (mapScenarioId === id) setMapScenarioId(null);
+  };
+
+  // Rejected delivery points are shown with the upload, other fields with the error
+  const deliveryFieldErrors = fieldErrors.filter(fieldError => fieldError.path[0] === 'delivery_points');
+  const otherFieldErrors = fieldErrors.filter(fieldError => fieldError.path[0] !== 'delivery_points');
+
+  // Plan shown on the map: the current plan or an overlaid scenario
+  const mapPlan = scenarios.find(s => s.id === mapScenarioId) ||
+    { deliveryData, constraints, routes, routeEngine };
+
+  // Route visibility, focus and highlighting shared by the map and the route table
+  const routeView = useRouteView(mapPlan.routes?.length || 0);
+  const routeViewProps = {
+    hiddenRoutes: routeView.hiddenRoutes,
+    focusedRoute: routeView.focusedRoute,
+    highlightedStopId: routeView.highlightedStopId,
+    selectedStopId: routeView.selectedStopId,
+    onToggleRoute: routeView.toggleRoute,
+    onSoloRoute: routeView.soloRoute,
+    onFocusRoute: routeView.focusRoute,
+    onHighlightStop: routeView.highlightStop,
+  };
+
   /**
    * Prepare export data
    */
@@ -132,22 +372,10 @@ function App() {
       routes: routes,
       delivery_points: deliveryData,
       constraints: constraints,
+      engine: routeEngine,
     };
   };
 
-  /**
-   * Get start location for map
-   */
-  const getStartLocation = () => {
-    if (constraints.startLat && constraints.startLng) {
-      return {
-        lat: parseFloat(constraints.startLat),
-        lng: parseFloat(constraints.startLng),
-      };
-    }
-    return null;
-  };
-
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100">
       {/* Header */}
@@ -168,16 +396,41 @@ function App() {
               </div>
             </div>
             
-            {/* Backend status indicator */}
-            <div className="flex items-center space-x-2">
-              <div className={`
-                w-3 h-3 rounded-full
-                ${backendStatus === 'online' ? 'bg-green-500' : 
-                  backendStatus === 'offline' ? 'bg-red-500' : 'bg-yellow-500'}
-              `}></div>
-              <span className="text-sm text-gray-600">
-                Backend {backendStatus === 'checking' ? 'checking...' : backendStatus}
-              </span>
+            <div className="flex items-center space-x-6">
+              <ProjectPicker
+                projects={projectStore.projects}
+                currentProject={projectStore.currentProject}
+                saveStatus={projectStore.saveStatus}
+                onOpen={projectStore.openProject}
+                onNew={() => projectStore.newProject(createInitialPlan())}
+                onDuplicate={projectStore.duplicate}
+                onRename={projectStore.rename}
+                onDelete={(id) => projectStore.remove(id, createInitialPlan())}
+                onImport={projectStore.importProject}
+                onExport={projectStore.exportProject}
+              />
+
+              <HistoryControls
+                entries={history.entries}
+                currentIndex={history.currentIndex}
+                canUndo={history.canUndo}
+                canRedo={history.canRedo}
+                onUndo={history.undo}
+                onRedo={history.redo}
+                onJump={history.jumpTo}
+              />
+
+              {/* Backend status indicator */}
+              <div className="flex items-center space-x-2">
+                <div className={`
+                  w-3 h-3 rounded-full
+                  ${backendStatus === 'online' ? 'bg-green-500' : 
+                    backendStatus === 'offline' ? 'bg-red-500' : 'bg-yellow-500'}
+                `}></div>
+                <span className="text-sm text-gray-600">
+                  Backend {backendStatus === 'checking' ? 'checking...' : backendStatus}
+                </span>
+              </div>
             </div>
           </div>
         </div>
@@ -192,9 +445,26 @@ function App() {
             <div className="flex-grow">
               <p className="text-sm font-medium text-red-800">Error</p>
               <p className="text-sm text-red-700 mt-1">{error}</p>
+              {otherFieldErrors.length > 0 && (
+                <ul className="text-sm text-red-700 mt-2 space-y-1 list-disc list-inside">
+                  {otherFieldErrors.map((fieldError, index) => (
+                    <li key={`${fieldError.field}-${index}`}>
+                      <span className="font-medium">{describeField(fieldError)}:</span> {fieldError.message}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {deliveryFieldErrors.length > 0 && (
+                <p className="text-sm text-red-700 mt-2">
+                  The rejected delivery points are listed under Upload Delivery Data.
+                </p>
+              )}
             </div>
             <button
-              onClick={() => setError(null)}
+              onClick={() => {
+                setError(null);
+                setFieldErrors([]);
+              }}
               className="text-red-600 hover:text-red-800"
             >
               ×
@@ -209,7 +479,8 @@ function App() {
             <div className="flex-grow">
               <p className="text-sm font-medium text-yellow-800">Backend Not Available</p>
               <p className="text-sm text-yellow-700 mt-1">
-                The backend server is not responding. Please ensure it's running on http://localhost:8000
+                The backend server is not responding. Please ensure it's running on http://localhost:8000.
+                Routes will be generated in the browser with the local heuristic solver.
               </p>
             </div>
           </div>
@@ -236,7 +507,10 @@ function App() {
             </div>
             <FileUpload
               onDataLoaded={handleDataLoaded}
+              onPlanLoaded={handlePlanLoaded}
               onError={handleFileError}
+              constraints={constraints}
+              serverErrors={deliveryFieldErrors}
             />
             {deliveryData && (
               <div className="mt-4 text-sm text-green-700 bg-green-50 border border-green-200 rounded-lg p-3">
@@ -262,6 +536,28 @@ function App() {
           </div>
         </section>
 
+        {/* Locations map until routes are generated */}
+        {!(routes && routes.length > 0) && (
+          <section className="mb-8 fade-in" style={{ animationDelay: '0.15s' }}>
+            <div className="card">
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-xl font-bold text-gray-900">Depots & Delivery Points</h2>
+                <p className="text-sm text-gray-500">Set depots and add stops by clicking the map</p>
+              </div>
+              <div className="h-[400px] rounded-lg overflow-hidden">
+                <MapView
+                  deliveryPoints={deliveryData || []}
+                  depots={getDepots(constraints)}
+                  fleet={getFleet(constraints)}
+                  onDepotMove={handleDepotMove}
+                  onAddPoint={handleAddPoint}
+                  constraints={constraints}
+                />
+              </div>
+            </div>
+          </section>
+        )}
+
         {/* Step 3: Generate Routes */}
         <section className="mb-8 fade-in" style={{ animationDelay: '0.2s' }}>
           <div className="card">
@@ -273,34 +569,89 @@ function App() {
             </h2>
             <div className="flex items-center justify-between">
               <p className="text-gray-600">
-                Click the button to let AI optimize your delivery routes based on the constraints above.
+                {backendStatus === 'online'
+                  ? 'Click the button to let AI optimize your delivery routes based on the constraints above.'
+                  : 'Backend offline: routes will be optimized in the browser with the local heuristic solver.'}
               </p>
-              <button
-                onClick={handleGenerateRoutes}
-                disabled={!deliveryData || isGenerating || backendStatus !== 'online'}
-                className={`
-                  btn-primary flex items-center space-x-2 px-8 py-3
-                  ${isGenerating ? 'opacity-75 cursor-wait' : ''}
-                `}
-              >
-                {isGenerating ? (
-                  <>
-                    <Loader2 className="w-5 h-5 animate-spin" />
-                    <span>Generating...</span>
-                  </>
-                ) : (
-                  <>
-                    <Sparkles className="w-5 h-5" />
-                    <span>Generate Routes</span>
-                  </>
+              <div className="flex items-center space-x-3">
+                {isGenerating && (
+                  <button
+                    onClick={handleCancelGeneration}
+                    className="btn-secondary flex items-center space-x-2 px-4 py-3"
+                  >
+                    <XCircle className="w-5 h-5" />
+                    <span>Cancel</span>
+                  </button>
                 )}
-              </button>
+                <button
+                  onClick={handleGenerateRoutes}
+                  disabled={!deliveryData || isGenerating || backendStatus === 'checking'}
+                  className={`
+                    btn-primary flex items-center space-x-2 px-8 py-3
+                    ${isGenerating ? 'opacity-75 cursor-wait' : ''}
+                  `}
+                >
+                  {isGenerating ? (
+                    <>
+                      <Loader2 className="w-5 h-5 animate-spin" />
+                      <span>Generating...</span>
+                    </>
+                  ) : (
+                    <>
+                      <Sparkles className="w-5 h-5" />
+                      <span>Generate Routes</span>
+                    </>
+                  )}
+                </button>
+              </div>
             </div>
+
+            {/* Progress of the backend job and the best plan found so far */}
+            {isGenerating && generation && (
+              <div className="mt-6 space-y-4">
+                <div>
+                  <div className="flex items-center justify-between text-sm text-gray-600 mb-1">
+                    <span>{generation.message || (generation.status === JOB_QUEUED ? 'Waiting to start...' : 'Optimizing routes...')}</span>
+                    {generation.progress !== null && <span>{Math.round(generation.progress * 100)}%</span>}
+                  </div>
+                  <div
+                    className="h-2 bg-gray-200 rounded-full overflow-hidden"
+                    role="progressbar"
+                    aria-valuemin={0}
+                    aria-valuemax={100}
+                    aria-valuenow={generation.progress !== null ? Math.round(generation.progress * 100) : undefined}
+                  >
+                    <div
+                      className="h-full bg-primary-600 transition-all duration-300"
+                      style={{ width: `${Math.round((generation.progress ?? 0) * 100)}%` }}
+                    ></div>
+                  </div>
+                </div>
+
+                {generation.routes && generation.routes.length > 0 && (
+                  <div>
+                    <p className="text-sm text-gray-600 mb-2">
+                      Best plan so far: {generation.routes.length} {generation.routes.length === 1 ? 'route' : 'routes'},{' '}
+                      {formatDistance(generation.routes.reduce((sum, route) => sum + (parseFloat(route.total_distance) || 0), 0))}
+                    </p>
+                    <div className="h-[400px] rounded-lg overflow-hidden">
+                      <MapView
+                        deliveryPoints={deliveryData}
+                        routes={generation.routes}
+                        depots={getDepots(constraints)}
+                        fleet={getFleet(constraints)}
+                        constraints={constraints}
+                      />
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
           </div>
         </section>
 
         {/* Results Section */}
-        {routes && routes.length > 0 && (
+        {routes && routes.length > 0 && !isGenerating && (
           <section className="space-y-8 fade-in" style={{ animationDelay: '0.3s' }}>
             {/* Export Button */}
             <div className="flex justify-end">
@@ -314,12 +665,32 @@ function App() {
             <div className="card">
               <div className="flex items-center justify-between mb-6">
                 <h2 className="text-xl font-bold text-gray-900">Route Visualization</h2>
+                {mapPlan.routeEngine && (
+                  <span className={`
+                    text-xs font-medium px-3 py-1 rounded-full border
+                    ${mapPlan.routeEngine === ENGINE_LOCAL
+                      ? 'bg-yellow-50 text-yellow-800 border-yellow-200'
+                      : 'bg-primary-50 text-primary-700 border-primary-200'}
+                  `}>
+                    {mapPlan.routeEngine === ENGINE_LOCAL ? 'Local heuristic solver' : 'AI backend'}
+                  </span>
+                )}
               </div>
               <div className="h-[500px] rounded-lg overflow-hidden">
                 <MapView
-                  deliveryPoints={deliveryData}
-                  routes={routes}
-                  startLocation={getStartLocation()}
+                  deliveryPoints={mapPlan.deliveryData}
+                  routes={mapPlan.routes}
+                  depots={getDepots(mapPlan.constraints)}
+                  fleet={getFleet(mapPlan.constraints)}
+                  onMoveStop={mapScenarioId ? undefined : handleMoveStop}
+                  onDepotMove={mapScenarioId ? undefined : handleDepotMove}
+                  onAddPoint={mapScenarioId ? undefined : handleAddPoint}
+                  constraints={mapPlan.constraints}
+                  scenarioOptions={scenarios}
+                  activeScenarioId={mapScenarioId}
+                  onScenarioChange={setMapScenarioId}
+                  onShowAllRoutes={routeView.showAllRoutes}
+                  {...routeViewProps}
                 />
               </div>
             </div>
@@ -332,6 +703,48 @@ function App() {
               <RouteTable
                 routes={routes}
                 deliveryPoints={deliveryData}
+                fleet={getFleet(constraints)}
+                depots={getDepots(constraints)}
+                vehicleCapacity={constraints.vehicleCapacity}
+                constraints={constraints}
+                onMoveStop={handleMoveStop}
+                {...(mapScenarioId ? {} : routeViewProps)}
+              />
+            </div>
+
+            {/* Timeline */}
+            <div className="card">
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-xl font-bold text-gray-900">Timeline</h2>
+              </div>
+              <RouteTimeline
+                routes={routes}
+                deliveryPoints={deliveryData}
+                constraints={constraints}
+                hiddenRoutes={mapScenarioId ? [] : routeView.hiddenRoutes}
+                highlightedStopId={routeView.highlightedStopId}
+                selectedStopId={routeView.selectedStopId}
+                onSelectStop={mapScenarioId ? undefined : routeView.selectStop}
+                onHighlightStop={routeView.highlightStop}
+              />
+            </div>
+          </section>
+        )}
+
+        {/* Scenarios */}
+        {((routes && routes.length > 0) || scenarios.length > 0) && !isGenerating && (
+          <section className="mt-8 fade-in">
+            <div className="card">
+              <h2 className="text-xl font-bold text-gray-900 mb-6">Scenarios</h2>
+              <ScenarioPanel
+                scenarios={scenarios}
+                comparedIds={comparedIds}
+                canSave={Boolean(routes && routes.length > 0)}
+                suggestedName={getNextScenarioName(scenarios)}
+                onSave={handleSaveScenario}
+                onToggleCompare={handleToggleCompare}
+                onLoad={handleLoadScenario}
+                onDelete={handleDeleteScenario}
               />
             </div>
           </section>
@@ -0,0 +1,74 @@
+import { describe, it, expect, vi, beforeAll, beforeEach, afterEach, afterAll } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { http, HttpResponse } from 'msw';
+import App from '../App';
+import { API_BASE_URL, configureApiLogging } from '../services/api';
+import { createHandlers } from '../mocks/handlers';
+import { createMockServer } from '../mocks/node';
+import { SAMPLE_DELIVERY_POINTS } from '../mocks/fixtures';
+
+// Leaflet is not needed here; the map shows how many routes it was given
+vi.mock('../components/MapView', () => ({
+  default: ({ routes }) => <div data-testid="map">{routes ? `${routes.length} routes on the map` : 'No routes'}</div>,
+}));
+
+const server = createMockServer();
+
+describe('App with the mock backend', () => {
+  beforeAll(() => {
+    configureApiLogging({ level: 'silent' });
+    server.listen({ onUnhandledRequest: 'error' });
+  });
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    server.resetHandlers();
+    vi.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    server.close();
+    configureApiLogging({ level: 'debug' });
+  });
+
+  it('loads the sample data and generates routes on the backend', async () => {
+    render(<App />);
+    await screen.findByText('Backend online');
+
+    fireEvent.click(screen.getByRole('button', { name: /Load Sample Data/i }));
+    await screen.findByText(`✓ Loaded ${SAMPLE_DELIVERY_POINTS.length} delivery points`);
+
+    fireEvent.click(screen.getByRole('button', { name: /Generate Routes/i }));
+    expect(await screen.findByText('Route Details')).toBeInTheDocument();
+    expect(screen.getAllByTestId('map').at(-1)).toHaveTextContent(/[1-9]\d* routes on the map/);
+  });
+
+  it('shows the delivery points the backend rejected', async () => {
+    server.use(http.post(`${API_BASE_URL}/generate-routes/jobs`, () => HttpResponse.json(
+      { detail: [{ loc: ['body', 'delivery_points', 1, 'lat'], msg: 'Input should be a valid number' }] },
+      { status: 422 }
+    )));
+    render(<App />);
+    await screen.findByText('Backend online');
+
+    fireEvent.click(screen.getByRole('button', { name: /Load Sample Data/i }));
+    await screen.findByText(/✓ Loaded/);
+    fireEvent.click(screen.getByRole('button', { name: /Generate Routes/i }));
+
+    expect(await screen.findByText('Delivery point 2, lat:')).toBeInTheDocument();
+    expect(screen.getByText(/rejected 1 field of the delivery data/)).toBeInTheDocument();
+  });
+
+  it('reports an offline backend', async () => {
+    server.use(...createHandlers({ failing: ['health'] }));
+    render(<App />);
+
+    expect(await screen.findByText('Backend offline', {}, { timeout: 3000 })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /Load Sample Data/i })).toBeDisabled();
+  });
+});
@@ -1,8 +1,23 @@
 import { describe, it, expect, vi } from 'vitest';
 import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import '@testing-library/jest-dom';
+import readXlsxFile, { readSheetNames } from 'read-excel-file';
 import FileUpload from '../components/FileUpload';
 
+vi.mock('read-excel-file', () => ({
+  default: vi.fn(),
+  readSheetNames: vi.fn(),
+}));
+
+// Leaflet is not needed here; a map click is simulated with a button
+vi.mock('../components/MapView', () => ({
+  default: ({ onMapClick }) => (
+    <button type="button" disabled={!onMapClick} onClick={() => onMapClick({ lat: 40.75, lng: -73.98 })}>
+      Map
+    </button>
+  ),
+}));
+
 describe('FileUpload Component', () => {
   it('renders upload area correctly', () => {
     render(<FileUpload onDataLoaded={vi.fn()} onError={vi.fn()} />);
@@ -85,4 +100,281 @@ describe('FileUpload Component', () => {
       );
     });
   });
+
+  it('restores an exported route plan', async () => {
+    const onPlanLoaded = vi.fn();
+    const onDataLoaded = vi.fn();
+    render(<FileUpload onDataLoaded={onDataLoaded} onPlanLoaded={onPlanLoaded} onError={vi.fn()} />);
+
+    const plan = {
+      generated_at: '2024-01-01T00:00:00.000Z',
+      engine: 'local',
+      constraints: { maxStopsPerRoute: 10, vehicleCapacity: 100, startLocation: 'Warehouse', deliveryWindowStart: '08:00', deliveryWindowEnd: '18:00' },
+      routes: [{ stops: [{ id: 1 }], total_distance: 2, estimated_time: 10 }],
+      delivery_points: [{ id: 1, customer_name: 'Test', lat: 40.7128, lng: -74.0060, address: 'Address' }],
+    };
+    const file = new File([JSON.stringify(plan)], 'route-plan.json', { type: 'application/json' });
+    fireEvent.change(screen.getByLabelText('File upload input'), { target: { files: [file] } });
+
+    await waitFor(() => {
+      expect(onPlanLoaded).toHaveBeenCalled();
+    });
+    const restored = onPlanLoaded.mock.calls[0][0];
+    expect(restored.routes).toEqual(plan.routes);
+    expect(restored.routeEngine).toBe('local');
+    expect(restored.constraints.fleet[0]).toMatchObject({ capacity: 100, maxStops: 10, count: 1 });
+    expect(restored.constraints.depots[0].name).toBe('Warehouse');
+    expect(onDataLoaded).not.toHaveBeenCalled();
+    expect(screen.getByText(/Route plan restored!/i)).toBeInTheDocument();
+  });
+
+  it('rejects a route plan whose stops are not in delivery_points', async () => {
+    const onError = vi.fn();
+    const onPlanLoaded = vi.fn();
+    render(<FileUpload onDataLoaded={vi.fn()} onPlanLoaded={onPlanLoaded} onError={onError} />);
+
+    const plan = {
+      constraints: { deliveryWindowStart: '08:00', deliveryWindowEnd: '18:00' },
+      routes: [{ stops: [{ id: 1 }, { id: 99 }] }],
+      delivery_points: [{ id: 1, customer_name: 'Test', lat: 40.7128, lng: -74.0060, address: 'Address' }],
+    };
+    const file = new File([JSON.stringify(plan)], 'route-plan.json', { type: 'application/json' });
+    fireEvent.change(screen.getByLabelText('File upload input'), { target: { files: [file] } });
+
+    await waitFor(() => {
+      expect(onError).toHaveBeenCalledWith(expect.stringContaining("Unknown delivery point id '99'"));
+    });
+    expect(onPlanLoaded).not.toHaveBeenCalled();
+  });
+
+  it('parses semicolon-separated files with decimal commas', async () => {
+    const onDataLoaded = vi.fn();
+    render(<FileUpload onDataLoaded={onDataLoaded} onError={vi.fn()} />);
+
+    const csvContent = 'id;customer_name;lat;lng;address\n1;Test;40,7128;-74,0060;Main St, 5';
+    const file = new File([csvContent], 'test.csv', { type: 'text/csv' });
+    fireEvent.change(screen.getByLabelText('File upload input'), { target: { files: [file] } });
+
+    await waitFor(() => {
+      expect(onDataLoaded).toHaveBeenCalled();
+    });
+    expect(onDataLoaded.mock.calls[0][0][0]).toMatchObject({ lat: 40.7128, lng: -74.006, address: 'Main St, 5' });
+  });
+
+  it('accepts TSV files', async () => {
+    const onDataLoaded = vi.fn();
+    render(<FileUpload onDataLoaded={onDataLoaded} onError={vi.fn()} />);
+
+    const tsvContent = 'id\tcustomer_name\tlat\tlng\taddress\n1\tTest\t40.7128\t-74.0060\t123 Main St';
+    const file = new File([tsvContent], 'test.tsv', { type: 'text/tab-separated-values' });
+    fireEvent.change(screen.getByLabelText('File upload input'), { target: { files: [file] } });
+
+    await waitFor(() => {
+      expect(onDataLoaded).toHaveBeenCalled();
+    });
+    expect(onDataLoaded.mock.calls[0][0][0]).toMatchObject({ id: 1, lat: 40.7128 });
+  });
+
+  it('asks which sheet to load from a multi-sheet workbook', async () => {
+    readSheetNames.mockResolvedValue(['Summary', 'Deliveries']);
+    readXlsxFile.mockResolvedValue([
+      ['id', 'customer_name', 'lat', 'lng', 'address'],
+      [1, 'Test', 40.7128, -74.0060, '123 Main St'],
+    ]);
+    const onDataLoaded = vi.fn();
+    render(<FileUpload onDataLoaded={onDataLoaded} onError={vi.fn()} />);
+
+    const file = new File(['xlsx'], 'export.xlsx', {
+      type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    });
+    fireEvent.change(screen.getByLabelText('File upload input'), { target: { files: [file] } });
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Deliveries' }));
+
+    await waitFor(() => {
+      expect(onDataLoaded).toHaveBeenCalled();
+    });
+    expect(readXlsxFile).toHaveBeenCalledWith(file, { sheet: 'Deliveries' });
+    expect(onDataLoaded.mock.calls[0][0][0]).toMatchObject({ id: 1, customer_name: 'Test' });
+    expect(screen.queryByRole('button', { name: 'Summary' })).not.toBeInTheDocument();
+  });
+
+  it('rejects legacy .xls workbooks', async () => {
+    const onError = vi.fn();
+    render(<FileUpload onDataLoaded={vi.fn()} onError={onError} />);
+
+    const file = new File(['xls'], 'export.xls', { type: 'application/vnd.ms-excel' });
+    fireEvent.change(screen.getByLabelText('File upload input'), { target: { files: [file] } });
+
+    await waitFor(() => {
+      expect(onError).toHaveBeenCalledWith(expect.stringContaining('.xls workbooks are not supported'));
+    });
+  });
+
+  it('maps non-standard columns before loading', async () => {
+    const onDataLoaded = vi.fn();
+    render(<FileUpload onDataLoaded={onDataLoaded} onError={vi.fn()} />);
+
+    const csvContent = 'Order#,Cust Name,Latitude,Longitude,Street Address\nA-1,Test,40.7128,-74.0060,123 Main St';
+    const file = new File([csvContent], 'erp.csv', { type: 'text/csv' });
+    fireEvent.change(screen.getByLabelText('File upload input'), { target: { files: [file] } });
+
+    expect(await screen.findByLabelText('Column for Latitude')).toHaveValue('Latitude');
+    expect(onDataLoaded).not.toHaveBeenCalled();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Confirm Mapping' }));
+
+    await waitFor(() => {
+      expect(onDataLoaded).toHaveBeenCalled();
+    });
+    expect(onDataLoaded.mock.calls[0][0][0]).toMatchObject({
+      id: 'A-1',
+      customer_name: 'Test',
+      lat: 40.7128,
+      lng: -74.006,
+      address: '123 Main St',
+    });
+  });
+
+  it('lists row-level issues and continues once bad rows are fixed or excluded', async () => {
+    const onDataLoaded = vi.fn();
+    const onError = vi.fn();
+    render(<FileUpload onDataLoaded={onDataLoaded} onError={onError} />);
+
+    const csvContent = [
+      'id,customer_name,lat,lng,address',
+      '1,Good,40.7128,-74.0060,1 Main St',
+      '2,Bad Latitude,abc,-74.0100,2 Main St',
+      '3,Duplicate,40.7200,-74.0200,3 Main St',
+      '3,Duplicate Again,40.7300,-74.0300,4 Main St',
+    ].join('\n');
+    const file = new File([csvContent], 'test.csv', { type: 'text/csv' });
+    fireEvent.change(screen.getByLabelText('File upload input'), { target: { files: [file] } });
+
+    expect(await screen.findByText(/Latitude is not a number/)).toBeInTheDocument();
+    expect(screen.getByText(/Duplicate id '3'/)).toBeInTheDocument();
+    expect(onError).toHaveBeenCalledWith(expect.stringContaining('Validation failed: 2 errors'));
+    expect(screen.getByRole('button', { name: /Continue with 4 rows/ })).toBeDisabled();
+
+    const latInput = screen.getByLabelText('Row 2 lat');
+    fireEvent.change(latInput, { target: { value: '40.7150' } });
+    fireEvent.blur(latInput);
+    fireEvent.click(screen.getByLabelText('Exclude row 4'));
+
+    fireEvent.click(screen.getByRole('button', { name: /Continue with 3 rows/ }));
+
+    await waitFor(() => {
+      expect(onDataLoaded).toHaveBeenCalled();
+    });
+    const loaded = onDataLoaded.mock.calls[0][0];
+    expect(loaded.map(point => point.customer_name)).toEqual(['Good', 'Bad Latitude', 'Duplicate']);
+    expect(loaded[1].lat).toBe(40.715);
+  });
+
+  it('lists only the first issues of a large upload', async () => {
+    render(<FileUpload onDataLoaded={vi.fn()} onError={vi.fn()} />);
+
+    const rows = Array.from({ length: 300 }, (_, i) => `${i + 1},Customer ${i + 1},40.7,-74.0,`);
+    const file = new File([['id,customer_name,lat,lng,address', ...rows].join('\n')], 'big.csv', { type: 'text/csv' });
+    fireEvent.change(screen.getByLabelText('File upload input'), { target: { files: [file] } });
+
+    expect(await screen.findByText('Showing the first 200 of 300 issues')).toBeInTheDocument();
+    expect(screen.getAllByLabelText(/^Row \d+ address$/)).toHaveLength(200);
+
+    const address = screen.getByLabelText('Row 1 address');
+    fireEvent.change(address, { target: { value: '1 Main St' } });
+    fireEvent.blur(address);
+    expect(await screen.findByText('Showing the first 200 of 299 issues')).toBeInTheDocument();
+  });
+
+  it('cancels a file that is still being parsed', async () => {
+    // A worker that never answers keeps the file in the processing state
+    vi.stubGlobal('Worker', class {
+      postMessage() {}
+      terminate() {}
+    });
+    const onDataLoaded = vi.fn();
+    const onError = vi.fn();
+    render(<FileUpload onDataLoaded={onDataLoaded} onError={onError} />);
+
+    const file = new File(['id,customer_name,lat,lng,address'], 'orders.csv', { type: 'text/csv' });
+    fireEvent.change(screen.getByLabelText('File upload input'), { target: { files: [file] } });
+    fireEvent.click(await screen.findByRole('button', { name: /Cancel/ }));
+
+    expect(await screen.findByText(/Drop your file here/)).toBeInTheDocument();
+    expect(screen.queryByText('orders.csv')).not.toBeInTheDocument();
+    expect(onError).not.toHaveBeenCalled();
+    expect(onDataLoaded).not.toHaveBeenCalled();
+    vi.unstubAllGlobals();
+  });
+
+  it('geocodes address-only rows against an uploaded gazetteer', async () => {
+    const onDataLoaded = vi.fn();
+    render(<FileUpload onDataLoaded={onDataLoaded} onError={vi.fn()} />);
+
+    const csvContent = [
+      'id,customer_name,address',
+      '1,Corner Shop,"12 Main Street, Springfield"',
+      '2,Kiosk,Unknown Place',
+    ].join('\n');
+    const file = new File([csvContent], 'addresses.csv', { type: 'text/csv' });
+    fireEvent.change(screen.getByLabelText('File upload input'), { target: { files: [file] } });
+
+    expect(await screen.findByText(/No gazetteer loaded/)).toBeInTheDocument();
+    expect(screen.getAllByText('Unresolved')).toHaveLength(2);
+
+    const gazetteer = new File(['name,lat,lng\nMain Street Springfield,39.78,-89.65'], 'places.csv', { type: 'text/csv' });
+    fireEvent.change(screen.getByLabelText('Gazetteer file input'), { target: { files: [gazetteer] } });
+    expect(await screen.findByText('places.csv')).toBeInTheDocument();
+    await waitFor(() => {
+      expect(screen.getAllByText('Unresolved')).toHaveLength(1);
+    });
+
+    // Place the unresolved row by clicking the map
+    fireEvent.click(screen.getByLabelText('Place row 2 on map'));
+    fireEvent.click(screen.getByRole('button', { name: 'Map' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+
+    await waitFor(() => {
+      expect(onDataLoaded).toHaveBeenCalled();
+    });
+    const loaded = onDataLoaded.mock.calls[0][0];
+    expect(loaded[0]).toMatchObject({ id: 1, lat: 39.78, lng: -89.65 });
+    expect(loaded[1]).toMatchObject({ id: 2, lat: 40.75, lng: -73.98 });
+  });
+
+  it('keeps the leading zeros of gazetteer postcodes', async () => {
+    const onDataLoaded = vi.fn();
+    render(<FileUpload onDataLoaded={onDataLoaded} onError={vi.fn()} />);
+
+    const file = new File(['id,customer_name,address\n1,Shop,"5 Cambridge St, Allston MA 02134"'], 'addresses.csv', { type: 'text/csv' });
+    fireEvent.change(screen.getByLabelText('File upload input'), { target: { files: [file] } });
+    expect(await screen.findByText(/No gazetteer loaded/)).toBeInTheDocument();
+
+    const gazetteer = new File(['postcode,lat,lng\n02134,42.35,-71.13'], 'postcodes.csv', { type: 'text/csv' });
+    fireEvent.change(screen.getByLabelText('Gazetteer file input'), { target: { files: [gazetteer] } });
+    expect(await screen.findByText('postcodes.csv')).toBeInTheDocument();
+    await waitFor(() => {
+      expect(screen.queryByText('Unresolved')).not.toBeInTheDocument();
+    });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+    await waitFor(() => {
+      expect(onDataLoaded).toHaveBeenCalled();
+    });
+    expect(onDataLoaded.mock.calls[0][0][0]).toMatchObject({ lat: 42.35, lng: -71.13 });
+  });
+
+  it('lists delivery point fields rejected by the backend', () => {
+    const serverErrors = [
+      { field: 'delivery_points.3.lat', path: ['delivery_points', 3, 'lat'], message: 'value is not a valid float' },
+      { field: 'delivery_points.7', path: ['delivery_points', 7], message: 'duplicate id' },
+    ];
+    render(<FileUpload onDataLoaded={vi.fn()} onError={vi.fn()} serverErrors={serverErrors} />);
+
+    const alert = screen.getByRole('alert');
+    expect(alert).toHaveTextContent('The backend rejected 2 fields of the delivery data');
+    expect(alert).toHaveTextContent('Delivery point 4, lat: value is not a valid float');
+    expect(alert).toHaveTextContent('Delivery point 8: duplicate id');
+  });
 });
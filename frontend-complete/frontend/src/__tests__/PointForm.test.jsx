@@ -0,0 +1,38 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import PointForm from '../components/PointForm';
+
+const constraints = { deliveryWindowStart: '08:00', deliveryWindowEnd: '18:00' };
+
+describe('PointForm Component', () => {
+  it('submits a point at the clicked location', () => {
+    const onSubmit = vi.fn();
+    render(<PointForm location={{ lat: 40.7, lng: -74 }} constraints={constraints} onSubmit={onSubmit} onCancel={vi.fn()} />);
+
+    fireEvent.change(screen.getByLabelText('Customer name'), { target: { value: 'Corner Shop' } });
+    fireEvent.change(screen.getByLabelText('Window start'), { target: { value: '09:00' } });
+    fireEvent.change(screen.getByLabelText('Window end'), { target: { value: '11:00' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add Point' }));
+
+    expect(onSubmit).toHaveBeenCalledWith(expect.objectContaining({
+      customer_name: 'Corner Shop',
+      lat: 40.7,
+      lng: -74,
+      window_start: '09:00',
+      window_end: '11:00',
+    }));
+  });
+
+  it('shows validation errors instead of submitting', () => {
+    const onSubmit = vi.fn();
+    render(<PointForm location={{ lat: 40.7, lng: -74 }} constraints={constraints} onSubmit={onSubmit} onCancel={vi.fn()} />);
+
+    fireEvent.change(screen.getByLabelText('Window start'), { target: { value: '07:00' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add Point' }));
+
+    expect(screen.getByText(/Missing or empty field 'customer_name'/)).toBeInTheDocument();
+    expect(screen.getByText(/before the delivery window start/)).toBeInTheDocument();
+    expect(onSubmit).not.toHaveBeenCalled();
+  });
+});
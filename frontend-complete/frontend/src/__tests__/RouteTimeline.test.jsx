@@ -0,0 +1,42 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import RouteTimeline from '../components/RouteTimeline';
+
+const points = [
+  { id: 1, customer_name: 'A', window_start: '09:00', window_end: '10:00' },
+  { id: 2, customer_name: 'B', window_end: '08:05' },
+];
+
+const routes = [
+  { stops: [{ id: 1, distance: 5 }], total_distance: 10 },
+  { stops: [{ id: 2, distance: 5 }], total_distance: 10 },
+];
+
+const constraints = { deliveryWindowStart: '08:00', deliveryWindowEnd: '18:00' };
+
+describe('RouteTimeline Component', () => {
+  it('renders a lane per route with hour ticks', () => {
+    render(<RouteTimeline routes={routes} deliveryPoints={points} constraints={constraints} />);
+
+    expect(screen.getByText('Route 1')).toBeInTheDocument();
+    expect(screen.getByText('Route 2')).toBeInTheDocument();
+    expect(screen.getByText('08:00')).toBeInTheDocument();
+    expect(screen.getByText('18:00')).toBeInTheDocument();
+  });
+
+  it('flags late stops', () => {
+    render(<RouteTimeline routes={routes} deliveryPoints={points} constraints={constraints} />);
+
+    expect(screen.getByRole('button', { name: 'Route 2 stop 1 (late)' })).toBeInTheDocument();
+    expect(screen.getByText(/1 stop is reached after the window closes/)).toBeInTheDocument();
+  });
+
+  it('selects a stop when its block is clicked', () => {
+    const onSelectStop = vi.fn();
+    render(<RouteTimeline routes={routes} deliveryPoints={points} constraints={constraints} onSelectStop={onSelectStop} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Route 1 stop 1' }));
+    expect(onSelectStop).toHaveBeenCalledWith(1, 0);
+  });
+});
@@ -0,0 +1,225 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  generateRoutes,
+  watchRouteJob,
+  getSampleData,
+  healthCheck,
+  withRetry,
+  configureApiLogging,
+  log,
+} from '../services/api';
+import { ValidationError, ServerError, NetworkError } from '../services/apiErrors';
+
+const client = vi.hoisted(() => ({
+  get: vi.fn(),
+  post: vi.fn(),
+  delete: vi.fn(),
+  interceptors: { request: { use: vi.fn() }, response: { use: vi.fn() } },
+}));
+
+vi.mock('axios', () => ({ default: { create: () => client } }));
+
+const plan = (count) => ({ routes: Array.from({ length: count }, () => ({ stops: [], total_distance: 1 })) });
+
+/**
+ * Fake EventSource driven by the test
+ */
+class FakeEventSource {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.closed = false;
+    FakeEventSource.instances.push(this);
+  }
+
+  emit(job) {
+    this.onmessage({ data: JSON.stringify(job) });
+  }
+
+  close() {
+    this.closed = true;
+  }
+}
+
+describe('api route generation jobs', () => {
+  beforeEach(() => {
+    vi.stubGlobal('EventSource', undefined);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    client.get.mockReset();
+    client.post.mockReset();
+    client.delete.mockReset();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('submits a job and polls it, reporting progress and intermediate plans', async () => {
+    client.post.mockResolvedValue({ data: { job_id: 'job 1', status: 'queued' } });
+    client.get
+      .mockResolvedValueOnce({ data: { job_id: 'job 1', status: 'running', progress: 0.4, best: plan(3) } })
+      .mockResolvedValueOnce({ data: { job_id: 'job 1', status: 'completed', progress: 1, result: plan(2) } });
+    const onProgress = vi.fn();
+
+    const result = await generateRoutes({ delivery_points: [] }, { onProgress, pollInterval: 0 });
+
+    expect(client.post).toHaveBeenCalledWith('/generate-routes/jobs', { delivery_points: [] }, { signal: undefined });
+    expect(client.get).toHaveBeenCalledWith('/generate-routes/jobs/job%201', { signal: undefined });
+    expect(onProgress.mock.calls.map(([job]) => job.progress)).toEqual([0.4, 1]);
+    expect(onProgress.mock.calls[0][0].best.routes).toHaveLength(3);
+    expect(result.routes).toHaveLength(2);
+  });
+
+  it('rejects with the job error when the job fails', async () => {
+    client.post.mockResolvedValue({ data: { job_id: 'j', status: 'queued' } });
+    client.get.mockResolvedValue({ data: { job_id: 'j', status: 'failed', error: 'Solver ran out of time' } });
+
+    const error = await generateRoutes({}, { pollInterval: 0 }).catch(caught => caught);
+    expect(error).toBeInstanceOf(ServerError);
+    expect(error.message).toBe('Solver ran out of time');
+  });
+
+  it('cancels the job when the signal aborts', async () => {
+    client.post.mockResolvedValue({ data: { job_id: 'j', status: 'queued' } });
+    client.get.mockResolvedValue({ data: { job_id: 'j', status: 'running', progress: 0.1 } });
+    client.delete.mockResolvedValue({ data: { job_id: 'j', status: 'cancelled' } });
+    const controller = new AbortController();
+
+    const promise = generateRoutes({}, { signal: controller.signal, pollInterval: 10000 });
+    await vi.waitFor(() => expect(client.get).toHaveBeenCalled());
+    controller.abort();
+
+    await expect(promise).rejects.toMatchObject({ name: 'AbortError' });
+    expect(client.delete).toHaveBeenCalledWith('/generate-routes/jobs/j');
+  });
+
+  it('falls back to a single request on backends without jobs', async () => {
+    client.post
+      .mockRejectedValueOnce({ response: { status: 404, data: { detail: 'Not Found' } } })
+      .mockResolvedValueOnce({ data: plan(1) });
+
+    const result = await generateRoutes({ delivery_points: [] });
+
+    expect(client.post).toHaveBeenLastCalledWith('/generate-routes', { delivery_points: [] }, { signal: undefined });
+    expect(result.routes).toHaveLength(1);
+  });
+
+  it('follows the job event stream when EventSource is available', async () => {
+    vi.stubGlobal('EventSource', FakeEventSource);
+    const onUpdate = vi.fn();
+
+    const promise = watchRouteJob('j', { onUpdate });
+    const source = FakeEventSource.instances.at(-1);
+    expect(source.url).toMatch(/\/generate-routes\/jobs\/j\/events$/);
+
+    source.emit({ job_id: 'j', status: 'running', progress: 0.5 });
+    source.emit({ job_id: 'j', status: 'completed', progress: 1, result: plan(1) });
+
+    expect((await promise).result.routes).toHaveLength(1);
+    expect(onUpdate).toHaveBeenCalledTimes(2);
+    expect(source.closed).toBe(true);
+  });
+
+  it('polls when the event stream fails', async () => {
+    vi.stubGlobal('EventSource', FakeEventSource);
+    client.get.mockResolvedValue({ data: { job_id: 'j', status: 'completed', result: plan(1) } });
+
+    const promise = watchRouteJob('j', { pollInterval: 0 });
+    FakeEventSource.instances.at(-1).onerror();
+
+    expect((await promise).status).toBe('completed');
+    expect(client.get).toHaveBeenCalledWith('/generate-routes/jobs/j', { signal: undefined });
+  });
+
+  it('reports rejected fields of a submitted job', async () => {
+    client.post.mockRejectedValue({
+      response: {
+        status: 422,
+        data: { detail: [{ loc: ['body', 'delivery_points', 2, 'lat'], msg: 'value is not a valid float' }] },
+      },
+    });
+
+    const error = await generateRoutes({}).catch(caught => caught);
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.fieldErrors).toEqual([
+      { field: 'delivery_points.2.lat', path: ['delivery_points', 2, 'lat'], message: 'value is not a valid float' },
+    ]);
+  });
+});
+
+describe('api retries and logging', () => {
+  beforeEach(() => {
+    client.get.mockReset();
+  });
+
+  afterEach(() => {
+    configureApiLogging({ level: 'debug', logger: console });
+  });
+
+  it('retries idempotent calls with exponential backoff', async () => {
+    vi.useFakeTimers();
+    const logger = { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+    configureApiLogging({ level: 'warn', logger });
+    client.get
+      .mockRejectedValueOnce({ message: 'Network Error' })
+      .mockRejectedValueOnce({ response: { status: 503, data: { detail: 'Starting up' } } })
+      .mockResolvedValueOnce({ data: { data: [] } });
+
+    const promise = getSampleData({ retryDelay: 100 });
+    await vi.advanceTimersByTimeAsync(99);
+    expect(client.get).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(client.get).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(200);
+
+    expect(await promise).toEqual({ data: [] });
+    expect(logger.warn.mock.calls.map(([message]) => message)).toEqual([
+      'Failed to fetch sample data: the backend is not reachable; retrying in 100 ms',
+      'Starting up; retrying in 200 ms',
+    ]);
+    vi.useRealTimers();
+  });
+
+  it('gives up after the last retry and does not retry rejected requests', async () => {
+    configureApiLogging({ level: 'silent' });
+    client.get.mockRejectedValue({ message: 'Network Error' });
+    await expect(healthCheck({ retries: 1, retryDelay: 0 })).rejects.toBeInstanceOf(NetworkError);
+    expect(client.get).toHaveBeenCalledTimes(2);
+
+    const request = vi.fn().mockRejectedValue(new ValidationError('Invalid'));
+    await expect(withRetry(request, { retryDelay: 0 })).rejects.toBeInstanceOf(ValidationError);
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops retrying when the signal aborts', async () => {
+    configureApiLogging({ level: 'silent' });
+    client.get.mockRejectedValue({ message: 'Network Error' });
+    const controller = new AbortController();
+
+    const promise = healthCheck({ signal: controller.signal, retryDelay: 10000 });
+    await vi.waitFor(() => expect(client.get).toHaveBeenCalledTimes(1));
+    controller.abort();
+
+    await expect(promise).rejects.toMatchObject({ name: 'AbortError' });
+    expect(client.get).toHaveBeenCalledTimes(1);
+  });
+
+  it('sends messages at or above the level to the configured logger', () => {
+    const logger = { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+    configureApiLogging({ level: 'info', logger });
+
+    log('debug', 'Route constraints:', {});
+    log('info', 'Routes generated:', 3, 'routes');
+    log('error', 'Failed to save gazetteer:', 'Quota exceeded');
+
+    expect(logger.debug).not.toHaveBeenCalled();
+    expect(logger.info).toHaveBeenCalledWith('Routes generated:', 3, 'routes');
+    expect(logger.error).toHaveBeenCalledWith('Failed to save gazetteer:', 'Quota exceeded');
+  });
+
+  it('rejects unknown log levels', () => {
+    expect(() => configureApiLogging({ level: 'verbose' })).toThrow('Unknown API log level');
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ApiError,
+  NetworkError,
+  TimeoutError,
+  ValidationError,
+  ServerError,
+  CancelledError,
+  toApiError,
+  parseFieldErrors,
+  describeField,
+} from '../services/apiErrors';
+import { isAbortError } from '../utils/helpers';
+
+describe('apiErrors', () => {
+  it('classifies axios failures', () => {
+    expect(toApiError({ code: 'ERR_CANCELED', name: 'CanceledError' })).toBeInstanceOf(CancelledError);
+    expect(toApiError({ code: 'ECONNABORTED', message: 'timeout of 120000ms exceeded' }, 'Failed to upload file').message)
+      .toBe('Failed to upload file: the backend did not answer in time');
+    expect(toApiError({ code: 'ECONNABORTED' })).toBeInstanceOf(TimeoutError);
+    expect(toApiError({ message: 'Network Error' })).toBeInstanceOf(NetworkError);
+
+    const server = toApiError({ response: { status: 500, data: { detail: 'Solver crashed' } } }, 'Failed');
+    expect(server).toBeInstanceOf(ServerError);
+    expect(server).toMatchObject({ status: 500, message: 'Solver crashed' });
+
+    const notFound = toApiError({ response: { status: 404, data: {} } }, 'Failed to fetch sample data');
+    expect(notFound).toBeInstanceOf(ApiError);
+    expect(notFound).not.toBeInstanceOf(ServerError);
+    expect(notFound.message).toBe('Failed to fetch sample data');
+  });
+
+  it('reads FastAPI validation errors into field errors', () => {
+    const error = toApiError({
+      response: {
+        status: 422,
+        data: {
+          detail: [
+            { loc: ['body', 'delivery_points', 0, 'lng'], msg: 'field required', type: 'value_error.missing' },
+            { loc: ['body', 'constraints', 'deliveryWindowEnd'], msg: 'invalid time format' },
+          ],
+        },
+      },
+    }, 'Failed to generate routes');
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.message).toBe('Failed to generate routes: 2 invalid fields');
+    expect(error.fieldErrors.map(describeField)).toEqual(['Delivery point 1, lng', 'Constraints, deliveryWindowEnd']);
+  });
+
+  it('keeps plain validation messages without field details', () => {
+    const error = toApiError({ response: { status: 400, data: { detail: 'No delivery points' } } });
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.message).toBe('No delivery points');
+    expect(error.fieldErrors).toEqual([]);
+    expect(parseFieldErrors('No delivery points')).toEqual([]);
+  });
+
+  it('passes ApiErrors through and marks cancellation as an abort', () => {
+    const error = new ServerError('Down');
+    expect(toApiError(error)).toBe(error);
+    expect(isAbortError(new CancelledError())).toBe(true);
+    expect(describeField({ field: 'file', path: ['file'] })).toBe('file');
+  });
+});
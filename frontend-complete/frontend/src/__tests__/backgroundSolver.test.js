@@ -0,0 +1,51 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { solveRoutesInBackground } from '../utils/backgroundSolver';
+import { locationKey } from '../services/routing';
+
+const points = [
+  { id: 1, lat: 40.70, lng: -74.00 },
+  { id: 2, lat: 40.71, lng: -74.01 },
+];
+
+describe('backgroundSolver', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('solves on the main thread with a distance table when workers are unavailable', async () => {
+    vi.stubGlobal('Worker', undefined);
+    const [a, b] = points.map(locationKey);
+    const distanceTable = { distances: { [a]: { [a]: 0, [b]: 7 }, [b]: { [a]: 7, [b]: 0 } }, detourFactor: 1.3 };
+    const onProgress = vi.fn();
+
+    const { routes } = await solveRoutesInBackground(points, { maxStopsPerRoute: 10 }, { distanceTable, onProgress });
+    expect(routes[0].total_distance).toBe(7);
+    expect(onProgress).toHaveBeenCalledWith({ progress: 1 });
+  });
+
+  it('posts the solve task to a worker and terminates it when cancelled', async () => {
+    const instances = [];
+    vi.stubGlobal('Worker', class {
+      constructor() {
+        this.terminate = vi.fn();
+        instances.push(this);
+      }
+
+      postMessage(message) {
+        this.received = message;
+      }
+    });
+    const controller = new AbortController();
+    const constraints = { maxStopsPerRoute: 10 };
+
+    const promise = solveRoutesInBackground(points, constraints, { signal: controller.signal });
+    expect(instances[0].received).toEqual({
+      task: 'solve',
+      payload: { deliveryPoints: points, constraints, distanceTable: null },
+    });
+    controller.abort();
+
+    await expect(promise).rejects.toMatchObject({ name: 'AbortError' });
+    expect(instances[0].terminate).toHaveBeenCalled();
+  });
+});
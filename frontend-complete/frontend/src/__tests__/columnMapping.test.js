@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getHeaders,
+  getHeaderSignature,
+  suggestMapping,
+  needsMapping,
+  isMappingApplicable,
+  getMissingFields,
+  applyMapping,
+} from '../utils/columnMapping';
+
+const rows = [
+  { 'Order#': 'A-100', 'Cust Name': 'Store A', Latitude: 40.71, Longitude: -74.01, 'Street Address': '12 Main St', Qty: 5, 'Time From': '09:00', 'Time To': '12:00', Remarks: 'Back door' },
+  { 'Order#': 'A-101', 'Cust Name': 'Store B', Latitude: 40.72, Longitude: -74.02, 'Street Address': '14 Main St', Qty: 7, 'Time From': '10:00', 'Time To': '13:00', Remarks: '' },
+];
+
+describe('Column Mapping', () => {
+  it('suggests mappings from header names and sample values', () => {
+    expect(suggestMapping(getHeaders(rows), rows)).toEqual({
+      id: 'Order#',
+      customer_name: 'Cust Name',
+      lat: 'Latitude',
+      lng: 'Longitude',
+      address: 'Street Address',
+      demand: 'Qty',
+      window_start: 'Time From',
+      window_end: 'Time To',
+      notes: 'Remarks',
+    });
+  });
+
+  it('maps each field to at most one column', () => {
+    const mapping = suggestMapping(['Name', 'Store Name'], [{ Name: 'A', 'Store Name': 'B' }]);
+    expect(mapping.customer_name).toBe('Name');
+    expect(Object.values(mapping)).not.toContain('Store Name');
+  });
+
+  it('builds an order-independent header signature', () => {
+    expect(getHeaderSignature(['Lat', 'Cust Name'])).toBe(getHeaderSignature(['cust_name', 'LAT']));
+    expect(getHeaderSignature(['Lat'])).not.toBe(getHeaderSignature(['Lng']));
+  });
+
+  it('only asks for a mapping when columns can be renamed', () => {
+    expect(needsMapping(['id', 'customer_name', 'lat', 'lng', 'address', 'Region'])).toBe(false);
+    expect(needsMapping(['id', 'customer_name', 'lat', 'lng'])).toBe(false);
+    expect(needsMapping(['Order#', 'customer_name', 'lat', 'lng', 'address'])).toBe(true);
+  });
+
+  it('renames mapped columns and drops the rest', () => {
+    const mapping = { id: 'Order#', customer_name: 'Cust Name', lat: 'Latitude', lng: 'Longitude', address: 'Street Address' };
+    expect(applyMapping(rows, mapping)[0]).toEqual({
+      id: 'A-100',
+      customer_name: 'Store A',
+      lat: 40.71,
+      lng: -74.01,
+      address: '12 Main St',
+    });
+    expect(isMappingApplicable(mapping, getHeaders(rows))).toBe(true);
+    expect(isMappingApplicable(mapping, ['Order#'])).toBe(false);
+    expect(isMappingApplicable({ id: 'Order#' }, getHeaders(rows))).toBe(false);
+  });
+
+  it('allows coordinates to be left unmapped for geocoding, but not only one of them', () => {
+    const base = { id: 'Order#', customer_name: 'Cust Name', address: 'Street Address' };
+    expect(getMissingFields(base)).toEqual([]);
+    expect(getMissingFields({ ...base, lat: 'Latitude' })).toEqual(['lng']);
+    expect(getMissingFields({ lat: 'Latitude', lng: 'Longitude' })).toEqual(['id', 'customer_name', 'address']);
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { createDeliveryPoint, roundCoordinate, indexPointsById, indexStopsById } from '../utils/deliveryPoints';
+import { createDepot, moveDepot } from '../utils/depots';
+
+describe('deliveryPoints', () => {
+  it('rounds coordinates picked on the map', () => {
+    expect(roundCoordinate(40.712812345)).toBe(40.712812);
+    expect(roundCoordinate(-74.0060009)).toBe(-74.006001);
+  });
+
+  it('creates ad-hoc points with unique ids', () => {
+    const a = createDeliveryPoint({ customer_name: ' Kiosk ', address: '', lat: 40.1234567, lng: -74.1, window_start: '09:00', window_end: '' });
+    const b = createDeliveryPoint({ customer_name: 'Shop', address: '1 Main St', lat: 40, lng: -74 });
+
+    expect(a).toMatchObject({ customer_name: 'Kiosk', address: '40.123457, -74.1', lat: 40.123457, window_start: '09:00' });
+    expect(a).not.toHaveProperty('window_end');
+    expect(a.id).not.toBe(b.id);
+    expect(b.address).toBe('1 Main St');
+  });
+});
+
+describe('id indexes', () => {
+  it('looks up points by id and shares the index per array', () => {
+    const points = [{ id: 1, customer_name: 'A' }, { id: 'b', customer_name: 'B' }];
+    const index = indexPointsById(points);
+
+    expect(index.get(1).customer_name).toBe('A');
+    expect(index.get('b').customer_name).toBe('B');
+    expect(index.get('missing')).toBeUndefined();
+    expect(indexPointsById(points)).toBe(index);
+    expect(indexPointsById([...points])).not.toBe(index);
+  });
+
+  it('locates stops by point id', () => {
+    const routes = [
+      { stops: [{ id: 1 }, { id: 2 }] },
+      { stops: [{ id: 3 }] },
+    ];
+    const index = indexStopsById(routes);
+
+    expect(index.get(2)).toEqual({ routeIndex: 0, stopIndex: 1 });
+    expect(index.get(3)).toEqual({ routeIndex: 1, stopIndex: 0 });
+    expect(index.has(4)).toBe(false);
+  });
+});
+
+describe('moveDepot', () => {
+  it('moves the depot with the given id', () => {
+    const depots = [createDepot({ id: 'a', name: 'A' }), createDepot({ id: 'b', name: 'B' })];
+    const moved = moveDepot(depots, 'b', { lat: 51.5000001, lng: -0.12 });
+
+    expect(moved[0]).toBe(depots[0]);
+    expect(moved[1]).toMatchObject({ id: 'b', name: 'B', lat: 51.5, lng: -0.12 });
+  });
+
+  it('adds a depot when there is none to move', () => {
+    const moved = moveDepot([], null, { lat: 1, lng: 2 });
+    expect(moved).toHaveLength(1);
+    expect(moved[0]).toMatchObject({ name: 'Main Warehouse', lat: 1, lng: 2 });
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect, vi } from 'vitest';
+import { getMatrix, getDistanceTable, createTableDistance, getRoadDistance } from '../services/distanceMatrix';
+import { createHaversineProvider, estimateRoadDistance, locationKey } from '../services/routing';
+
+const points = [
+  { id: 1, lat: 40.70, lng: -74.00 },
+  { id: 2, lat: 40.71, lng: -74.01 },
+  { id: 3, lat: 40.72, lng: -74.02 },
+];
+
+/**
+ * Fake road provider answering with doubled straight-line distances
+ * Each test uses its own name so cached rows do not leak between tests.
+ */
+const createRoadProvider = (name) => {
+  const straight = createHaversineProvider({ detourFactor: 2 });
+  return {
+    name,
+    roadNetwork: true,
+    getMatrix: vi.fn(async (locations, options) => ({
+      ...(await straight.getMatrix(locations, options)),
+      durations: null,
+      estimated: false,
+    })),
+  };
+};
+
+/**
+ * Distance between two points in a matrix from getMatrix
+ */
+const between = (matrix, a, b) => matrix.getDistance(locationKey(a), locationKey(b));
+
+/**
+ * Number of pairs a provider was asked for
+ */
+const requestedPairs = (provider) => provider.getMatrix.mock.calls
+  .reduce((sum, [, { sources, destinations }]) => sum + sources.length * destinations.length, 0);
+
+describe('distanceMatrix', () => {
+  it('looks up distances by location, duplicates included', async () => {
+    const provider = createRoadProvider('full');
+    const depot = { ...points[0], id: 'depot' };
+    const matrix = await getMatrix([...points, depot], { provider });
+
+    expect(between(matrix, points[1], points[2])).toBeCloseTo(estimateRoadDistance(points[1], points[2], 2), 9);
+    expect(between(matrix, depot, points[2])).toBe(between(matrix, points[0], points[2]));
+    expect(between(matrix, points[0], { lat: 41, lng: -74 })).toBeUndefined();
+    expect(matrix.estimated).toBe(false);
+    expect(requestedPairs(provider)).toBe(9);
+  });
+
+  it('reuses cached pairs when the same points are requested again', async () => {
+    const provider = createRoadProvider('rerun');
+    const first = await getMatrix(points, { provider });
+    const second = await getMatrix([...points].reverse(), { provider });
+
+    expect(provider.getMatrix).toHaveBeenCalledTimes(1);
+    expect(between(second, points[2], points[0])).toBe(between(first, points[2], points[0]));
+  });
+
+  it('requests only the pairs of new locations', async () => {
+    const provider = createRoadProvider('incremental');
+    await getMatrix(points.slice(0, 2), { provider });
+    provider.getMatrix.mockClear();
+
+    const matrix = await getMatrix(points, { provider });
+    // The new point's row (3 pairs) and its column from the two known points
+    expect(requestedPairs(provider)).toBe(5);
+    expect(between(matrix, points[0], points[2])).toBeCloseTo(estimateRoadDistance(points[0], points[2], 2), 9);
+    expect(between(matrix, points[2], points[1])).toBeCloseTo(estimateRoadDistance(points[2], points[1], 2), 9);
+  });
+
+  it('does not cache straight-line estimates', async () => {
+    const provider = { ...createHaversineProvider(), name: 'estimates' };
+    const getProviderMatrix = vi.spyOn(provider, 'getMatrix');
+
+    const matrix = await getMatrix(points, { provider });
+    expect(matrix.estimated).toBe(true);
+    expect(between(matrix, points[0], points[1])).toBeUndefined();
+    await getMatrix(points, { provider });
+    expect(getProviderMatrix).toHaveBeenCalledTimes(2);
+  });
+
+  it('builds a distance function for located points', async () => {
+    const provider = createRoadProvider('distance');
+    const distance = await getRoadDistance([...points, { id: 4, lat: null, lng: null }], { provider });
+
+    expect(provider.getMatrix.mock.calls[0][0]).toHaveLength(3);
+    expect(distance(points[0], points[1])).toBeCloseTo(estimateRoadDistance(points[0], points[1], 2), 9);
+  });
+
+  it('estimates distances on demand without a road network', async () => {
+    const provider = createHaversineProvider({ detourFactor: 2 });
+    const getProviderMatrix = vi.spyOn(provider, 'getMatrix');
+    const distance = await getRoadDistance(points, { provider });
+
+    expect(getProviderMatrix).not.toHaveBeenCalled();
+    expect(distance(points[0], points[2])).toBeCloseTo(estimateRoadDistance(points[0], points[2], 2), 9);
+  });
+
+  it('passes the abort signal on to the routing provider', async () => {
+    const provider = createRoadProvider('signal');
+    const controller = new AbortController();
+    await getDistanceTable(points, { provider, signal: controller.signal });
+
+    expect(provider.getMatrix.mock.calls[0][1].signal).toBe(controller.signal);
+  });
+
+  it('returns a table that can be posted to a worker', async () => {
+    const provider = createRoadProvider('table');
+    const table = structuredClone(await getDistanceTable(points, { provider }));
+    const distance = createTableDistance(table);
+
+    expect(distance(points[2], points[0])).toBeCloseTo(estimateRoadDistance(points[2], points[0], 2), 9);
+    expect(distance(points[0], { lat: 41, lng: -74 })).toBeCloseTo(estimateRoadDistance(points[0], { lat: 41, lng: -74 }), 9);
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { parseDeliveryFile, validateDeliveryFile } from '../utils/fileProcessing';
+
+/**
+ * Minimal Worker stand-in that answers each message with scripted replies
+ */
+const createFakeWorker = (replies) => {
+  const instances = [];
+  class FakeWorker {
+    constructor() {
+      this.terminate = vi.fn();
+      instances.push(this);
+    }
+
+    postMessage(message) {
+      this.received = message;
+      replies.forEach(reply => setTimeout(() => this.onmessage?.({ data: reply }), 0));
+    }
+  }
+  return { FakeWorker, instances };
+};
+
+describe('fileProcessing', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('parses on the main thread when workers are unavailable', async () => {
+    vi.stubGlobal('Worker', undefined);
+    const file = new File(['id,customer_name\n1,A'], 'test.csv', { type: 'text/csv' });
+    const onProgress = vi.fn();
+
+    expect(await parseDeliveryFile(file, 'delimited', { onProgress })).toEqual([{ id: 1, customer_name: 'A' }]);
+    expect(onProgress).toHaveBeenCalled();
+  });
+
+  it('normalizes and validates rows', async () => {
+    vi.stubGlobal('Worker', undefined);
+    const { rows, report } = await validateDeliveryFile(
+      [{ id: 1, customer_name: 'A', lat: 0, lng: 0, address: 'x', demand: '3' }],
+      {}
+    );
+    expect(rows[0].demand).toBe(3);
+    expect(report.errorCount).toBe(1);
+  });
+
+  it('forwards worker progress and terminates the worker when done', async () => {
+    const { FakeWorker, instances } = createFakeWorker([
+      { type: 'progress', progress: { loaded: 5, total: 10, rows: 100 } },
+      { type: 'result', result: [{ id: 1 }] },
+    ]);
+    vi.stubGlobal('Worker', FakeWorker);
+    const onProgress = vi.fn();
+    const file = new File(['x'], 'big.csv');
+
+    expect(await parseDeliveryFile(file, 'delimited', { onProgress })).toEqual([{ id: 1 }]);
+    expect(instances[0].received).toEqual({ task: 'parse', payload: { file, format: 'delimited', dynamicTyping: true } });
+    expect(onProgress).toHaveBeenCalledWith({ loaded: 5, total: 10, rows: 100 });
+    expect(instances[0].terminate).toHaveBeenCalled();
+  });
+
+  it('terminates the worker when cancelled', async () => {
+    const { FakeWorker, instances } = createFakeWorker([]);
+    vi.stubGlobal('Worker', FakeWorker);
+    const controller = new AbortController();
+
+    const promise = parseDeliveryFile(new File(['x'], 'big.csv'), 'delimited', { signal: controller.signal });
+    controller.abort();
+
+    await expect(promise).rejects.toMatchObject({ name: 'AbortError' });
+    expect(instances[0].terminate).toHaveBeenCalled();
+  });
+
+  it('rejects with the worker error message', async () => {
+    const { FakeWorker } = createFakeWorker([{ type: 'error', message: 'CSV parsing error: bad quote' }]);
+    vi.stubGlobal('Worker', FakeWorker);
+
+    await expect(parseDeliveryFile(new File(['x'], 'a.csv'), 'delimited')).rejects.toThrow('bad quote');
+  });
+});
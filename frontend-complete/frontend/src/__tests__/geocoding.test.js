@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import {
+  needsGeocoding,
+  parseGazetteer,
+  createGazetteerProvider,
+  geocodeRows,
+  applyGeocodes,
+  GEOCODE_RESOLVED,
+  GEOCODE_LOW_CONFIDENCE,
+  GEOCODE_UNRESOLVED,
+} from '../utils/geocoding';
+
+const gazetteerRows = [
+  { Place: 'Main Street Springfield', Postcode: '', Latitude: 39.78, Longitude: -89.65 },
+  { Place: '', Postcode: 'SW1A 1AA', Latitude: 51.501, Longitude: -0.142 },
+  { Place: 'Harbour Road Portsmouth', Postcode: 'PO1 3LJ', Latitude: 50.8, Longitude: -1.1 },
+  { Place: 'Broken', Postcode: 'X1', Latitude: 'n/a', Longitude: 0 },
+];
+
+describe('geocoding', () => {
+  it('detects rows with an address but no coordinates', () => {
+    expect(needsGeocoding({ address: '1 Main St' })).toBe(true);
+    expect(needsGeocoding({ address: '1 Main St', lat: 40.7, lng: '' })).toBe(true);
+    expect(needsGeocoding({ address: '1 Main St', lat: 40.7, lng: -74 })).toBe(false);
+    expect(needsGeocoding({ lat: null, lng: null })).toBe(false);
+  });
+
+  it('reads gazetteer columns by name and skips rows without coordinates', () => {
+    const entries = parseGazetteer(gazetteerRows);
+    expect(entries).toHaveLength(3);
+    expect(entries[1]).toEqual({ name: '', postcode: 'SW1A 1AA', lat: 51.501, lng: -0.142 });
+    expect(() => parseGazetteer([{ Place: 'A', Elevation: 3 }])).toThrow('latitude and longitude');
+  });
+
+  it('matches postcodes and place names', () => {
+    const provider = createGazetteerProvider(parseGazetteer(gazetteerRows));
+    const [postcode, name, partial, none] = provider.geocode([
+      { key: 0, address: 'Buckingham Palace, London sw1a 1aa' },
+      { key: 1, address: '12 Main Street, Springfield' },
+      { key: 2, address: 'Harbour Road, Southsea' },
+      { key: 3, address: 'Nowhere' },
+    ]);
+
+    expect(postcode).toMatchObject({ lat: 51.501, confidence: 0.9, match: 'SW1A 1AA' });
+    expect(name).toMatchObject({ lat: 39.78, match: 'Main Street Springfield' });
+    expect(name.confidence).toBeGreaterThanOrEqual(0.8);
+    expect(partial.confidence).toBeLessThan(0.8);
+    expect(partial.match).toBe('Harbour Road Portsmouth');
+    expect(none).toMatchObject({ lat: null, lng: null, confidence: 0 });
+  });
+
+  it('geocodes only rows without coordinates and grades the matches', async () => {
+    const provider = createGazetteerProvider(parseGazetteer(gazetteerRows));
+    const rows = [
+      { id: 1, address: 'Main Street Springfield' },
+      { id: 2, address: '5 Main Rd', lat: 40.7, lng: -74 },
+      { id: 3, address: 'Harbour Road, Southsea' },
+      { id: 4, address: 'Nowhere' },
+    ];
+
+    const results = await geocodeRows(rows, provider);
+    expect(results.map(r => [r.index, r.status])).toEqual([
+      [0, GEOCODE_RESOLVED],
+      [2, GEOCODE_LOW_CONFIDENCE],
+      [3, GEOCODE_UNRESOLVED],
+    ]);
+
+    const geocoded = applyGeocodes(rows, results);
+    expect(geocoded[0]).toMatchObject({ lat: 39.78, lng: -89.65 });
+    expect(geocoded[1]).toBe(rows[1]);
+    expect(geocoded[2].lat).toBeUndefined();
+  });
+
+  it('lists every row as unresolved without a provider', async () => {
+    const results = await geocodeRows([{ address: 'A' }, { address: 'B' }], null);
+    expect(results.every(r => r.status === GEOCODE_UNRESOLVED)).toBe(true);
+  });
+
+  it('accepts any provider with a geocode method', async () => {
+    const provider = {
+      name: 'Test',
+      geocode: async (queries) => queries.map(({ key }) => ({ key, lat: 1, lng: 2, confidence: 0.95, match: 'test' })),
+    };
+    const [result] = await geocodeRows([{ address: 'Anywhere' }], provider);
+    expect(result).toMatchObject({ lat: 1, lng: 2, status: GEOCODE_RESOLVED });
+  });
+});
@@ -1,11 +1,24 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi } from 'vitest';
 import {
   calculateDistance,
   formatDistance,
   formatTime,
   validateDeliveryData,
+  validateDeliveryRows,
+  validateDeliveryRow,
+  findCrossRowIssues,
   validateConstraints,
   getRouteColor,
+  parseTimeToMinutes,
+  formatClock,
+  normalizeDeliveryData,
+  isArrivalLate,
+  calculateRouteLoad,
+  detectDelimiter,
+  sheetRowsToObjects,
+  parseCSV,
+  parseJSONRows,
+  calculateMapBounds,
 } from '../utils/helpers';
 
 describe('Helper Functions', () => {
@@ -100,6 +113,147 @@ describe('Helper Functions', () => {
       const result = validateDeliveryData([]);
       expect(result.isValid).toBe(false);
     });
+
+    it('accepts well-formed time windows inside the global window', () => {
+      const data = [
+        { id: 1, customer_name: 'Test', lat: 40.7, lng: -74.0, address: 'A', window_start: '09:00', window_end: '11:30', service_minutes: 15 },
+      ];
+      const result = validateDeliveryData(data, { deliveryWindowStart: '08:00', deliveryWindowEnd: '18:00' });
+      expect(result.isValid).toBe(true);
+    });
+
+    it('rejects malformed or inverted time windows', () => {
+      const data = [
+        { id: 1, customer_name: 'Test', lat: 40.7, lng: -74.0, address: 'A', window_start: '9am', window_end: '11:00' },
+        { id: 2, customer_name: 'Test', lat: 40.7, lng: -74.0, address: 'B', window_start: '12:00', window_end: '10:00' },
+      ];
+      const result = validateDeliveryData(data);
+      expect(result.isValid).toBe(false);
+      expect(result.errors.some(e => e.includes('Row 1') && e.includes('window_start'))).toBe(true);
+      expect(result.errors.some(e => e.includes('Row 2') && e.includes('before window_end'))).toBe(true);
+    });
+
+    it('rejects windows outside the global delivery window', () => {
+      const data = [
+        { id: 1, customer_name: 'Test', lat: 40.7, lng: -74.0, address: 'A', window_start: '07:00', window_end: '19:00' },
+      ];
+      const result = validateDeliveryData(data, { deliveryWindowStart: '08:00', deliveryWindowEnd: '18:00' });
+      expect(result.errors).toHaveLength(2);
+    });
+
+    it('rejects negative service minutes', () => {
+      const data = [
+        { id: 1, customer_name: 'Test', lat: 40.7, lng: -74.0, address: 'A', service_minutes: -5 },
+      ];
+      const result = validateDeliveryData(data);
+      expect(result.isValid).toBe(false);
+      expect(result.errors[0]).toContain('service_minutes');
+    });
+  });
+
+  describe('validateDeliveryRows', () => {
+    const point = (id, lat, lng) => ({ id, customer_name: `Customer ${id}`, lat, lng, address: `${id} Main St` });
+    const cluster = [
+      point(1, 40.71, -74.0),
+      point(2, 40.73, -73.99),
+      point(3, 40.75, -74.02),
+      point(4, 40.7, -73.97),
+    ];
+
+    it('reports every issue with its row, field and severity', () => {
+      const data = Array.from({ length: 15 }, (_, i) => ({ id: i + 1, customer_name: 'Test', lat: 'n/a', lng: -74, address: 'A' }));
+      const result = validateDeliveryRows(data);
+      expect(result.isValid).toBe(false);
+      expect(result.errorCount).toBe(15);
+      expect(result.issues[14]).toMatchObject({ row: 15, field: 'lat', severity: 'error' });
+      expect(result.issues[0].message).toContain('not a number');
+    });
+
+    it('detects duplicate ids and (0,0) coordinates', () => {
+      const result = validateDeliveryRows([point(1, 40.7, -74), point(1, 40.8, -74), point(2, 0, 0)]);
+      expect(result.issues).toEqual([
+        expect.objectContaining({ row: 2, field: 'id', message: expect.stringContaining('first used in row 1') }),
+        expect.objectContaining({ row: 3, field: 'lat', message: expect.stringContaining('(0, 0)') }),
+      ]);
+    });
+
+    it('suggests swapping out-of-range latitudes', () => {
+      const result = validateDeliveryRows([point(1, -122.4, 37.8)]);
+      expect(result.issues[0]).toMatchObject({ severity: 'error', fix: { lat: 37.8, lng: -122.4 } });
+    });
+
+    it('warns about points far from the cluster', () => {
+      const result = validateDeliveryRows([...cluster, point(5, 34.05, -118.24), point(6, -74.0, 40.72)]);
+      expect(result.isValid).toBe(true);
+      expect(result.warningCount).toBe(2);
+      expect(result.issues[0]).toMatchObject({ row: 5, severity: 'warning', message: expect.stringContaining('from the other deliveries') });
+      expect(result.issues[1]).toMatchObject({ row: 6, message: expect.stringContaining('swapped'), fix: { lat: 40.72, lng: -74.0 } });
+    });
+
+    it('checks a row on its own and duplicates across rows separately', () => {
+      expect(validateDeliveryRow(point(1, 95, -120))).toEqual([
+        expect.objectContaining({ field: 'lat', message: 'Invalid latitude value (95)' }),
+      ]);
+      expect(findCrossRowIssues([...cluster, point(1, 40.72, -74.01)])).toEqual([
+        expect.objectContaining({ row: 5, field: 'id', message: expect.stringContaining('first used in row 1') }),
+      ]);
+    });
+
+    it('skips excluded rows', () => {
+      const data = [...cluster, point(1, 95, -74)];
+      expect(validateDeliveryRows(data).errorCount).toBe(2);
+      expect(validateDeliveryRows(data, {}, { excludedRows: new Set([4]) }).issues).toHaveLength(0);
+    });
+  });
+
+  describe('demand and load', () => {
+    it('rejects negative or non-numeric demand', () => {
+      const data = [
+        { id: 1, customer_name: 'Test', lat: 40.7, lng: -74.0, address: 'A', demand: -1 },
+        { id: 2, customer_name: 'Test', lat: 40.7, lng: -74.0, address: 'B', demand: 'lots' },
+      ];
+      const result = validateDeliveryData(data);
+      expect(result.errors.filter(e => e.includes('demand'))).toHaveLength(2);
+    });
+
+    it('calculates cumulative load along a route', () => {
+      const points = [
+        { id: 1, demand: 10 },
+        { id: 2 },
+        { id: 3, demand: 25 },
+      ];
+      const route = { stops: [{ id: 3 }, { id: 2 }, { id: 1 }] };
+      const load = calculateRouteLoad(route, points);
+      expect(load.cumulative).toEqual([25, 25, 35]);
+      expect(load.total).toBe(35);
+    });
+  });
+
+  describe('time helpers', () => {
+    it('parses HH:MM strings into minutes', () => {
+      expect(parseTimeToMinutes('08:30')).toBe(510);
+      expect(parseTimeToMinutes('8:05')).toBe(485);
+      expect(parseTimeToMinutes('24:00')).toBeNull();
+      expect(parseTimeToMinutes('noon')).toBeNull();
+    });
+
+    it('formats minutes as a clock string', () => {
+      expect(formatClock(510)).toBe('08:30');
+      expect(formatClock(485.4)).toBe('08:05');
+    });
+
+    it('splits legacy delivery_window strings', () => {
+      const [point] = normalizeDeliveryData([{ id: 1, delivery_window: '09:00-12:00', service_minutes: '5' }]);
+      expect(point.window_start).toBe('09:00');
+      expect(point.window_end).toBe('12:00');
+      expect(point.service_minutes).toBe(5);
+    });
+
+    it('flags arrivals after the window end', () => {
+      expect(isArrivalLate('12:01', { window_end: '12:00' })).toBe(true);
+      expect(isArrivalLate('11:59', { window_end: '12:00' })).toBe(false);
+      expect(isArrivalLate('11:59', {})).toBe(false);
+    });
   });
 
   describe('validateConstraints', () => {
@@ -125,6 +279,58 @@ describe('Helper Functions', () => {
       expect(result.errors.maxStopsPerRoute).toBeDefined();
     });
 
+    it('validates each fleet row', () => {
+      const constraints = {
+        startLocation: 'Warehouse',
+        fleet: [
+          { id: 'van', name: 'Van', count: 2, capacity: 100, maxStops: 10, costPerKm: 1, shiftStart: '08:00', shiftEnd: '17:00' },
+          { id: 'truck', name: '', count: 0, capacity: 0, maxStops: 5, costPerKm: -1, shiftStart: '18:00', shiftEnd: '09:00' },
+        ],
+      };
+      const result = validateConstraints(constraints);
+      expect(result.isValid).toBe(false);
+      expect(Object.keys(result.errors).sort()).toEqual([
+        'fleet.1.capacity',
+        'fleet.1.costPerKm',
+        'fleet.1.count',
+        'fleet.1.name',
+        'fleet.1.shiftEnd',
+      ]);
+    });
+
+    it('rejects non-numeric capacities and stop limits from imported plans', () => {
+      const vehicle = { id: 'van', name: 'Van', count: 1, costPerKm: 1, shiftStart: '08:00', shiftEnd: '17:00' };
+      const result = validateConstraints({
+        startLocation: 'Warehouse',
+        fleet: [{ ...vehicle, capacity: 'lots', maxStops: 'ten' }, { ...vehicle, capacity: '50', maxStops: '5' }],
+      });
+      expect(Object.keys(result.errors).sort()).toEqual(['fleet.0.capacity', 'fleet.0.maxStops']);
+    });
+
+    it('requires at least one vehicle in the fleet', () => {
+      const result = validateConstraints({ startLocation: 'Warehouse', fleet: [] });
+      expect(result.errors.fleet).toBeDefined();
+    });
+
+    it('validates depots and fleet depot references', () => {
+      const constraints = {
+        depots: [
+          { id: 'main', name: 'Main', lat: '40.7', lng: '-74.0' },
+          { id: 'north', name: '', lat: '95', lng: '' },
+        ],
+        fleet: [
+          { id: 'van', name: 'Van', count: 1, capacity: 100, maxStops: 10, costPerKm: 1, shiftStart: '08:00', shiftEnd: '17:00', depot: 'main', endDepot: 'gone' },
+        ],
+      };
+      const result = validateConstraints(constraints);
+      expect(Object.keys(result.errors).sort()).toEqual([
+        'depots.1.lat',
+        'depots.1.lng',
+        'depots.1.name',
+        'fleet.0.endDepot',
+      ]);
+    });
+
     it('detects missing start location', () => {
       const constraints = {
         maxStopsPerRoute: 10,
@@ -137,6 +343,84 @@ describe('Helper Functions', () => {
     });
   });
 
+  describe('file parsing', () => {
+    it('detects the delimiter from the header line', () => {
+      expect(detectDelimiter('id,customer_name,lat\n1,A,40.7')).toBe(',');
+      expect(detectDelimiter('id;customer_name;lat\n1;A;40,7')).toBe(';');
+      expect(detectDelimiter('id\tcustomer_name\tlat\n1\tA\t40.7')).toBe('\t');
+      expect(detectDelimiter('\n"id;x",name,lat')).toBe(',');
+    });
+
+    it('converts spreadsheet rows to objects', () => {
+      const rows = [
+        [' id ', 'customer_name', 'window_start', null],
+        [1, 'Store A', new Date(Date.UTC(1899, 11, 31, 9, 30)), 'ignored'],
+        [null, null, null, null],
+        [2, 'Store B', '10:00', null],
+      ];
+      expect(sheetRowsToObjects(rows)).toEqual([
+        { id: 1, customer_name: 'Store A', window_start: '09:30' },
+        { id: 2, customer_name: 'Store B', window_start: '10:00' },
+      ]);
+      expect(sheetRowsToObjects([])).toEqual([]);
+    });
+
+    it('streams JSON arrays in chunks, split anywhere', async () => {
+      const rows = [
+        { id: 1, customer_name: 'Café "Zürich", [east]', lat: 40.7, tags: ['a', { b: '}' }] },
+        { id: 2, customer_name: 'Back\\slash', lat: 40.8, tags: [] },
+        { id: 3, customer_name: 'Ünïcödé ✓', lat: null },
+      ];
+      const file = new File([`\n [ ${rows.map(row => JSON.stringify(row)).join(' ,\n')} ]\n`], 'orders.json');
+      const onProgress = vi.fn();
+
+      expect(await parseJSONRows(file, { onProgress, chunkSize: 7 })).toEqual(rows);
+      expect(onProgress.mock.calls.length).toBeGreaterThan(10);
+      expect(onProgress).toHaveBeenLastCalledWith({ loaded: file.size, total: file.size, rows: 3 });
+    });
+
+    it('reads a JSON object whole and rejects malformed arrays', async () => {
+      expect(await parseJSONRows(new File(['{"id": 1}'], 'one.json'))).toEqual([{ id: 1 }]);
+      expect(await parseJSONRows(new File(['[]'], 'empty.json'))).toEqual([]);
+      await expect(parseJSONRows(new File(['[{"id": 1},]'], 'bad.json'))).rejects.toThrow('Invalid JSON format');
+      await expect(parseJSONRows(new File(['[{"id": 1}'], 'cut.json'))).rejects.toThrow('Invalid JSON format');
+    });
+
+    it('stops streaming JSON when cancelled', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      const file = new File(['[{"id": 1}]'], 'orders.json');
+      await expect(parseJSONRows(file, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+    });
+
+    it('streams CSV files and reports progress', async () => {
+      const csv = 'id,customer_name,lat,lng,address\n1,A,40.7,-74,1 Main St\n2,B,40.8,-74.1,2 Main St';
+      const file = new File([csv], 'test.csv', { type: 'text/csv' });
+      const onProgress = vi.fn();
+
+      const rows = await parseCSV(file, { onProgress });
+      expect(rows).toHaveLength(2);
+      expect(rows[1]).toMatchObject({ id: 2, lat: 40.8 });
+      expect(onProgress).toHaveBeenLastCalledWith({ loaded: file.size, total: file.size, rows: 2 });
+    });
+
+    it('stops parsing when cancelled', async () => {
+      const file = new File(['id,customer_name\n1,A'], 'test.csv', { type: 'text/csv' });
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(parseCSV(file, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+    });
+  });
+
+  describe('calculateMapBounds', () => {
+    it('computes bounds of large point sets without spreading arguments', () => {
+      const points = Array.from({ length: 200000 }, (_, i) => ({ lat: 40 + (i % 1000) / 1000, lng: -74 - i / 200000 }));
+      expect(calculateMapBounds(points)).toEqual([[40, -74 - 199999 / 200000], [40.999, -74]]);
+      expect(calculateMapBounds([])).toEqual([[0, 0], [0, 0]]);
+    });
+  });
+
   describe('getRouteColor', () => {
     it('returns consistent colors for route indices', () => {
       const color1 = getRouteColor(0);
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { clusterPoints, projectToPixels, CLUSTER_MAX_ZOOM } from '../utils/mapClustering';
+
+const grid = (count, origin = { lat: 40.7, lng: -74 }, step = 0.001) => (
+  Array.from({ length: count }, (_, i) => ({
+    id: i + 1,
+    lat: origin.lat + Math.floor(i / 10) * step,
+    lng: origin.lng + (i % 10) * step,
+  }))
+);
+
+describe('mapClustering', () => {
+  it('projects like Leaflet at zoom 0', () => {
+    expect(projectToPixels(0, 0, 0)).toEqual({ x: 128, y: 128 });
+    expect(projectToPixels(0, 180, 1).x).toBe(512);
+  });
+
+  it('groups nearby points at low zoom and keeps every point', () => {
+    const near = grid(50);
+    const far = grid(5, { lat: 51.5, lng: -0.12 });
+    const clusters = clusterPoints([...near, ...far], 5);
+
+    expect(clusters.reduce((sum, cluster) => sum + cluster.count, 0)).toBe(55);
+    expect(clusters.length).toBeLessThanOrEqual(4);
+    const big = clusters.find(cluster => cluster.count >= 25);
+    expect(big.lat).toBeGreaterThan(40.7);
+    expect(big.bounds[0][0]).toBeLessThanOrEqual(big.lat);
+    expect(big.bounds[1][0]).toBeGreaterThanOrEqual(big.lat);
+  });
+
+  it('returns single points at high zoom', () => {
+    const points = grid(20, undefined, 0.01);
+    const clusters = clusterPoints(points, CLUSTER_MAX_ZOOM);
+
+    expect(clusters).toHaveLength(20);
+    expect(clusters.every(cluster => cluster.count === 1)).toBe(true);
+    expect(clusters[0].points[0]).toBe(points[0]);
+  });
+
+  it('clusters 100k points quickly', () => {
+    const points = Array.from({ length: 100000 }, (_, i) => ({
+      id: i,
+      lat: 40 + (i % 317) / 100,
+      lng: -75 + (i % 331) / 100,
+    }));
+
+    const started = Date.now();
+    const clusters = clusterPoints(points, 8);
+    expect(Date.now() - started).toBeLessThan(2000);
+    expect(clusters.reduce((sum, cluster) => sum + cluster.count, 0)).toBe(100000);
+  });
+});
@@ -0,0 +1,121 @@
+// @vitest-environment node
+// Node's own File and FormData, which the request interceptor can read (jsdom's cannot)
+import { describe, it, expect, vi, beforeAll, afterEach, afterAll } from 'vitest';
+import { http, HttpResponse } from 'msw';
+import {
+  API_BASE_URL,
+  configureApiLogging,
+  generateRoutes,
+  getRouteJob,
+  getSampleData,
+  healthCheck,
+  uploadFile,
+} from '../services/api';
+import { ServerError, ValidationError } from '../services/apiErrors';
+import { createHandlers, validateRouteRequest } from '../mocks/handlers';
+import { createMockServer } from '../mocks/node';
+import { SAMPLE_DELIVERY_POINTS } from '../mocks/fixtures';
+
+const server = createMockServer();
+
+const constraints = { deliveryWindowStart: '08:00', deliveryWindowEnd: '18:00' };
+
+const routedIds = result => result.routes.flatMap(route => route.stops.map(stop => stop.id));
+
+describe('mock backend', () => {
+  beforeAll(() => {
+    configureApiLogging({ level: 'silent' });
+    server.listen({ onUnhandledRequest: 'error' });
+  });
+
+  afterEach(() => server.resetHandlers());
+
+  afterAll(() => {
+    server.close();
+    configureApiLogging({ level: 'debug' });
+  });
+
+  it('answers health checks and serves the sample data', async () => {
+    expect(await healthCheck()).toMatchObject({ status: 'healthy' });
+    const { data } = await getSampleData();
+    expect(data).toEqual(SAMPLE_DELIVERY_POINTS);
+  });
+
+  it('plans every point through a route-generation job', async () => {
+    const onProgress = vi.fn();
+    const result = await generateRoutes(
+      { delivery_points: SAMPLE_DELIVERY_POINTS, constraints },
+      { onProgress, pollInterval: 0 }
+    );
+
+    expect(routedIds(result).sort((a, b) => a - b)).toEqual(SAMPLE_DELIVERY_POINTS.map(point => point.id));
+    expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ status: 'completed', progress: 1 }));
+  });
+
+  it('cancels a running job when the request is aborted', async () => {
+    server.use(...createHandlers({ jobDuration: 10000 }));
+    const controller = new AbortController();
+    const onProgress = vi.fn();
+
+    const promise = generateRoutes(
+      { delivery_points: SAMPLE_DELIVERY_POINTS.slice(0, 5), constraints },
+      { onProgress, signal: controller.signal, pollInterval: 10000 }
+    );
+    await vi.waitFor(() => expect(onProgress).toHaveBeenCalled());
+    expect(onProgress.mock.calls[0][0].status).toBe('queued');
+    controller.abort();
+    await expect(promise).rejects.toMatchObject({ name: 'AbortError' });
+
+    const { job_id: jobId } = onProgress.mock.calls[0][0];
+    await vi.waitFor(async () => expect((await getRouteJob(jobId)).status).toBe('cancelled'));
+  });
+
+  it('rejects invalid points with FastAPI-style field errors', async () => {
+    const points = [SAMPLE_DELIVERY_POINTS[0], { ...SAMPLE_DELIVERY_POINTS[1], lat: 'north' }];
+    const error = await generateRoutes({ delivery_points: points, constraints }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.fieldErrors).toEqual([
+      { field: 'delivery_points.1.lat', path: ['delivery_points', 1, 'lat'], message: 'Input should be a valid number' },
+    ]);
+  });
+
+  it('mimics a backend without jobs', async () => {
+    server.use(...createHandlers({ jobs: false }));
+    const result = await generateRoutes({ delivery_points: SAMPLE_DELIVERY_POINTS.slice(0, 3), constraints });
+    expect(routedIds(result)).toHaveLength(3);
+  });
+
+  it('fails the configured endpoints', async () => {
+    server.use(...createHandlers({ failing: ['health'] }));
+    await expect(healthCheck({ retryDelay: 0 })).rejects.toBeInstanceOf(ServerError);
+    await expect(getSampleData()).resolves.toHaveProperty('data');
+
+    server.use(...createHandlers({ failureRate: 1 }));
+    await expect(getSampleData({ retries: 0 })).rejects.toThrow('Mock backend: sample-data is unavailable');
+  });
+
+  it('lets a test override a single endpoint', async () => {
+    server.use(http.get(`${API_BASE_URL}/get-sample-data`, () => HttpResponse.json({ data: [] })));
+    expect(await getSampleData()).toEqual({ data: [] });
+  });
+
+  it('parses uploaded CSV files', async () => {
+    const csv = 'id,customer_name,lat,lng,address\n1,Test Customer,40.7128,-74.006,123 Main St';
+    const response = await uploadFile(new File([csv], 'points.csv', { type: 'text/csv' }));
+
+    expect(response).toMatchObject({ filename: 'points.csv', count: 1 });
+    expect(response.data[0]).toMatchObject({ id: 1, customer_name: 'Test Customer', lat: 40.7128 });
+  });
+});
+
+describe('validateRouteRequest', () => {
+  it('requires delivery points with ids and coordinates in range', () => {
+    expect(validateRouteRequest({ delivery_points: [] })[0].loc).toEqual(['body', 'delivery_points']);
+    expect(validateRouteRequest({ delivery_points: [{ lat: 95, lng: 10 }] }).map(error => error.loc)).toEqual([
+      ['body', 'delivery_points', 0, 'id'],
+      ['body', 'delivery_points', 0, 'lat'],
+    ]);
+    expect(validateRouteRequest({ delivery_points: SAMPLE_DELIVERY_POINTS, constraints })).toEqual([]);
+  });
+});
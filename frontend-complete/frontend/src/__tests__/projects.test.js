@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createProject,
+  duplicateProject,
+  projectToExport,
+  projectFromExport,
+  isPlanExport,
+  upgradeConstraints,
+  validatePlanIntegrity,
+} from '../utils/projects';
+
+const plan = {
+  deliveryData: [{ id: 1, customer_name: 'A', lat: 40.7, lng: -74, address: '1 Main St', demand: 5 }],
+  constraints: { fleet: [], depots: [], deliveryWindowStart: '08:00', deliveryWindowEnd: '18:00' },
+  routes: [{ stops: [{ id: 1 }], total_distance: 4, estimated_time: 15, vehicle_id: 'van-1' }],
+  routeEngine: 'local',
+};
+
+const scenario = { id: 'scenario-1', name: 'Baseline', createdAt: '2024-01-01T00:00:00.000Z', ...plan };
+
+describe('Projects', () => {
+  it('writes the plan export structure with project name and scenarios', () => {
+    const data = projectToExport(createProject('Depot study', plan, [scenario]));
+
+    expect(data.project.name).toBe('Depot study');
+    expect(data.delivery_points).toBe(plan.deliveryData);
+    expect(data.routes).toBe(plan.routes);
+    expect(data.engine).toBe('local');
+    expect(data.summary).toEqual({ total_routes: 1, total_stops: 1, total_distance: 4 });
+    expect(data.scenarios[0]).toMatchObject({ id: 'scenario-1', name: 'Baseline', engine: 'local' });
+  });
+
+  it('imports its own export as a new project', () => {
+    const original = createProject('Depot study', plan, [scenario]);
+    const imported = projectFromExport(JSON.parse(JSON.stringify(projectToExport(original))));
+
+    expect(imported.id).not.toBe(original.id);
+    expect(imported.name).toBe('Depot study');
+    expect(imported.plan).toEqual(plan);
+    expect(imported.scenarios).toEqual([scenario]);
+  });
+
+  it('imports a plain plan export under the fallback name', () => {
+    const data = { constraints: plan.constraints, delivery_points: plan.deliveryData, routes: plan.routes };
+    const imported = projectFromExport(data, 'route-plan-123');
+
+    expect(imported.name).toBe('route-plan-123');
+    expect(imported.plan.routeEngine).toBeNull();
+    expect(imported.scenarios).toEqual([]);
+  });
+
+  it('rejects files that are not plan exports', () => {
+    expect(() => projectFromExport([{ id: 1 }])).toThrow('JSON object');
+    expect(() => projectFromExport({ routes: [] })).toThrow('missing constraints');
+  });
+
+  it('duplicates under a new id and name', () => {
+    const original = createProject('Depot study', plan);
+    const copy = duplicateProject(original);
+
+    expect(copy.id).not.toBe(original.id);
+    expect(copy.name).toBe('Depot study (copy)');
+    expect(copy.plan).toEqual(original.plan);
+  });
+
+  it('tells plan exports from delivery data', () => {
+    expect(isPlanExport({ delivery_points: [], routes: [] })).toBe(true);
+    expect(isPlanExport({ id: 1, customer_name: 'A' })).toBe(false);
+    expect(isPlanExport([{ delivery_points: [] }])).toBe(false);
+  });
+
+  it('reports stops that are unknown or visited twice', () => {
+    const errors = validatePlanIntegrity({
+      deliveryData: [{ id: 1 }, { id: 2 }],
+      routes: [{ stops: [{ id: 1 }, { id: 3 }] }, { stops: [{ id: 1 }] }],
+    });
+    expect(errors).toEqual([
+      "Route 1, stop 2: Unknown delivery point id '3'",
+      "Route 2, stop 1: Delivery point '1' is visited more than once",
+    ]);
+    expect(validatePlanIntegrity(plan)).toEqual([]);
+  });
+
+  it('rejects project files with dangling stop ids', () => {
+    const data = { constraints: plan.constraints, delivery_points: [], routes: plan.routes };
+    expect(() => projectFromExport(data)).toThrow('Unknown delivery point id');
+  });
+
+  it('upgrades legacy constraints to a fleet and depots', () => {
+    const upgraded = upgradeConstraints({
+      maxStopsPerRoute: 8,
+      vehicleCapacity: 50,
+      startLocation: 'Warehouse',
+      startLat: 40.7,
+      startLng: -74,
+      deliveryWindowStart: '07:00',
+      deliveryWindowEnd: '15:00',
+    }, 3);
+
+    expect(upgraded.depots).toEqual([{ id: 'depot', name: 'Warehouse', lat: 40.7, lng: -74 }]);
+    expect(upgraded.fleet[0]).toMatchObject({ count: 3, capacity: 50, maxStops: 8, shiftStart: '07:00', shiftEnd: '15:00' });
+    expect(upgradeConstraints(plan.constraints)).toBe(plan.constraints);
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { moveStop, recalculateRoute } from '../utils/routeEditing';
+import { calculateDistance, formatClock } from '../utils/helpers';
+
+const points = [
+  { id: 1, lat: 40.70, lng: -74.00 },
+  { id: 2, lat: 40.71, lng: -74.00 },
+  { id: 3, lat: 40.72, lng: -74.00 },
+  { id: 4, lat: 40.80, lng: -74.10 },
+];
+
+const routes = [
+  { stops: [{ id: 1 }, { id: 2 }, { id: 3 }], total_distance: 0, estimated_time: 0, vehicle_id: 'van-1' },
+  { stops: [{ id: 4 }], total_distance: 0, estimated_time: 0, vehicle_id: 'van-2' },
+];
+
+describe('Route Editing', () => {
+  it('reorders a stop within a route', () => {
+    const result = moveStop(routes, { fromRoute: 0, fromIndex: 0, toRoute: 0, toIndex: 3 }, points);
+    expect(result[0].stops.map(s => s.id)).toEqual([2, 3, 1]);
+    expect(result[0].manually_edited).toBe(true);
+    expect(result[1]).toBe(routes[1]);
+  });
+
+  it('moves a stop to the end of its own route when no index is given', () => {
+    const result = moveStop(routes, { fromRoute: 0, fromIndex: 0, toRoute: 0 }, points);
+    expect(result[0].stops.map(s => s.id)).toEqual([2, 3, 1]);
+  });
+
+  it('moves a stop to another route and recalculates both', () => {
+    const result = moveStop(routes, { fromRoute: 0, fromIndex: 2, toRoute: 1 }, points);
+    expect(result[0].stops.map(s => s.id)).toEqual([1, 2]);
+    expect(result[1].stops.map(s => s.id)).toEqual([4, 3]);
+    expect(result[1].vehicle_id).toBe('van-2');
+    expect(result[1].stops[1].distance).toBeCloseTo(calculateDistance(40.80, -74.10, 40.72, -74.00), 6);
+  });
+
+  it('removes routes left empty by a move', () => {
+    const result = moveStop(routes, { fromRoute: 1, fromIndex: 0, toRoute: 0, toIndex: 0 }, points);
+    expect(result).toHaveLength(1);
+    expect(result[0].stops.map(s => s.id)).toEqual([4, 1, 2, 3]);
+  });
+
+  it('recalculates totals including depot legs', () => {
+    const constraints = {
+      depots: [{ id: 'main', name: 'Main', lat: 40.69, lng: -74.00 }],
+      deliveryWindowStart: '08:00',
+    };
+    const route = recalculateRoute(routes[0], points, constraints);
+    const legs = route.stops.reduce((acc, stop) => acc + stop.distance, 0);
+    const returnLeg = calculateDistance(40.72, -74.00, 40.69, -74.00);
+
+    expect(route.total_distance).toBeCloseTo(legs + returnLeg, 6);
+    expect(route.stops[0].arrival_time).toBe('08:02');
+    expect(route.estimated_time).toBeGreaterThan(0);
+  });
+
+  it('recalculates arrival times at the configured speed', () => {
+    const constraints = { deliveryWindowStart: '08:00', averageSpeedKmh: 20 };
+    const fast = recalculateRoute(routes[0], points, { deliveryWindowStart: '08:00' });
+    const slow = recalculateRoute(routes[0], points, constraints);
+
+    expect(slow.stops[1].arrival_time).toBe(formatClock(8 * 60 + 10 + (slow.stops[1].distance / 20) * 60));
+    expect(slow.estimated_time).toBeGreaterThan(fast.estimated_time);
+  });
+
+  it('recalculates with a road distance function when one is given', () => {
+    const distance = (a, b) => calculateDistance(a.lat, a.lng, b.lat, b.lng) * 2;
+    const straight = recalculateRoute(routes[0], points, {});
+    const road = recalculateRoute(routes[0], points, {}, { distance });
+
+    expect(road.stops[1].distance).toBeCloseTo(straight.stops[1].distance * 2, 6);
+    expect(road.total_distance).toBeCloseTo(straight.total_distance * 2, 6);
+  });
+});
@@ -0,0 +1,215 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  solveRoutes,
+  getSequenceDistance,
+  scheduleSequence,
+  ENGINE_LOCAL,
+} from '../utils/routeSolver';
+import { getRouteSchedule } from '../utils/schedule';
+import { formatClock } from '../utils/helpers';
+
+const makePoints = (count) =>
+  Array.from({ length: count }, (_, i) => ({
+    id: i + 1,
+    customer_name: `Customer ${i + 1}`,
+    lat: 40.7 + (i % 5) * 0.01,
+    lng: -74.0 + Math.floor(i / 5) * 0.01,
+    address: `${i + 1} Main St`,
+  }));
+
+describe('Route Solver', () => {
+  it('returns routes in the backend response shape', () => {
+    const result = solveRoutes(makePoints(6), { maxStopsPerRoute: 10, vehicleCapacity: 100 });
+
+    expect(result.engine).toBe(ENGINE_LOCAL);
+    expect(result.routes.length).toBeGreaterThan(0);
+    result.routes.forEach(route => {
+      expect(Array.isArray(route.stops)).toBe(true);
+      expect(typeof route.total_distance).toBe('number');
+      expect(typeof route.estimated_time).toBe('number');
+      expect(typeof route.summary).toBe('string');
+    });
+  });
+
+  it('visits every delivery point exactly once', () => {
+    const points = makePoints(23);
+    const result = solveRoutes(points, { maxStopsPerRoute: 5, vehicleCapacity: 100 });
+    const ids = result.routes.flatMap(route => route.stops.map(stop => stop.id));
+
+    expect(ids).toHaveLength(points.length);
+    expect(new Set(ids).size).toBe(points.length);
+  });
+
+  it('respects maxStopsPerRoute', () => {
+    const result = solveRoutes(makePoints(23), { maxStopsPerRoute: 4, vehicleCapacity: 100 });
+
+    expect(result.routes).toHaveLength(6);
+    result.routes.forEach(route => expect(route.stops.length).toBeLessThanOrEqual(4));
+  });
+
+  it('respects vehicleCapacity using point demand', () => {
+    const points = makePoints(8).map(point => ({ ...point, demand: 30 }));
+    const result = solveRoutes(points, { maxStopsPerRoute: 10, vehicleCapacity: 100 });
+
+    expect(result.routes).toHaveLength(3);
+    result.routes.forEach(route => expect(route.stops.length).toBeLessThanOrEqual(3));
+  });
+
+  it('includes depot legs when start coordinates are provided', () => {
+    const points = makePoints(3);
+    const constraints = { maxStopsPerRoute: 10, vehicleCapacity: 100, startLat: 40.6, startLng: -74.1 };
+    const [route] = solveRoutes(points, constraints).routes;
+
+    expect(route.stops[0].distance).toBeGreaterThan(0);
+    const legSum = route.stops.reduce((acc, stop) => acc + stop.distance, 0);
+    expect(route.total_distance).toBeGreaterThan(legSum);
+  });
+
+  it('assigns routes to fleet vehicles, cheapest first', () => {
+    const constraints = {
+      deliveryWindowStart: '08:00',
+      fleet: [
+        { id: 'truck', name: 'Truck', count: 1, capacity: 100, maxStops: 10, costPerKm: 2, shiftStart: '08:00', shiftEnd: '18:00' },
+        { id: 'van', name: 'Van', count: 2, capacity: 100, maxStops: 3, costPerKm: 1, shiftStart: '08:00', shiftEnd: '18:00' },
+      ],
+    };
+    const result = solveRoutes(makePoints(10), constraints);
+
+    expect(result.routes.map(route => route.vehicle_id)).toEqual(['van-1', 'van-2', 'truck-1']);
+    expect(result.routes[0].stops).toHaveLength(3);
+    expect(result.routes[2].stops).toHaveLength(4);
+  });
+
+  it('leaves overflow routes unassigned when the fleet is used up', () => {
+    const constraints = {
+      fleet: [{ id: 'van', name: 'Van', count: 1, capacity: 100, maxStops: 4, costPerKm: 1, shiftStart: '08:00', shiftEnd: '18:00' }],
+    };
+    const result = solveRoutes(makePoints(6), constraints);
+
+    expect(result.routes).toHaveLength(2);
+    expect(result.routes[1].vehicle_id).toBeNull();
+  });
+
+  it('starts and ends routes at the vehicle depots', () => {
+    const points = makePoints(4);
+    const depots = [
+      { id: 'north', name: 'North', lat: 40.80, lng: -74.0 },
+      { id: 'south', name: 'South', lat: 40.60, lng: -74.0 },
+    ];
+    const vehicle = { name: 'Van', count: 1, capacity: 100, maxStops: 10, costPerKm: 1, shiftStart: '08:00', shiftEnd: '18:00' };
+    const constraints = {
+      depots,
+      fleet: [
+        { ...vehicle, id: 'a', depot: 'north', endDepot: 'south', maxStops: 2 },
+        { ...vehicle, id: 'b', depot: 'south', endDepot: 'open', maxStops: 2 },
+      ],
+    };
+    const [first, second] = solveRoutes(points, constraints).routes;
+
+    expect(first.start_depot_id).toBe('north');
+    expect(first.end_depot_id).toBe('south');
+    expect(first.open_route).toBeUndefined();
+    expect(second.start_depot_id).toBe('south');
+    expect(second.open_route).toBe(true);
+
+    // An open route has no return leg, so its total is the sum of its legs
+    const legSum = second.stops.reduce((acc, stop) => acc + stop.distance, 0);
+    expect(second.total_distance).toBeCloseTo(legSum, 6);
+  });
+
+  it('serves stops in time-window order and reports arrival times', () => {
+    const points = [
+      { id: 'late', lat: 40.70, lng: -74.00, window_start: '14:00', window_end: '15:00' },
+      { id: 'early', lat: 40.71, lng: -74.01, window_start: '08:00', window_end: '09:00' },
+    ];
+    const constraints = { maxStopsPerRoute: 10, deliveryWindowStart: '08:00' };
+    const result = solveRoutes(points, constraints);
+    const stops = result.routes.flatMap(route => route.stops);
+
+    expect(result.routes).toHaveLength(1);
+    expect(stops.map(stop => stop.id)).toEqual(['early', 'late']);
+    expect(stops[0].arrival_time).toBe('08:00');
+    expect(stops[1].arrival_time >= '08:00').toBe(true);
+  });
+
+  it('waits for windows when computing the schedule', () => {
+    const points = [{ id: 1, lat: 0, lng: 0, window_start: '10:00', service_minutes: 20 }];
+    const { arrivals, endMinutes } = scheduleSequence(points, null, 8 * 60);
+
+    expect(arrivals[0].late).toBe(false);
+    expect(endMinutes).toBe(10 * 60 + 20);
+  });
+
+  it('plans with the same speed settings as the stop ETAs', () => {
+    const points = [
+      { id: 1, lat: 0, lng: 0 },
+      { id: 2, lat: 0, lng: 0.1 },
+    ];
+    const constraints = {
+      deliveryWindowStart: '08:00',
+      averageSpeedKmh: 20,
+      speedProfile: [{ start: '08:00', end: '08:15', speedKmh: 10 }],
+    };
+    const [route] = solveRoutes(points, constraints).routes;
+    const schedule = getRouteSchedule(route, points, constraints);
+
+    expect(route.stops.map(stop => stop.arrival_time))
+      .toEqual(schedule.stops.map(stop => formatClock(stop.arrival)));
+    expect(route.estimated_time).toBeCloseTo(schedule.duration, 6);
+  });
+
+  it('orders collinear stops along the line', () => {
+    const points = [
+      { id: 'a', lat: 0, lng: 0 },
+      { id: 'b', lat: 0, lng: 2 },
+      { id: 'c', lat: 0, lng: 1 },
+      { id: 'd', lat: 0, lng: 3 },
+    ];
+    const [route] = solveRoutes(points, { maxStopsPerRoute: 10 }).routes;
+    const ordered = route.stops.map(stop => points.find(p => p.id === stop.id));
+
+    expect(route.total_distance).toBeCloseTo(getSequenceDistance(ordered, null), 6);
+    expect(route.stops.map(stop => stop.id).join('')).toMatch(/acbd|dbca/);
+  });
+
+  it('leaves no shorter segment relocation with one-way road distances', () => {
+    const points = Array.from({ length: 25 }, (_, i) => ({
+      id: i + 1,
+      lat: 40.7 + ((i * 37) % 25) * 0.004,
+      lng: -74.0 + ((i * 11) % 25) * 0.004,
+    }));
+    // Driving north costs half as much again as driving south
+    const distance = (a, b) => Math.hypot(a.lat - b.lat, a.lng - b.lng) * (b.lat > a.lat ? 150 : 100);
+    const [route] = solveRoutes(points, { maxStopsPerRoute: 25 }, { distance }).routes;
+    const ordered = route.stops.map(stop => points.find(p => p.id === stop.id));
+    const length = getSequenceDistance(ordered, null, distance);
+
+    expect(route.total_distance).toBeCloseTo(length, 9);
+    for (let size = 1; size <= 3; size++) {
+      for (let i = 0; i + size <= ordered.length; i++) {
+        const rest = [...ordered.slice(0, i), ...ordered.slice(i + size)];
+        for (let j = 0; j <= rest.length; j++) {
+          const moved = [...rest.slice(0, j), ...ordered.slice(i, i + size), ...rest.slice(j)];
+          expect(getSequenceDistance(moved, null, distance)).toBeGreaterThan(length - 1e-6);
+        }
+      }
+    }
+  });
+
+  it('plans a 300-stop route without rescheduling every move', () => {
+    const points = Array.from({ length: 300 }, (_, i) => ({
+      id: i + 1,
+      lat: 40.6 + ((i * 7919) % 1000) / 4000,
+      lng: -74.0 + ((i * 104729) % 1000) / 4000,
+      ...(i % 5 === 0 ? { window_start: '08:00', window_end: '23:00' } : {}),
+    }));
+    const onProgress = vi.fn();
+
+    const started = Date.now();
+    const { routes } = solveRoutes(points, { maxStopsPerRoute: 300, deliveryWindowStart: '08:00' }, { onProgress });
+
+    expect(Date.now() - started).toBeLessThan(5000);
+    expect(routes.flatMap(route => route.stops)).toHaveLength(300);
+    expect(onProgress).toHaveBeenLastCalledWith({ progress: 1 });
+  });
+});
@@ -0,0 +1,172 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  estimateRoadDistance,
+  createHaversineProvider,
+  createOsrmProvider,
+  createMatrixDistance,
+  locationKey,
+  DETOUR_FACTOR,
+} from '../services/routing';
+import { calculateDistance } from '../utils/helpers';
+
+const points = [
+  { lat: 40.70, lng: -74.00 },
+  { lat: 40.71, lng: -74.01 },
+  { lat: 40.72, lng: -74.02 },
+];
+
+/**
+ * Fake axios-like client answering with the given data
+ */
+const createClient = (data) => ({ get: vi.fn().mockResolvedValue({ data }) });
+
+const allOf = (list) => list.map((_, index) => index);
+
+describe('routing', () => {
+  it('estimates road distances from the straight line and a detour factor', () => {
+    const straight = calculateDistance(40.70, -74.00, 40.71, -74.01);
+    expect(estimateRoadDistance(points[0], points[1])).toBeCloseTo(straight * DETOUR_FACTOR, 9);
+    expect(estimateRoadDistance(points[0], points[1], 1)).toBeCloseTo(straight, 9);
+  });
+
+  it('builds fallback matrices and straight geometries', async () => {
+    const provider = createHaversineProvider({ detourFactor: 2 });
+    const matrix = await provider.getMatrix(points);
+
+    expect(provider.roadNetwork).toBe(false);
+    expect(matrix.distances[0][0]).toBe(0);
+    expect(matrix.distances[1][2]).toBeCloseTo(calculateDistance(40.71, -74.01, 40.72, -74.02) * 2, 9);
+    expect(matrix.durations).toBeNull();
+    expect(matrix.estimated).toBe(true);
+    expect((await provider.getMatrix(points, { sources: [2], destinations: [0, 1] })).distances)
+      .toEqual([[matrix.distances[2][0], matrix.distances[2][1]]]);
+    expect(await provider.getRouteGeometry(points)).toEqual([[40.70, -74.00], [40.71, -74.01], [40.72, -74.02]]);
+  });
+
+  it('requests OSRM tables and converts them to km and minutes', async () => {
+    const client = createClient({
+      code: 'Ok',
+      distances: [[0, 1500, null], [1600, 0, 900], [3000, 950, 0]],
+      durations: [[0, 120, null], [130, 0, 60], [240, 70, 0]],
+    });
+    const provider = createOsrmProvider({ client, profile: 'car' });
+    const matrix = await provider.getMatrix(points);
+
+    expect(client.get).toHaveBeenCalledWith(
+      '/table/v1/car/-74,40.7;-74.01,40.71;-74.02,40.72',
+      { params: { annotations: 'distance,duration' } }
+    );
+    expect(matrix.distances[0][1]).toBe(1.5);
+    expect(matrix.distances[0][2]).toBeCloseTo(estimateRoadDistance(points[0], points[2]), 9);
+    expect(matrix.durations[1][2]).toBe(1);
+    expect(matrix.durations[0][2]).toBeNull();
+    expect(matrix.estimated).toBe(false);
+  });
+
+  it('asks OSRM for selected sources and destinations only', async () => {
+    const client = createClient({ code: 'Ok', distances: [[2000, 0]], durations: [[150, 0]] });
+    const provider = createOsrmProvider({ client });
+    const matrix = await provider.getMatrix(points, { sources: [2], destinations: [0, 2] });
+
+    expect(client.get.mock.calls[0][1].params).toMatchObject({ sources: '2', destinations: '0;2' });
+    expect(matrix.distances).toEqual([[2, 0]]);
+  });
+
+  it('requests large OSRM tables in blocks the service accepts', async () => {
+    // Points one km apart along a meridian; the fake service measures along it
+    const line = Array.from({ length: 150 }, (_, i) => ({ lat: i / 111.195, lng: 0 }));
+    const client = {
+      get: vi.fn(async (url, { params }) => {
+        const lats = url.split('/').pop().split(';').map(pair => parseFloat(pair.split(',')[1]));
+        const sources = params.sources.split(';').map(Number);
+        const destinations = params.destinations.split(';').map(Number);
+        return {
+          data: {
+            // osrm-routed rejects tables over max-table-size squared pairs
+            code: sources.length * destinations.length > 100 * 100 ? 'TooBig' : 'Ok',
+            distances: sources.map(i => destinations.map(j => Math.round(Math.abs(lats[i] - lats[j]) * 111195))),
+          },
+        };
+      }),
+    };
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const provider = createOsrmProvider({ client });
+    const matrix = await provider.getMatrix(line, { sources: [0, 149], destinations: allOf(line) });
+
+    expect(error).not.toHaveBeenCalled();
+    expect(client.get).toHaveBeenCalledTimes(2);
+    // Only the coordinates of the block: sources 0 and 149, destinations 100 to 149
+    expect(client.get.mock.calls[1][0].split(';')).toHaveLength(51);
+    expect(matrix.estimated).toBe(false);
+    expect(matrix.distances[0][120]).toBe(120);
+    expect(matrix.distances[1][3]).toBe(146);
+
+    client.get.mockClear();
+    const full = await provider.getMatrix(line);
+    expect(client.get).toHaveBeenCalledTimes(4);
+    expect(full.distances[149][0]).toBe(149);
+    expect(full.distances[60][110]).toBe(50);
+    error.mockRestore();
+  });
+
+  it('follows the roads returned by OSRM', async () => {
+    const client = createClient({
+      code: 'Ok',
+      routes: [{ geometry: { type: 'LineString', coordinates: [[-74, 40.7], [-74.005, 40.703], [-74.01, 40.71]] } }],
+    });
+    const provider = createOsrmProvider({ client });
+    const positions = await provider.getRouteGeometry(points.slice(0, 2));
+
+    expect(client.get.mock.calls[0][1]).toEqual({ params: { overview: 'full', geometries: 'geojson' } });
+    expect(positions).toEqual([[40.7, -74], [40.703, -74.005], [40.71, -74.01]]);
+  });
+
+  it('falls back when the routing service fails or rejects the request', async () => {
+    const fallback = createHaversineProvider({ detourFactor: 1 });
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const offline = createOsrmProvider({ fallback, client: { get: vi.fn().mockRejectedValue(new Error('Network Error')) } });
+    const matrix = await offline.getMatrix(points);
+    expect(matrix.distances).toEqual((await fallback.getMatrix(points)).distances);
+    expect(matrix.estimated).toBe(true);
+
+    const rejecting = createOsrmProvider({ fallback, client: createClient({ code: 'NoRoute', message: 'Impossible route' }) });
+    expect(await rejecting.getRouteGeometry(points)).toEqual(await fallback.getRouteGeometry(points));
+    expect(error).toHaveBeenCalledTimes(2);
+    error.mockRestore();
+  });
+
+  it('stops a cancelled table request instead of falling back', async () => {
+    const controller = new AbortController();
+    const client = {
+      get: vi.fn(async () => {
+        controller.abort();
+        throw Object.assign(new Error('canceled'), { name: 'CanceledError', code: 'ERR_CANCELED' });
+      }),
+    };
+    const fallback = createHaversineProvider();
+    vi.spyOn(fallback, 'getMatrix');
+    const provider = createOsrmProvider({ client, fallback });
+
+    await expect(provider.getMatrix(points, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+    expect(client.get.mock.calls[0][1].signal).toBe(controller.signal);
+    expect(fallback.getMatrix).not.toHaveBeenCalled();
+  });
+
+  it('looks up matrix distances by location and estimates unknown pairs', () => {
+    const distances = [[0, 5, 9], [6, 0, 4], [8, 3, 0]];
+    const keys = points.map(locationKey);
+    const distance = createMatrixDistance({
+      getDistance: (from, to) => distances[keys.indexOf(from)]?.[keys.indexOf(to)],
+    });
+
+    expect(distance({ id: 'a', lat: '40.70', lng: '-74.00' }, { lat: 40.71, lng: -74.01 })).toBe(5);
+    expect(distance(points[2], points[1])).toBe(3);
+    expect(distance(points[0], { lat: 41, lng: -74 })).toBeCloseTo(estimateRoadDistance(points[0], { lat: 41, lng: -74 }), 9);
+  });
+
+  it('keys locations by rounded coordinates', () => {
+    expect(locationKey({ lat: '40.7000001', lng: -74 })).toBe(locationKey({ lat: 40.7, lng: '-74.0000' }));
+    expect(locationKey({ lat: 40.7, lng: -74 })).not.toBe(locationKey({ lat: 40.70001, lng: -74 }));
+  });
+});
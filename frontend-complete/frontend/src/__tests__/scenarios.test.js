@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { createScenario, getNextScenarioName, getScenarioMetrics } from '../utils/scenarios';
+
+const deliveryData = [
+  { id: 1, demand: 30 },
+  { id: 2, demand: 20 },
+  { id: 3, demand: 50 },
+];
+
+const constraints = {
+  fleet: [{ id: 'van', name: 'Van', count: 3, capacity: 100 }],
+  depots: [],
+};
+
+const routes = [
+  { stops: [{ id: 1 }, { id: 2 }], total_distance: 12.5, estimated_time: 40, vehicle_id: 'van-1' },
+  { stops: [{ id: 3 }], total_distance: 7.5, estimated_time: 20, vehicle_id: 'van-2' },
+];
+
+describe('Scenarios', () => {
+  it('snapshots the plan under a name', () => {
+    const scenario = createScenario('Baseline', { deliveryData, constraints, routes, routeEngine: 'local' });
+    expect(scenario.id).toMatch(/^scenario-/);
+    expect(scenario.name).toBe('Baseline');
+    expect(scenario.routes).toBe(routes);
+    expect(scenario.routeEngine).toBe('local');
+  });
+
+  it('suggests an unused name', () => {
+    expect(getNextScenarioName([])).toBe('Scenario 1');
+    expect(getNextScenarioName([{ name: 'Scenario 2' }])).toBe('Scenario 3');
+  });
+
+  it('calculates totals, route count and utilisation', () => {
+    const metrics = getScenarioMetrics({ deliveryData, constraints, routes });
+    expect(metrics).toEqual({
+      stops: 3,
+      distance: 20,
+      time: 60,
+      routes: 2,
+      vehiclesUsed: 2,
+      vehicleCount: 3,
+      utilisation: 0.5,
+    });
+  });
+
+  it('counts overflow routes against the largest vehicle class', () => {
+    const fleet = [
+      { id: 'van', name: 'Van', count: 1, capacity: 100 },
+      { id: 'truck', name: 'Truck', count: 1, capacity: '400' },
+    ];
+    const overflow = [{ stops: [{ id: 1 }, { id: 2 }, { id: 3 }], vehicle_id: null }];
+    const metrics = getScenarioMetrics({ deliveryData, constraints: { fleet }, routes: overflow });
+    expect(metrics.utilisation).toBe(0.25);
+  });
+
+  it('reports no utilisation without known capacities', () => {
+    const metrics = getScenarioMetrics({ deliveryData, constraints: {}, routes });
+    expect(metrics.utilisation).toBeNull();
+    expect(metrics.vehicleCount).toBe(0);
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { AVERAGE_SPEED_KMH, getSpeedSettings, getTravelMinutes, scheduleRoute, getRouteSchedule } from '../utils/schedule';
+import { validateConstraints } from '../utils/helpers';
+
+const points = [
+  { id: 1, window_start: '09:00', service_minutes: 15 },
+  { id: 2, window_end: '09:20', service_minutes: 5 },
+];
+
+describe('schedule', () => {
+  it('reads speed settings and skips invalid periods', () => {
+    const speed = getSpeedSettings({
+      averageSpeedKmh: '60',
+      speedProfile: [
+        { start: '16:00', end: '18:00', speedKmh: 20 },
+        { start: '07:00', end: '09:00', speedKmh: '30' },
+        { start: '12:00', end: '11:00', speedKmh: 10 },
+        { start: '13:00', end: '14:00', speedKmh: 0 },
+      ],
+    });
+
+    expect(speed.averageSpeedKmh).toBe(60);
+    expect(speed.periods).toEqual([
+      { start: 420, end: 540, speedKmh: 30 },
+      { start: 960, end: 1080, speedKmh: 20 },
+    ]);
+    expect(getSpeedSettings().averageSpeedKmh).toBe(AVERAGE_SPEED_KMH);
+  });
+
+  it('drives legs across speed periods', () => {
+    const speed = getSpeedSettings({ averageSpeedKmh: 60, speedProfile: [{ start: '08:00', end: '09:00', speedKmh: 30 }] });
+
+    // 60 km/h outside the period
+    expect(getTravelMinutes(30, 6 * 60, speed)).toBeCloseTo(30);
+    // 30 km/h inside it
+    expect(getTravelMinutes(10, 8 * 60, speed)).toBeCloseTo(20);
+    // 30 minutes at 60 km/h (30 km), then the last 15 km at 30 km/h
+    expect(getTravelMinutes(45, 7 * 60 + 30, speed)).toBeCloseTo(60);
+  });
+
+  it('computes arrival, wait and departure per stop', () => {
+    const route = { stops: [{ id: 1, distance: 20 }, { id: 2, distance: 10 }], total_distance: 40 };
+    const schedule = scheduleRoute(route, points, {
+      departure: 8 * 60,
+      speed: getSpeedSettings({ averageSpeedKmh: 40 }),
+    });
+
+    expect(schedule.stops[0]).toMatchObject({ arrival: 510, wait: 30, serviceStart: 540, departure: 555, late: false });
+    expect(schedule.stops[1]).toMatchObject({ arrival: 570, wait: 0, departure: 575, late: true });
+    expect(schedule.returnTime).toBe(590);
+    expect(schedule.duration).toBe(110);
+  });
+
+  it('departs at the vehicle shift start', () => {
+    const route = { vehicle_id: 'van-1', stops: [{ id: 2, distance: 0 }] };
+    const constraints = {
+      deliveryWindowStart: '08:00',
+      deliveryWindowEnd: '18:00',
+      fleet: [{ id: 'van', name: 'Van', count: 1, shiftStart: '09:30', shiftEnd: '17:00' }],
+    };
+
+    const schedule = getRouteSchedule(route, points, constraints);
+    expect(schedule.departure).toBe(570);
+    expect(schedule.shiftEnd).toBe(17 * 60);
+    expect(schedule.stops[0].late).toBe(true);
+    expect(getRouteSchedule({ stops: [] }, points, { deliveryWindowStart: '08:00' }).departure).toBe(480);
+  });
+
+  it('validates speed settings', () => {
+    const { errors } = validateConstraints({
+      maxStopsPerRoute: 5,
+      vehicleCapacity: 10,
+      startLocation: 'Depot',
+      averageSpeedKmh: '0',
+      speedProfile: [{ start: '09:00', end: '08:00', speedKmh: '' }],
+    });
+
+    expect(errors.averageSpeedKmh).toBeDefined();
+    expect(errors['speedProfile.0.end']).toBe('Must be after the start');
+    expect(errors['speedProfile.0.speedKmh']).toBeDefined();
+  });
+});
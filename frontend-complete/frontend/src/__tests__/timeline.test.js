@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { buildRouteTimeline, buildTimeline } from '../utils/timeline';
+
+const points = [
+  { id: 1, customer_name: 'A', window_start: '09:00', window_end: '10:00', service_minutes: 15 },
+  { id: 2, customer_name: 'B', window_end: '09:30', service_minutes: 10 },
+];
+
+// 20 km takes 30 minutes at the average speed
+const route = {
+  vehicle_id: 'van-1',
+  stops: [
+    { id: 1, distance: 20 },
+    { id: 2, distance: 20 },
+  ],
+  total_distance: 60,
+};
+
+const constraints = {
+  deliveryWindowStart: '08:00',
+  deliveryWindowEnd: '18:00',
+  fleet: [
+    { id: 'van', name: 'Van', count: 1, shiftStart: '08:00', shiftEnd: '10:00' },
+    { id: 'early', name: 'Early Van', count: 1, shiftStart: '06:30', shiftEnd: '14:00' },
+  ],
+};
+
+describe('timeline', () => {
+  it('schedules stops with waiting, service and travel', () => {
+    const lane = buildRouteTimeline(route, points, constraints);
+
+    expect(lane.departure).toBe(8 * 60);
+    expect(lane.blocks[0]).toMatchObject({ arrival: 510, serviceStart: 540, serviceEnd: 555, isLate: false });
+    expect(lane.blocks[1]).toMatchObject({ arrival: 585, serviceStart: 585, serviceEnd: 595, isLate: true, windowStart: null, windowEnd: 570 });
+    expect(lane.travel).toEqual([
+      { start: 480, end: 510 },
+      { start: 555, end: 585 },
+      { start: 595, end: 625 },
+    ]);
+  });
+
+  it('reports overtime past the vehicle shift', () => {
+    const lane = buildRouteTimeline(route, points, constraints);
+    expect(lane.shiftEnd).toBe(600);
+    expect(lane.end).toBe(625);
+    expect(lane.overtime).toBe(25);
+  });
+
+  it('covers the delivery window and every route in whole hours', () => {
+    const early = { vehicle_id: 'early-1', stops: [{ id: 1, distance: 10 }], total_distance: 10 };
+    const timeline = buildTimeline([route, early], points, constraints);
+
+    expect(timeline.start).toBe(6 * 60);
+    expect(timeline.end).toBe(18 * 60);
+    expect(timeline.lanes).toHaveLength(2);
+  });
+
+  it('leaves empty routes without times', () => {
+    const lane = buildRouteTimeline({ stops: [] }, points, constraints);
+    expect(lane.blocks).toEqual([]);
+    expect(lane.departure).toBeNull();
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect, vi } from 'vitest';
+import { historyReducer, createHistory, MAX_HISTORY_ENTRIES, COALESCE_WINDOW_MS } from '../hooks/usePlanHistory';
+
+const present = (history) => history.entries[history.index].state;
+
+describe('Plan History', () => {
+  it('commits labelled snapshots', () => {
+    let history = createHistory({ routes: null, constraints: { a: 1 } });
+    history = historyReducer(history, { type: 'commit', label: 'Generate routes', changes: { routes: [1] } });
+
+    expect(history.entries.map(e => e.label)).toEqual(['Start', 'Generate routes']);
+    expect(present(history)).toEqual({ routes: [1], constraints: { a: 1 } });
+  });
+
+  it('undoes and redoes', () => {
+    let history = createHistory({ routes: null });
+    history = historyReducer(history, { type: 'commit', label: 'Generate routes', changes: { routes: [1] } });
+    history = historyReducer(history, { type: 'undo' });
+    expect(present(history).routes).toBeNull();
+
+    history = historyReducer(history, { type: 'redo' });
+    expect(present(history).routes).toEqual([1]);
+
+    // Redo at the end of history is a no-op
+    expect(historyReducer(history, { type: 'redo' })).toBe(history);
+  });
+
+  it('drops the redo branch on a new commit', () => {
+    let history = createHistory({ routes: null });
+    history = historyReducer(history, { type: 'commit', label: 'Generate routes', changes: { routes: [1] } });
+    history = historyReducer(history, { type: 'undo' });
+    history = historyReducer(history, { type: 'commit', label: 'Load delivery data', changes: { deliveryData: [] } });
+
+    expect(history.entries.map(e => e.label)).toEqual(['Start', 'Load delivery data']);
+  });
+
+  it('coalesces consecutive edits with the same label', () => {
+    let history = createHistory({ constraints: { a: 1 } });
+    history = historyReducer(history, { type: 'commit', label: 'Edit constraints', changes: { constraints: { a: 2 } }, coalesce: true });
+    history = historyReducer(history, { type: 'commit', label: 'Edit constraints', changes: { constraints: { a: 3 } }, coalesce: true });
+
+    expect(history.entries).toHaveLength(2);
+    expect(present(history).constraints).toEqual({ a: 3 });
+  });
+
+  it('keeps edits of different fields, or far apart, as separate entries', () => {
+    vi.useFakeTimers();
+    const edit = (history, field, value) => historyReducer(history, {
+      type: 'commit',
+      label: 'Edit constraints',
+      changes: { constraints: { ...present(history).constraints, [field]: value } },
+      coalesce: field,
+    });
+
+    let history = createHistory({ constraints: {} });
+    history = edit(history, 'fleet', 1);
+    history = edit(history, 'fleet', 2);
+    history = edit(history, 'depots', 1);
+    vi.advanceTimersByTime(COALESCE_WINDOW_MS + 1);
+    history = edit(history, 'depots', 2);
+    vi.useRealTimers();
+
+    expect(history.entries).toHaveLength(4);
+    history = historyReducer(history, { type: 'undo' });
+    expect(present(history).constraints).toEqual({ fleet: 2, depots: 1 });
+    history = historyReducer(history, { type: 'undo' });
+    expect(present(history).constraints).toEqual({ fleet: 2 });
+  });
+
+  it('starts over on reset', () => {
+    let history = createHistory({ n: 0 });
+    history = historyReducer(history, { type: 'commit', label: 'Step 1', changes: { n: 1 } });
+    history = historyReducer(history, { type: 'reset', label: 'Open project', state: { n: 5 } });
+
+    expect(history.entries.map(e => e.label)).toEqual(['Open project']);
+    expect(present(history).n).toBe(5);
+  });
+
+  it('jumps to an earlier entry and caps its length', () => {
+    let history = createHistory({ n: 0 });
+    for (let n = 1; n <= MAX_HISTORY_ENTRIES + 5; n++) {
+      history = historyReducer(history, { type: 'commit', label: `Step ${n}`, changes: { n } });
+    }
+    expect(history.entries).toHaveLength(MAX_HISTORY_ENTRIES);
+
+    history = historyReducer(history, { type: 'jump', index: 0 });
+    expect(present(history).n).toBe(6);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { routeViewReducer, initialRouteView } from '../hooks/useRouteView';
+
+describe('Route View', () => {
+  it('shows and hides routes', () => {
+    let view = routeViewReducer(initialRouteView, { type: 'toggle', index: 1 });
+    expect(view.hiddenRoutes).toEqual([1]);
+
+    view = routeViewReducer(view, { type: 'toggle', index: 1 });
+    expect(view.hiddenRoutes).toEqual([]);
+  });
+
+  it('solos a route and shows all again on a second solo', () => {
+    let view = routeViewReducer(initialRouteView, { type: 'solo', index: 1, routeCount: 3 });
+    expect(view.hiddenRoutes).toEqual([0, 2]);
+    expect(view.focusedRoute).toBe(1);
+
+    view = routeViewReducer(view, { type: 'solo', index: 1, routeCount: 3 });
+    expect(view.hiddenRoutes).toEqual([]);
+    expect(view.focusedRoute).toBeNull();
+  });
+
+  it('focuses a route, showing it if hidden, and unfocuses on a second click', () => {
+    let view = routeViewReducer(initialRouteView, { type: 'toggle', index: 2 });
+    view = routeViewReducer(view, { type: 'focus', index: 2 });
+    expect(view.focusedRoute).toBe(2);
+    expect(view.hiddenRoutes).toEqual([]);
+
+    view = routeViewReducer(view, { type: 'focus', index: 2 });
+    expect(view.focusedRoute).toBeNull();
+  });
+
+  it('drops the focus when the focused route is hidden', () => {
+    let view = routeViewReducer(initialRouteView, { type: 'focus', index: 0 });
+    view = routeViewReducer(view, { type: 'toggle', index: 0 });
+    expect(view.focusedRoute).toBeNull();
+    expect(view.hiddenRoutes).toEqual([0]);
+  });
+
+  it('highlights stops and keeps the view when unchanged', () => {
+    const view = routeViewReducer(initialRouteView, { type: 'highlight', stopId: 7 });
+    expect(view.highlightedStopId).toBe(7);
+    expect(routeViewReducer(view, { type: 'highlight', stopId: 7 })).toBe(view);
+  });
+
+  it('selects a stop, showing its route, and deselects on a second click', () => {
+    let view = routeViewReducer(initialRouteView, { type: 'toggle', index: 1 });
+    view = routeViewReducer(view, { type: 'select', stopId: 'a', routeIndex: 1 });
+    expect(view.selectedStopId).toBe('a');
+    expect(view.hiddenRoutes).toEqual([]);
+
+    view = routeViewReducer(view, { type: 'select', stopId: 'a', routeIndex: 1 });
+    expect(view.selectedStopId).toBeNull();
+  });
+
+  it('shows all routes and resets', () => {
+    let view = routeViewReducer(initialRouteView, { type: 'solo', index: 0, routeCount: 2 });
+    view = routeViewReducer(view, { type: 'highlight', stopId: 3 });
+
+    const shown = routeViewReducer(view, { type: 'showAll' });
+    expect(shown).toMatchObject({ hiddenRoutes: [], focusedRoute: null, highlightedStopId: 3 });
+    expect(routeViewReducer(view, { type: 'reset' })).toBe(initialRouteView);
+  });
+});
@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import { Columns, AlertCircle } from 'lucide-react';
+import { CANONICAL_FIELDS, getMissingFields } from '../utils/columnMapping';
+
+// Sample values shown per mapped column
+const SAMPLE_COUNT = 3;
+
+/**
+ * ColumnMapper Component
+ * Mapping step shown after parsing a file whose headers are not the
+ * canonical field names. Each canonical field is assigned a source column.
+ *
+ * @param {string} fileName - Name of the parsed file
+ * @param {Array} headers - Source headers
+ * @param {Array} rows - Parsed rows, used to preview sample values
+ * @param {Object} initialMapping - Suggested or saved mapping { [field]: header }
+ * @param {Boolean} fromProfile - Whether the initial mapping comes from a saved profile
+ * @param {Function} onConfirm - Callback with the mapping and whether to remember it
+ * @param {Function} onCancel - Callback to discard the file
+ */
+const ColumnMapper = ({
+  fileName,
+  headers = [],
+  rows = [],
+  initialMapping = {},
+  fromProfile = false,
+  onConfirm,
+  onCancel,
+}) => {
+  const [mapping, setMapping] = useState(initialMapping);
+  const [remember, setRemember] = useState(true);
+
+  /**
+   * Assign a source column to a field
+   */
+  const handleChange = (field, header) => {
+    setMapping({ ...mapping, [field]: header || undefined });
+  };
+
+  /**
+   * Get the first few non-empty values of a column
+   */
+  const getSampleValues = (header) => {
+    if (!header) return [];
+    return rows
+      .map(row => row[header])
+      .filter(value => value !== null && value !== undefined && String(value).trim() !== '')
+      .slice(0, SAMPLE_COUNT);
+  };
+
+  // Headers assigned to more than one field
+  const usedHeaders = Object.values(mapping).filter(Boolean);
+  const duplicates = usedHeaders.filter((header, index) => usedHeaders.indexOf(header) !== index);
+  const missingFields = getMissingFields(mapping);
+  const canConfirm = missingFields.length === 0 && duplicates.length === 0;
+
+  return (
+    <div className="mt-4 border border-primary-200 rounded-lg overflow-hidden">
+      <div className="bg-primary-50 px-4 py-3 border-b border-primary-200">
+        <div className="flex items-center space-x-2">
+          <Columns className="w-5 h-5 text-primary-600" />
+          <h3 className="text-sm font-semibold text-gray-800">Map columns{fileName ? ` in ${fileName}` : ''}</h3>
+        </div>
+        <p className="text-xs text-gray-600 mt-1">
+          {fromProfile
+            ? 'Applied the mapping saved for files with these columns. Check it and confirm.'
+            : 'Columns were matched by name and sample values. Check each field and confirm.'}
+          {' '}Leave latitude and longitude unmapped to geocode rows from their address.
+        </p>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Field</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Column in File</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Sample Values</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {CANONICAL_FIELDS.map(({ field, label, required }) => {
+              const header = mapping[field] || '';
+              const isMissing = missingFields.includes(field);
+              const isDuplicate = header && duplicates.includes(header);
+              return (
+                <tr key={field} className={isMissing || isDuplicate ? 'bg-red-50' : ''}>
+                  <td className="px-4 py-2 text-sm text-gray-800 whitespace-nowrap">
+                    {label}
+                    {required && <span className="text-red-600 ml-1">*</span>}
+                  </td>
+                  <td className="px-4 py-2">
+                    <select
+                      value={header}
+                      onChange={(e) => handleChange(field, e.target.value)}
+                      aria-label={`Column for ${label}`}
+                      className={`input-field px-2 py-1 text-sm ${isMissing || isDuplicate ? 'border-red-500' : ''}`}
+                    >
+                      <option value="">— Not mapped —</option>
+                      {headers.map(option => (
+                        <option key={option} value={option}>{option}</option>
+                      ))}
+                    </select>
+                    {isDuplicate && <p className="text-xs text-red-600 mt-1">Column is used for another field</p>}
+                  </td>
+                  <td className="px-4 py-2 text-xs text-gray-500">
+                    {getSampleValues(header).map(String).join(', ')}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="px-4 py-3 bg-gray-50 border-t border-gray-200 flex items-center justify-between">
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={remember}
+            onChange={(e) => setRemember(e.target.checked)}
+            className="w-4 h-4 text-primary-600 border-gray-300 rounded"
+          />
+          <span>Remember for files with these columns</span>
+        </label>
+        <div className="flex items-center space-x-3">
+          {missingFields.length > 0 && (
+            <span className="text-xs text-red-600 flex items-center space-x-1">
+              <AlertCircle className="w-4 h-4" />
+              <span>Map all required fields</span>
+            </span>
+          )}
+          <button type="button" onClick={onCancel} className="btn-secondary text-sm">
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={() => onConfirm && onConfirm(mapping, remember)}
+            disabled={!canConfirm}
+            className="btn-primary text-sm"
+          >
+            Confirm Mapping
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMapper;
@@ -1,6 +1,12 @@
-import React, { useState } from 'react';
-import { Settings, MapPin, Clock, Truck } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { Settings, MapPin, Clock, Truck, Gauge } from 'lucide-react';
 import { validateConstraints } from '../utils/helpers';
+import { createVehicleClass } from '../utils/fleet';
+import { createDepot } from '../utils/depots';
+import { AVERAGE_SPEED_KMH } from '../utils/schedule';
+import FleetEditor from './FleetEditor';
+import DepotEditor from './DepotEditor';
+import SpeedProfileEditor from './SpeedProfileEditor';
 
 /**
  * ConstraintsForm Component
@@ -11,18 +17,24 @@ import { validateConstraints } from '../utils/helpers';
  */
 const ConstraintsForm = ({ initialConstraints, onConstraintsChange }) => {
   const [constraints, setConstraints] = useState(initialConstraints || {
-    maxStopsPerRoute: 10,
+    fleet: [createVehicleClass()],
+    depots: [createDepot({ name: 'Main Warehouse' })],
     deliveryWindowStart: '08:00',
     deliveryWindowEnd: '18:00',
-    vehicleCapacity: 100,
-    startLocation: '',
-    startLat: '',
-    startLng: '',
   });
 
   const [errors, setErrors] = useState({});
   const [touched, setTouched] = useState({});
 
+  /**
+   * Sync with constraints changed outside the form (e.g. undo/redo)
+   */
+  useEffect(() => {
+    if (initialConstraints) {
+      setConstraints(initialConstraints);
+    }
+  }, [initialConstraints]);
+
   /**
    * Handle input change
    */
@@ -30,9 +42,7 @@ const ConstraintsForm = ({ initialConstraints, onConstraintsChange }) => {
     const { name, value } = e.target;
     const newConstraints = {
       ...constraints,
-      [name]: name === 'maxStopsPerRoute' || name === 'vehicleCapacity' 
-        ? parseInt(value) || '' 
-        : value
+      [name]: value
     };
 
     setConstraints(newConstraints);
@@ -49,6 +59,23 @@ const ConstraintsForm = ({ initialConstraints, onConstraintsChange }) => {
     }
   };
 
+  /**
+   * Handle fleet, depot or speed profile table change
+   */
+  const handleTableChange = (field, rows) => {
+    const newConstraints = { ...constraints, [field]: rows };
+    setConstraints(newConstraints);
+
+    if (Object.keys(touched).some(name => name.startsWith(`${field}.`))) {
+      const validation = validateConstraints(newConstraints);
+      setErrors(validation.errors);
+    }
+
+    if (onConstraintsChange) {
+      onConstraintsChange(newConstraints);
+    }
+  };
+
   /**
    * Handle blur event to mark field as touched
    */
@@ -71,53 +98,6 @@ const ConstraintsForm = ({ initialConstraints, onConstraintsChange }) => {
 
       {/* Form grid */}
       <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-        {/* Max Stops Per Route */}
-        <div className="space-y-2">
-          <label htmlFor="maxStopsPerRoute" className="label flex items-center space-x-2">
-            <MapPin className="w-4 h-4 text-gray-500" />
-            <span>Max Stops Per Route</span>
-          </label>
-          <input
-            type="number"
-            id="maxStopsPerRoute"
-            name="maxStopsPerRoute"
-            value={constraints.maxStopsPerRoute}
-            onChange={handleChange}
-            onBlur={handleBlur}
-            min="1"
-            max="50"
-            className={`input-field ${errors.maxStopsPerRoute ? 'border-red-500' : ''}`}
-            placeholder="e.g., 10"
-          />
-          {errors.maxStopsPerRoute && (
-            <p className="text-xs text-red-600">{errors.maxStopsPerRoute}</p>
-          )}
-          <p className="text-xs text-gray-500">Maximum number of delivery stops per route</p>
-        </div>
-
-        {/* Vehicle Capacity */}
-        <div className="space-y-2">
-          <label htmlFor="vehicleCapacity" className="label flex items-center space-x-2">
-            <Truck className="w-4 h-4 text-gray-500" />
-            <span>Vehicle Capacity</span>
-          </label>
-          <input
-            type="number"
-            id="vehicleCapacity"
-            name="vehicleCapacity"
-            value={constraints.vehicleCapacity}
-            onChange={handleChange}
-            onBlur={handleBlur}
-            min="1"
-            className={`input-field ${errors.vehicleCapacity ? 'border-red-500' : ''}`}
-            placeholder="e.g., 100"
-          />
-          {errors.vehicleCapacity && (
-            <p className="text-xs text-red-600">{errors.vehicleCapacity}</p>
-          )}
-          <p className="text-xs text-gray-500">Total vehicle capacity (units/weight)</p>
-        </div>
-
         {/* Delivery Window Start */}
         <div className="space-y-2">
           <label htmlFor="deliveryWindowStart" className="label flex items-center space-x-2">
@@ -154,65 +134,68 @@ const ConstraintsForm = ({ initialConstraints, onConstraintsChange }) => {
           <p className="text-xs text-gray-500">End time for deliveries</p>
         </div>
 
-        {/* Start Location */}
+        {/* Driving speed */}
         <div className="space-y-2 md:col-span-2">
-          <label htmlFor="startLocation" className="label flex items-center space-x-2">
-            <MapPin className="w-4 h-4 text-gray-500" />
-            <span>Start Location (Depot/Warehouse)</span>
+          <label htmlFor="averageSpeedKmh" className="label flex items-center space-x-2">
+            <Gauge className="w-4 h-4 text-gray-500" />
+            <span>Average Speed (km/h)</span>
           </label>
           <input
-            type="text"
-            id="startLocation"
-            name="startLocation"
-            value={constraints.startLocation}
+            type="number"
+            id="averageSpeedKmh"
+            name="averageSpeedKmh"
+            value={constraints.averageSpeedKmh ?? ''}
             onChange={handleChange}
             onBlur={handleBlur}
-            className={`input-field ${errors.startLocation ? 'border-red-500' : ''}`}
-            placeholder="e.g., Main Warehouse, 123 Business Park, City"
+            min="1"
+            placeholder={String(AVERAGE_SPEED_KMH)}
+            className={`input-field md:w-1/2 ${errors.averageSpeedKmh ? 'border-red-500' : ''}`}
+          />
+          {errors.averageSpeedKmh && <p className="text-xs text-red-600">{errors.averageSpeedKmh}</p>}
+          <SpeedProfileEditor
+            periods={constraints.speedProfile || []}
+            errors={errors}
+            onChange={(periods) => handleTableChange('speedProfile', periods)}
+            onBlur={handleBlur}
           />
-          {errors.startLocation && (
-            <p className="text-xs text-red-600">{errors.startLocation}</p>
-          )}
-          <p className="text-xs text-gray-500">Starting point for all routes (warehouse/depot address)</p>
+          <p className="text-xs text-gray-500">
+            Used to compute stop ETAs. Add periods with a different speed, e.g. slower traffic during rush hour.
+          </p>
         </div>
 
-        {/* Optional: Start Coordinates */}
-        <div className="space-y-2">
-          <label htmlFor="startLat" className="label">
-            Start Latitude (Optional)
-          </label>
-          <input
-            type="number"
-            id="startLat"
-            name="startLat"
-            value={constraints.startLat}
-            onChange={handleChange}
-            step="0.000001"
-            min="-90"
-            max="90"
-            className="input-field"
-            placeholder="e.g., 40.7128"
+        {/* Depots */}
+        <div className="space-y-2 md:col-span-2">
+          <p className="label flex items-center space-x-2">
+            <MapPin className="w-4 h-4 text-gray-500" />
+            <span>Depots / Warehouses</span>
+          </p>
+          <DepotEditor
+            depots={constraints.depots || []}
+            errors={errors}
+            onChange={(depots) => handleTableChange('depots', depots)}
+            onBlur={handleBlur}
           />
-          <p className="text-xs text-gray-500">Latitude of start location</p>
+          <p className="text-xs text-gray-500">
+            Routes start at a vehicle&apos;s home depot and end at its end depot. Coordinates are optional.
+          </p>
         </div>
 
-        <div className="space-y-2">
-          <label htmlFor="startLng" className="label">
-            Start Longitude (Optional)
-          </label>
-          <input
-            type="number"
-            id="startLng"
-            name="startLng"
-            value={constraints.startLng}
-            onChange={handleChange}
-            step="0.000001"
-            min="-180"
-            max="180"
-            className="input-field"
-            placeholder="e.g., -74.0060"
+        {/* Fleet */}
+        <div className="space-y-2 md:col-span-2">
+          <p className="label flex items-center space-x-2">
+            <Truck className="w-4 h-4 text-gray-500" />
+            <span>Fleet</span>
+          </p>
+          <FleetEditor
+            fleet={constraints.fleet || []}
+            errors={errors}
+            depots={constraints.depots || []}
+            onChange={(fleet) => handleTableChange('fleet', fleet)}
+            onBlur={handleBlur}
           />
-          <p className="text-xs text-gray-500">Longitude of start location</p>
+          <p className="text-xs text-gray-500">
+            One row per vehicle or vehicle class. Capacity is in the same unit as delivery demand.
+          </p>
         </div>
       </div>
 
@@ -0,0 +1,119 @@
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { createDepot } from '../utils/depots';
+
+// Column definitions for the depot table
+const COLUMNS = [
+  { field: 'name', label: 'Name', type: 'text', placeholder: 'e.g., Main Warehouse' },
+  { field: 'lat', label: 'Latitude', type: 'number', step: '0.000001', min: -90, max: 90, placeholder: 'e.g., 40.7128' },
+  { field: 'lng', label: 'Longitude', type: 'number', step: '0.000001', min: -180, max: 180, placeholder: 'e.g., -74.0060' },
+];
+
+/**
+ * DepotEditor Component
+ * Editable list of depots/warehouses that routes can start and end at
+ *
+ * @param {Array} depots - Depots
+ * @param {Object} errors - Validation errors keyed by `depots.<row>.<field>`
+ * @param {Function} onChange - Callback with the updated depot list
+ * @param {Function} onBlur - Callback when a field loses focus
+ */
+const DepotEditor = ({ depots = [], errors = {}, onChange, onBlur }) => {
+  /**
+   * Update a single field of a depot
+   */
+  const handleFieldChange = (index, field, value) => {
+    const newDepots = depots.map((depot, i) =>
+      i === index ? { ...depot, [field]: value } : depot
+    );
+    onChange && onChange(newDepots);
+  };
+
+  /**
+   * Add an empty depot
+   */
+  const handleAdd = () => {
+    onChange && onChange([...depots, createDepot({ name: `Depot ${depots.length + 1}` })]);
+  };
+
+  /**
+   * Remove a depot
+   */
+  const handleRemove = (index) => {
+    onChange && onChange(depots.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="overflow-x-auto border border-gray-200 rounded-lg">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              {COLUMNS.map(column => (
+                <th
+                  key={column.field}
+                  className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider whitespace-nowrap"
+                >
+                  {column.label}
+                </th>
+              ))}
+              <th className="px-3 py-2"></th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {depots.map((depot, index) => (
+              <tr key={depot.id}>
+                {COLUMNS.map(column => {
+                  const error = errors[`depots.${index}.${column.field}`];
+                  return (
+                    <td key={column.field} className="px-3 py-2 align-top">
+                      <input
+                        type={column.type}
+                        name={`depots.${index}.${column.field}`}
+                        aria-label={`Depot ${column.label} (row ${index + 1})`}
+                        value={depot[column.field] ?? ''}
+                        onChange={(e) => handleFieldChange(index, column.field, e.target.value)}
+                        onBlur={onBlur}
+                        min={column.min}
+                        max={column.max}
+                        step={column.step}
+                        placeholder={column.placeholder}
+                        className={`input-field px-2 py-1 text-sm ${error ? 'border-red-500' : ''}`}
+                      />
+                      {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+                    </td>
+                  );
+                })}
+                <td className="px-3 py-2 align-top">
+                  <button
+                    type="button"
+                    onClick={() => handleRemove(index)}
+                    disabled={depots.length <= 1}
+                    className="text-gray-400 hover:text-red-600 disabled:opacity-30 disabled:cursor-not-allowed p-1"
+                    aria-label={`Remove depot row ${index + 1}`}
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {errors.depots && <p className="text-xs text-red-600">{errors.depots}</p>}
+      <p className="text-xs text-gray-500">Depots can also be placed by clicking the map and moved by dragging their marker.</p>
+
+      <button
+        type="button"
+        onClick={handleAdd}
+        className="btn-secondary flex items-center space-x-2 text-sm"
+      >
+        <Plus className="w-4 h-4" />
+        <span>Add Depot</span>
+      </button>
+    </div>
+  );
+};
+
+export default DepotEditor;
@@ -1,6 +1,10 @@
 import React, { useState } from 'react';
 import { Download, FileJson, FileSpreadsheet, Check } from 'lucide-react';
-import { exportToJSON, exportToCSV } from '../utils/helpers';
+import { exportToJSON, exportToCSV, buildExportData, calculateRouteLoad, formatClock } from '../utils/helpers';
+import { getFleet, getVehicleLabel } from '../utils/fleet';
+import { getDepots, resolveRouteDepots } from '../utils/depots';
+import { indexPointsById } from '../utils/deliveryPoints';
+import { getRouteSchedule } from '../utils/schedule';
 
 /**
  * ExportButton Component
@@ -18,17 +22,7 @@ const ExportButton = ({ routeData, disabled = false }) => {
    */
   const handleExportJSON = () => {
     try {
-      const exportData = {
-        generated_at: new Date().toISOString(),
-        summary: {
-          total_routes: routeData.routes?.length || 0,
-          total_stops: routeData.routes?.reduce((acc, route) => acc + route.stops.length, 0) || 0,
-          total_distance: routeData.routes?.reduce((acc, route) => acc + (route.total_distance || 0), 0) || 0,
-        },
-        constraints: routeData.constraints,
-        routes: routeData.routes,
-        delivery_points: routeData.delivery_points,
-      };
+      const exportData = buildExportData(routeData);
 
       exportToJSON(exportData, `route-plan-${Date.now()}.json`);
       
@@ -50,11 +44,23 @@ const ExportButton = ({ routeData, disabled = false }) => {
       // Flatten routes data for CSV export
       const flattenedData = [];
 
+      const fleet = getFleet(routeData.constraints);
+      const depots = getDepots(routeData.constraints);
+      const deliveryPoints = routeData.delivery_points || [];
+      const pointsById = indexPointsById(deliveryPoints);
       routeData.routes?.forEach((route, routeIndex) => {
+        const routeLoad = calculateRouteLoad(route, deliveryPoints);
+        const routeDepots = resolveRouteDepots(route, depots);
+        const schedule = getRouteSchedule(route, deliveryPoints, routeData.constraints);
         route.stops.forEach((stop, stopIndex) => {
-          const point = routeData.delivery_points?.find(p => p.id === stop.id) || {};
+          const point = pointsById.get(stop.id) || {};
+          const eta = schedule.stops[stopIndex];
           flattenedData.push({
             route_id: routeIndex + 1,
+            vehicle_id: route.vehicle_id || '',
+            vehicle_name: getVehicleLabel(route, fleet),
+            start_depot: routeDepots.start?.name || '',
+            end_depot: routeDepots.end ? routeDepots.end.name || '' : (routeDepots.start ? 'open' : ''),
             stop_sequence: stopIndex + 1,
             customer_id: stop.id,
             customer_name: point.customer_name || '',
@@ -62,9 +68,20 @@ const ExportButton = ({ routeData, disabled = false }) => {
             latitude: point.lat || '',
             longitude: point.lng || '',
             delivery_window: point.delivery_window || '',
+            window_start: point.window_start || '',
+            window_end: point.window_end || '',
+            service_minutes: point.service_minutes ?? '',
+            eta: formatClock(eta.arrival),
+            wait_minutes: Math.round(eta.wait),
+            departure_time: formatClock(eta.departure),
+            late: eta.late ? 'yes' : '',
+            demand: point.demand ?? '',
+            cumulative_load: routeLoad.cumulative[stopIndex],
             distance_from_previous: stop.distance || '',
             route_total_distance: route.total_distance || '',
             route_estimated_time: route.estimated_time || '',
+            route_departure_time: formatClock(schedule.departure),
+            route_return_time: formatClock(schedule.returnTime),
           });
         });
       });
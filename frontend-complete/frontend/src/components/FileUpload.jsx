@@ -1,20 +1,106 @@
 import React, { useState, useRef } from 'react';
-import { Upload, FileText, AlertCircle, CheckCircle } from 'lucide-react';
-import { parseCSV, parseJSON, validateDeliveryData } from '../utils/helpers';
+import { Upload, FileText, FileSpreadsheet, AlertCircle, CheckCircle, Columns, X } from 'lucide-react';
+import ColumnMapper from './ColumnMapper';
+import ValidationReport from './ValidationReport';
+import GeocodingReview from './GeocodingReview';
+import {
+  parseSpreadsheet,
+  getSpreadsheetSheets,
+  validateDeliveryData,
+  isAbortError,
+} from '../utils/helpers';
+import { parseDeliveryFile, validateDeliveryFile } from '../utils/fileProcessing';
+import { isPlanExport, planFromExport, validatePlanIntegrity } from '../utils/projects';
+import {
+  getHeaders,
+  getHeaderSignature,
+  needsMapping,
+  suggestMapping,
+  isMappingApplicable,
+  applyMapping,
+} from '../utils/columnMapping';
+import { needsGeocoding } from '../utils/geocoding';
+import { loadMappingProfile, saveMappingProfile } from '../services/mappingProfiles';
+import { describeField } from '../services/apiErrors';
+
+// Parser used for each accepted file extension
+const EXTENSION_FORMATS = {
+  '.csv': 'delimited',
+  '.tsv': 'delimited',
+  '.json': 'json',
+  '.xlsx': 'spreadsheet',
+};
+
+// Parser used for each accepted MIME type, when the extension is not recognised
+const MIME_FORMATS = {
+  'text/csv': 'delimited',
+  'text/tab-separated-values': 'delimited',
+  'application/vnd.ms-excel': 'delimited', // Windows reports CSV files with this type
+  'application/json': 'json',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'spreadsheet',
+};
 
 /**
  * FileUpload Component
- * Handles file upload, parsing, and validation for CSV/JSON delivery data
+ * Handles file upload, parsing, and validation for CSV/JSON delivery data.
+ * Exported route plan JSON restores the whole plan instead.
  * 
  * @param {Function} onDataLoaded - Callback when data is successfully loaded
+ * @param {Function} onPlanLoaded - Callback with { deliveryData, constraints, routes, routeEngine } when an exported plan is loaded
  * @param {Function} onError - Callback when error occurs
+ * @param {Object} constraints - Current constraints, used to validate time windows
+ * @param {Array} serverErrors - Delivery point fields the backend rejected ([{ field, path, message }])
  */
-const FileUpload = ({ onDataLoaded, onError }) => {
+const FileUpload = ({ onDataLoaded, onPlanLoaded, onError, constraints, serverErrors = [] }) => {
   const [isDragging, setIsDragging] = useState(false);
   const [uploadStatus, setUploadStatus] = useState(null); // 'success', 'error', null
+  const [successMessage, setSuccessMessage] = useState('');
   const [fileName, setFileName] = useState('');
   const [isProcessing, setIsProcessing] = useState(false);
+  const [progress, setProgress] = useState(null); // { loaded, total, rows } while streaming, or { validating: true }
+  const [workbook, setWorkbook] = useState(null); // { file, sheets } while a sheet is being picked
+  const [mappingStep, setMappingStep] = useState(null); // { rows, headers, signature, mapping, fromProfile } while mapping columns
+  const [mappedImport, setMappedImport] = useState(null); // Last import that went through a column mapping
+  const [geocodeStep, setGeocodeStep] = useState(null); // { rows, id } while address-only rows are geocoded
+  const [review, setReview] = useState(null); // { rows, id } while validation issues are reviewed
   const fileInputRef = useRef(null);
+  const abortRef = useRef(null); // AbortController of the running parse or validation
+
+  /**
+   * Start a processing step, cancelling any step still running
+   * @returns {AbortSignal} Signal of the new step
+   */
+  const startProcessing = () => {
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setIsProcessing(true);
+    setProgress(null);
+    return controller.signal;
+  };
+
+  /**
+   * Show a failed processing step; cancelled steps just reset the upload
+   */
+  const handleProcessingError = (error) => {
+    setIsProcessing(false);
+    setProgress(null);
+    if (isAbortError(error)) {
+      setFileName('');
+      setUploadStatus(null);
+      return;
+    }
+    setUploadStatus('error');
+    onError && onError(error.message);
+  };
+
+  /**
+   * Cancel the running parse or validation
+   */
+  const handleCancel = (e) => {
+    e.stopPropagation();
+    abortRef.current?.abort();
+  };
 
   /**
    * Handle file selection or drop
@@ -23,51 +109,267 @@ const FileUpload = ({ onDataLoaded, onError }) => {
     if (!file) return;
 
     // Validate file type
-    const validTypes = ['text/csv', 'application/json', 'application/vnd.ms-excel'];
-    const validExtensions = ['.csv', '.json'];
     const fileExtension = file.name.toLowerCase().slice(file.name.lastIndexOf('.'));
+    const format = fileExtension === '.xls'
+      ? null
+      : EXTENSION_FORMATS[fileExtension] || MIME_FORMATS[file.type];
 
-    if (!validTypes.includes(file.type) && !validExtensions.includes(fileExtension)) {
-      const errorMsg = 'Invalid file type. Please upload a CSV or JSON file.';
+    if (!format) {
+      const errorMsg = fileExtension === '.xls'
+        ? 'Legacy .xls workbooks are not supported. Please save the workbook as .xlsx or CSV.'
+        : 'Invalid file type. Please upload a CSV, TSV, Excel (.xlsx) or JSON file.';
       setUploadStatus('error');
       onError && onError(errorMsg);
       return;
     }
 
     setFileName(file.name);
-    setIsProcessing(true);
+    const signal = startProcessing();
     setUploadStatus(null);
+    setWorkbook(null);
+    setMappingStep(null);
+    setMappedImport(null);
+    setGeocodeStep(null);
+    setReview(null);
 
     try {
-      let data;
-
-      // Parse based on file type
-      if (fileExtension === '.csv' || file.type === 'text/csv' || file.type === 'application/vnd.ms-excel') {
-        data = await parseCSV(file);
-      } else if (fileExtension === '.json' || file.type === 'application/json') {
-        data = await parseJSON(file);
+      // Workbooks with several sheets wait for the user to pick one
+      if (format === 'spreadsheet') {
+        const sheets = await getSpreadsheetSheets(file);
+        if (sheets.length > 1) {
+          setWorkbook({ file, sheets });
+          setIsProcessing(false);
+          return;
+        }
+        await handleParsedRows(await parseSpreadsheet(file, 1), signal);
+        return;
       }
 
-      // Validate parsed data
-      const validation = validateDeliveryData(data);
+      // Large files are streamed in a worker; progress updates the processing state
+      const data = await parseDeliveryFile(file, format, { onProgress: setProgress, signal });
 
-      if (!validation.isValid) {
-        setUploadStatus('error');
-        onError && onError(`Validation failed: ${validation.errors.join(', ')}`);
-        setIsProcessing(false);
+      // An exported route plan restores points, constraints and routes together
+      if (Array.isArray(data) && data.length === 1 && isPlanExport(data[0])) {
+        handlePlan(planFromExport(data[0]));
         return;
       }
 
-      // Success
-      setUploadStatus('success');
-      onDataLoaded && onDataLoaded(data);
+      await handleParsedRows(data, signal);
+    } catch (error) {
+      handleProcessingError(error);
+    }
+  };
+
+  /**
+   * Parse the chosen sheet of a multi-sheet workbook
+   */
+  const handleSheetSelect = async (sheet) => {
+    const signal = startProcessing();
+    setUploadStatus(null);
+
+    try {
+      if (await handleParsedRows(await parseSpreadsheet(workbook.file, sheet), signal)) {
+        setWorkbook(null);
+      }
+    } catch (error) {
+      handleProcessingError(error);
+    }
+  };
+
+  /**
+   * Route parsed rows through the column mapping step when their headers
+   * are not the canonical field names. A mapping saved for the same header
+   * signature is applied automatically.
+   * @param {Array} rows - Parsed rows
+   * @param {AbortSignal} signal - Signal of the current processing step
+   * @returns {boolean} True when the rows were loaded or are waiting for a mapping
+   */
+  const handleParsedRows = async (rows, signal) => {
+    const headers = Array.isArray(rows) ? getHeaders(rows) : [];
+    if (!needsMapping(headers)) {
+      return prepareDeliveryData(rows, signal);
+    }
+
+    const signature = getHeaderSignature(headers);
+    const savedMapping = await loadMappingProfile(signature);
+    if (savedMapping && isMappingApplicable(savedMapping, headers)) {
+      setMappedImport({ rows, headers, signature, mapping: savedMapping });
+      return prepareDeliveryData(applyMapping(rows, savedMapping), signal);
+    }
+
+    setMappingStep({ rows, headers, signature, mapping: suggestMapping(headers, rows), fromProfile: false });
+    setIsProcessing(false);
+    return true;
+  };
+
+  /**
+   * Apply the confirmed column mapping and load the rows
+   */
+  const handleMappingConfirm = async (mapping, remember) => {
+    const { rows, headers, signature } = mappingStep;
+    if (remember) {
+      await saveMappingProfile(signature, mapping);
+    }
+    setMappingStep(null);
+    setMappedImport({ rows, headers, signature, mapping });
+
+    const signal = startProcessing();
+    try {
+      await prepareDeliveryData(applyMapping(rows, mapping), signal);
+    } catch (error) {
+      handleProcessingError(error);
+    }
+  };
+
+  /**
+   * Discard a file waiting for its column mapping
+   */
+  const handleMappingCancel = () => {
+    setMappingStep(null);
+    setFileName('');
+    setUploadStatus(null);
+  };
+
+  /**
+   * Reopen the mapping step for the last mapped import
+   */
+  const handleEditMapping = () => {
+    setMappingStep({ ...mappedImport, fromProfile: true });
+    setMappedImport(null);
+    setGeocodeStep(null);
+    setReview(null);
+    setUploadStatus(null);
+  };
+
+  /**
+   * Send rows with an address but no coordinates to the geocoding step,
+   * and everything else straight to validation
+   * @param {Array} rows - Rows with canonical field names
+   * @param {AbortSignal} signal - Signal of the current processing step
+   * @returns {Promise<boolean>} True when the rows were loaded or are waiting for a review step
+   */
+  const prepareDeliveryData = async (rows, signal) => {
+    if (Array.isArray(rows) && rows.some(needsGeocoding)) {
+      setGeocodeStep({ rows, id: Date.now() });
       setIsProcessing(false);
+      return true;
+    }
+    return loadDeliveryData(rows, signal);
+  };
 
+  /**
+   * Validate the rows completed in the geocoding step
+   */
+  const handleGeocodeContinue = async (rows) => {
+    setGeocodeStep(null);
+    const signal = startProcessing();
+    try {
+      await loadDeliveryData(rows, signal);
     } catch (error) {
+      handleProcessingError(error);
+    }
+  };
+
+  /**
+   * Discard an upload waiting for geocoding
+   */
+  const handleGeocodeCancel = () => {
+    setGeocodeStep(null);
+    setMappedImport(null);
+    setFileName('');
+    setUploadStatus(null);
+  };
+
+  /**
+   * Normalize, validate and load parsed delivery data
+   * Data with row-level issues waits in the validation report.
+   * @param {Array} parsed - Parsed rows with canonical field names
+   * @param {AbortSignal} signal - Signal of the current processing step
+   * @returns {Promise<boolean>} True when the data was loaded or is waiting for review
+   */
+  const loadDeliveryData = async (parsed, signal) => {
+    // Validate parsed data off the main thread
+    setProgress({ validating: true, rows: Array.isArray(parsed) ? parsed.length : 0 });
+    const { rows: data, report } = await validateDeliveryFile(parsed, constraints, { signal });
+    const fileIssues = report.issues.filter(issue => issue.row === null);
+
+    if (fileIssues.length > 0) {
+      setUploadStatus('error');
+      onError && onError(`Validation failed: ${fileIssues.map(issue => issue.message).join(', ')}`);
+      setIsProcessing(false);
+      setProgress(null);
+      return false;
+    }
+
+    if (report.issues.length > 0) {
+      setReview({ rows: data, id: Date.now() });
+      if (!report.isValid) {
+        setUploadStatus('error');
+        onError && onError(
+          `Validation failed: ${report.errorCount} ${report.errorCount === 1 ? 'error' : 'errors'} found. Fix or exclude the rows listed below.`
+        );
+      }
+      setIsProcessing(false);
+      setProgress(null);
+      return true;
+    }
+
+    completeUpload(data);
+    return true;
+  };
+
+  /**
+   * Pass validated rows on and show the success state
+   */
+  const completeUpload = (data) => {
+    setUploadStatus('success');
+    setSuccessMessage('File uploaded successfully!');
+    onDataLoaded && onDataLoaded(data);
+    setIsProcessing(false);
+    setProgress(null);
+  };
+
+  /**
+   * Load the rows confirmed in the validation report
+   */
+  const handleReviewContinue = (rows) => {
+    setReview(null);
+    completeUpload(rows);
+  };
+
+  /**
+   * Discard an upload under review
+   */
+  const handleReviewCancel = () => {
+    setReview(null);
+    setMappedImport(null);
+    setFileName('');
+    setUploadStatus(null);
+  };
+
+  /**
+   * Validate and load an exported route plan
+   * Every route stop must refer to one of the plan's delivery points.
+   */
+  const handlePlan = (plan) => {
+    const validation = validateDeliveryData(plan.deliveryData, plan.constraints);
+    const errors = [...validation.errors, ...validatePlanIntegrity(plan)];
+
+    if (errors.length > 0) {
       setUploadStatus('error');
-      onError && onError(error.message);
+      onError && onError(`Invalid route plan: ${errors.join(', ')}`);
       setIsProcessing(false);
+      return;
+    }
+
+    setUploadStatus('success');
+    setSuccessMessage('Route plan restored!');
+    if (onPlanLoaded) {
+      onPlanLoaded(plan);
+    } else {
+      onDataLoaded && onDataLoaded(plan.deliveryData);
     }
+    setIsProcessing(false);
   };
 
   /**
@@ -119,13 +421,15 @@ const FileUpload = ({ onDataLoaded, onError }) => {
     fileInputRef.current?.click();
   };
 
+  const percent = progress?.total ? Math.round((progress.loaded / progress.total) * 100) : null;
+
   return (
     <div className="w-full">
       {/* Hidden file input */}
       <input
         ref={fileInputRef}
         type="file"
-        accept=".csv,.json"
+        accept=".csv,.tsv,.xlsx,.json"
         onChange={handleFileInputChange}
         className="hidden"
         aria-label="File upload input"
@@ -153,6 +457,37 @@ const FileUpload = ({ onDataLoaded, onError }) => {
             <>
               <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
               <p className="text-sm text-gray-600">Processing file...</p>
+              {progress && (
+                <div className="w-full max-w-xs space-y-1">
+                  {!progress.validating && percent !== null && (
+                    <div
+                      className="h-2 bg-gray-200 rounded-full overflow-hidden"
+                      role="progressbar"
+                      aria-valuenow={percent}
+                      aria-valuemin={0}
+                      aria-valuemax={100}
+                    >
+                      <div
+                        className="h-full bg-primary-600 transition-all"
+                        style={{ width: `${percent}%` }}
+                      />
+                    </div>
+                  )}
+                  <p className="text-xs text-gray-500">
+                    {progress.validating
+                      ? `Validating ${progress.rows.toLocaleString()} rows...`
+                      : `${percent ?? 0}% · ${progress.rows.toLocaleString()} rows read`}
+                  </p>
+                </div>
+              )}
+              <button
+                type="button"
+                onClick={handleCancel}
+                className="pointer-events-auto btn-secondary text-sm flex items-center space-x-1"
+              >
+                <X className="w-4 h-4" />
+                <span>Cancel</span>
+              </button>
             </>
           ) : (
             <>
@@ -162,7 +497,7 @@ const FileUpload = ({ onDataLoaded, onError }) => {
                   Drop your file here or click to browse
                 </p>
                 <p className="text-sm text-gray-500">
-                  Supports CSV and JSON formats
+                  Supports CSV and JSON formats, plus TSV and Excel (.xlsx)
                 </p>
               </div>
             </>
@@ -186,7 +521,7 @@ const FileUpload = ({ onDataLoaded, onError }) => {
             {uploadStatus === 'success' ? (
               <>
                 <CheckCircle className="w-5 h-5" />
-                <span className="font-medium">File uploaded successfully!</span>
+                <span className="font-medium">{successMessage}</span>
               </>
             ) : (
               <>
@@ -198,13 +533,112 @@ const FileUpload = ({ onDataLoaded, onError }) => {
         )}
       </div>
 
+      {/* Delivery point fields the backend rejected */}
+      {serverErrors.length > 0 && !isProcessing && (
+        <div className="mt-4 bg-red-50 border border-red-200 rounded-lg p-4" role="alert">
+          <div className="flex items-center space-x-2 mb-2">
+            <AlertCircle className="w-5 h-5 text-red-600 flex-shrink-0" />
+            <p className="text-sm font-medium text-red-800">
+              The backend rejected {serverErrors.length} {serverErrors.length === 1 ? 'field' : 'fields'} of the delivery data
+            </p>
+          </div>
+          <ul className="text-sm text-red-700 space-y-1 max-h-48 overflow-y-auto">
+            {serverErrors.map((fieldError, index) => (
+              <li key={`${fieldError.field}-${index}`}>
+                <span className="font-medium">{describeField(fieldError)}:</span> {fieldError.message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Sheet picker for multi-sheet workbooks */}
+      {workbook && !isProcessing && (
+        <div className="mt-4 bg-primary-50 border border-primary-200 rounded-lg p-4">
+          <div className="flex items-center space-x-2 mb-3">
+            <FileSpreadsheet className="w-5 h-5 text-primary-600" />
+            <p className="text-sm font-medium text-gray-800">
+              {fileName} has {workbook.sheets.length} sheets. Choose the sheet with the delivery data:
+            </p>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {workbook.sheets.map(sheet => (
+              <button
+                key={sheet}
+                type="button"
+                onClick={() => handleSheetSelect(sheet)}
+                className="btn-secondary text-sm"
+              >
+                {sheet}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Column mapping step */}
+      {mappingStep && !isProcessing && (
+        <ColumnMapper
+          key={mappingStep.signature}
+          fileName={fileName}
+          headers={mappingStep.headers}
+          rows={mappingStep.rows}
+          initialMapping={mappingStep.mapping}
+          fromProfile={mappingStep.fromProfile}
+          onConfirm={handleMappingConfirm}
+          onCancel={handleMappingCancel}
+        />
+      )}
+
+      {/* Geocoding step for address-only rows */}
+      {geocodeStep && !isProcessing && (
+        <GeocodingReview
+          key={geocodeStep.id}
+          fileName={fileName}
+          rows={geocodeStep.rows}
+          depots={constraints?.depots}
+          onContinue={handleGeocodeContinue}
+          onCancel={handleGeocodeCancel}
+          onError={onError}
+        />
+      )}
+
+      {/* Validation issues of the upload */}
+      {review && !isProcessing && (
+        <ValidationReport
+          key={review.id}
+          fileName={fileName}
+          rows={review.rows}
+          constraints={constraints}
+          onContinue={handleReviewContinue}
+          onCancel={handleReviewCancel}
+        />
+      )}
+
+      {/* Last import used a column mapping */}
+      {mappedImport && !mappingStep && !isProcessing && (
+        <button
+          type="button"
+          onClick={handleEditMapping}
+          className="mt-3 text-sm text-primary-600 hover:text-primary-800 flex items-center space-x-1"
+        >
+          <Columns className="w-4 h-4" />
+          <span>Edit column mapping</span>
+        </button>
+      )}
+
       {/* File format help text */}
       <div className="mt-3 text-xs text-gray-500">
         <p className="font-medium mb-1">Expected file format:</p>
         <ul className="list-disc list-inside space-y-1 ml-2">
-          <li>Required fields: id, customer_name, lat, lng, address</li>
-          <li>Optional fields: delivery_window, priority, notes</li>
+          <li>Required fields: id, customer_name, lat, lng, address (other column names can be mapped after upload)</li>
+          <li>Rows with an address but no lat/lng are geocoded against a local gazetteer or placed on the map</li>
+          <li>CSV files may be comma, semicolon or tab separated; the delimiter is detected automatically</li>
+          <li>Optional fields: window_start, window_end (HH:MM), service_minutes, demand, delivery_window, priority, notes</li>
+          <li>Time windows must fall inside the global delivery window</li>
           <li>Coordinates should be valid (lat: -90 to 90, lng: -180 to 180)</li>
+          <li>Rows with problems are listed for review; fix them inline or exclude them and continue</li>
+          <li>A route plan JSON exported from this app restores its constraints and routes</li>
         </ul>
       </div>
     </div>
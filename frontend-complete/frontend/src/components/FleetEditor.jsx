@@ -0,0 +1,170 @@
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { createVehicleClass } from '../utils/fleet';
+import { OPEN_ROUTE } from '../utils/depots';
+
+// Column definitions for the fleet table
+const COLUMNS = [
+  { field: 'name', label: 'Name', type: 'text', placeholder: 'e.g., Box Truck' },
+  { field: 'count', label: 'Count', type: 'number', min: 1 },
+  { field: 'capacity', label: 'Capacity', type: 'number', min: 1 },
+  { field: 'maxStops', label: 'Max Stops', type: 'number', min: 1 },
+  { field: 'costPerKm', label: 'Cost / km', type: 'number', min: 0, step: '0.01' },
+  { field: 'shiftStart', label: 'Shift Start', type: 'time' },
+  { field: 'shiftEnd', label: 'Shift End', type: 'time' },
+  { field: 'depot', label: 'Home Depot', type: 'select' },
+  { field: 'endDepot', label: 'End Depot', type: 'select' },
+];
+
+const INTEGER_FIELDS = ['count', 'capacity', 'maxStops'];
+
+/**
+ * FleetEditor Component
+ * Editable table with one row per vehicle or vehicle class
+ *
+ * @param {Array} fleet - Vehicle classes
+ * @param {Array} depots - Depots vehicles can start and end at
+ * @param {Object} errors - Validation errors keyed by `fleet.<row>.<field>`
+ * @param {Function} onChange - Callback with the updated fleet
+ * @param {Function} onBlur - Callback when a field loses focus
+ */
+const FleetEditor = ({ fleet = [], depots = [], errors = {}, onChange, onBlur }) => {
+  /**
+   * Update a single field of a vehicle class
+   */
+  const handleFieldChange = (index, field, value) => {
+    let parsed = value;
+    if (INTEGER_FIELDS.includes(field)) {
+      parsed = parseInt(value) || '';
+    } else if (field === 'costPerKm') {
+      parsed = value === '' ? '' : parseFloat(value);
+    }
+
+    const newFleet = fleet.map((vehicle, i) =>
+      i === index ? { ...vehicle, [field]: parsed } : vehicle
+    );
+    onChange && onChange(newFleet);
+  };
+
+  /**
+   * Get the select options for a depot column
+   */
+  const getDepotOptions = (field) => {
+    const options = depots.map(depot => ({ value: depot.id, label: depot.name || depot.id }));
+    if (field === 'depot') {
+      return [{ value: '', label: 'First depot' }, ...options];
+    }
+    return [
+      { value: '', label: 'Same as home' },
+      ...options,
+      { value: OPEN_ROUTE, label: 'Open (no return)' },
+    ];
+  };
+
+  /**
+   * Add a new vehicle class, copying the last row's settings
+   */
+  const handleAdd = () => {
+    const last = fleet[fleet.length - 1] || {};
+    const newVehicle = createVehicleClass({
+      ...last,
+      id: createVehicleClass().id,
+      name: `Vehicle ${fleet.length + 1}`,
+    });
+    onChange && onChange([...fleet, newVehicle]);
+  };
+
+  /**
+   * Remove a vehicle class
+   */
+  const handleRemove = (index) => {
+    onChange && onChange(fleet.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="overflow-x-auto border border-gray-200 rounded-lg">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              {COLUMNS.map(column => (
+                <th
+                  key={column.field}
+                  className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider whitespace-nowrap"
+                >
+                  {column.label}
+                </th>
+              ))}
+              <th className="px-3 py-2"></th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {fleet.map((vehicle, index) => (
+              <tr key={vehicle.id}>
+                {COLUMNS.map(column => {
+                  const error = errors[`fleet.${index}.${column.field}`];
+                  return (
+                    <td key={column.field} className="px-3 py-2 align-top">
+                      {column.type === 'select' ? (
+                        <select
+                          name={`fleet.${index}.${column.field}`}
+                          aria-label={`${column.label} (row ${index + 1})`}
+                          value={vehicle[column.field] ?? ''}
+                          onChange={(e) => handleFieldChange(index, column.field, e.target.value)}
+                          onBlur={onBlur}
+                          className={`input-field px-2 py-1 text-sm min-w-[8rem] ${error ? 'border-red-500' : ''}`}
+                        >
+                          {getDepotOptions(column.field).map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        <input
+                          type={column.type}
+                          name={`fleet.${index}.${column.field}`}
+                          aria-label={`${column.label} (row ${index + 1})`}
+                          value={vehicle[column.field] ?? ''}
+                          onChange={(e) => handleFieldChange(index, column.field, e.target.value)}
+                          onBlur={onBlur}
+                          min={column.min}
+                          step={column.step}
+                          placeholder={column.placeholder}
+                          className={`input-field px-2 py-1 text-sm min-w-[5rem] ${error ? 'border-red-500' : ''}`}
+                        />
+                      )}
+                      {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+                    </td>
+                  );
+                })}
+                <td className="px-3 py-2 align-top">
+                  <button
+                    type="button"
+                    onClick={() => handleRemove(index)}
+                    disabled={fleet.length <= 1}
+                    className="text-gray-400 hover:text-red-600 disabled:opacity-30 disabled:cursor-not-allowed p-1"
+                    aria-label={`Remove vehicle row ${index + 1}`}
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {errors.fleet && <p className="text-xs text-red-600">{errors.fleet}</p>}
+
+      <button
+        type="button"
+        onClick={handleAdd}
+        className="btn-secondary flex items-center space-x-2 text-sm"
+      >
+        <Plus className="w-4 h-4" />
+        <span>Add Vehicle Type</span>
+      </button>
+    </div>
+  );
+};
+
+export default FleetEditor;
@@ -0,0 +1,326 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { MapPinned, MapPin, Upload, Check, AlertTriangle } from 'lucide-react';
+import MapView from './MapView';
+import {
+  geocodeRows,
+  applyGeocodes,
+  parseGazetteer,
+  createGazetteerProvider,
+  GEOCODE_RESOLVED,
+  GEOCODE_LOW_CONFIDENCE,
+  GEOCODE_UNRESOLVED,
+} from '../utils/geocoding';
+import { roundCoordinate } from '../utils/deliveryPoints';
+import { parseDeliveryFile } from '../utils/fileProcessing';
+import { loadGazetteer, saveGazetteer } from '../services/gazetteerStore';
+import { log } from '../services/api';
+
+// Rows listed at once; the rest are summarised
+const MAX_LISTED_ROWS = 200;
+
+const STATUS_LABELS = {
+  [GEOCODE_RESOLVED]: 'Resolved',
+  [GEOCODE_LOW_CONFIDENCE]: 'Low confidence',
+  [GEOCODE_UNRESOLVED]: 'Unresolved',
+};
+
+const STATUS_STYLES = {
+  [GEOCODE_RESOLVED]: 'text-green-700',
+  [GEOCODE_LOW_CONFIDENCE]: 'text-yellow-700',
+  [GEOCODE_UNRESOLVED]: 'text-red-600',
+};
+
+/**
+ * GeocodingReview Component
+ * Geocoding step for uploads with address-only rows. Addresses are matched
+ * against a local gazetteer (or the given provider); unresolved and
+ * low-confidence rows can be accepted or placed by clicking on the map.
+ *
+ * @param {string} fileName - Name of the uploaded file
+ * @param {Array} rows - Delivery rows with canonical field names
+ * @param {Array} depots - Depots, shown on the map for orientation
+ * @param {Object} provider - Optional geocoding provider; defaults to the saved local gazetteer
+ * @param {Function} onContinue - Callback with the rows, geocoded coordinates filled in
+ * @param {Function} onCancel - Callback to discard the upload
+ * @param {Function} onError - Callback when the gazetteer cannot be read
+ */
+const GeocodingReview = ({
+  fileName,
+  rows = [],
+  depots = [],
+  provider,
+  onContinue,
+  onCancel,
+  onError,
+}) => {
+  const [gazetteer, setGazetteer] = useState(null); // { name, entries }
+  const [results, setResults] = useState([]);
+  const [isGeocoding, setIsGeocoding] = useState(true);
+  const [placingIndex, setPlacingIndex] = useState(null);
+  const [showAll, setShowAll] = useState(false);
+  const fileInputRef = useRef(null);
+
+  // Latest callbacks for async effects
+  const latest = useRef({});
+  latest.current = { onError };
+
+  const activeProvider = useMemo(() => {
+    if (provider) return provider;
+    return gazetteer ? createGazetteerProvider(gazetteer.entries, gazetteer.name) : null;
+  }, [provider, gazetteer]);
+
+  // Use the gazetteer saved in an earlier session
+  useEffect(() => {
+    if (provider) return;
+    let cancelled = false;
+    loadGazetteer().then((saved) => {
+      if (cancelled) return;
+      if (saved) {
+        setGazetteer(saved);
+        return;
+      }
+      // Without a gazetteer every row is listed for manual placement
+      geocodeRows(rows, null).then((unresolved) => {
+        if (cancelled) return;
+        setResults(unresolved);
+        setIsGeocoding(false);
+      });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [provider, rows]);
+
+  // Geocode whenever the provider changes
+  useEffect(() => {
+    if (!activeProvider) return;
+    let cancelled = false;
+    setIsGeocoding(true);
+    geocodeRows(rows, activeProvider)
+      .then((geocoded) => {
+        if (!cancelled) setResults(geocoded);
+      })
+      .catch((error) => {
+        log('error', 'Geocoding failed:', error);
+        latest.current.onError && latest.current.onError(`Geocoding failed: ${error.message}`);
+      })
+      .finally(() => {
+        if (!cancelled) setIsGeocoding(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [activeProvider, rows]);
+
+  /**
+   * Read, save and use an uploaded gazetteer file
+   */
+  const handleGazetteerFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      // Read as text: postcodes like "02134" must keep their leading zeros
+      const entries = parseGazetteer(await parseDeliveryFile(file, 'delimited', { dynamicTyping: false }));
+      await saveGazetteer(file.name, entries);
+      setGazetteer({ name: file.name, entries });
+    } catch (error) {
+      onError && onError(`Failed to read gazetteer: ${error.message}`);
+    }
+  };
+
+  /**
+   * Update the result of one row
+   */
+  const updateResult = (index, changes) => {
+    setResults(results.map(result => (result.index === index ? { ...result, ...changes } : result)));
+  };
+
+  /**
+   * Place the row being placed at the clicked location
+   */
+  const handleMapClick = ({ lat, lng }) => {
+    updateResult(placingIndex, {
+      lat: roundCoordinate(lat),
+      lng: roundCoordinate(lng),
+      confidence: 1,
+      match: 'Placed on map',
+      status: GEOCODE_RESOLVED,
+    });
+    setPlacingIndex(null);
+  };
+
+  const counts = results.reduce((acc, result) => {
+    acc[result.status] = (acc[result.status] || 0) + 1;
+    return acc;
+  }, {});
+
+  const geocodedRows = useMemo(() => applyGeocodes(rows, results), [rows, results]);
+  const mapPoints = useMemo(() => geocodedRows
+    .filter(row => Number.isFinite(parseFloat(row.lat)) && Number.isFinite(parseFloat(row.lng)))
+    .map(row => ({ ...row, lat: parseFloat(row.lat), lng: parseFloat(row.lng) })), [geocodedRows]);
+
+  const listed = showAll ? results : results.filter(result => result.status !== GEOCODE_RESOLVED);
+  const placingRow = placingIndex !== null ? rows[placingIndex] : null;
+
+  return (
+    <div className="mt-4 border border-primary-200 rounded-lg overflow-hidden">
+      <div className="bg-primary-50 px-4 py-3 border-b border-primary-200">
+        <div className="flex items-center space-x-2">
+          <MapPinned className="w-5 h-5 text-primary-600" />
+          <h3 className="text-sm font-semibold text-gray-800">Geocode addresses{fileName ? ` in ${fileName}` : ''}</h3>
+        </div>
+        <p className="text-xs text-gray-600 mt-1">
+          {results.length} {results.length === 1 ? 'row has' : 'rows have'} an address but no coordinates.
+          {' '}{counts[GEOCODE_RESOLVED] || 0} resolved, {counts[GEOCODE_LOW_CONFIDENCE] || 0} low confidence,
+          {' '}{counts[GEOCODE_UNRESOLVED] || 0} unresolved. Rows left without coordinates are listed in the validation step.
+        </p>
+      </div>
+
+      {/* Provider */}
+      <div className="px-4 py-2 border-b border-gray-200 flex flex-wrap items-center justify-between gap-3 text-sm">
+        <span className="text-gray-700">
+          {activeProvider
+            ? <>Matching against <span className="font-medium">{activeProvider.name}</span>{activeProvider.size ? ` (${activeProvider.size.toLocaleString()} places)` : ''}</>
+            : 'No gazetteer loaded. Upload a gazetteer or postcode-centroid CSV with name or postcode and lat/lng columns.'}
+        </span>
+        {!provider && (
+          <>
+            <button
+              type="button"
+              onClick={() => fileInputRef.current?.click()}
+              className="btn-secondary text-sm flex items-center space-x-1"
+            >
+              <Upload className="w-4 h-4" />
+              <span>{gazetteer ? 'Replace Gazetteer' : 'Upload Gazetteer'}</span>
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".csv,.tsv,.txt"
+              onChange={handleGazetteerFile}
+              className="hidden"
+              aria-label="Gazetteer file input"
+            />
+          </>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2">
+        <div className="overflow-x-auto max-h-80 overflow-y-auto">
+          {isGeocoding ? (
+            <p className="px-4 py-6 text-sm text-gray-500 text-center">Geocoding addresses...</p>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Row</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Address</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Match</th>
+                  <th className="px-3 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {listed.slice(0, MAX_LISTED_ROWS).map((result) => {
+                  const row = rows[result.index];
+                  return (
+                    <tr key={result.index} className={placingIndex === result.index ? 'bg-primary-50' : ''}>
+                      <td className="px-3 py-2 text-sm text-gray-800">{result.index + 1}</td>
+                      <td className="px-3 py-2 text-sm">
+                        <p className="text-gray-800">{row.customer_name}</p>
+                        <p className="text-xs text-gray-500">{row.address}</p>
+                      </td>
+                      <td className="px-3 py-2 text-xs">
+                        <p className={`font-medium ${STATUS_STYLES[result.status]}`}>{STATUS_LABELS[result.status]}</p>
+                        {result.match && (
+                          <p className="text-gray-500">
+                            {result.match}
+                            {result.status !== GEOCODE_UNRESOLVED && ` · ${Math.round(result.confidence * 100)}%`}
+                          </p>
+                        )}
+                      </td>
+                      <td className="px-3 py-2">
+                        <div className="flex items-center justify-end space-x-1">
+                          {result.status === GEOCODE_LOW_CONFIDENCE && (
+                            <button
+                              type="button"
+                              onClick={() => updateResult(result.index, { status: GEOCODE_RESOLVED })}
+                              className="p-1 text-green-600 hover:text-green-800"
+                              title="Accept match"
+                              aria-label={`Accept match for row ${result.index + 1}`}
+                            >
+                              <Check className="w-4 h-4" />
+                            </button>
+                          )}
+                          <button
+                            type="button"
+                            onClick={() => setPlacingIndex(placingIndex === result.index ? null : result.index)}
+                            className={`p-1 hover:text-primary-800 ${placingIndex === result.index ? 'text-primary-700' : 'text-gray-500'}`}
+                            title="Place on map"
+                            aria-label={`Place row ${result.index + 1} on map`}
+                          >
+                            <MapPin className="w-4 h-4" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+                {listed.length === 0 && (
+                  <tr>
+                    <td colSpan={4} className="px-3 py-4 text-sm text-center text-gray-500">
+                      All addresses were resolved
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          )}
+          {listed.length > MAX_LISTED_ROWS && (
+            <p className="px-3 py-2 text-xs text-gray-500 flex items-center space-x-1">
+              <AlertTriangle className="w-3 h-3" />
+              <span>Showing the first {MAX_LISTED_ROWS} of {listed.length.toLocaleString()} rows</span>
+            </p>
+          )}
+        </div>
+
+        <div className="h-80 border-t lg:border-t-0 lg:border-l border-gray-200">
+          <MapView
+            deliveryPoints={mapPoints}
+            depots={depots}
+            onMapClick={placingRow ? handleMapClick : undefined}
+            clickPrompt={placingRow ? `Click the map to place ${placingRow.customer_name || `row ${placingIndex + 1}`}` : ''}
+          />
+        </div>
+      </div>
+
+      <div className="px-4 py-3 bg-gray-50 border-t border-gray-200 flex items-center justify-between">
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={showAll}
+            onChange={(e) => setShowAll(e.target.checked)}
+            className="w-4 h-4 text-primary-600 border-gray-300 rounded"
+          />
+          <span>Show resolved rows</span>
+        </label>
+        <div className="flex items-center space-x-3">
+          <button type="button" onClick={onCancel} className="btn-secondary text-sm">
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={() => onContinue && onContinue(geocodedRows)}
+            disabled={isGeocoding}
+            className="btn-primary text-sm"
+          >
+            Continue
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GeocodingReview;
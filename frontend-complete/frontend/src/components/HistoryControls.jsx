@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react';
+import { Undo2, Redo2, History } from 'lucide-react';
+
+/**
+ * Check whether a keyboard event comes from a text-editing element,
+ * where the browser's own undo should win
+ */
+const isEditableTarget = (target) => {
+  if (!target) return false;
+  const tag = target.tagName;
+  return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || target.isContentEditable;
+};
+
+/**
+ * HistoryControls Component
+ * Undo/redo buttons, keyboard shortcuts and a list of past plan states
+ *
+ * @param {Array} entries - History entries ({ label, timestamp })
+ * @param {number} currentIndex - Index of the current entry
+ * @param {Boolean} canUndo - Whether undo is available
+ * @param {Boolean} canRedo - Whether redo is available
+ * @param {Function} onUndo - Undo callback
+ * @param {Function} onRedo - Redo callback
+ * @param {Function} onJump - Callback with the entry index to restore
+ */
+const HistoryControls = ({ entries = [], currentIndex = 0, canUndo, canRedo, onUndo, onRedo, onJump }) => {
+  const [showList, setShowList] = useState(false);
+
+  /**
+   * Keyboard shortcuts: Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl+Y to redo
+   */
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || isEditableTarget(e.target)) return;
+      const key = e.key.toLowerCase();
+
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        canUndo && onUndo && onUndo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        canRedo && onRedo && onRedo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [canUndo, canRedo, onUndo, onRedo]);
+
+  return (
+    <div className="relative flex items-center space-x-1">
+      <button
+        onClick={onUndo}
+        disabled={!canUndo}
+        className="p-2 rounded-lg text-gray-600 hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed"
+        title="Undo (Ctrl+Z)"
+        aria-label="Undo"
+      >
+        <Undo2 className="w-5 h-5" />
+      </button>
+      <button
+        onClick={onRedo}
+        disabled={!canRedo}
+        className="p-2 rounded-lg text-gray-600 hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed"
+        title="Redo (Ctrl+Shift+Z)"
+        aria-label="Redo"
+      >
+        <Redo2 className="w-5 h-5" />
+      </button>
+      <button
+        onClick={() => setShowList(!showList)}
+        className="p-2 rounded-lg text-gray-600 hover:bg-gray-100"
+        title="History"
+        aria-label="Show history"
+      >
+        <History className="w-5 h-5" />
+      </button>
+
+      {/* History list */}
+      {showList && (
+        <>
+          {/* Backdrop */}
+          <div
+            className="fixed inset-0 z-10"
+            onClick={() => setShowList(false)}
+          />
+
+          <div className="absolute right-0 top-full mt-2 w-72 bg-white rounded-lg shadow-xl border border-gray-200 z-20 overflow-hidden">
+            <div className="px-4 py-2 bg-gray-50 border-b border-gray-200">
+              <p className="text-sm font-semibold text-gray-700">History</p>
+            </div>
+            <ul className="max-h-80 overflow-y-auto py-1">
+              {entries.map((entry, index) => (
+                <li key={`${index}-${entry.timestamp}`}>
+                  <button
+                    onClick={() => {
+                      onJump && onJump(index);
+                      setShowList(false);
+                    }}
+                    className={`
+                      w-full px-4 py-2 text-left text-sm flex items-center justify-between hover:bg-gray-50
+                      ${index === currentIndex ? 'bg-primary-50 text-primary-700 font-medium' : ''}
+                      ${index > currentIndex ? 'text-gray-400' : 'text-gray-700'}
+                    `}
+                  >
+                    <span>{entry.label}</span>
+                    <span className="text-xs text-gray-400">
+                      {new Date(entry.timestamp).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default HistoryControls;
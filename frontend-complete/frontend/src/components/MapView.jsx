@@ -1,8 +1,26 @@
-import React, { useEffect, useRef } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, Polyline, useMap } from 'react-leaflet';
-import { Map as MapIcon, Navigation } from 'lucide-react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { MapContainer, TileLayer, Marker, CircleMarker, Popup, Polyline, useMap, useMapEvents } from 'react-leaflet';
+import { Map as MapIcon, Navigation, Layers, MapPin, Warehouse, Plus, Eye, EyeOff } from 'lucide-react';
+import PointForm from './PointForm';
 import L from 'leaflet';
-import { getRouteColor, calculateMapBounds } from '../utils/helpers';
+import { getRouteColor, calculateMapBounds, formatTimeWindow, formatClock, formatTime } from '../utils/helpers';
+import { getVehicleLabel } from '../utils/fleet';
+import { getDepotLocation, resolveRouteDepots } from '../utils/depots';
+import { indexPointsById, indexStopsById } from '../utils/deliveryPoints';
+import { clusterPoints, CLUSTER_MAX_ZOOM } from '../utils/mapClustering';
+import { getRouteSchedule } from '../utils/schedule';
+import useRouteGeometry from '../hooks/useRouteGeometry';
+
+// Above this many points, points are drawn on the canvas instead of as labelled HTML markers
+const DENSE_POINT_COUNT = 500;
+
+// Unrouted points are clustered at low zoom once there are more than this many
+const CLUSTER_MIN_POINTS = 100;
+
+const UNROUTED_COLOR = '#6B7280';
+
+// Shared default for list props, so memoized values keep their identity across renders
+const EMPTY_LIST = Object.freeze([]);
 
 // Fix for default marker icons in react-leaflet
 delete L.Icon.Default.prototype._getIconUrl;
@@ -28,17 +46,99 @@ const FitBounds = ({ points }) => {
   return null;
 };
 
+/**
+ * Component to centre the map on a selected point, zooming in far enough to
+ * show it outside any cluster
+ */
+const CenterOnPoint = ({ point }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    if (point) {
+      map.setView([point.lat, point.lng], Math.max(map.getZoom(), CLUSTER_MAX_ZOOM));
+    }
+  }, [point, map]);
+
+  return null;
+};
+
+/**
+ * Component to report the zoom level, used for clustering
+ */
+const ZoomTracker = ({ onZoom }) => {
+  const map = useMapEvents({
+    zoomend: () => onZoom(map.getZoom()),
+  });
+
+  useEffect(() => {
+    onZoom(map.getZoom());
+  }, [map, onZoom]);
+
+  return null;
+};
+
+/**
+ * Component to report clicks on the map
+ */
+const MapClickHandler = ({ onClick }) => {
+  useMapEvents({
+    click: (e) => onClick({ lat: e.latlng.lat, lng: e.latlng.lng }),
+  });
+
+  return null;
+};
+
+// Icons are shared by markers with the same color and label
+const iconCache = new Map();
+
 /**
  * Create custom colored icon for route markers
+ * Highlighted markers are drawn larger with a dark border.
+ */
+const createColoredIcon = (color, label, highlighted = false) => {
+  const key = `${color}:${label}:${highlighted}`;
+  const size = highlighted ? 38 : 30;
+  if (!iconCache.has(key)) {
+    iconCache.set(key, L.divIcon({
+      className: 'custom-marker',
+      html: `
+        <div style="
+          background-color: ${color};
+          width: ${size}px;
+          height: ${size}px;
+          border-radius: 50%;
+          border: 3px solid ${highlighted ? '#111827' : 'white'};
+          box-shadow: 0 2px 5px rgba(0,0,0,0.3);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          font-weight: bold;
+          color: white;
+          font-size: 12px;
+        ">
+          ${label}
+        </div>
+      `,
+      iconSize: [size, size],
+      iconAnchor: [size / 2, size / 2],
+      popupAnchor: [0, -size / 2],
+    }));
+  }
+  return iconCache.get(key);
+};
+
+/**
+ * Create the icon of a cluster of unrouted points, sized by its count
  */
-const createColoredIcon = (color, label) => {
+const createClusterIcon = (count) => {
+  const size = count < 100 ? 34 : count < 1000 ? 42 : 50;
   return L.divIcon({
     className: 'custom-marker',
     html: `
       <div style="
-        background-color: ${color};
-        width: 30px;
-        height: 30px;
+        background-color: rgba(107, 114, 128, 0.85);
+        width: ${size}px;
+        height: ${size}px;
         border-radius: 50%;
         border: 3px solid white;
         box-shadow: 0 2px 5px rgba(0,0,0,0.3);
@@ -49,12 +149,11 @@ const createColoredIcon = (color, label) => {
         color: white;
         font-size: 12px;
       ">
-        ${label}
+        ${count.toLocaleString()}
       </div>
     `,
-    iconSize: [30, 30],
-    iconAnchor: [15, 15],
-    popupAnchor: [0, -15],
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2],
   });
 };
 
@@ -64,121 +163,330 @@ const createColoredIcon = (color, label) => {
  * 
  * @param {Array} deliveryPoints - Array of delivery locations
  * @param {Array} routes - Array of optimized routes
- * @param {Object} startLocation - Starting location coordinates
+ * @param {Array} depots - Depots/warehouses routes start and end at
+ * @param {Array} fleet - Vehicle classes, used to label routes by vehicle
+ * @param {Function} onMoveStop - Callback ({ fromRoute, fromIndex, toRoute }) to reassign a stop from its popup
+ * @param {Array} scenarioOptions - Saved scenarios ({ id, name }) that can be overlaid instead of the current plan
+ * @param {string} activeScenarioId - Id of the overlaid scenario, or null for the current plan
+ * @param {Function} onScenarioChange - Callback with the scenario id to overlay (null for the current plan)
+ * @param {Function} onMapClick - Callback with { lat, lng } of a map click; the map stays shown without points while set
+ * @param {string} clickPrompt - Instruction shown while waiting for a map click
+ * @param {Function} onDepotMove - Callback (depotId, { lat, lng }) when a depot is placed or dragged; enables depot editing
+ * @param {Function} onAddPoint - Callback with a new delivery point placed on the map; enables adding points
+ * @param {Object} constraints - Constraints, used for stop ETAs and to check the time window of new points
+ * @param {Array} hiddenRoutes - Indices of routes not drawn
+ * @param {number} focusedRoute - Index of the route the map is zoomed to, others dimmed; null for none
+ * @param {string|number} highlightedStopId - Id of the highlighted delivery point
+ * @param {string|number} selectedStopId - Id of the selected delivery point; the map centres on it
+ * @param {Function} onToggleRoute - Callback with a route index to show or hide it; enables legend controls
+ * @param {Function} onSoloRoute - Callback with a route index to show only that route
+ * @param {Function} onFocusRoute - Callback with a route index to zoom to it
+ * @param {Function} onShowAllRoutes - Callback to show every route and zoom out
+ * @param {Function} onHighlightStop - Callback with the hovered point id (null when the pointer leaves)
  */
-const MapView = ({ deliveryPoints = [], routes = [], startLocation = null }) => {
+const MapView = ({
+  deliveryPoints = EMPTY_LIST,
+  routes = EMPTY_LIST,
+  depots = EMPTY_LIST,
+  fleet = EMPTY_LIST,
+  onMoveStop,
+  scenarioOptions = EMPTY_LIST,
+  activeScenarioId = null,
+  onScenarioChange,
+  onMapClick,
+  clickPrompt,
+  onDepotMove,
+  onAddPoint,
+  constraints,
+  hiddenRoutes = EMPTY_LIST,
+  focusedRoute = null,
+  highlightedStopId = null,
+  selectedStopId = null,
+  onToggleRoute,
+  onSoloRoute,
+  onFocusRoute,
+  onShowAllRoutes,
+  onHighlightStop,
+}) => {
   const mapRef = useRef(null);
+  const [placeMode, setPlaceMode] = useState(null); // 'depot' or 'point' while waiting for a click
+  const [selectedDepotId, setSelectedDepotId] = useState(null);
+  const [pendingPoint, setPendingPoint] = useState(null); // Clicked location of a new point
+  const isEditable = Boolean(onDepotMove || onAddPoint);
+  const placedDepot = depots.find(depot => depot.id === selectedDepotId) || depots[0] || null;
 
   // Default center (will be overridden by FitBounds)
   const defaultCenter = [40.7128, -74.0060]; // New York City
   const defaultZoom = 12;
+  const [zoom, setZoom] = useState(defaultZoom);
+
+  // All points for map bounds calculation; kept stable so zooming does not refit the map
+  const allPoints = useMemo(() => {
+    const points = [...deliveryPoints];
+    depots.forEach(depot => {
+      const location = getDepotLocation(depot);
+      if (location) points.unshift(location);
+    });
+    return points;
+  }, [deliveryPoints, depots]);
+
+  // Id lookups shared with RouteTable and the route helpers
+  const pointsById = indexPointsById(deliveryPoints);
+  const stopsById = indexStopsById(routes);
+  const isDense = deliveryPoints.length > DENSE_POINT_COUNT;
+  const hasFocus = focusedRoute !== null && focusedRoute < routes.length;
+
+  // Points of the focused route; the map zooms to these instead of all points
+  const focusedPoints = useMemo(() => {
+    if (!hasFocus) return null;
+    const route = routes[focusedRoute];
+    const { start, end } = resolveRouteDepots(route, depots);
+    const points = [getDepotLocation(start), getDepotLocation(end)].filter(Boolean);
+    route.stops.forEach((stop) => {
+      const point = pointsById.get(stop.id);
+      if (point) points.push(point);
+    });
+    return points;
+  }, [hasFocus, focusedRoute, routes, depots, pointsById]);
+
+  // Computed ETAs by point id, shown in the popups
+  const etasById = useMemo(() => {
+    const etas = new Map();
+    routes.forEach((route) => {
+      getRouteSchedule(route, deliveryPoints, constraints).stops.forEach(stop => etas.set(stop.id, stop));
+    });
+    return etas;
+  }, [routes, deliveryPoints, constraints]);
+
+  // Depot and stop positions of each route, in driving order
+  const routeWaypoints = useMemo(() => routes.map((route) => {
+    const positions = [];
+    const routeDepots = resolveRouteDepots(route, depots);
+    const start = getDepotLocation(routeDepots.start);
+    const end = getDepotLocation(routeDepots.end);
+
+    // Leave from the origin depot if it has coordinates
+    if (start) {
+      positions.push([start.lat, start.lng]);
+    }
+
+    // Add all stops in the route
+    route.stops.forEach(stop => {
+      const point = pointsById.get(stop.id);
+      if (point) {
+        positions.push([parseFloat(point.lat), parseFloat(point.lng)]);
+      }
+    });
+
+    // Finish at the destination depot (open routes end at the last stop)
+    if (end) {
+      positions.push([end.lat, end.lng]);
+    }
+    return positions;
+  }), [routes, depots, pointsById]);
+
+  // Lines follow the roads once the routing service has returned them
+  const getRouteLine = useRouteGeometry(routeWaypoints);
+
+  const unroutedPoints = useMemo(
+    () => deliveryPoints.filter(point => !stopsById.has(point.id)),
+    [deliveryPoints, stopsById]
+  );
+  const unroutedClusters = useMemo(
+    () => (unroutedPoints.length > CLUSTER_MIN_POINTS ? clusterPoints(unroutedPoints, zoom) : null),
+    [unroutedPoints, zoom]
+  );
 
   /**
-   * Get all points for map bounds calculation
+   * Toggle a placement mode from the toolbar
    */
-  const getAllPoints = () => {
-    const points = [...deliveryPoints];
-    if (startLocation && startLocation.lat && startLocation.lng) {
-      points.unshift(startLocation);
+  const togglePlaceMode = (mode) => {
+    setPlaceMode(placeMode === mode ? null : mode);
+    setPendingPoint(null);
+  };
+
+  /**
+   * Place the depot or start a new point at the clicked location
+   */
+  const handlePlaceClick = (location) => {
+    if (placeMode === 'depot') {
+      onDepotMove(placedDepot?.id ?? null, location);
+    } else {
+      setPendingPoint(location);
     }
-    return points;
+    setPlaceMode(null);
+  };
+
+  /**
+   * Add the point completed in the form
+   */
+  const handlePointSubmit = (point) => {
+    onAddPoint(point);
+    setPendingPoint(null);
   };
 
+  // Map clicks go to the caller, or to the active placement mode
+  const handleMapClick = onMapClick || (placeMode ? handlePlaceClick : null);
+  const placePrompt = placeMode === 'depot'
+    ? `Click the map to place ${placedDepot?.name || 'the depot'}`
+    : 'Click the map to add a delivery point';
+  const prompt = onMapClick ? clickPrompt : placeMode && placePrompt;
+
   /**
    * Render route polylines
    */
   const renderRoutes = () => {
     if (!routes || routes.length === 0) return null;
 
-    return routes.map((route, routeIndex) => {
-      const color = getRouteColor(routeIndex);
-      const positions = [];
-
-      // Add start location if available
-      if (startLocation && startLocation.lat && startLocation.lng) {
-        positions.push([startLocation.lat, startLocation.lng]);
-      }
-
-      // Add all stops in the route
-      route.stops.forEach(stop => {
-        const point = deliveryPoints.find(p => p.id === stop.id);
-        if (point) {
-          positions.push([point.lat, point.lng]);
-        }
-      });
-
-      // Return to start location
-      if (startLocation && startLocation.lat && startLocation.lng) {
-        positions.push([startLocation.lat, startLocation.lng]);
-      }
+    return routeWaypoints.map((waypoints, routeIndex) => {
+      if (hiddenRoutes.includes(routeIndex)) return null;
 
       return (
         <Polyline
           key={`route-${routeIndex}`}
-          positions={positions}
-          color={color}
-          weight={4}
-          opacity={0.7}
+          positions={getRouteLine(waypoints)}
+          color={getRouteColor(routeIndex)}
+          weight={hasFocus && routeIndex === focusedRoute ? 6 : 4}
+          opacity={hasFocus && routeIndex !== focusedRoute ? 0.15 : 0.7}
         />
       );
     });
   };
 
+  /**
+   * Render the popup of a delivery point
+   */
+  const renderPointPopup = (point, routeIndex, stopNumber) => {
+    const eta = routeIndex >= 0 ? etasById.get(point.id) : null;
+    return (
+      <Popup>
+        <div className="space-y-2">
+          <h4 className="font-semibold text-gray-800">{point.customer_name}</h4>
+          <p className="text-sm text-gray-600">{point.address}</p>
+          {routeIndex >= 0 && (
+            <div className="text-xs text-gray-500">
+              <p>Route: {routeIndex + 1}</p>
+              <p>Stop: {stopNumber}</p>
+            </div>
+          )}
+          {eta && (
+            <div className={`text-xs ${eta.late ? 'text-red-600 font-medium' : 'text-gray-500'}`}>
+              <p>ETA: {formatClock(eta.arrival)}{eta.late ? ' (late)' : ''}</p>
+              {eta.wait >= 1 && <p>Wait: {formatTime(eta.wait)}</p>}
+              <p>Departs: {formatClock(eta.departure)}</p>
+            </div>
+          )}
+          {routeIndex >= 0 && onMoveStop && routes.length > 1 && (
+            <label className="block text-xs text-gray-600">
+              Move to route
+              <select
+                value={routeIndex}
+                onChange={(e) => onMoveStop({
+                  fromRoute: routeIndex,
+                  fromIndex: stopNumber - 1,
+                  toRoute: parseInt(e.target.value),
+                })}
+                className="ml-2 border border-gray-300 rounded px-1 py-0.5"
+              >
+                {routes.map((_, index) => (
+                  <option key={index} value={index}>Route {index + 1}</option>
+                ))}
+              </select>
+            </label>
+          )}
+          {formatTimeWindow(point) && (
+            <p className="text-xs text-gray-500">
+              Window: {formatTimeWindow(point)}
+            </p>
+          )}
+        </div>
+      </Popup>
+    );
+  };
+
+  /**
+   * Render one delivery point: a labelled marker, or a canvas circle on dense maps
+   */
+  const renderPoint = (point) => {
+    const stop = stopsById.get(point.id);
+    const routeIndex = stop ? stop.routeIndex : -1;
+    const stopNumber = stop ? stop.stopIndex + 1 : -1;
+    if (routeIndex >= 0 && hiddenRoutes.includes(routeIndex)) return null;
+
+    const color = routeIndex >= 0 ? getRouteColor(routeIndex) : UNROUTED_COLOR;
+    const isDimmed = hasFocus && routeIndex !== focusedRoute;
+    const isHighlighted = (highlightedStopId !== null && point.id === highlightedStopId) ||
+      (selectedStopId !== null && point.id === selectedStopId);
+    const eventHandlers = onHighlightStop ? {
+      mouseover: () => onHighlightStop(point.id),
+      mouseout: () => onHighlightStop(null),
+    } : undefined;
+
+    if (isDense) {
+      return (
+        <CircleMarker
+          key={`marker-${point.id}`}
+          center={[point.lat, point.lng]}
+          radius={isHighlighted ? 10 : 6}
+          pathOptions={{
+            color: isHighlighted ? '#111827' : 'white',
+            weight: isHighlighted ? 3 : 1,
+            fillColor: color,
+            fillOpacity: isDimmed ? 0.2 : 0.9,
+          }}
+          eventHandlers={eventHandlers}
+        >
+          {renderPointPopup(point, routeIndex, stopNumber)}
+        </CircleMarker>
+      );
+    }
+
+    return (
+      <Marker
+        key={`marker-${point.id}`}
+        position={[point.lat, point.lng]}
+        icon={createColoredIcon(color, stopNumber > 0 ? stopNumber : '?', isHighlighted)}
+        opacity={isDimmed ? 0.35 : 1}
+        zIndexOffset={isHighlighted ? 1000 : 0}
+        eventHandlers={eventHandlers}
+      >
+        {renderPointPopup(point, routeIndex, stopNumber)}
+      </Marker>
+    );
+  };
+
   /**
    * Render delivery point markers
+   * Unrouted points are clustered at low zoom when there are many of them.
    */
   const renderMarkers = () => {
-    return deliveryPoints.map((point, index) => {
-      // Find which route this point belongs to
-      let routeIndex = -1;
-      let stopNumber = -1;
-
-      routes.forEach((route, rIndex) => {
-        const stopIndex = route.stops.findIndex(s => s.id === point.id);
-        if (stopIndex !== -1) {
-          routeIndex = rIndex;
-          stopNumber = stopIndex + 1;
-        }
-      });
-
-      const color = routeIndex >= 0 ? getRouteColor(routeIndex) : '#6B7280';
-      const label = stopNumber > 0 ? stopNumber : '?';
+    if (!unroutedClusters) {
+      return deliveryPoints.map(renderPoint);
+    }
 
+    const routed = deliveryPoints.filter(point => stopsById.has(point.id)).map(renderPoint);
+    const unrouted = unroutedClusters.map((cluster) => {
+      if (cluster.count === 1) return renderPoint(cluster.points[0]);
       return (
         <Marker
-          key={`marker-${point.id}`}
-          position={[point.lat, point.lng]}
-          icon={createColoredIcon(color, label)}
-        >
-          <Popup>
-            <div className="space-y-2">
-              <h4 className="font-semibold text-gray-800">{point.customer_name}</h4>
-              <p className="text-sm text-gray-600">{point.address}</p>
-              {routeIndex >= 0 && (
-                <div className="text-xs text-gray-500">
-                  <p>Route: {routeIndex + 1}</p>
-                  <p>Stop: {stopNumber}</p>
-                </div>
-              )}
-              {point.delivery_window && (
-                <p className="text-xs text-gray-500">
-                  Window: {point.delivery_window}
-                </p>
-              )}
-            </div>
-          </Popup>
-        </Marker>
+          key={cluster.id}
+          position={[cluster.lat, cluster.lng]}
+          icon={createClusterIcon(cluster.count)}
+          title={`${cluster.count} unrouted points`}
+          eventHandlers={{
+            click: () => mapRef.current?.fitBounds(cluster.bounds, { padding: [50, 50] }),
+          }}
+        />
       );
     });
+    return [...routed, ...unrouted];
   };
 
   /**
-   * Render start location marker
+   * Render a marker for every depot with coordinates
    */
-  const renderStartMarker = () => {
-    if (!startLocation || !startLocation.lat || !startLocation.lng) return null;
-
-    const startIcon = L.divIcon({
+  const renderDepotMarkers = () => {
+    const depotIcon = L.divIcon({
       className: 'custom-marker',
       html: `
         <div style="
@@ -202,23 +510,45 @@ const MapView = ({ deliveryPoints = [], routes = [], startLocation = null }) =>
       popupAnchor: [0, -20],
     });
 
-    return (
-      <Marker
-        position={[startLocation.lat, startLocation.lng]}
-        icon={startIcon}
-      >
-        <Popup>
-          <div className="space-y-2">
-            <h4 className="font-semibold text-green-800">Start Location</h4>
-            <p className="text-sm text-gray-600">Depot/Warehouse</p>
-          </div>
-        </Popup>
-      </Marker>
-    );
+    return depots.map((depot) => {
+      const location = getDepotLocation(depot);
+      if (!location) return null;
+
+      const startingRoutes = routes.filter(route => resolveRouteDepots(route, depots).start?.id === depot.id).length;
+      const endingRoutes = routes.filter(route => resolveRouteDepots(route, depots).end?.id === depot.id).length;
+
+      return (
+        <Marker
+          key={`depot-${depot.id}`}
+          position={[location.lat, location.lng]}
+          icon={depotIcon}
+          draggable={Boolean(onDepotMove)}
+          eventHandlers={onDepotMove ? {
+            dragend: (e) => {
+              const { lat, lng } = e.target.getLatLng();
+              onDepotMove(depot.id, { lat, lng });
+            },
+          } : undefined}
+        >
+          <Popup>
+            <div className="space-y-2">
+              <h4 className="font-semibold text-green-800">{depot.name || 'Depot'}</h4>
+              <p className="text-sm text-gray-600">Depot/Warehouse</p>
+              {onDepotMove && <p className="text-xs text-gray-500">Drag the marker to move it</p>}
+              {routes.length > 0 && (
+                <p className="text-xs text-gray-500">
+                  {startingRoutes} routes start, {endingRoutes} routes end here
+                </p>
+              )}
+            </div>
+          </Popup>
+        </Marker>
+      );
+    });
   };
 
   // If no data, show empty state
-  if (!deliveryPoints || deliveryPoints.length === 0) {
+  if ((!deliveryPoints || deliveryPoints.length === 0) && !onMapClick && !isEditable) {
     return (
       <div className="w-full h-full flex items-center justify-center bg-gray-100 rounded-lg">
         <div className="text-center space-y-3">
@@ -231,12 +561,13 @@ const MapView = ({ deliveryPoints = [], routes = [], startLocation = null }) =>
   }
 
   return (
-    <div className="w-full h-full rounded-lg overflow-hidden shadow-md border border-gray-200">
+    <div className={`relative w-full h-full rounded-lg overflow-hidden shadow-md border border-gray-200 ${handleMapClick ? 'map-placing' : ''}`}>
       <MapContainer
         center={defaultCenter}
         zoom={defaultZoom}
         style={{ height: '100%', width: '100%' }}
         ref={mapRef}
+        preferCanvas
       >
         <TileLayer
           attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
@@ -244,37 +575,175 @@ const MapView = ({ deliveryPoints = [], routes = [], startLocation = null }) =>
         />
         
         {/* Fit bounds to show all points */}
-        <FitBounds points={getAllPoints()} />
+        <FitBounds points={focusedPoints || allPoints} />
+        <ZoomTracker onZoom={setZoom} />
+        <CenterOnPoint point={selectedStopId !== null ? pointsById.get(selectedStopId) : null} />
         
         {/* Render route polylines */}
         {renderRoutes()}
         
-        {/* Render start location marker */}
-        {renderStartMarker()}
+        {/* Render depot markers */}
+        {renderDepotMarkers()}
         
         {/* Render delivery markers */}
         {renderMarkers()}
+
+        {/* Report clicks while placing a point */}
+        {handleMapClick && <MapClickHandler onClick={handleMapClick} />}
       </MapContainer>
 
-      {/* Map legend */}
+      {/* Placement prompt */}
+      {handleMapClick && prompt && (
+        <div className="absolute top-4 left-1/2 -translate-x-1/2 bg-white rounded-lg shadow-lg px-3 py-2 z-[1000] flex items-center space-x-2 text-sm text-gray-800">
+          <MapPin className="w-4 h-4 text-primary-600" />
+          <span>{prompt}</span>
+        </div>
+      )}
+
+      {/* Editing toolbar */}
+      {isEditable && !onMapClick && (
+        <div className="absolute bottom-4 left-4 bg-white rounded-lg shadow-lg p-2 z-[1000] flex items-center space-x-2">
+          {onDepotMove && (
+            <>
+              {depots.length > 1 && (
+                <select
+                  value={placedDepot?.id ?? ''}
+                  onChange={(e) => setSelectedDepotId(e.target.value)}
+                  aria-label="Depot to place"
+                  className="text-sm border border-gray-300 rounded px-1 py-0.5 max-w-[10rem]"
+                >
+                  {depots.map(depot => (
+                    <option key={depot.id} value={depot.id}>{depot.name || 'Unnamed depot'}</option>
+                  ))}
+                </select>
+              )}
+              <button
+                type="button"
+                onClick={() => togglePlaceMode('depot')}
+                aria-pressed={placeMode === 'depot'}
+                className={`flex items-center space-x-1 text-sm px-2 py-1 rounded ${placeMode === 'depot' ? 'bg-primary-600 text-white' : 'text-gray-700 hover:bg-gray-100'}`}
+              >
+                <Warehouse className="w-4 h-4" />
+                <span>{depots.length > 0 ? 'Set Depot' : 'Add Depot'}</span>
+              </button>
+            </>
+          )}
+          {onAddPoint && (
+            <button
+              type="button"
+              onClick={() => togglePlaceMode('point')}
+              aria-pressed={placeMode === 'point'}
+              className={`flex items-center space-x-1 text-sm px-2 py-1 rounded ${placeMode === 'point' ? 'bg-primary-600 text-white' : 'text-gray-700 hover:bg-gray-100'}`}
+            >
+              <Plus className="w-4 h-4" />
+              <span>Add Stop</span>
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Form for a point placed on the map */}
+      {pendingPoint && (
+        <div className="absolute top-4 left-14 z-[1000]">
+          <PointForm
+            location={pendingPoint}
+            constraints={constraints}
+            onSubmit={handlePointSubmit}
+            onCancel={() => setPendingPoint(null)}
+          />
+        </div>
+      )}
+
+      {/* Scenario overlay toggle */}
+      {scenarioOptions.length > 0 && (
+        <div className="absolute top-4 right-4 bg-white rounded-lg shadow-lg p-2 z-[1000] flex items-center space-x-2">
+          <Layers className="w-4 h-4 text-gray-600" />
+          <select
+            value={activeScenarioId ?? ''}
+            onChange={(e) => onScenarioChange && onScenarioChange(e.target.value || null)}
+            aria-label="Scenario shown on the map"
+            className="text-sm border border-gray-300 rounded px-1 py-0.5"
+          >
+            <option value="">Current plan</option>
+            {scenarioOptions.map(scenario => (
+              <option key={scenario.id} value={scenario.id}>{scenario.name}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {/* Map legend; entries show, hide, solo or zoom to a route when linked */}
       {routes && routes.length > 0 && (
         <div className="absolute bottom-4 right-4 bg-white rounded-lg shadow-lg p-3 z-[1000] max-w-xs">
-          <div className="flex items-center space-x-2 mb-2">
-            <Navigation className="w-4 h-4 text-gray-600" />
-            <h4 className="font-semibold text-sm text-gray-800">Routes</h4>
+          <div className="flex items-center justify-between space-x-2 mb-2">
+            <div className="flex items-center space-x-2">
+              <Navigation className="w-4 h-4 text-gray-600" />
+              <h4 className="font-semibold text-sm text-gray-800">Routes</h4>
+            </div>
+            {onShowAllRoutes && (hiddenRoutes.length > 0 || hasFocus) && (
+              <button
+                type="button"
+                onClick={onShowAllRoutes}
+                className="text-xs text-primary-600 hover:text-primary-800"
+              >
+                Show all
+              </button>
+            )}
           </div>
-          <div className="space-y-1">
-            {routes.map((route, index) => (
-              <div key={`legend-${index}`} className="flex items-center space-x-2 text-xs">
-                <div
-                  className="w-4 h-4 rounded-full border-2 border-white shadow"
-                  style={{ backgroundColor: getRouteColor(index) }}
-                ></div>
-                <span className="text-gray-700">
-                  Route {index + 1} ({route.stops.length} stops)
-                </span>
-              </div>
-            ))}
+          <div className="space-y-1 max-h-48 overflow-y-auto">
+            {routes.map((route, index) => {
+              const isHidden = hiddenRoutes.includes(index);
+              const label = (
+                <>
+                  Route {index + 1}
+                  {getVehicleLabel(route, fleet) && ` · ${getVehicleLabel(route, fleet)}`}
+                  {' '}({route.stops.length} stops)
+                </>
+              );
+              return (
+                <div key={`legend-${index}`} className={`flex items-center space-x-2 text-xs ${isHidden ? 'opacity-50' : ''}`}>
+                  <div
+                    className="w-4 h-4 rounded-full border-2 border-white shadow flex-shrink-0"
+                    style={{ backgroundColor: getRouteColor(index) }}
+                  ></div>
+                  {onFocusRoute ? (
+                    <button
+                      type="button"
+                      onClick={() => onFocusRoute(index)}
+                      aria-pressed={focusedRoute === index}
+                      title="Zoom to route"
+                      className={`flex-1 text-left hover:underline ${focusedRoute === index ? 'font-semibold text-gray-900' : 'text-gray-700'}`}
+                    >
+                      {label}
+                    </button>
+                  ) : (
+                    <span className="text-gray-700">{label}</span>
+                  )}
+                  {onToggleRoute && (
+                    <button
+                      type="button"
+                      onClick={() => onToggleRoute(index)}
+                      className="p-0.5 text-gray-500 hover:text-gray-800"
+                      aria-label={`${isHidden ? 'Show' : 'Hide'} route ${index + 1}`}
+                      title={isHidden ? 'Show route' : 'Hide route'}
+                    >
+                      {isHidden ? <EyeOff className="w-3.5 h-3.5" /> : <Eye className="w-3.5 h-3.5" />}
+                    </button>
+                  )}
+                  {onSoloRoute && (
+                    <button
+                      type="button"
+                      onClick={() => onSoloRoute(index)}
+                      className="px-1 text-gray-500 hover:text-gray-800 font-medium"
+                      aria-label={`Show only route ${index + 1}`}
+                      title="Show only this route"
+                    >
+                      Solo
+                    </button>
+                  )}
+                </div>
+              );
+            })}
           </div>
         </div>
       )}
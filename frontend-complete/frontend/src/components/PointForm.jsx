@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { MapPin, AlertCircle } from 'lucide-react';
+import { createDeliveryPoint } from '../utils/deliveryPoints';
+import { validateDeliveryRows, SEVERITY_ERROR } from '../utils/helpers';
+
+/**
+ * PointForm Component
+ * Small form for an ad-hoc delivery point placed on the map
+ *
+ * @param {Object} location - Clicked location { lat, lng }
+ * @param {Object} constraints - Constraints, used to check the time window
+ * @param {Function} onSubmit - Callback with the new delivery point
+ * @param {Function} onCancel - Callback to discard the point
+ */
+const PointForm = ({ location, constraints = {}, onSubmit, onCancel }) => {
+  const [fields, setFields] = useState({ customer_name: '', address: '', window_start: '', window_end: '' });
+  const [errors, setErrors] = useState([]);
+
+  /**
+   * Update a form field
+   */
+  const handleChange = (field, value) => {
+    setFields({ ...fields, [field]: value });
+  };
+
+  /**
+   * Validate and submit the point
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const point = createDeliveryPoint({ ...fields, ...location });
+    const messages = validateDeliveryRows([point], constraints).issues
+      .filter(issue => issue.severity === SEVERITY_ERROR)
+      .map(issue => issue.message);
+
+    if (messages.length > 0) {
+      setErrors(messages);
+      return;
+    }
+    onSubmit && onSubmit(point);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-lg p-3 w-64 space-y-2">
+      <div className="flex items-center space-x-2">
+        <MapPin className="w-4 h-4 text-primary-600" />
+        <h4 className="text-sm font-semibold text-gray-800">New delivery point</h4>
+      </div>
+      <p className="text-xs text-gray-500">{location.lat.toFixed(5)}, {location.lng.toFixed(5)}</p>
+      <input
+        type="text"
+        value={fields.customer_name}
+        onChange={(e) => handleChange('customer_name', e.target.value)}
+        placeholder="Customer name"
+        aria-label="Customer name"
+        className="input-field px-2 py-1 text-sm"
+        autoFocus
+      />
+      <input
+        type="text"
+        value={fields.address}
+        onChange={(e) => handleChange('address', e.target.value)}
+        placeholder="Address (optional)"
+        aria-label="Address"
+        className="input-field px-2 py-1 text-sm"
+      />
+      <div className="flex items-center space-x-2">
+        <input
+          type="time"
+          value={fields.window_start}
+          onChange={(e) => handleChange('window_start', e.target.value)}
+          aria-label="Window start"
+          className="input-field px-2 py-1 text-sm"
+        />
+        <span className="text-gray-400">–</span>
+        <input
+          type="time"
+          value={fields.window_end}
+          onChange={(e) => handleChange('window_end', e.target.value)}
+          aria-label="Window end"
+          className="input-field px-2 py-1 text-sm"
+        />
+      </div>
+      {errors.length > 0 && (
+        <ul className="text-xs text-red-600 space-y-1">
+          {errors.map(message => (
+            <li key={message} className="flex items-start space-x-1">
+              <AlertCircle className="w-3 h-3 mt-0.5 flex-shrink-0" />
+              <span>{message}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex justify-end space-x-2 pt-1">
+        <button type="button" onClick={onCancel} className="btn-secondary text-sm px-3 py-1">
+          Cancel
+        </button>
+        <button type="submit" className="btn-primary text-sm px-3 py-1">
+          Add Point
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default PointForm;
@@ -0,0 +1,229 @@
+import React, { useState, useRef } from 'react';
+import { FolderOpen, FilePlus, Upload, Download, Copy, Pencil, Trash2, Check, ChevronDown } from 'lucide-react';
+import { formatDateTime } from '../utils/helpers';
+
+// Text shown for each autosave status
+const SAVE_STATUS_LABELS = {
+  idle: '',
+  saving: 'Saving...',
+  saved: 'All changes saved',
+  error: 'Save failed',
+  unavailable: 'Browser storage unavailable',
+};
+
+/**
+ * ProjectPicker Component
+ * Shows the open project and lets the user open, create, rename,
+ * duplicate, delete, import and export projects
+ *
+ * @param {Array} projects - Saved projects ({ id, name, updatedAt })
+ * @param {Object} currentProject - Open project ({ id, name })
+ * @param {string} saveStatus - 'idle', 'saving', 'saved', 'error' or 'unavailable'
+ * @param {Function} onOpen - Callback with the project id to open
+ * @param {Function} onNew - Callback to start a new project
+ * @param {Function} onDuplicate - Callback with the project id to copy
+ * @param {Function} onRename - Callback with the project id and new name
+ * @param {Function} onDelete - Callback with the project id to delete
+ * @param {Function} onImport - Callback with the selected project file
+ * @param {Function} onExport - Callback to download the open project
+ */
+const ProjectPicker = ({
+  projects = [],
+  currentProject,
+  saveStatus = 'idle',
+  onOpen,
+  onNew,
+  onDuplicate,
+  onRename,
+  onDelete,
+  onImport,
+  onExport,
+}) => {
+  const [showMenu, setShowMenu] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState('');
+  const fileInputRef = useRef(null);
+
+  const isAvailable = saveStatus !== 'unavailable';
+
+  /**
+   * Start renaming a project
+   */
+  const startRename = (project) => {
+    setEditingId(project.id);
+    setEditingName(project.name);
+  };
+
+  /**
+   * Apply the new name
+   */
+  const submitRename = (e) => {
+    e.preventDefault();
+    onRename && onRename(editingId, editingName);
+    setEditingId(null);
+  };
+
+  /**
+   * Confirm and delete a project
+   */
+  const handleDelete = (project) => {
+    if (window.confirm(`Delete project "${project.name}"? This cannot be undone.`)) {
+      onDelete && onDelete(project.id);
+    }
+  };
+
+  /**
+   * Import the selected project file
+   */
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    if (file && onImport) {
+      onImport(file);
+      setShowMenu(false);
+    }
+    e.target.value = '';
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setShowMenu(!showMenu)}
+        disabled={!isAvailable}
+        className="flex items-center space-x-2 px-3 py-2 rounded-lg text-gray-700 hover:bg-gray-100 disabled:opacity-60 disabled:cursor-not-allowed"
+        aria-label="Projects"
+      >
+        <FolderOpen className="w-5 h-5 text-gray-600" />
+        <div className="text-left">
+          <p className="text-sm font-medium max-w-[12rem] truncate">
+            {currentProject?.name || 'No project'}
+          </p>
+          <p className="text-xs text-gray-500">{SAVE_STATUS_LABELS[saveStatus]}</p>
+        </div>
+        <ChevronDown className="w-4 h-4 text-gray-500" />
+      </button>
+
+      {/* Project menu */}
+      {showMenu && (
+        <>
+          {/* Backdrop */}
+          <div
+            className="fixed inset-0 z-10"
+            onClick={() => setShowMenu(false)}
+          />
+
+          <div className="absolute right-0 top-full mt-2 w-80 bg-white rounded-lg shadow-xl border border-gray-200 z-20 overflow-hidden">
+            <div className="px-4 py-2 bg-gray-50 border-b border-gray-200">
+              <p className="text-sm font-semibold text-gray-700">Projects</p>
+            </div>
+
+            <ul className="max-h-80 overflow-y-auto divide-y divide-gray-100">
+              {projects.map(project => (
+                <li
+                  key={project.id}
+                  className={`px-4 py-2 flex items-center justify-between ${project.id === currentProject?.id ? 'bg-primary-50' : ''}`}
+                >
+                  {editingId === project.id ? (
+                    <form onSubmit={submitRename} className="flex items-center space-x-2 flex-grow">
+                      <input
+                        type="text"
+                        value={editingName}
+                        onChange={(e) => setEditingName(e.target.value)}
+                        aria-label="Project name"
+                        className="input-field px-2 py-1 text-sm"
+                        autoFocus
+                      />
+                      <button type="submit" className="p-1 text-green-600 hover:text-green-800" aria-label="Save name">
+                        <Check className="w-4 h-4" />
+                      </button>
+                    </form>
+                  ) : (
+                    <>
+                      <button
+                        onClick={() => {
+                          onOpen && onOpen(project.id);
+                          setShowMenu(false);
+                        }}
+                        className="text-left flex-grow min-w-0"
+                      >
+                        <p className={`text-sm truncate ${project.id === currentProject?.id ? 'font-semibold text-primary-700' : 'text-gray-800'}`}>
+                          {project.name}
+                        </p>
+                        <p className="text-xs text-gray-500">Updated {formatDateTime(project.updatedAt)}</p>
+                      </button>
+                      <div className="flex items-center flex-shrink-0">
+                        <button
+                          onClick={() => startRename(project)}
+                          className="p-1 text-gray-400 hover:text-gray-700"
+                          title="Rename"
+                          aria-label={`Rename ${project.name}`}
+                        >
+                          <Pencil className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => onDuplicate && onDuplicate(project.id)}
+                          className="p-1 text-gray-400 hover:text-gray-700"
+                          title="Duplicate"
+                          aria-label={`Duplicate ${project.name}`}
+                        >
+                          <Copy className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(project)}
+                          className="p-1 text-gray-400 hover:text-red-600"
+                          title="Delete"
+                          aria-label={`Delete ${project.name}`}
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </>
+                  )}
+                </li>
+              ))}
+            </ul>
+
+            <div className="border-t border-gray-200 py-1">
+              <button
+                onClick={() => {
+                  onNew && onNew();
+                  setShowMenu(false);
+                }}
+                className="w-full px-4 py-2 text-left text-sm text-gray-700 hover:bg-gray-50 flex items-center space-x-2"
+              >
+                <FilePlus className="w-4 h-4" />
+                <span>New Project</span>
+              </button>
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                className="w-full px-4 py-2 text-left text-sm text-gray-700 hover:bg-gray-50 flex items-center space-x-2"
+              >
+                <Upload className="w-4 h-4" />
+                <span>Import Project</span>
+              </button>
+              <button
+                onClick={() => {
+                  onExport && onExport();
+                  setShowMenu(false);
+                }}
+                className="w-full px-4 py-2 text-left text-sm text-gray-700 hover:bg-gray-50 flex items-center space-x-2"
+              >
+                <Download className="w-4 h-4" />
+                <span>Export Project</span>
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".json"
+                onChange={handleFileChange}
+                className="hidden"
+                data-testid="project-file-input"
+              />
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ProjectPicker;
@@ -1,6 +1,44 @@
-import React, { useState } from 'react';
-import { ChevronDown, ChevronRight, Navigation, MapPin, Clock, TrendingUp } from 'lucide-react';
-import { formatDistance, formatTime, getRouteColor } from '../utils/helpers';
+import React, { useState, useMemo } from 'react';
+import { ChevronDown, ChevronRight, Navigation, MapPin, Clock, TrendingUp, AlertTriangle, Package, GripVertical, Eye, EyeOff } from 'lucide-react';
+import {
+  formatDistance,
+  formatTime,
+  getRouteColor,
+  formatTimeWindow,
+  formatClock,
+  calculateRouteLoad,
+  calculateTotalMetrics,
+  getPointDemand,
+} from '../utils/helpers';
+import { getVehicleLabel, getRouteCapacity, getRouteCost } from '../utils/fleet';
+import { resolveRouteDepots } from '../utils/depots';
+import { indexPointsById } from '../utils/deliveryPoints';
+import { getRouteSchedule } from '../utils/schedule';
+
+/**
+ * Horizontal bar showing load against vehicle capacity
+ */
+const LoadBar = ({ load, capacity }) => {
+  const ratio = capacity > 0 ? load / capacity : 0;
+  const isOverloaded = capacity > 0 && load > capacity;
+  return (
+    <div className="w-32">
+      <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+        <div
+          className={`h-full rounded-full ${isOverloaded ? 'bg-red-500' : ratio > 0.9 ? 'bg-yellow-500' : 'bg-green-500'}`}
+          style={{ width: `${Math.min(ratio, 1) * 100}%` }}
+        ></div>
+      </div>
+      <p className={`text-xs mt-1 ${isOverloaded ? 'text-red-600 font-medium' : 'text-gray-600'}`}>
+        {load} / {capacity || '—'}
+      </p>
+    </div>
+  );
+};
+
+// Shared defaults, so the memoized route metrics keep their identity across renders
+const EMPTY_LIST = Object.freeze([]);
+const EMPTY_CONSTRAINTS = Object.freeze({});
 
 /**
  * RouteTable Component
@@ -8,9 +46,55 @@ import { formatDistance, formatTime, getRouteColor } from '../utils/helpers';
  * 
  * @param {Array} routes - Array of route objects with stops and metrics
  * @param {Array} deliveryPoints - Array of all delivery points for reference
+ * @param {Array} fleet - Vehicle classes, used for vehicle names and capacities
+ * @param {Array} depots - Depots, used to show each route's origin and destination
+ * @param {number} vehicleCapacity - Capacity of routes in legacy single-vehicle plans (without a fleet)
+ * @param {Object} constraints - Constraints, used to compute stop ETAs (shifts, delivery window, speeds)
+ * @param {Function} onMoveStop - Callback ({ fromRoute, fromIndex, toRoute, toIndex }) when a stop is dragged;
+ *   stops are not draggable without it
+ * @param {Array} hiddenRoutes - Indices of routes hidden on the map
+ * @param {number} focusedRoute - Index of the route the map is zoomed to, or null
+ * @param {string|number} highlightedStopId - Id of the delivery point highlighted on the map
+ * @param {string|number} selectedStopId - Id of the delivery point selected on the timeline
+ * @param {Function} onToggleRoute - Callback with a route index to show or hide it on the map
+ * @param {Function} onSoloRoute - Callback with a route index to show only that route on the map
+ * @param {Function} onFocusRoute - Callback with a route index to zoom the map to it
+ * @param {Function} onHighlightStop - Callback with the hovered stop's point id (null when the pointer leaves)
  */
-const RouteTable = ({ routes = [], deliveryPoints = [] }) => {
+const RouteTable = ({
+  routes = EMPTY_LIST,
+  deliveryPoints = EMPTY_LIST,
+  fleet = EMPTY_LIST,
+  depots = EMPTY_LIST,
+  vehicleCapacity = 0,
+  constraints = EMPTY_CONSTRAINTS,
+  onMoveStop,
+  hiddenRoutes = EMPTY_LIST,
+  focusedRoute = null,
+  highlightedStopId = null,
+  selectedStopId = null,
+  onToggleRoute,
+  onSoloRoute,
+  onFocusRoute,
+  onHighlightStop,
+}) => {
   const [expandedRoutes, setExpandedRoutes] = useState(new Set([0])); // First route expanded by default
+  const [dragSource, setDragSource] = useState(null); // { routeIndex, stopIndex }
+  const [dropTarget, setDropTarget] = useState(null); // { routeIndex, stopIndex }; stopIndex null = append
+
+  // Hovering a stop re-renders the table, so only recompute these when the plan changes
+  const routeLoads = useMemo(
+    () => (routes || EMPTY_LIST).map(route => calculateRouteLoad(route, deliveryPoints)),
+    [routes, deliveryPoints]
+  );
+  const routeSchedules = useMemo(
+    () => (routes || EMPTY_LIST).map(route => getRouteSchedule(route, deliveryPoints, constraints)),
+    [routes, deliveryPoints, constraints]
+  );
+  const routeCapacities = useMemo(
+    () => (routes || EMPTY_LIST).map(route => getRouteCapacity(route, fleet, vehicleCapacity)),
+    [routes, fleet, vehicleCapacity]
+  );
 
   /**
    * Toggle route expansion
@@ -25,22 +109,86 @@ const RouteTable = ({ routes = [], deliveryPoints = [] }) => {
     setExpandedRoutes(newExpanded);
   };
 
+  /**
+   * Start dragging a stop
+   */
+  const handleDragStart = (e, routeIndex, stopIndex) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', `${routeIndex}:${stopIndex}`);
+    setDragSource({ routeIndex, stopIndex });
+  };
+
+  /**
+   * Allow dropping on a stop row (insert before it) or a route row (append)
+   */
+  const handleDragOver = (e, routeIndex, stopIndex = null) => {
+    if (!dragSource) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    if (dropTarget?.routeIndex !== routeIndex || dropTarget?.stopIndex !== stopIndex) {
+      setDropTarget({ routeIndex, stopIndex });
+    }
+  };
+
+  /**
+   * Drop a dragged stop onto its new position
+   */
+  const handleDrop = (e, routeIndex, stopIndex = null) => {
+    e.preventDefault();
+    if (dragSource && onMoveStop) {
+      onMoveStop({
+        fromRoute: dragSource.routeIndex,
+        fromIndex: dragSource.stopIndex,
+        toRoute: routeIndex,
+        toIndex: stopIndex ?? undefined,
+      });
+    }
+    handleDragEnd();
+  };
+
+  /**
+   * Reset drag state
+   */
+  const handleDragEnd = () => {
+    setDragSource(null);
+    setDropTarget(null);
+  };
+
+  /**
+   * Check whether a row is the current drop target
+   */
+  const isDropTarget = (routeIndex, stopIndex = null) =>
+    dropTarget?.routeIndex === routeIndex && dropTarget?.stopIndex === stopIndex;
+
   /**
    * Get delivery point details by ID
    */
   const getPointDetails = (pointId) => {
-    return deliveryPoints.find(p => p.id === pointId) || {};
+    return indexPointsById(deliveryPoints).get(pointId) || {};
+  };
+
+  /**
+   * Describe a route's origin and destination depots
+   */
+  const getDepotLabel = (route) => {
+    const { start, end } = resolveRouteDepots(route, depots);
+    if (!start) return null;
+    const startName = start.name || 'Depot';
+    return `${startName} → ${end ? end.name || 'Depot' : 'Open (no return)'}`;
+  };
+
+  /**
+   * Count stops the route reaches after their window closes
+   */
+  const getLateStopCount = (routeIndex) => {
+    return routeSchedules[routeIndex].stops.filter(stop => stop.late).length;
   };
 
   /**
    * Calculate total metrics across all routes
    */
   const getTotalMetrics = () => {
-    return routes.reduce((acc, route) => ({
-      stops: acc.stops + route.stops.length,
-      distance: acc.distance + (route.total_distance || 0),
-      time: acc.time + (route.estimated_time || 0),
-    }), { stops: 0, distance: 0, time: 0 });
+    return calculateTotalMetrics(routes);
   };
 
   // If no routes, show empty state
@@ -57,6 +205,9 @@ const RouteTable = ({ routes = [], deliveryPoints = [] }) => {
   }
 
   const totals = getTotalMetrics();
+  const overloadedCount = routeLoads.filter((load, index) =>
+    routeCapacities[index] > 0 && load.total > routeCapacities[index]
+  ).length;
 
   return (
     <div className="w-full space-y-4">
@@ -89,6 +240,16 @@ const RouteTable = ({ routes = [], deliveryPoints = [] }) => {
         </div>
       </div>
 
+      {/* Overload warning */}
+      {overloadedCount > 0 && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-3 flex items-center space-x-2">
+          <AlertTriangle className="w-5 h-5 text-red-600 flex-shrink-0" />
+          <p className="text-sm text-red-800">
+            {overloadedCount} {overloadedCount === 1 ? 'route exceeds its' : 'routes exceed their'} vehicle capacity
+          </p>
+        </div>
+      )}
+
       {/* Routes table */}
       <div className="bg-white rounded-lg shadow-md overflow-hidden border border-gray-200">
         <div className="overflow-x-auto">
@@ -98,6 +259,12 @@ const RouteTable = ({ routes = [], deliveryPoints = [] }) => {
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Route
                 </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Vehicle
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Origin → Destination
+                </th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Stops
                 </th>
@@ -107,6 +274,9 @@ const RouteTable = ({ routes = [], deliveryPoints = [] }) => {
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Est. Time
                 </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Load
+                </th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Details
                 </th>
@@ -116,18 +286,86 @@ const RouteTable = ({ routes = [], deliveryPoints = [] }) => {
               {routes.map((route, routeIndex) => (
                 <React.Fragment key={`route-${routeIndex}`}>
                   {/* Route summary row */}
-                  <tr className="hover:bg-gray-50 transition-colors">
+                  <tr
+                    className={`
+                      hover:bg-gray-50 transition-colors
+                      ${isDropTarget(routeIndex) || focusedRoute === routeIndex ? 'bg-primary-50' : ''}
+                      ${hiddenRoutes.includes(routeIndex) ? 'opacity-60' : ''}
+                    `}
+                    onDragOver={onMoveStop ? (e) => handleDragOver(e, routeIndex) : undefined}
+                    onDrop={onMoveStop ? (e) => handleDrop(e, routeIndex) : undefined}
+                  >
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="flex items-center space-x-3">
                         <div
                           className="w-4 h-4 rounded-full border-2 border-white shadow"
                           style={{ backgroundColor: getRouteColor(routeIndex) }}
                         ></div>
-                        <span className="text-sm font-medium text-gray-900">
-                          Route {routeIndex + 1}
-                        </span>
+                        {onFocusRoute ? (
+                          <button
+                            type="button"
+                            onClick={() => onFocusRoute(routeIndex)}
+                            aria-pressed={focusedRoute === routeIndex}
+                            title="Zoom to route on the map"
+                            className="text-sm font-medium text-gray-900 hover:underline"
+                          >
+                            Route {routeIndex + 1}
+                          </button>
+                        ) : (
+                          <span className="text-sm font-medium text-gray-900">
+                            Route {routeIndex + 1}
+                          </span>
+                        )}
+                        {onToggleRoute && (
+                          <button
+                            type="button"
+                            onClick={() => onToggleRoute(routeIndex)}
+                            className="p-0.5 text-gray-500 hover:text-gray-800"
+                            aria-label={`${hiddenRoutes.includes(routeIndex) ? 'Show' : 'Hide'} route ${routeIndex + 1} on the map`}
+                            title={hiddenRoutes.includes(routeIndex) ? 'Show on map' : 'Hide on map'}
+                          >
+                            {hiddenRoutes.includes(routeIndex) ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+                          </button>
+                        )}
+                        {onSoloRoute && (
+                          <button
+                            type="button"
+                            onClick={() => onSoloRoute(routeIndex)}
+                            className="text-xs font-medium text-gray-500 hover:text-gray-800"
+                            aria-label={`Show only route ${routeIndex + 1} on the map`}
+                            title="Show only this route on the map"
+                          >
+                            Solo
+                          </button>
+                        )}
+                        {route.manually_edited && (
+                          <span className="text-xs text-gray-500 bg-gray-100 rounded-full px-2 py-0.5">Edited</span>
+                        )}
+                        {getLateStopCount(routeIndex) > 0 && (
+                          <span className="flex items-center space-x-1 text-xs font-medium text-red-700 bg-red-50 border border-red-200 rounded-full px-2 py-0.5">
+                            <AlertTriangle className="w-3 h-3" />
+                            <span>{getLateStopCount(routeIndex)} late</span>
+                          </span>
+                        )}
                       </div>
                     </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      {route.vehicle_id ? (
+                        <div>
+                          <p className="text-sm text-gray-900">{getVehicleLabel(route, fleet)}</p>
+                          {getRouteCost(route, fleet) !== null && (
+                            <p className="text-xs text-gray-500">
+                              Cost {getRouteCost(route, fleet).toFixed(2)}
+                            </p>
+                          )}
+                        </div>
+                      ) : (
+                        <span className="text-sm text-gray-400">Unassigned</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className="text-sm text-gray-900">{getDepotLabel(route) || '—'}</span>
+                    </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <span className="text-sm text-gray-900">{route.stops.length}</span>
                     </td>
@@ -140,6 +378,14 @@ const RouteTable = ({ routes = [], deliveryPoints = [] }) => {
                       <span className="text-sm text-gray-900">
                         {formatTime(route.estimated_time || 0)}
                       </span>
+                      {routeSchedules[routeIndex].stops.length > 0 && (
+                        <p className="text-xs text-gray-500">
+                          {formatClock(routeSchedules[routeIndex].departure)}–{formatClock(routeSchedules[routeIndex].returnTime)}
+                        </p>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <LoadBar load={routeLoads[routeIndex].total} capacity={routeCapacities[routeIndex]} />
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <button
@@ -164,7 +410,7 @@ const RouteTable = ({ routes = [], deliveryPoints = [] }) => {
                   {/* Expanded route details */}
                   {expandedRoutes.has(routeIndex) && (
                     <tr>
-                      <td colSpan="5" className="px-6 py-4 bg-gray-50">
+                      <td colSpan="8" className="px-6 py-4 bg-gray-50">
                         <div className="space-y-3">
                           {/* Route summary */}
                           {route.summary && (
@@ -179,16 +425,45 @@ const RouteTable = ({ routes = [], deliveryPoints = [] }) => {
                               <h4 className="text-sm font-semibold text-gray-700">
                                 Stop Sequence
                               </h4>
+                              {onMoveStop && (
+                                <p className="text-xs text-gray-500">
+                                  Drag a stop to reorder it, or drop it on another route&apos;s row to move it there
+                                </p>
+                              )}
                             </div>
                             <div className="divide-y divide-gray-200">
                               {route.stops.map((stop, stopIndex) => {
                                 const pointDetails = getPointDetails(stop.id);
+                                const timeWindow = formatTimeWindow(pointDetails);
+                                const eta = routeSchedules[routeIndex].stops[stopIndex];
+                                const isHighlighted = (highlightedStopId !== null && stop.id === highlightedStopId) ||
+                                  (selectedStopId !== null && stop.id === selectedStopId);
                                 return (
                                   <div
                                     key={`stop-${routeIndex}-${stopIndex}`}
-                                    className="px-4 py-3 hover:bg-gray-50 transition-colors"
+                                    className={`
+                                      px-4 py-3 transition-colors ${isHighlighted ? 'bg-primary-50' : 'hover:bg-gray-50'}
+                                      ${isDropTarget(routeIndex, stopIndex) ? 'border-t-2 border-primary-500' : ''}
+                                      ${dragSource?.routeIndex === routeIndex && dragSource?.stopIndex === stopIndex ? 'opacity-50' : ''}
+                                    `}
+                                    draggable={Boolean(onMoveStop)}
+                                    onDragStart={onMoveStop ? (e) => handleDragStart(e, routeIndex, stopIndex) : undefined}
+                                    onDragOver={onMoveStop ? (e) => {
+                                      e.stopPropagation();
+                                      handleDragOver(e, routeIndex, stopIndex);
+                                    } : undefined}
+                                    onDrop={onMoveStop ? (e) => {
+                                      e.stopPropagation();
+                                      handleDrop(e, routeIndex, stopIndex);
+                                    } : undefined}
+                                    onDragEnd={onMoveStop ? handleDragEnd : undefined}
+                                    onMouseEnter={onHighlightStop ? () => onHighlightStop(stop.id) : undefined}
+                                    onMouseLeave={onHighlightStop ? () => onHighlightStop(null) : undefined}
                                   >
                                     <div className="flex items-start space-x-3">
+                                      {onMoveStop && (
+                                        <GripVertical className="flex-shrink-0 w-4 h-4 mt-2 text-gray-400 cursor-move" />
+                                      )}
                                       {/* Stop number */}
                                       <div
                                         className="flex-shrink-0 w-8 h-8 rounded-full flex items-center justify-center text-sm font-bold text-white shadow"
@@ -206,10 +481,26 @@ const RouteTable = ({ routes = [], deliveryPoints = [] }) => {
                                           {pointDetails.address || 'No address'}
                                         </p>
                                         <div className="flex items-center space-x-4 mt-2 text-xs text-gray-500">
-                                          {pointDetails.delivery_window && (
+                                          {timeWindow && (
                                             <div className="flex items-center space-x-1">
                                               <Clock className="w-3 h-3" />
-                                              <span>{pointDetails.delivery_window}</span>
+                                              <span>{timeWindow}</span>
+                                            </div>
+                                          )}
+                                          <div className={`flex items-center space-x-1 ${eta.late ? 'text-red-600 font-medium' : ''}`}>
+                                            {eta.late && <AlertTriangle className="w-3 h-3" />}
+                                            <span>
+                                              ETA {formatClock(eta.arrival)}{eta.late ? ' (late)' : ''}
+                                              {eta.wait >= 1 && `, waits ${formatTime(eta.wait)}`}
+                                              , departs {formatClock(eta.departure)}
+                                            </span>
+                                          </div>
+                                          {getPointDemand(pointDetails) > 0 && (
+                                            <div className={`flex items-center space-x-1 ${routeCapacities[routeIndex] > 0 && routeLoads[routeIndex].cumulative[stopIndex] > routeCapacities[routeIndex] ? 'text-red-600 font-medium' : ''}`}>
+                                              <Package className="w-3 h-3" />
+                                              <span>
+                                                {getPointDemand(pointDetails)} units (load {routeLoads[routeIndex].cumulative[stopIndex]})
+                                              </span>
                                             </div>
                                           )}
                                           {stop.distance && (
@@ -0,0 +1,249 @@
+import React, { useMemo } from 'react';
+import { CalendarClock, AlertTriangle } from 'lucide-react';
+import { getRouteColor, formatClock, formatTime } from '../utils/helpers';
+import { getFleet, getVehicleLabel } from '../utils/fleet';
+import { buildTimeline } from '../utils/timeline';
+
+/**
+ * RouteTimeline Component
+ * Gantt-style view of the delivery day with one lane per route: a block per
+ * stop for its service time, travel between stops, waiting for a window to
+ * open, each stop's time window as a band, late stops and overtime.
+ *
+ * @param {Array} routes - Routes with stop arrival times
+ * @param {Array} deliveryPoints - Delivery points, for windows and service times
+ * @param {Object} constraints - Constraints with the delivery window and fleet
+ * @param {Array} hiddenRoutes - Indices of routes hidden on the map; their lanes are dimmed
+ * @param {string|number} highlightedStopId - Id of the highlighted delivery point
+ * @param {string|number} selectedStopId - Id of the selected delivery point
+ * @param {Function} onSelectStop - Callback (stopId, routeIndex) when a stop block is clicked
+ * @param {Function} onHighlightStop - Callback with the hovered stop's point id (null when the pointer leaves)
+ */
+const RouteTimeline = ({
+  routes = [],
+  deliveryPoints = [],
+  constraints = {},
+  hiddenRoutes = [],
+  highlightedStopId = null,
+  selectedStopId = null,
+  onSelectStop,
+  onHighlightStop,
+}) => {
+  const timeline = useMemo(
+    () => buildTimeline(routes, deliveryPoints, constraints),
+    [routes, deliveryPoints, constraints]
+  );
+  const fleet = getFleet(constraints);
+
+  if (!routes || routes.length === 0) return null;
+
+  const { start, end, windowStart, windowEnd, lanes } = timeline;
+
+  /**
+   * Horizontal position of a time as a percentage of the timeline
+   */
+  const toPercent = (minutes) => ((Math.min(Math.max(minutes, start), end) - start) / (end - start)) * 100;
+
+  /**
+   * Absolute position style for a time span
+   */
+  const spanStyle = (from, to) => ({
+    left: `${toPercent(from)}%`,
+    width: `${Math.max(toPercent(to) - toPercent(from), 0.3)}%`,
+  });
+
+  const hours = [];
+  for (let minutes = start; minutes <= end; minutes += 60) {
+    hours.push(minutes);
+  }
+
+  const lateCount = lanes.reduce((sum, lane) => sum + lane.blocks.filter(block => block.isLate).length, 0);
+  const overtimeCount = lanes.filter(lane => lane.overtime > 0).length;
+
+  return (
+    <div className="space-y-3">
+      {(lateCount > 0 || overtimeCount > 0) && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-3 flex items-center space-x-2">
+          <AlertTriangle className="w-5 h-5 text-red-600 flex-shrink-0" />
+          <p className="text-sm text-red-800">
+            {lateCount > 0 && `${lateCount} ${lateCount === 1 ? 'stop is' : 'stops are'} reached after the window closes`}
+            {lateCount > 0 && overtimeCount > 0 && ', '}
+            {overtimeCount > 0 && `${overtimeCount} ${overtimeCount === 1 ? 'route runs' : 'routes run'} past the end of the shift`}
+          </p>
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <div className="min-w-[720px]">
+          {/* Hour axis */}
+          <div className="flex">
+            <div className="w-40 flex-shrink-0"></div>
+            <div className="relative flex-grow h-6 border-b border-gray-200">
+              {hours.map(minutes => (
+                <span
+                  key={minutes}
+                  className="absolute text-xs text-gray-500 -translate-x-1/2"
+                  style={{ left: `${toPercent(minutes)}%` }}
+                >
+                  {formatClock(minutes)}
+                </span>
+              ))}
+            </div>
+          </div>
+
+          {lanes.map((lane, routeIndex) => {
+            const route = routes[routeIndex];
+            const color = getRouteColor(routeIndex);
+            const vehicleLabel = getVehicleLabel(route, fleet);
+            return (
+              <div
+                key={`lane-${routeIndex}`}
+                className={`flex items-center border-b border-gray-100 ${hiddenRoutes.includes(routeIndex) ? 'opacity-40' : ''}`}
+              >
+                <div className="w-40 flex-shrink-0 pr-3 py-2">
+                  <div className="flex items-center space-x-2">
+                    <div className="w-3 h-3 rounded-full flex-shrink-0" style={{ backgroundColor: color }}></div>
+                    <span className="text-sm font-medium text-gray-900">Route {routeIndex + 1}</span>
+                  </div>
+                  {vehicleLabel && <p className="text-xs text-gray-500 truncate">{vehicleLabel}</p>}
+                  {lane.overtime > 0 && (
+                    <p className="text-xs font-medium text-red-600">Overtime {formatTime(lane.overtime)}</p>
+                  )}
+                </div>
+
+                <div className="relative flex-grow h-12">
+                  {/* Hour grid and delivery window */}
+                  {hours.map(minutes => (
+                    <div
+                      key={minutes}
+                      className="absolute top-0 bottom-0 border-l border-gray-100"
+                      style={{ left: `${toPercent(minutes)}%` }}
+                    ></div>
+                  ))}
+                  {[windowStart, windowEnd].filter(minutes => minutes !== null).map(minutes => (
+                    <div
+                      key={`window-${minutes}`}
+                      className="absolute top-0 bottom-0 border-l-2 border-dashed border-gray-400"
+                      style={{ left: `${toPercent(minutes)}%` }}
+                    ></div>
+                  ))}
+
+                  {/* Overtime past the end of the shift */}
+                  {lane.overtime > 0 && (
+                    <div
+                      className="absolute top-0 bottom-0 bg-red-100 border-l-2 border-red-500"
+                      style={spanStyle(lane.shiftEnd, lane.end)}
+                      title={`Overtime: ${formatTime(lane.overtime)} past ${formatClock(lane.shiftEnd)}`}
+                    ></div>
+                  )}
+
+                  {/* Stop time windows */}
+                  {lane.blocks.filter(block => block.windowStart !== null || block.windowEnd !== null).map(block => (
+                    <div
+                      key={`band-${block.stopIndex}`}
+                      className={`absolute bottom-1 h-1.5 rounded-full ${block.isLate ? 'bg-red-300' : 'bg-green-300'} opacity-70`}
+                      style={spanStyle(block.windowStart ?? start, block.windowEnd ?? end)}
+                      title={`Stop ${block.stopIndex + 1} window`}
+                    ></div>
+                  ))}
+
+                  {/* Travel between stops */}
+                  {lane.travel.map((segment, index) => (
+                    <div
+                      key={`travel-${index}`}
+                      className="absolute top-1/2 h-0.5 -translate-y-1/2 bg-gray-400"
+                      style={spanStyle(segment.start, segment.end)}
+                    ></div>
+                  ))}
+
+                  {/* Waiting for a window to open */}
+                  {lane.blocks.filter(block => block.serviceStart > block.arrival).map(block => (
+                    <div
+                      key={`wait-${block.stopIndex}`}
+                      className="absolute top-1/2 -translate-y-1/2 border-t-2 border-dotted border-yellow-500"
+                      style={spanStyle(block.arrival, block.serviceStart)}
+                      title={`Waiting ${formatTime(block.serviceStart - block.arrival)}`}
+                    ></div>
+                  ))}
+
+                  {/* Service blocks */}
+                  {lane.blocks.map((block) => {
+                    const isActive = block.stopId === highlightedStopId || block.stopId === selectedStopId;
+                    return (
+                      <button
+                        key={`block-${block.stopIndex}`}
+                        type="button"
+                        onClick={() => onSelectStop && onSelectStop(block.stopId, routeIndex)}
+                        onMouseEnter={onHighlightStop ? () => onHighlightStop(block.stopId) : undefined}
+                        onMouseLeave={onHighlightStop ? () => onHighlightStop(null) : undefined}
+                        className={`
+                          absolute top-2 h-5 rounded-sm text-[10px] font-bold text-white leading-5 overflow-hidden
+                          ${block.isLate ? 'ring-2 ring-red-600 ring-offset-1' : ''}
+                          ${isActive ? 'outline outline-2 outline-gray-900 z-10' : ''}
+                        `}
+                        style={{
+                          ...spanStyle(block.serviceStart, block.serviceEnd),
+                          minWidth: '6px',
+                          backgroundColor: block.isLate ? '#DC2626' : color,
+                        }}
+                        title={[
+                          `Stop ${block.stopIndex + 1}${block.customerName ? `: ${block.customerName}` : ''}`,
+                          `Arrival ${formatClock(block.arrival)}, service ${formatClock(block.serviceStart)}–${formatClock(block.serviceEnd)}`,
+                          (block.windowStart !== null || block.windowEnd !== null) &&
+                            `Window ${block.windowStart !== null ? formatClock(block.windowStart) : '…'}–${block.windowEnd !== null ? formatClock(block.windowEnd) : '…'}`,
+                          block.isLate && 'Late',
+                        ].filter(Boolean).join('\n')}
+                        aria-label={`Route ${routeIndex + 1} stop ${block.stopIndex + 1}${block.isLate ? ' (late)' : ''}`}
+                        aria-pressed={block.stopId === selectedStopId}
+                      >
+                        {block.stopIndex + 1}
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* Legend */}
+      <div className="flex flex-wrap items-center gap-4 text-xs text-gray-600">
+        <span className="flex items-center space-x-1">
+          <span className="inline-block w-4 h-3 rounded-sm bg-primary-500"></span>
+          <span>Service</span>
+        </span>
+        <span className="flex items-center space-x-1">
+          <span className="inline-block w-4 h-0.5 bg-gray-400"></span>
+          <span>Travel</span>
+        </span>
+        <span className="flex items-center space-x-1">
+          <span className="inline-block w-4 border-t-2 border-dotted border-yellow-500"></span>
+          <span>Waiting</span>
+        </span>
+        <span className="flex items-center space-x-1">
+          <span className="inline-block w-4 h-1.5 rounded-full bg-green-300"></span>
+          <span>Time window</span>
+        </span>
+        <span className="flex items-center space-x-1">
+          <span className="inline-block w-4 h-3 rounded-sm bg-red-600"></span>
+          <span>Late</span>
+        </span>
+        <span className="flex items-center space-x-1">
+          <span className="inline-block w-4 h-3 bg-red-100 border-l-2 border-red-500"></span>
+          <span>Overtime</span>
+        </span>
+        <span className="flex items-center space-x-1">
+          <span className="inline-block h-3 border-l-2 border-dashed border-gray-400"></span>
+          <span>Delivery window</span>
+        </span>
+        <span className="flex items-center space-x-1 text-gray-500">
+          <CalendarClock className="w-3 h-3" />
+          <span>Click a stop to show it on the map</span>
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default RouteTimeline;
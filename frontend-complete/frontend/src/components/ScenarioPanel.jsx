@@ -0,0 +1,212 @@
+import React, { useState } from 'react';
+import { Save, Layers, Upload, Trash2 } from 'lucide-react';
+import { formatDistance, formatTime, formatDateTime } from '../utils/helpers';
+import {
+  getScenarioMetrics,
+  MIN_COMPARED_SCENARIOS,
+  MAX_COMPARED_SCENARIOS,
+} from '../utils/scenarios';
+
+// Metrics shown in the comparison table; `better` marks the winning direction
+const METRICS = [
+  { key: 'routes', label: 'Routes', better: 'lower', format: (value) => value },
+  { key: 'stops', label: 'Total Stops', format: (value) => value },
+  { key: 'distance', label: 'Total Distance', better: 'lower', format: formatDistance },
+  { key: 'time', label: 'Total Time', better: 'lower', format: formatTime },
+  {
+    key: 'vehiclesUsed',
+    label: 'Vehicles Used',
+    better: 'lower',
+    format: (value, metrics) => (metrics.vehicleCount > 0 ? `${value} / ${metrics.vehicleCount}` : value),
+  },
+  {
+    key: 'utilisation',
+    label: 'Capacity Utilisation',
+    better: 'higher',
+    format: (value) => (value === null ? '—' : `${Math.round(value * 100)}%`),
+  },
+];
+
+/**
+ * Find the best value of a metric across scenarios
+ * Returns null when there is nothing to choose between.
+ */
+const getBestValue = (metric, values) => {
+  const numbers = values.filter(value => value !== null && value !== undefined);
+  if (!metric.better || new Set(numbers).size < 2) return null;
+  return metric.better === 'lower' ? Math.min(...numbers) : Math.max(...numbers);
+};
+
+/**
+ * Side-by-side table of scenario metrics
+ */
+const ScenarioComparison = ({ scenarios }) => {
+  const metrics = scenarios.map(getScenarioMetrics);
+
+  return (
+    <div className="overflow-x-auto border border-gray-200 rounded-lg">
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+              Metric
+            </th>
+            {scenarios.map(scenario => (
+              <th
+                key={scenario.id}
+                className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+              >
+                {scenario.name}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {METRICS.map(metric => {
+            const best = getBestValue(metric, metrics.map(m => m[metric.key]));
+            return (
+              <tr key={metric.key}>
+                <td className="px-4 py-3 text-sm font-medium text-gray-700">{metric.label}</td>
+                {metrics.map((m, index) => (
+                  <td
+                    key={scenarios[index].id}
+                    className={`px-4 py-3 text-sm ${m[metric.key] === best ? 'text-green-700 font-semibold' : 'text-gray-900'}`}
+                  >
+                    {metric.format(m[metric.key], m)}
+                  </td>
+                ))}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+/**
+ * ScenarioPanel Component
+ * Saves the current plan as a named scenario and compares saved scenarios
+ *
+ * @param {Array} scenarios - Saved scenarios
+ * @param {Array} comparedIds - Ids of the scenarios selected for comparison
+ * @param {Boolean} canSave - Whether there is a plan to save
+ * @param {string} suggestedName - Default name for the next scenario
+ * @param {Function} onSave - Callback with the scenario name
+ * @param {Function} onToggleCompare - Callback with a scenario id to add/remove from the comparison
+ * @param {Function} onLoad - Callback with a scenario id to restore as the current plan
+ * @param {Function} onDelete - Callback with a scenario id to delete
+ */
+const ScenarioPanel = ({
+  scenarios = [],
+  comparedIds = [],
+  canSave,
+  suggestedName = '',
+  onSave,
+  onToggleCompare,
+  onLoad,
+  onDelete,
+}) => {
+  const [name, setName] = useState('');
+
+  /**
+   * Save the current plan under the entered (or suggested) name
+   */
+  const handleSave = (e) => {
+    e.preventDefault();
+    onSave && onSave(name.trim() || suggestedName);
+    setName('');
+  };
+
+  const compared = comparedIds
+    .map(id => scenarios.find(s => s.id === id))
+    .filter(Boolean);
+  const isCompareFull = compared.length >= MAX_COMPARED_SCENARIOS;
+
+  return (
+    <div className="space-y-6">
+      {/* Save current plan */}
+      <form onSubmit={handleSave} className="flex items-center space-x-3">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder={suggestedName}
+          aria-label="Scenario name"
+          className="input-field max-w-xs"
+        />
+        <button
+          type="submit"
+          disabled={!canSave}
+          className="btn-primary flex items-center space-x-2"
+        >
+          <Save className="w-4 h-4" />
+          <span>Save Scenario</span>
+        </button>
+      </form>
+
+      {/* Saved scenarios */}
+      {scenarios.length > 0 && (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {scenarios.map(scenario => {
+            const isCompared = comparedIds.includes(scenario.id);
+            const metrics = getScenarioMetrics(scenario);
+            return (
+              <li key={scenario.id} className="px-4 py-3 flex items-center justify-between">
+                <label className="flex items-center space-x-3 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={isCompared}
+                    disabled={!isCompared && isCompareFull}
+                    onChange={() => onToggleCompare && onToggleCompare(scenario.id)}
+                    className="w-4 h-4 text-primary-600 border-gray-300 rounded"
+                  />
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">{scenario.name}</p>
+                    <p className="text-xs text-gray-500">
+                      {formatDateTime(scenario.createdAt)} · {metrics.routes} routes · {formatDistance(metrics.distance)}
+                    </p>
+                  </div>
+                </label>
+                <div className="flex items-center space-x-1">
+                  <button
+                    type="button"
+                    onClick={() => onLoad && onLoad(scenario.id)}
+                    className="p-2 rounded-lg text-gray-500 hover:text-primary-600 hover:bg-gray-100"
+                    title="Restore as current plan"
+                    aria-label={`Restore ${scenario.name}`}
+                  >
+                    <Upload className="w-4 h-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => onDelete && onDelete(scenario.id)}
+                    className="p-2 rounded-lg text-gray-500 hover:text-red-600 hover:bg-gray-100"
+                    title="Delete scenario"
+                    aria-label={`Delete ${scenario.name}`}
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {/* Comparison */}
+      {compared.length >= MIN_COMPARED_SCENARIOS ? (
+        <ScenarioComparison scenarios={compared} />
+      ) : (
+        <div className="flex items-center space-x-2 text-sm text-gray-500">
+          <Layers className="w-4 h-4" />
+          <span>
+            Select {MIN_COMPARED_SCENARIOS} to {MAX_COMPARED_SCENARIOS} saved scenarios to compare them side by side.
+          </span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScenarioPanel;
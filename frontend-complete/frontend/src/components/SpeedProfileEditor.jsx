@@ -0,0 +1,116 @@
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { createSpeedPeriod } from '../utils/schedule';
+
+// Column definitions for the speed profile table
+const COLUMNS = [
+  { field: 'start', label: 'From', type: 'time' },
+  { field: 'end', label: 'To', type: 'time' },
+  { field: 'speedKmh', label: 'Speed (km/h)', type: 'number', min: 1, step: '1' },
+];
+
+/**
+ * SpeedProfileEditor Component
+ * Editable list of periods of the day with their own driving speed (e.g. rush
+ * hour); outside these periods the average speed applies
+ *
+ * @param {Array} periods - Speed periods
+ * @param {Object} errors - Validation errors keyed by `speedProfile.<row>.<field>`
+ * @param {Function} onChange - Callback with the updated periods
+ * @param {Function} onBlur - Callback when a field loses focus
+ */
+const SpeedProfileEditor = ({ periods = [], errors = {}, onChange, onBlur }) => {
+  /**
+   * Update a single field of a period
+   */
+  const handleFieldChange = (index, field, value) => {
+    const newPeriods = periods.map((period, i) =>
+      i === index ? { ...period, [field]: value } : period
+    );
+    onChange && onChange(newPeriods);
+  };
+
+  /**
+   * Add a period
+   */
+  const handleAdd = () => {
+    onChange && onChange([...periods, createSpeedPeriod()]);
+  };
+
+  /**
+   * Remove a period
+   */
+  const handleRemove = (index) => {
+    onChange && onChange(periods.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="space-y-3">
+      {periods.length > 0 && (
+        <div className="overflow-x-auto border border-gray-200 rounded-lg">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                {COLUMNS.map(column => (
+                  <th
+                    key={column.field}
+                    className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider whitespace-nowrap"
+                  >
+                    {column.label}
+                  </th>
+                ))}
+                <th className="px-3 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {periods.map((period, index) => (
+                <tr key={period.id}>
+                  {COLUMNS.map(column => {
+                    const error = errors[`speedProfile.${index}.${column.field}`];
+                    return (
+                      <td key={column.field} className="px-3 py-2 align-top">
+                        <input
+                          type={column.type}
+                          name={`speedProfile.${index}.${column.field}`}
+                          aria-label={`Speed period ${column.label} (row ${index + 1})`}
+                          value={period[column.field] ?? ''}
+                          onChange={(e) => handleFieldChange(index, column.field, e.target.value)}
+                          onBlur={onBlur}
+                          min={column.min}
+                          step={column.step}
+                          className={`input-field px-2 py-1 text-sm ${error ? 'border-red-500' : ''}`}
+                        />
+                        {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+                      </td>
+                    );
+                  })}
+                  <td className="px-3 py-2 align-top">
+                    <button
+                      type="button"
+                      onClick={() => handleRemove(index)}
+                      className="text-gray-400 hover:text-red-600 p-1"
+                      aria-label={`Remove speed period row ${index + 1}`}
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <button
+        type="button"
+        onClick={handleAdd}
+        className="btn-secondary flex items-center space-x-2 text-sm"
+      >
+        <Plus className="w-4 h-4" />
+        <span>Add Speed Period</span>
+      </button>
+    </div>
+  );
+};
+
+export default SpeedProfileEditor;
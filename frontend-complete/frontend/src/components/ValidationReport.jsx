@@ -0,0 +1,337 @@
+import React, { useState, useMemo } from 'react';
+import { ClipboardList, AlertCircle, AlertTriangle, ArrowUp, ArrowDown, Search, Wand2 } from 'lucide-react';
+import {
+  validateDeliveryRow,
+  findCrossRowIssues,
+  summarizeIssues,
+  SEVERITY_ERROR,
+  SEVERITY_WARNING,
+} from '../utils/helpers';
+
+// Sortable columns of the issue table
+const COLUMNS = [
+  { key: 'row', label: 'Row' },
+  { key: 'field', label: 'Field' },
+  { key: 'severity', label: 'Severity' },
+  { key: 'message', label: 'Message' },
+];
+
+// Issues listed at once; the rest are reached by fixing, filtering or searching
+const MAX_LISTED_ISSUES = 200;
+
+// Fields stored as numbers once edited
+const NUMERIC_FIELDS = ['lat', 'lng', 'demand', 'service_minutes'];
+
+/**
+ * Convert an edited cell to the type the field is stored as
+ */
+const parseCellValue = (field, value) => {
+  const trimmed = value.trim();
+  if (NUMERIC_FIELDS.includes(field) && trimmed !== '' && Number.isFinite(Number(trimmed))) {
+    return Number(trimmed);
+  }
+  return trimmed;
+};
+
+/**
+ * Compare two issues by a column
+ */
+const compareIssues = (a, b, key) => {
+  if (key === 'row') return (a.row ?? 0) - (b.row ?? 0);
+  return String(a[key] ?? '').localeCompare(String(b[key] ?? '')) || a.row - b.row;
+};
+
+/**
+ * Number issues by row and add them to a list
+ */
+const addRowIssues = (list, index, issues) => {
+  issues.forEach(issue => list.push({ row: index + 1, ...issue }));
+};
+
+/**
+ * ValidationReport Component
+ * Lists every validation issue of an upload by row and field. Rows can be
+ * fixed inline or excluded, and the data is loaded once no errors remain.
+ * An edit revalidates the edited row and the checks across rows (duplicate
+ * ids, outliers), not every row of the upload.
+ *
+ * @param {string} fileName - Name of the uploaded file
+ * @param {Array} rows - Normalized delivery rows
+ * @param {Object} constraints - Current constraints, used to validate time windows
+ * @param {Function} onContinue - Callback with the fixed rows, excluded rows removed
+ * @param {Function} onCancel - Callback to discard the upload
+ */
+const ValidationReport = ({ fileName, rows: initialRows = [], constraints, onContinue, onCancel }) => {
+  const [rows, setRows] = useState(initialRows);
+  const [excludedRows, setExcludedRows] = useState(() => new Set());
+  const [sort, setSort] = useState({ key: 'row', direction: 'asc' });
+  const [severityFilter, setSeverityFilter] = useState('all');
+  const [search, setSearch] = useState('');
+
+  // Issues of each row's own fields, for the constraints they were checked against
+  const [validated, setValidated] = useState(() => ({
+    constraints,
+    rowIssues: initialRows.map(row => validateDeliveryRow(row, constraints)),
+  }));
+  let { rowIssues } = validated;
+  if (validated.constraints !== constraints) {
+    rowIssues = rows.map(row => validateDeliveryRow(row, constraints));
+    setValidated({ constraints, rowIssues });
+  }
+
+  const crossRowIssues = useMemo(() => findCrossRowIssues(rows, { excludedRows }), [rows, excludedRows]);
+
+  // Included rows decide whether the data can be loaded; excluded rows keep
+  // their own issues listed so they can be fixed and included again
+  const report = useMemo(() => {
+    const issues = [];
+    rowIssues.forEach((issuesOfRow, index) => {
+      if (!excludedRows.has(index)) addRowIssues(issues, index, issuesOfRow);
+    });
+    issues.push(...crossRowIssues);
+    return summarizeIssues(issues.sort((a, b) => a.row - b.row));
+  }, [rowIssues, crossRowIssues, excludedRows]);
+  const excludedIssues = useMemo(() => {
+    const issues = [];
+    excludedRows.forEach(index => addRowIssues(issues, index, rowIssues[index] || []));
+    return issues;
+  }, [rowIssues, excludedRows]);
+
+  const visibleIssues = useMemo(() => {
+    const query = search.trim().toLowerCase();
+    const direction = sort.direction === 'asc' ? 1 : -1;
+    return [...report.issues, ...excludedIssues]
+      .filter(issue => severityFilter === 'all' || issue.severity === severityFilter)
+      .filter(issue => !query || [issue.row, issue.field, issue.message, rows[issue.row - 1]?.customer_name]
+        .some(value => String(value ?? '').toLowerCase().includes(query)))
+      .sort((a, b) => compareIssues(a, b, sort.key) * direction);
+  }, [report, excludedIssues, severityFilter, search, sort, rows]);
+
+  const includedCount = rows.length - excludedRows.size;
+  const canContinue = report.errorCount === 0 && includedCount > 0;
+
+  /**
+   * Sort by a column, toggling the direction when it is already sorted
+   */
+  const handleSort = (key) => {
+    setSort(sort.key === key
+      ? { key, direction: sort.direction === 'asc' ? 'desc' : 'asc' }
+      : { key, direction: 'asc' });
+  };
+
+  /**
+   * Update fields of one row
+   */
+  const updateRow = (index, changes) => {
+    const row = { ...rows[index], ...changes };
+    setRows(rows.map((current, i) => (i === index ? row : current)));
+    setValidated({
+      constraints,
+      rowIssues: rowIssues.map((issues, i) => (i === index ? validateDeliveryRow(row, constraints) : issues)),
+    });
+  };
+
+  /**
+   * Commit an inline edit when the value changed
+   */
+  const handleEdit = (issue, value) => {
+    const index = issue.row - 1;
+    if (String(rows[index]?.[issue.field] ?? '') === value.trim()) return;
+    updateRow(index, { [issue.field]: parseCellValue(issue.field, value) });
+  };
+
+  /**
+   * Include or exclude a row
+   */
+  const toggleExcluded = (index) => {
+    const next = new Set(excludedRows);
+    if (next.has(index)) {
+      next.delete(index);
+    } else {
+      next.add(index);
+    }
+    setExcludedRows(next);
+  };
+
+  /**
+   * Exclude every row that still has an error
+   */
+  const excludeRowsWithErrors = () => {
+    const next = new Set(excludedRows);
+    report.issues
+      .filter(issue => issue.severity === SEVERITY_ERROR && issue.row)
+      .forEach(issue => next.add(issue.row - 1));
+    setExcludedRows(next);
+  };
+
+  return (
+    <div className="mt-4 border border-primary-200 rounded-lg overflow-hidden">
+      <div className="bg-primary-50 px-4 py-3 border-b border-primary-200">
+        <div className="flex items-center space-x-2">
+          <ClipboardList className="w-5 h-5 text-primary-600" />
+          <h3 className="text-sm font-semibold text-gray-800">Review data{fileName ? ` in ${fileName}` : ''}</h3>
+        </div>
+        <p className="text-xs text-gray-600 mt-1">
+          {report.errorCount} {report.errorCount === 1 ? 'error' : 'errors'}, {report.warningCount} {report.warningCount === 1 ? 'warning' : 'warnings'}
+          {' · '}{includedCount} of {rows.length} rows included.
+          {' '}Fix values inline or exclude rows; errors must be resolved before continuing.
+        </p>
+      </div>
+
+      {/* Filters */}
+      <div className="px-4 py-2 border-b border-gray-200 flex flex-wrap items-center gap-3">
+        <select
+          value={severityFilter}
+          onChange={(e) => setSeverityFilter(e.target.value)}
+          aria-label="Filter by severity"
+          className="input-field w-auto px-2 py-1 text-sm"
+        >
+          <option value="all">All issues</option>
+          <option value={SEVERITY_ERROR}>Errors</option>
+          <option value={SEVERITY_WARNING}>Warnings</option>
+        </select>
+        <div className="relative">
+          <Search className="w-4 h-4 text-gray-400 absolute left-2 top-1/2 -translate-y-1/2" />
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search issues"
+            aria-label="Search issues"
+            className="input-field pl-8 pr-2 py-1 text-sm"
+          />
+        </div>
+        {report.errorCount > 0 && (
+          <button type="button" onClick={excludeRowsWithErrors} className="btn-secondary text-sm">
+            Exclude rows with errors
+          </button>
+        )}
+      </div>
+
+      <div className="overflow-x-auto max-h-96 overflow-y-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Exclude</th>
+              {COLUMNS.map(({ key, label }) => (
+                <th key={key} className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  <button
+                    type="button"
+                    onClick={() => handleSort(key)}
+                    className="flex items-center space-x-1 uppercase"
+                    aria-label={`Sort by ${label}`}
+                  >
+                    <span>{label}</span>
+                    {sort.key === key && (sort.direction === 'asc'
+                      ? <ArrowUp className="w-3 h-3" />
+                      : <ArrowDown className="w-3 h-3" />)}
+                  </button>
+                </th>
+              ))}
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Value</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {visibleIssues.slice(0, MAX_LISTED_ISSUES).map((issue, i) => {
+              const index = issue.row - 1;
+              const isExcluded = excludedRows.has(index);
+              const value = rows[index]?.[issue.field];
+              return (
+                <tr
+                  key={`${issue.row}-${issue.field}-${issue.message}-${i}`}
+                  className={isExcluded ? 'opacity-50' : issue.severity === SEVERITY_ERROR ? 'bg-red-50' : 'bg-yellow-50'}
+                >
+                  <td className="px-3 py-2">
+                    {issue.row && (
+                      <input
+                        type="checkbox"
+                        checked={isExcluded}
+                        onChange={() => toggleExcluded(index)}
+                        aria-label={`Exclude row ${issue.row}`}
+                        className="w-4 h-4 text-primary-600 border-gray-300 rounded"
+                      />
+                    )}
+                  </td>
+                  <td className="px-3 py-2 text-sm text-gray-800">{issue.row ?? '—'}</td>
+                  <td className="px-3 py-2 text-sm text-gray-600 font-mono">{issue.field ?? '—'}</td>
+                  <td className="px-3 py-2 text-sm">
+                    {issue.severity === SEVERITY_ERROR ? (
+                      <span className="flex items-center space-x-1 text-red-600">
+                        <AlertCircle className="w-4 h-4" />
+                        <span>Error</span>
+                      </span>
+                    ) : (
+                      <span className="flex items-center space-x-1 text-yellow-700">
+                        <AlertTriangle className="w-4 h-4" />
+                        <span>Warning</span>
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-3 py-2 text-sm text-gray-700">
+                    {issue.message}
+                    {isExcluded && <span className="ml-1 text-xs text-gray-500">(excluded)</span>}
+                  </td>
+                  <td className="px-3 py-2">
+                    {issue.field && issue.row && (
+                      <div className="flex items-center space-x-2">
+                        <input
+                          key={String(value ?? '')}
+                          type="text"
+                          defaultValue={value ?? ''}
+                          onBlur={(e) => handleEdit(issue, e.target.value)}
+                          onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                          aria-label={`Row ${issue.row} ${issue.field}`}
+                          className="input-field w-32 px-2 py-1 text-sm"
+                        />
+                        {issue.fix && (
+                          <button
+                            type="button"
+                            onClick={() => updateRow(index, issue.fix)}
+                            className="p-1 text-primary-600 hover:text-primary-800"
+                            title="Apply suggested fix"
+                            aria-label={`Apply fix to row ${issue.row}`}
+                          >
+                            <Wand2 className="w-4 h-4" />
+                          </button>
+                        )}
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+            {visibleIssues.length === 0 && (
+              <tr>
+                <td colSpan={COLUMNS.length + 2} className="px-3 py-4 text-sm text-center text-gray-500">
+                  No issues match the current filter
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+        {visibleIssues.length > MAX_LISTED_ISSUES && (
+          <p className="px-3 py-2 text-xs text-gray-500 flex items-center space-x-1">
+            <AlertTriangle className="w-3 h-3" />
+            <span>Showing the first {MAX_LISTED_ISSUES} of {visibleIssues.length.toLocaleString()} issues</span>
+          </p>
+        )}
+      </div>
+
+      <div className="px-4 py-3 bg-gray-50 border-t border-gray-200 flex items-center justify-end space-x-3">
+        <button type="button" onClick={onCancel} className="btn-secondary text-sm">
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={() => onContinue && onContinue(rows.filter((_, index) => !excludedRows.has(index)))}
+          disabled={!canContinue}
+          className="btn-primary text-sm"
+        >
+          Continue with {includedCount} {includedCount === 1 ? 'row' : 'rows'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ValidationReport;
@@ -0,0 +1,108 @@
+import { useReducer, useCallback } from 'react';
+
+/**
+ * Command history for the planning state
+ * Every change is committed as a labelled snapshot; undo/redo move a cursor
+ * through the snapshots, and committing after an undo drops the redo branch.
+ */
+
+// Oldest entries are dropped beyond this many snapshots
+export const MAX_HISTORY_ENTRIES = 50;
+
+// Coalesced edits further apart than this start a new entry
+export const COALESCE_WINDOW_MS = 1500;
+
+/**
+ * Create the initial history state
+ * @param {Object} initialState - Planning state to start from
+ * @param {string} label - Label of the first entry
+ * @returns {Object} History with entries and the current index
+ */
+export const createHistory = (initialState, label = 'Start') => ({
+  entries: [{ label, timestamp: Date.now(), state: initialState }],
+  index: 0,
+});
+
+/**
+ * History reducer
+ * Actions: commit ({ label, changes, coalesce }), undo, redo, jump ({ index }),
+ * reset ({ label, state }) to start a new history (e.g. when opening a project).
+ * `coalesce` is a key (e.g. the edited field): a commit with the same key and
+ * label as the latest entry, soon after it, updates that entry instead.
+ * @param {Object} history - Current history
+ * @param {Object} action - Action to apply
+ * @returns {Object} New history
+ */
+export const historyReducer = (history, action) => {
+  switch (action.type) {
+    case 'commit': {
+      const current = history.entries[history.index];
+      const state = { ...current.state, ...action.changes };
+
+      // Consecutive edits of the same field (e.g. typing in it) share one entry
+      const now = Date.now();
+      const isLatest = history.index === history.entries.length - 1;
+      if (
+        action.coalesce && isLatest && history.index > 0 &&
+        current.label === action.label && current.coalesce === action.coalesce &&
+        now - current.timestamp <= COALESCE_WINDOW_MS
+      ) {
+        const entries = [...history.entries];
+        entries[history.index] = { ...current, timestamp: now, state };
+        return { ...history, entries };
+      }
+
+      const entries = [
+        ...history.entries.slice(0, history.index + 1),
+        { label: action.label, timestamp: now, state, coalesce: action.coalesce || null },
+      ].slice(-MAX_HISTORY_ENTRIES);
+      return { entries, index: entries.length - 1 };
+    }
+    case 'undo':
+      return history.index > 0 ? { ...history, index: history.index - 1 } : history;
+    case 'redo':
+      return history.index < history.entries.length - 1
+        ? { ...history, index: history.index + 1 }
+        : history;
+    case 'jump':
+      return action.index >= 0 && action.index < history.entries.length
+        ? { ...history, index: action.index }
+        : history;
+    case 'reset':
+      return createHistory(action.state, action.label);
+    default:
+      return history;
+  }
+};
+
+/**
+ * Hook exposing the planning state with undo/redo
+ * @param {Object} initialState - Planning state to start from
+ * @returns {Object} present state, commit/undo/redo/jumpTo/reset and history details
+ */
+const usePlanHistory = (initialState) => {
+  const [history, dispatch] = useReducer(historyReducer, initialState, createHistory);
+
+  const commit = useCallback((label, changes, options = {}) => {
+    dispatch({ type: 'commit', label, changes, coalesce: options.coalesce });
+  }, []);
+  const undo = useCallback(() => dispatch({ type: 'undo' }), []);
+  const redo = useCallback(() => dispatch({ type: 'redo' }), []);
+  const jumpTo = useCallback((index) => dispatch({ type: 'jump', index }), []);
+  const reset = useCallback((state, label) => dispatch({ type: 'reset', state, label }), []);
+
+  return {
+    present: history.entries[history.index].state,
+    entries: history.entries,
+    currentIndex: history.index,
+    canUndo: history.index > 0,
+    canRedo: history.index < history.entries.length - 1,
+    commit,
+    undo,
+    redo,
+    jumpTo,
+    reset,
+  };
+};
+
+export default usePlanHistory;
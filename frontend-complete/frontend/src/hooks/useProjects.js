@@ -0,0 +1,249 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { isStorageAvailable } from '../services/db';
+import { listProjects, loadProject, saveProject, deleteProject } from '../services/projectStore';
+import {
+  createProject,
+  duplicateProject,
+  projectToExport,
+  projectFromExport,
+} from '../utils/projects';
+import { parseJSON, exportToJSON } from '../utils/helpers';
+import { log } from '../services/api';
+
+// Changes are saved this long after the last edit
+export const AUTOSAVE_DELAY = 800;
+
+/**
+ * Hook managing the projects saved in the browser
+ * The most recent project is opened on start (or a new one is created),
+ * and the open project is saved automatically whenever the plan or the
+ * scenarios change.
+ *
+ * @param {Object} options
+ * @param {Object} options.plan - Current plan { deliveryData, constraints, routes, routeEngine }
+ * @param {Array} options.scenarios - Current saved scenarios
+ * @param {Function} options.onOpen - Callback with a project whose plan and scenarios should be restored
+ * @param {Function} options.onError - Callback with an error message
+ * @returns {Object} projects, currentProject, saveStatus and project actions
+ */
+const useProjects = ({ plan, scenarios, onOpen, onError }) => {
+  const [projects, setProjects] = useState([]);
+  const [currentProject, setCurrentProject] = useState(null);
+  const [saveStatus, setSaveStatus] = useState(isStorageAvailable() ? 'idle' : 'unavailable');
+
+  // Latest values for async callbacks
+  const latest = useRef({});
+  latest.current = { plan, scenarios, currentProject, onOpen, onError };
+
+  const { deliveryData, constraints, routes, routeEngine } = plan;
+
+  /**
+   * Report a storage failure
+   */
+  const reportError = (message, err) => {
+    log('error', message, err);
+    latest.current.onError && latest.current.onError(`${message}: ${err.message}`);
+  };
+
+  /**
+   * Reload the project list
+   */
+  const refreshProjects = useCallback(async () => {
+    setProjects(await listProjects());
+  }, []);
+
+  /**
+   * Save the open project with the latest plan and scenarios
+   */
+  const saveCurrent = useCallback(async () => {
+    const { currentProject: project, plan: currentPlan, scenarios: currentScenarios } = latest.current;
+    if (!project) return;
+
+    setSaveStatus('saving');
+    try {
+      const saved = await saveProject({ ...project, plan: currentPlan, scenarios: currentScenarios });
+      setProjects(prev => [saved, ...prev.filter(p => p.id !== saved.id)]);
+      setSaveStatus('saved');
+    } catch (err) {
+      setSaveStatus('error');
+      reportError('Failed to save project', err);
+    }
+  }, []);
+
+  /**
+   * Make a stored project the open one and restore its plan
+   */
+  const activate = (project) => {
+    setCurrentProject({ id: project.id, name: project.name, createdAt: project.createdAt });
+    latest.current.onOpen && latest.current.onOpen(project);
+  };
+
+  /**
+   * Open the most recent project (or create one) on start
+   */
+  useEffect(() => {
+    if (!isStorageAvailable()) return;
+
+    const init = async () => {
+      try {
+        const stored = await listProjects();
+        if (stored.length > 0) {
+          setProjects(stored);
+          activate(stored[0]);
+        } else {
+          const project = await saveProject(createProject(undefined, latest.current.plan, latest.current.scenarios));
+          setProjects([project]);
+          setCurrentProject({ id: project.id, name: project.name, createdAt: project.createdAt });
+        }
+      } catch (err) {
+        setSaveStatus('unavailable');
+        reportError('Failed to open saved projects', err);
+      }
+    };
+    init();
+  }, []);
+
+  /**
+   * Autosave after changes settle
+   */
+  useEffect(() => {
+    if (!currentProject) return undefined;
+    const timeoutId = setTimeout(saveCurrent, AUTOSAVE_DELAY);
+    return () => clearTimeout(timeoutId);
+  }, [currentProject, deliveryData, constraints, routes, routeEngine, scenarios, saveCurrent]);
+
+  /**
+   * Open a saved project, saving the current one first
+   */
+  const openProject = async (id) => {
+    if (id === currentProject?.id) return;
+    try {
+      await saveCurrent();
+      const project = await loadProject(id);
+      if (project) activate(project);
+    } catch (err) {
+      reportError('Failed to open project', err);
+    }
+  };
+
+  /**
+   * Start a new, empty project
+   * @param {Object} initialPlan - Plan to start from (e.g. default constraints)
+   */
+  const newProject = async (initialPlan) => {
+    try {
+      await saveCurrent();
+      const project = await saveProject(createProject(undefined, initialPlan, []));
+      await refreshProjects();
+      activate(project);
+    } catch (err) {
+      reportError('Failed to create project', err);
+    }
+  };
+
+  /**
+   * Save a copy of a project
+   */
+  const duplicate = async (id) => {
+    try {
+      await saveCurrent();
+      const project = await loadProject(id);
+      if (!project) return;
+      await saveProject(duplicateProject(project));
+      await refreshProjects();
+    } catch (err) {
+      reportError('Failed to duplicate project', err);
+    }
+  };
+
+  /**
+   * Rename a project
+   */
+  const rename = async (id, name) => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    try {
+      if (id === currentProject?.id) {
+        setCurrentProject(prev => ({ ...prev, name: trimmed }));
+        latest.current.currentProject = { ...latest.current.currentProject, name: trimmed };
+        await saveCurrent();
+      } else {
+        const project = await loadProject(id);
+        if (project) await saveProject({ ...project, name: trimmed });
+        await refreshProjects();
+      }
+    } catch (err) {
+      reportError('Failed to rename project', err);
+    }
+  };
+
+  /**
+   * Delete a project; deleting the open project opens the next most recent one
+   * @param {string} id - Project id
+   * @param {Object} initialPlan - Plan for the new project created when none are left
+   */
+  const remove = async (id, initialPlan) => {
+    try {
+      await deleteProject(id);
+      const remaining = await listProjects();
+      setProjects(remaining);
+
+      if (id === currentProject?.id) {
+        latest.current.currentProject = null;
+        if (remaining.length > 0) {
+          activate(remaining[0]);
+        } else {
+          const project = await saveProject(createProject(undefined, initialPlan, []));
+          setProjects([project]);
+          activate(project);
+        }
+      }
+    } catch (err) {
+      reportError('Failed to delete project', err);
+    }
+  };
+
+  /**
+   * Import a project file (or a plan export) as a new project
+   * @param {File} file - JSON file
+   */
+  const importProject = async (file) => {
+    try {
+      // parseJSON wraps a single object in an array
+      const parsed = await parseJSON(file);
+      const data = parsed.length === 1 ? parsed[0] : parsed;
+      const project = projectFromExport(data, file.name.replace(/\.json$/i, ''));
+      await saveCurrent();
+      const saved = await saveProject(project);
+      await refreshProjects();
+      activate(saved);
+    } catch (err) {
+      reportError('Failed to import project', err);
+    }
+  };
+
+  /**
+   * Download the open project as JSON
+   */
+  const exportProject = () => {
+    const name = currentProject?.name || 'project';
+    const project = { ...currentProject, name, plan, scenarios };
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'project';
+    exportToJSON(projectToExport(project), `${slug}.json`);
+  };
+
+  return {
+    projects,
+    currentProject,
+    saveStatus,
+    openProject,
+    newProject,
+    duplicate,
+    rename,
+    remove,
+    importProject,
+    exportProject,
+  };
+};
+
+export default useProjects;
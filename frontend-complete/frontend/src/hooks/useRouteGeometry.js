@@ -0,0 +1,60 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { getRoutingProvider } from '../services/routing';
+import { log } from '../services/api';
+
+/**
+ * Road-following route lines for the map
+ * Routes are drawn as straight lines between their waypoints until the
+ * routing service has returned the road geometry. Geometries are cached by
+ * waypoints, so only routes whose stops or depots changed are fetched again.
+ */
+
+const defaultProvider = getRoutingProvider();
+
+// Waypoint key -> [lat, lng] positions along the roads
+const geometryCache = new Map();
+
+// Waypoint keys being fetched
+const pendingKeys = new Set();
+
+const waypointKey = (waypoints) => waypoints.map(([lat, lng]) => `${lat},${lng}`).join(';');
+
+/**
+ * Hook fetching the road geometry of routes
+ * @param {Array} routeWaypoints - Per route, the [lat, lng] positions of its depots and stops in order
+ * @param {Object} provider - Routing provider (defaults to the configured one)
+ * @returns {Function} (waypoints) => positions to draw; the waypoints themselves until the geometry is known
+ */
+export const useRouteGeometry = (routeWaypoints = [], provider = defaultProvider) => {
+  const [, setVersion] = useState(0);
+  const isMounted = useRef(true);
+
+  useEffect(() => {
+    isMounted.current = true;
+    return () => {
+      isMounted.current = false;
+    };
+  }, []);
+
+  useEffect(() => {
+    // Without a road network the geometry is the straight line anyway
+    if (!provider.roadNetwork) return;
+
+    routeWaypoints.forEach((waypoints) => {
+      const key = waypointKey(waypoints);
+      if (waypoints.length < 2 || geometryCache.has(key) || pendingKeys.has(key)) return;
+      pendingKeys.add(key);
+      provider.getRouteGeometry(waypoints.map(([lat, lng]) => ({ lat, lng })))
+        .then((positions) => {
+          geometryCache.set(key, positions);
+          if (isMounted.current) setVersion(version => version + 1);
+        })
+        .catch(error => log('error', 'Route geometry error:', error))
+        .finally(() => pendingKeys.delete(key));
+    });
+  }, [routeWaypoints, provider]);
+
+  return useCallback((waypoints) => geometryCache.get(waypointKey(waypoints)) || waypoints, []);
+};
+
+export default useRouteGeometry;
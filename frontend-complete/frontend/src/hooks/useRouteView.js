@@ -0,0 +1,108 @@
+import { useReducer, useCallback, useEffect } from 'react';
+
+/**
+ * Linked map/table/timeline view of the routes
+ * MapView, RouteTable and RouteTimeline share which routes are hidden,
+ * which route the map is focused on (zoomed to, with the others dimmed) and
+ * which stop is highlighted or selected, so hovering or filtering in one is
+ * reflected in the others.
+ */
+
+export const initialRouteView = {
+  hiddenRoutes: [], // Route indices
+  focusedRoute: null,
+  highlightedStopId: null,
+  selectedStopId: null, // The map centres on the selected stop
+};
+
+/**
+ * Route view reducer
+ * Actions: toggle ({ index }) shows or hides a route, solo ({ index, routeCount })
+ * hides every other route (again to show all), focus ({ index }) zooms to a
+ * route (again to zoom out), highlight ({ stopId }), select ({ stopId, routeIndex })
+ * selects a stop and shows its route (again to deselect), showAll, reset
+ * @param {Object} view - Current view
+ * @param {Object} action - Action to apply
+ * @returns {Object} New view
+ */
+export const routeViewReducer = (view, action) => {
+  switch (action.type) {
+    case 'toggle': {
+      const isHidden = view.hiddenRoutes.includes(action.index);
+      return {
+        ...view,
+        hiddenRoutes: isHidden
+          ? view.hiddenRoutes.filter(index => index !== action.index)
+          : [...view.hiddenRoutes, action.index],
+        focusedRoute: !isHidden && view.focusedRoute === action.index ? null : view.focusedRoute,
+      };
+    }
+    case 'solo': {
+      const others = Array.from({ length: action.routeCount }, (_, index) => index)
+        .filter(index => index !== action.index);
+      const isSolo = others.length > 0 && others.every(index => view.hiddenRoutes.includes(index)) &&
+        !view.hiddenRoutes.includes(action.index);
+      return isSolo
+        ? { ...view, hiddenRoutes: [], focusedRoute: null }
+        : { ...view, hiddenRoutes: others, focusedRoute: action.index };
+    }
+    case 'focus':
+      return view.focusedRoute === action.index
+        ? { ...view, focusedRoute: null }
+        : {
+          ...view,
+          hiddenRoutes: view.hiddenRoutes.filter(index => index !== action.index),
+          focusedRoute: action.index,
+        };
+    case 'highlight':
+      return view.highlightedStopId === action.stopId ? view : { ...view, highlightedStopId: action.stopId };
+    case 'select':
+      return view.selectedStopId === action.stopId
+        ? { ...view, selectedStopId: null }
+        : {
+          ...view,
+          hiddenRoutes: view.hiddenRoutes.filter(index => index !== action.routeIndex),
+          selectedStopId: action.stopId,
+        };
+    case 'showAll':
+      return { ...view, hiddenRoutes: [], focusedRoute: null };
+    case 'reset':
+      return initialRouteView;
+    default:
+      return view;
+  }
+};
+
+/**
+ * Hook holding the linked route view
+ * The view is reset when the number of routes changes (e.g. after generating
+ * routes or overlaying a scenario), since route indices no longer match.
+ * @param {number} routeCount - Number of routes shown
+ * @returns {Object} View state and actions
+ */
+export const useRouteView = (routeCount = 0) => {
+  const [view, dispatch] = useReducer(routeViewReducer, initialRouteView);
+
+  useEffect(() => {
+    dispatch({ type: 'reset' });
+  }, [routeCount]);
+
+  const toggleRoute = useCallback((index) => dispatch({ type: 'toggle', index }), []);
+  const soloRoute = useCallback((index) => dispatch({ type: 'solo', index, routeCount }), [routeCount]);
+  const focusRoute = useCallback((index) => dispatch({ type: 'focus', index }), []);
+  const highlightStop = useCallback((stopId) => dispatch({ type: 'highlight', stopId: stopId ?? null }), []);
+  const selectStop = useCallback((stopId, routeIndex) => dispatch({ type: 'select', stopId, routeIndex }), []);
+  const showAllRoutes = useCallback(() => dispatch({ type: 'showAll' }), []);
+
+  return {
+    ...view,
+    toggleRoute,
+    soloRoute,
+    focusRoute,
+    highlightStop,
+    selectStop,
+    showAllRoutes,
+  };
+};
+
+export default useRouteView;
@@ -3,12 +3,27 @@ import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
 import './index.css'
 
+/**
+ * Start the mock backend when VITE_API_MOCK is 'true'
+ * Other requests (map tiles, routing service) go to the network as usual.
+ */
+const startMockBackend = async () => {
+  if (import.meta.env.VITE_API_MOCK !== 'true') return;
+  const { worker } = await import('./mocks/browser');
+  await worker.start({ onUnhandledRequest: 'bypass' });
+}
+
 /**
  * Main entry point for the React application
- * Renders the App component into the root DOM element
+ * Renders the App component into the root DOM element; when the mock backend
+ * cannot start, the app still renders against the real API
  */
-ReactDOM.createRoot(document.getElementById('root')).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>,
-)
+startMockBackend().catch((error) => {
+  console.error('Mock backend failed to start, using the real API:', error)
+}).then(() => {
+  ReactDOM.createRoot(document.getElementById('root')).render(
+    <React.StrictMode>
+      <App />
+    </React.StrictMode>,
+  )
+})
@@ -0,0 +1,11 @@
+import { setupWorker } from 'msw/browser';
+import { createHandlers, getMockOptions } from './handlers';
+
+/**
+ * Mock backend service worker for development
+ * Started from main.jsx when VITE_API_MOCK is 'true'; uses
+ * public/mockServiceWorker.js.
+ */
+export const worker = setupWorker(...createHandlers(getMockOptions()));
+
+export default worker;
@@ -0,0 +1,38 @@
+/**
+ * Mock backend fixtures
+ * A day of deliveries around Manhattan and Brooklyn, in the shape the
+ * backend's `/get-sample-data` returns. A few stops have time windows,
+ * service times and demand so every planning feature has something to show;
+ * the windows fit the app's default 08:00-18:00 delivery day.
+ */
+
+export const SAMPLE_DELIVERY_POINTS = [
+  { id: 1, customer_name: 'Joe\'s Pizza', address: '7 Carmine St, New York, NY 10014', lat: 40.7306, lng: -74.0021, window_start: '09:00', window_end: '11:00', service_minutes: 10, demand: 4 },
+  { id: 2, customer_name: 'Grand Central Market', address: '89 E 42nd St, New York, NY 10017', lat: 40.7527, lng: -73.9772, window_start: '08:00', window_end: '10:00', service_minutes: 20, demand: 12 },
+  { id: 3, customer_name: 'Chelsea Florist', address: '75 9th Ave, New York, NY 10011', lat: 40.7424, lng: -74.0061, service_minutes: 5, demand: 2 },
+  { id: 4, customer_name: 'Harlem Books', address: '2031 Frederick Douglass Blvd, New York, NY 10026', lat: 40.8032, lng: -73.9563, demand: 3 },
+  { id: 5, customer_name: 'Upper West Deli', address: '2245 Broadway, New York, NY 10024', lat: 40.7851, lng: -73.9794, window_start: '12:00', window_end: '14:00', demand: 5 },
+  { id: 6, customer_name: 'Lenox Hill Pharmacy', address: '1091 Lexington Ave, New York, NY 10075', lat: 40.7736, lng: -73.9605, window_start: '08:00', window_end: '12:00', service_minutes: 5, demand: 1 },
+  { id: 7, customer_name: 'SoHo Gallery', address: '420 W Broadway, New York, NY 10012', lat: 40.7250, lng: -74.0021, window_start: '13:00', window_end: '17:00', service_minutes: 15, demand: 6 },
+  { id: 8, customer_name: 'Financial District Cafe', address: '55 Water St, New York, NY 10041', lat: 40.7033, lng: -74.0097, window_start: '08:00', window_end: '09:30', demand: 8 },
+  { id: 9, customer_name: 'Tribeca Wine Shop', address: '155 Franklin St, New York, NY 10013', lat: 40.7195, lng: -74.0094, demand: 10 },
+  { id: 10, customer_name: 'East Village Bakery', address: '124 1st Ave, New York, NY 10009', lat: 40.7276, lng: -73.9852, window_start: '08:00', window_end: '09:00', service_minutes: 10, demand: 7 },
+  { id: 11, customer_name: 'Lower East Side Grocer', address: '88 Essex St, New York, NY 10002', lat: 40.7189, lng: -73.9880, demand: 9 },
+  { id: 12, customer_name: 'Midtown Office Supplies', address: '350 5th Ave, New York, NY 10118', lat: 40.7484, lng: -73.9857, window_start: '09:00', window_end: '17:00', service_minutes: 15, demand: 14 },
+  { id: 13, customer_name: 'Hell\'s Kitchen Bistro', address: '600 9th Ave, New York, NY 10036', lat: 40.7598, lng: -73.9918, window_start: '10:00', window_end: '12:00', demand: 5 },
+  { id: 14, customer_name: 'Murray Hill Cleaners', address: '210 E 34th St, New York, NY 10016', lat: 40.7447, lng: -73.9777, service_minutes: 5, demand: 3 },
+  { id: 15, customer_name: 'Gramercy Hardware', address: '325 3rd Ave, New York, NY 10010', lat: 40.7394, lng: -73.9830, demand: 11 },
+  { id: 16, customer_name: 'Washington Heights Market', address: '4001 Broadway, New York, NY 10032', lat: 40.8385, lng: -73.9412, window_start: '14:00', window_end: '18:00', demand: 13 },
+  { id: 17, customer_name: 'Morningside Coffee', address: '2800 Broadway, New York, NY 10025', lat: 40.8046, lng: -73.9665, demand: 2 },
+  { id: 18, customer_name: 'Brooklyn Heights Books', address: '128 Montague St, Brooklyn, NY 11201', lat: 40.6946, lng: -73.9927, window_start: '11:00', window_end: '15:00', demand: 4 },
+  { id: 19, customer_name: 'DUMBO Roasters', address: '55 Water St, Brooklyn, NY 11201', lat: 40.7033, lng: -73.9903, service_minutes: 10, demand: 6 },
+  { id: 20, customer_name: 'Williamsburg Records', address: '175 Bedford Ave, Brooklyn, NY 11211', lat: 40.7174, lng: -73.9571, window_start: '12:00', window_end: '18:00', demand: 3 },
+  { id: 21, customer_name: 'Park Slope Co-op', address: '782 Union St, Brooklyn, NY 11215', lat: 40.6746, lng: -73.9766, window_start: '08:00', window_end: '12:00', service_minutes: 25, demand: 15 },
+  { id: 22, customer_name: 'Long Island City Brewery', address: '10-43 44th Dr, Long Island City, NY 11101', lat: 40.7477, lng: -73.9476, demand: 10 },
+  { id: 23, customer_name: 'Astoria Taverna', address: '31-14 Broadway, Astoria, NY 11106', lat: 40.7614, lng: -73.9247, window_start: '15:00', window_end: '18:00', demand: 5 },
+  { id: 24, customer_name: 'Battery Park Kiosk', address: '1 Battery Pl, New York, NY 10004', lat: 40.7058, lng: -74.0173, service_minutes: 5, demand: 1 },
+];
+
+export default {
+  SAMPLE_DELIVERY_POINTS,
+};
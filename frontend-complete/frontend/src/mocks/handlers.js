@@ -0,0 +1,272 @@
+import { http, HttpResponse, delay } from 'msw';
+import Papa from 'papaparse';
+import { API_BASE_URL, JOB_QUEUED, JOB_RUNNING, JOB_COMPLETED, JOB_CANCELLED } from '../services/api';
+import { solveRoutes } from '../utils/routeSolver';
+import { SAMPLE_DELIVERY_POINTS } from './fixtures';
+
+/**
+ * Mock backend
+ * Request handlers standing in for the FastAPI backend, for offline
+ * development (through the service worker in browser.js) and for tests
+ * (through the request interceptor in node.js). Routes are planned with the
+ * local heuristic solver; jobs report progress over their configured duration.
+ * Every endpoint can be slowed down and made to fail.
+ */
+
+// Endpoint names used in the failing option
+export const MOCK_ENDPOINTS = ['health', 'upload', 'sample-data', 'generate-routes'];
+
+const readNumber = (value, fallback) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+const readList = value => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Mock backend options from the VITE_API_MOCK_* environment variables
+ * @returns {Object} Options for createHandlers
+ */
+export const getMockOptions = () => ({
+  latency: readNumber(import.meta.env.VITE_API_MOCK_LATENCY, 300),
+  failureRate: readNumber(import.meta.env.VITE_API_MOCK_FAILURE_RATE, 0),
+  failing: readList(import.meta.env.VITE_API_MOCK_FAIL),
+  jobDuration: readNumber(import.meta.env.VITE_API_MOCK_JOB_DURATION, 3000),
+  jobs: import.meta.env.VITE_API_MOCK_JOBS !== 'false',
+});
+
+/**
+ * Check the body of a route-generation request
+ * @returns {Array} FastAPI-style validation errors [{ loc, msg, type }]
+ */
+export const validateRouteRequest = (body) => {
+  const errors = [];
+  const error = (loc, msg, type = 'value_error') => errors.push({ loc: ['body', ...loc], msg, type });
+
+  if (!body || typeof body !== 'object') {
+    error([], 'Field required', 'missing');
+    return errors;
+  }
+  if (!Array.isArray(body.delivery_points)) {
+    error(['delivery_points'], 'Input should be a valid list', 'list_type');
+  } else if (body.delivery_points.length === 0) {
+    error(['delivery_points'], 'List should have at least 1 item after validation', 'too_short');
+  } else {
+    body.delivery_points.forEach((point, index) => {
+      if (point?.id === undefined || point?.id === null || point?.id === '') {
+        error(['delivery_points', index, 'id'], 'Field required', 'missing');
+      }
+      [['lat', 90], ['lng', 180]].forEach(([field, limit]) => {
+        const value = parseFloat(point?.[field]);
+        if (!Number.isFinite(value)) {
+          error(['delivery_points', index, field], 'Input should be a valid number', 'float_parsing');
+        } else if (Math.abs(value) > limit) {
+          error(['delivery_points', index, field], `Input should be between -${limit} and ${limit}`);
+        }
+      });
+    });
+  }
+  if (body.constraints !== undefined && (typeof body.constraints !== 'object' || body.constraints === null)) {
+    error(['constraints'], 'Input should be a valid dictionary', 'dict_type');
+  }
+  return errors;
+};
+
+/**
+ * Parse an uploaded CSV or JSON delivery file
+ * @returns {Array} Rows
+ */
+const parseUpload = async (file) => {
+  const text = await file.text();
+  if (/\.json$/i.test(file.name)) {
+    const data = JSON.parse(text);
+    return Array.isArray(data) ? data : data.data || [];
+  }
+  const { data } = Papa.parse(text.trim(), { header: true, skipEmptyLines: true, dynamicTyping: true });
+  return data;
+};
+
+/**
+ * Create the mock backend's request handlers
+ * Each call has its own job store, so tests do not share jobs.
+ * @param {Object} options - { latency (ms per response, or [min, max]), failureRate (0-1, share of
+ *   requests answered with 503), failing (endpoint names from MOCK_ENDPOINTS that always fail),
+ *   jobDuration (ms a route-generation job runs), jobs (false mimics a backend without jobs),
+ *   baseUrl }
+ * @returns {Array} MSW request handlers
+ */
+export const createHandlers = (options = {}) => {
+  const {
+    latency = 0,
+    failureRate = 0,
+    failing = [],
+    jobDuration = 0,
+    jobs: withJobs = true,
+    baseUrl = API_BASE_URL,
+  } = options;
+  const jobs = new Map();
+  let nextJobId = 1;
+
+  const respond = async () => {
+    const [min, max] = Array.isArray(latency) ? latency : [latency, latency];
+    await delay(min + Math.random() * (max - min));
+  };
+
+  /**
+   * Answer with a 503 when the endpoint is set to fail
+   */
+  const failure = (endpoint) => {
+    if (!failing.includes(endpoint) && Math.random() >= failureRate) return null;
+    return HttpResponse.json({ detail: `Mock backend: ${endpoint} is unavailable` }, { status: 503 });
+  };
+
+  const planRoutes = (body) => {
+    const { routes } = solveRoutes(body.delivery_points, body.constraints || {});
+    return { routes };
+  };
+
+  /**
+   * Job state at the current time; progress follows the elapsed share of the job duration
+   */
+  const jobState = (job) => {
+    if (job.status === JOB_CANCELLED) return job.state;
+    const elapsed = Date.now() - job.startedAt;
+    const progress = jobDuration > 0 ? Math.min(1, elapsed / jobDuration) : 1;
+    const state = { job_id: job.id, progress, message: null, best: null, result: null, error: null };
+
+    if (progress >= 1) {
+      job.status = JOB_COMPLETED;
+      job.state = { ...state, status: JOB_COMPLETED, message: 'Routes ready', best: job.plan, result: job.plan };
+    } else if (progress < 0.1) {
+      job.state = { ...state, status: JOB_QUEUED };
+    } else {
+      job.state = {
+        ...state,
+        status: JOB_RUNNING,
+        message: progress < 0.5 ? 'Building initial routes...' : 'Improving routes...',
+        best: progress >= 0.5 ? job.plan : null,
+      };
+    }
+    return job.state;
+  };
+
+  const findJob = params => jobs.get(params.jobId);
+
+  const notFound = () => HttpResponse.json({ detail: 'Job not found' }, { status: 404 });
+
+  const url = path => `${baseUrl}${path}`;
+
+  return [
+    http.get(url('/health'), async () => {
+      await respond();
+      return failure('health') || HttpResponse.json({ status: 'healthy', mock: true });
+    }),
+
+    http.get(url('/get-sample-data'), async () => {
+      await respond();
+      return failure('sample-data') || HttpResponse.json({ data: SAMPLE_DELIVERY_POINTS });
+    }),
+
+    http.post(url('/upload'), async ({ request }) => {
+      await respond();
+      const failed = failure('upload');
+      if (failed) return failed;
+
+      const file = (await request.formData()).get('file');
+      if (!file || typeof file === 'string') {
+        return HttpResponse.json({ detail: [{ loc: ['body', 'file'], msg: 'Field required', type: 'missing' }] }, { status: 422 });
+      }
+      if (!/\.(csv|json)$/i.test(file.name)) {
+        return HttpResponse.json({ detail: 'Only CSV and JSON files are supported' }, { status: 400 });
+      }
+      try {
+        const data = await parseUpload(file);
+        return HttpResponse.json({ filename: file.name, count: data.length, data });
+      } catch (error) {
+        return HttpResponse.json({ detail: `Could not parse ${file.name}: ${error.message}` }, { status: 400 });
+      }
+    }),
+
+    http.post(url('/generate-routes'), async ({ request }) => {
+      await respond();
+      const failed = failure('generate-routes');
+      if (failed) return failed;
+
+      const body = await request.json().catch(() => null);
+      const errors = validateRouteRequest(body);
+      if (errors.length > 0) return HttpResponse.json({ detail: errors }, { status: 422 });
+      return HttpResponse.json(planRoutes(body));
+    }),
+
+    http.post(url('/generate-routes/jobs'), async ({ request }) => {
+      await respond();
+      if (!withJobs) return HttpResponse.json({ detail: 'Not Found' }, { status: 404 });
+      const failed = failure('generate-routes');
+      if (failed) return failed;
+
+      const body = await request.json().catch(() => null);
+      const errors = validateRouteRequest(body);
+      if (errors.length > 0) return HttpResponse.json({ detail: errors }, { status: 422 });
+
+      const id = `mock-${nextJobId++}`;
+      const job = { id, startedAt: Date.now(), status: JOB_QUEUED, plan: planRoutes(body), state: null };
+      jobs.set(id, job);
+      return HttpResponse.json({ job_id: id, status: JOB_QUEUED }, { status: 202 });
+    }),
+
+    http.get(url('/generate-routes/jobs/:jobId'), async ({ params }) => {
+      await respond();
+      const job = findJob(params);
+      return job ? HttpResponse.json(jobState(job)) : notFound();
+    }),
+
+    http.get(url('/generate-routes/jobs/:jobId/events'), ({ params }) => {
+      const job = findJob(params);
+      if (!job) return notFound();
+
+      const encoder = new TextEncoder();
+      let timer = null;
+      const stream = new ReadableStream({
+        start(controller) {
+          const send = () => {
+            const state = jobState(job);
+            controller.enqueue(encoder.encode(`data: ${JSON.stringify(state)}\n\n`));
+            if ([JOB_COMPLETED, JOB_CANCELLED].includes(state.status)) {
+              clearInterval(timer);
+              controller.close();
+            }
+          };
+          send();
+          if (job.state.status !== JOB_COMPLETED && job.state.status !== JOB_CANCELLED) {
+            timer = setInterval(send, Math.max(100, Math.min(500, jobDuration / 10)));
+          }
+        },
+        cancel() {
+          clearInterval(timer);
+        },
+      });
+      return new HttpResponse(stream, {
+        headers: { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' },
+      });
+    }),
+
+    http.delete(url('/generate-routes/jobs/:jobId'), async ({ params }) => {
+      await respond();
+      const job = findJob(params);
+      if (!job) return notFound();
+      const state = jobState(job);
+      if (state.status !== JOB_COMPLETED) {
+        job.status = JOB_CANCELLED;
+        job.state = { ...state, status: JOB_CANCELLED, message: 'Cancelled', result: null };
+      }
+      return HttpResponse.json(job.state);
+    }),
+  ];
+};
+
+export default {
+  MOCK_ENDPOINTS,
+  getMockOptions,
+  validateRouteRequest,
+  createHandlers,
+};
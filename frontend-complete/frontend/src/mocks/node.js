@@ -0,0 +1,13 @@
+import { setupServer } from 'msw/node';
+import { createHandlers } from './handlers';
+
+/**
+ * Create a mock backend for tests
+ * Requests are intercepted in the test process; start it with listen()
+ * and stop it with close(). Handlers can be swapped per test with use().
+ * @param {Object} options - createHandlers options (no latency, instant jobs by default)
+ * @returns {Object} MSW server
+ */
+export const createMockServer = (options = {}) => setupServer(...createHandlers(options));
+
+export default createMockServer;
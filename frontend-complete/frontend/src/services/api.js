@@ -1,12 +1,23 @@
 import axios from 'axios';
+import {
+  ServerError,
+  NetworkError,
+  TimeoutError,
+  CancelledError,
+  toApiError,
+} from './apiErrors';
 
 /**
  * API Service for communicating with the FastAPI backend
  * Handles all HTTP requests and error handling
+ *
+ * Every call takes an optional AbortSignal and rejects with an ApiError
+ * subclass (see apiErrors.js). Idempotent calls are retried with exponential
+ * backoff when the backend cannot be reached, times out or fails.
  */
 
 // Base URL for API - can be configured via environment variables
-const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:8000/api';
+export const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:8000/api';
 
 // Create axios instance with default config
 const apiClient = axios.create({
@@ -14,100 +25,338 @@ const apiClient = axios.create({
   headers: {
     'Content-Type': 'application/json',
   },
-  timeout: 120000, // 2 minutes timeout for AI processing
+  timeout: 120000, // 2 minutes timeout for AI processing on backends without jobs
 });
 
+// Route-generation job states; the last three are final
+export const JOB_QUEUED = 'queued';
+export const JOB_RUNNING = 'running';
+export const JOB_COMPLETED = 'completed';
+export const JOB_FAILED = 'failed';
+export const JOB_CANCELLED = 'cancelled';
+
+const FINAL_JOB_STATES = [JOB_COMPLETED, JOB_FAILED, JOB_CANCELLED];
+
+// How often a job is polled when its event stream is not available
+const JOB_POLL_INTERVAL = 1000;
+
+// Retries of idempotent calls; the delay doubles after each attempt
+const RETRY_ATTEMPTS = 2;
+const RETRY_DELAY = 500;
+
+// Log levels from most to least verbose
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+const DEFAULT_LOG_LEVEL = LOG_LEVELS.includes(import.meta.env.VITE_API_LOG_LEVEL)
+  ? import.meta.env.VITE_API_LOG_LEVEL
+  : (import.meta.env.DEV ? 'debug' : 'warn');
+
+const logging = { level: DEFAULT_LOG_LEVEL, logger: console };
+
+/**
+ * Configure API logging
+ * Also applies to the services and components that log through `log`.
+ * @param {Object} options - { level ('debug', 'info', 'warn', 'error' or 'silent'),
+ *   logger (object with debug/info/warn/error methods, console by default) }
+ */
+export const configureApiLogging = ({ level, logger } = {}) => {
+  if (level !== undefined) {
+    if (!LOG_LEVELS.includes(level)) throw new Error(`Unknown API log level: ${level}`);
+    logging.level = level;
+  }
+  if (logger) logging.logger = logger;
+};
+
+/**
+ * Log a message at a level, if the configured level allows it
+ * @param {string} level - 'debug', 'info', 'warn' or 'error'
+ * @param {...*} args - Message and values, as for console methods
+ */
+export const log = (level, ...args) => {
+  if (LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(logging.level)) {
+    logging.logger[level](...args);
+  }
+};
+
 /**
  * Request interceptor for logging and adding auth tokens if needed
  */
 apiClient.interceptors.request.use(
   (config) => {
-    console.log(`API Request: ${config.method?.toUpperCase()} ${config.url}`);
+    log('debug', `API Request: ${config.method?.toUpperCase()} ${config.url}`);
     return config;
   },
   (error) => {
-    console.error('API Request Error:', error);
+    log('error', 'API Request Error:', error);
     return Promise.reject(error);
   }
 );
 
 /**
- * Response interceptor for error handling
+ * Response interceptor for logging
  */
 apiClient.interceptors.response.use(
   (response) => {
-    console.log(`API Response: ${response.config.url}`, response.status);
+    log('debug', `API Response: ${response.config.url}`, response.status);
     return response;
   },
   (error) => {
-    console.error('API Response Error:', error.response?.data || error.message);
+    if (error?.code !== 'ERR_CANCELED') {
+      log('error', 'API Response Error:', error.response?.data || error.message);
+    }
     return Promise.reject(error);
   }
 );
 
+/**
+ * Wait for a delay, or stop early when the signal aborts
+ */
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new CancelledError());
+    return;
+  }
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new CancelledError());
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Send a request and return the response data
+ * @param {Function} makeRequest - Returns the axios request promise
+ * @param {string} fallbackMessage - Error message when the response carries none
+ * @returns {Promise} Response data; rejects with an ApiError
+ */
+const send = async (makeRequest, fallbackMessage) => {
+  try {
+    const response = await makeRequest();
+    return response.data;
+  } catch (error) {
+    throw toApiError(error, fallbackMessage);
+  }
+};
+
+/**
+ * Retry a request while it fails for transient reasons
+ * Network errors, timeouts and server errors are retried with exponential
+ * backoff; validation errors and cancellation are not.
+ * @param {Function} request - Returns a promise rejecting with an ApiError
+ * @param {Object} options - { retries, retryDelay (ms before the first retry), signal }
+ * @returns {Promise} Result of the first successful attempt
+ */
+export const withRetry = async (request, { retries = RETRY_ATTEMPTS, retryDelay = RETRY_DELAY, signal } = {}) => {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await request();
+    } catch (error) {
+      const isTransient = error instanceof NetworkError || error instanceof TimeoutError ||
+        error instanceof ServerError;
+      if (signal?.aborted) throw new CancelledError();
+      if (attempt >= retries || !isTransient) throw error;
+
+      const delay = retryDelay * 2 ** attempt;
+      log('warn', `${error.message}; retrying in ${delay} ms`);
+      await wait(delay, signal);
+    }
+  }
+};
+
 /**
  * Upload delivery data file (CSV or JSON)
  * @param {File} file - The file to upload
+ * @param {Object} options - { signal }
  * @returns {Promise} Response with parsed delivery data
  */
-export const uploadFile = async (file) => {
+export const uploadFile = async (file, { signal } = {}) => {
   const formData = new FormData();
   formData.append('file', file);
 
-  try {
-    const response = await apiClient.post('/upload', formData, {
-      headers: {
-        'Content-Type': 'multipart/form-data',
-      },
-    });
-    return response.data;
-  } catch (error) {
-    throw new Error(error.response?.data?.detail || 'Failed to upload file');
+  return send(() => apiClient.post('/upload', formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+    },
+    signal,
+  }), 'Failed to upload file');
+};
+
+/**
+ * Submit a route-generation job
+ * @param {Object} payload - Contains delivery data and constraints
+ * @param {Object} options - { signal }
+ * @returns {Promise} Job { job_id, status }
+ */
+export const submitRouteJob = async (payload, { signal } = {}) => {
+  return send(() => apiClient.post('/generate-routes/jobs', payload, { signal }), 'Failed to generate routes');
+};
+
+/**
+ * Get the state of a route-generation job
+ * @param {string} jobId - Job id
+ * @param {Object} options - { signal, retries, retryDelay }
+ * @returns {Promise} Job { job_id, status, progress (0-1), message, best, result, error };
+ *   best is the best plan found so far and result the final plan, both { routes }
+ */
+export const getRouteJob = async (jobId, { signal, ...retry } = {}) => {
+  return withRetry(() => send(
+    () => apiClient.get(`/generate-routes/jobs/${encodeURIComponent(jobId)}`, { signal }),
+    'Failed to get the route generation status'
+  ), { ...retry, signal });
+};
+
+/**
+ * Cancel a route-generation job
+ * @param {string} jobId - Job id
+ * @param {Object} options - { retries, retryDelay }
+ * @returns {Promise} Job in its cancelled state
+ */
+export const cancelRouteJob = async (jobId, retry = {}) => {
+  return withRetry(() => send(
+    () => apiClient.delete(`/generate-routes/jobs/${encodeURIComponent(jobId)}`),
+    'Failed to cancel route generation'
+  ), retry);
+};
+
+/**
+ * Poll a job until it reaches a final state
+ */
+const pollRouteJob = async (jobId, { onUpdate, signal, pollInterval }) => {
+  for (;;) {
+    const job = await getRouteJob(jobId, { signal });
+    if (signal?.aborted) throw new CancelledError();
+    onUpdate?.(job);
+    if (FINAL_JOB_STATES.includes(job.status)) return job;
+    await wait(pollInterval, signal);
   }
 };
 
+/**
+ * Follow a job until it reaches a final state
+ * Updates come from the job's server-sent event stream, each event carrying
+ * the job as JSON; without EventSource, or when the stream fails, the job is
+ * polled instead.
+ * @param {string} jobId - Job id
+ * @param {Object} options - { onUpdate (called with each job update), signal, pollInterval (ms) }
+ * @returns {Promise} Job in its final state
+ */
+export const watchRouteJob = (jobId, { onUpdate, signal, pollInterval = JOB_POLL_INTERVAL } = {}) => {
+  if (signal?.aborted) return Promise.reject(new CancelledError());
+  if (typeof EventSource === 'undefined') return pollRouteJob(jobId, { onUpdate, signal, pollInterval });
+
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`${API_BASE_URL}/generate-routes/jobs/${encodeURIComponent(jobId)}/events`);
+    const finish = (settle, value) => {
+      source.close();
+      signal?.removeEventListener('abort', onAbort);
+      settle(value);
+    };
+    const onAbort = () => finish(reject, new CancelledError());
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    source.onmessage = (event) => {
+      let job;
+      try {
+        job = JSON.parse(event.data);
+      } catch (error) {
+        log('warn', 'Invalid job event:', event.data);
+        return;
+      }
+      onUpdate?.(job);
+      if (FINAL_JOB_STATES.includes(job.status)) finish(resolve, job);
+    };
+    source.onerror = () => {
+      log('warn', 'Job event stream failed, polling instead');
+      source.close();
+      signal?.removeEventListener('abort', onAbort);
+      pollRouteJob(jobId, { onUpdate, signal, pollInterval }).then(resolve, reject);
+    };
+  });
+};
+
+/**
+ * Generate routes with a single request, for backends without jobs
+ */
+const generateRoutesBlocking = async (payload, signal) => {
+  return send(() => apiClient.post('/generate-routes', payload, { signal }), 'Failed to generate routes');
+};
+
 /**
  * Generate optimized routes using AI
+ * The routes are computed by a backend job; progress and the best plan so
+ * far are reported through onProgress while it runs. Aborting the signal
+ * cancels the job. Backends without jobs get a single blocking request.
  * @param {Object} payload - Contains delivery data and constraints
+ * @param {Object} options - { onProgress (called with each job update), signal (AbortSignal), pollInterval (ms) }
  * @returns {Promise} Response with optimized routes
  */
-export const generateRoutes = async (payload) => {
+export const generateRoutes = async (payload, { onProgress, signal, pollInterval } = {}) => {
+  let job;
   try {
-    const response = await apiClient.post('/generate-routes', payload);
-    return response.data;
+    job = await submitRouteJob(payload, { signal });
   } catch (error) {
-    throw new Error(error.response?.data?.detail || 'Failed to generate routes');
+    if ([404, 405].includes(error.status)) {
+      return generateRoutesBlocking(payload, signal);
+    }
+    throw error;
+  }
+
+  const cancel = () => {
+    cancelRouteJob(job.job_id).catch(error => log('error', 'Route generation cancel error:', error));
+  };
+  if (signal?.aborted) {
+    cancel();
+    throw new CancelledError('Route generation was cancelled');
+  }
+  signal?.addEventListener('abort', cancel, { once: true });
+
+  try {
+    const finalJob = await watchRouteJob(job.job_id, { onUpdate: onProgress, signal, pollInterval });
+    if (finalJob.status === JOB_COMPLETED) return finalJob.result;
+    if (finalJob.status === JOB_CANCELLED) throw new CancelledError('Route generation was cancelled');
+    throw new ServerError(finalJob.error || 'Failed to generate routes', { detail: finalJob.error || null });
+  } finally {
+    signal?.removeEventListener('abort', cancel);
   }
 };
 
 /**
  * Get sample delivery data for demo purposes
+ * @param {Object} options - { signal, retries, retryDelay }
  * @returns {Promise} Response with sample delivery data
  */
-export const getSampleData = async () => {
-  try {
-    const response = await apiClient.get('/get-sample-data');
-    return response.data;
-  } catch (error) {
-    throw new Error(error.response?.data?.detail || 'Failed to fetch sample data');
-  }
+export const getSampleData = async ({ signal, ...retry } = {}) => {
+  return withRetry(
+    () => send(() => apiClient.get('/get-sample-data', { signal }), 'Failed to fetch sample data'),
+    { ...retry, signal }
+  );
 };
 
 /**
  * Health check endpoint
+ * @param {Object} options - { signal, retries, retryDelay }
  * @returns {Promise} Server health status
  */
-export const healthCheck = async () => {
-  try {
-    const response = await apiClient.get('/health');
-    return response.data;
-  } catch (error) {
-    throw new Error('Backend server is not responding');
-  }
+export const healthCheck = async ({ signal, ...retry } = {}) => {
+  return withRetry(
+    () => send(() => apiClient.get('/health', { signal }), 'Backend server is not responding'),
+    { ...retry, signal }
+  );
 };
 
 export default {
+  configureApiLogging,
+  log,
+  withRetry,
   uploadFile,
+  submitRouteJob,
+  getRouteJob,
+  cancelRouteJob,
+  watchRouteJob,
   generateRoutes,
   getSampleData,
   healthCheck,
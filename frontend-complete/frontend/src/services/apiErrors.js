@@ -0,0 +1,162 @@
+/**
+ * API error types
+ * Failures of backend requests are turned into one of these classes so
+ * callers can tell a backend that cannot be reached from one that rejected
+ * the request, and show the rejected fields next to the data they belong to.
+ */
+
+/**
+ * Base class of all backend request failures
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Message for the user
+   * @param {Object} options - { status (HTTP status or null), detail (response body detail), cause }
+   */
+  constructor(message, { status = null, detail = null, cause } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.detail = detail;
+    if (cause) this.cause = cause;
+  }
+}
+
+/**
+ * The backend could not be reached (offline, DNS, CORS, connection refused)
+ */
+export class NetworkError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * The backend did not answer within the request timeout
+ */
+export class TimeoutError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * The backend rejected the request data (HTTP 400 or 422)
+ * fieldErrors lists the rejected fields as { field, path, message }, where
+ * path is e.g. ['delivery_points', 3, 'lat'] and field the dotted path.
+ */
+export class ValidationError extends ApiError {
+  constructor(message, { fieldErrors = [], ...options } = {}) {
+    super(message, options);
+    this.name = 'ValidationError';
+    this.fieldErrors = fieldErrors;
+  }
+}
+
+/**
+ * The backend failed while handling the request (HTTP 5xx or a failed job)
+ */
+export class ServerError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ServerError';
+  }
+}
+
+/**
+ * The request was cancelled through its AbortSignal
+ * Named 'AbortError' like fetch's, so isAbortError recognises it.
+ */
+export class CancelledError extends ApiError {
+  constructor(message = 'Request was cancelled', options) {
+    super(message, options);
+    this.name = 'AbortError';
+  }
+}
+
+// Leading FastAPI error locations that are not part of the field path
+const REQUEST_PARTS = ['body', 'query', 'path', 'header'];
+
+/**
+ * Read field errors from a FastAPI validation response
+ * @param {*} detail - Response `detail`: [{ loc, msg }] for validation errors
+ * @returns {Array} Field errors [{ field, path, message }]
+ */
+export const parseFieldErrors = (detail) => {
+  if (!Array.isArray(detail)) return [];
+  return detail
+    .filter(item => item && Array.isArray(item.loc))
+    .map((item) => {
+      const path = REQUEST_PARTS.includes(item.loc[0]) ? item.loc.slice(1) : item.loc;
+      return { field: path.join('.'), path, message: item.msg || 'Invalid value' };
+    });
+};
+
+/**
+ * Describe where a field error belongs, for display
+ * @param {Object} fieldError - Field error from a ValidationError
+ * @returns {string} e.g. "Delivery point 4, lat" or "Constraints, deliveryWindowStart"
+ */
+export const describeField = (fieldError) => {
+  const [section, ...rest] = fieldError.path;
+  if (section === 'delivery_points' && Number.isInteger(rest[0])) {
+    const field = rest.slice(1).join('.');
+    return `Delivery point ${rest[0] + 1}${field ? `, ${field}` : ''}`;
+  }
+  if (section === 'constraints') {
+    return rest.length > 0 ? `Constraints, ${rest.join('.')}` : 'Constraints';
+  }
+  return fieldError.field || 'Request';
+};
+
+/**
+ * Turn an axios error into an ApiError
+ * @param {Error} error - Error thrown by axios (or already an ApiError)
+ * @param {string} fallbackMessage - Message when the response carries none, e.g. 'Failed to upload file'
+ * @returns {ApiError} Typed error
+ */
+export const toApiError = (error, fallbackMessage = 'Request failed') => {
+  if (error instanceof ApiError) return error;
+
+  if (error?.code === 'ERR_CANCELED' || error?.name === 'CanceledError' || error?.name === 'AbortError') {
+    return new CancelledError(undefined, { cause: error });
+  }
+  if (error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT') {
+    return new TimeoutError(`${fallbackMessage}: the backend did not answer in time`, { cause: error });
+  }
+  if (!error?.response) {
+    return new NetworkError(`${fallbackMessage}: the backend is not reachable`, { cause: error });
+  }
+
+  const { status } = error.response;
+  const detail = error.response.data?.detail ?? null;
+  const message = typeof detail === 'string' ? detail : fallbackMessage;
+
+  if (status === 400 || status === 422) {
+    const fieldErrors = parseFieldErrors(detail);
+    return new ValidationError(
+      fieldErrors.length > 0
+        ? `${fallbackMessage}: ${fieldErrors.length} invalid ${fieldErrors.length === 1 ? 'field' : 'fields'}`
+        : message,
+      { status, detail, fieldErrors, cause: error }
+    );
+  }
+  if (status >= 500) {
+    return new ServerError(message, { status, detail, cause: error });
+  }
+  return new ApiError(message, { status, detail, cause: error });
+};
+
+export default {
+  ApiError,
+  NetworkError,
+  TimeoutError,
+  ValidationError,
+  ServerError,
+  CancelledError,
+  parseFieldErrors,
+  describeField,
+  toApiError,
+};
@@ -0,0 +1,145 @@
+/**
+ * IndexedDB access for data kept in the browser between sessions
+ * Wraps the callback-based IndexedDB API in promises.
+ */
+
+const DB_NAME = 'route-optimizer';
+const DB_VERSION = 4;
+
+// Object stores, keyed by `id`
+export const STORES = {
+  projects: 'projects',
+  mappingProfiles: 'mappingProfiles',
+  gazetteers: 'gazetteers',
+  distances: 'distances',
+};
+
+let dbPromise = null;
+
+/**
+ * Check whether IndexedDB is available (it is not in some private modes and in tests)
+ * @returns {boolean} True when IndexedDB can be used
+ */
+export const isStorageAvailable = () => typeof indexedDB !== 'undefined';
+
+/**
+ * Open (and create or upgrade) the database
+ * The connection is shared by all callers.
+ * @returns {Promise<IDBDatabase>} Database connection
+ */
+export const openDatabase = () => {
+  if (!isStorageAvailable()) {
+    return Promise.reject(new Error('Browser storage (IndexedDB) is not available'));
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.values(STORES).forEach((store) => {
+          if (!db.objectStoreNames.contains(store)) {
+            db.createObjectStore(store, { keyPath: 'id' });
+          }
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+};
+
+/**
+ * Run several requests against an object store in one transaction
+ * @param {string} store - Object store name
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequests - Receives the store and returns an array of IDBRequests
+ * @returns {Promise<Array>} Request results, resolved once the transaction completes
+ */
+const runRequests = async (store, mode, makeRequests) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(store, mode);
+    const requests = makeRequests(transaction.objectStore(store));
+    transaction.oncomplete = () => resolve(requests.map(request => request.result));
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Run a single request against an object store
+ * @param {string} store - Object store name
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Receives the store and returns an IDBRequest
+ * @returns {Promise} Request result, resolved once the transaction completes
+ */
+const runRequest = async (store, mode, makeRequest) => {
+  const [result] = await runRequests(store, mode, s => [makeRequest(s)]);
+  return result;
+};
+
+/**
+ * Get all records of a store
+ * @param {string} store - Object store name
+ * @returns {Promise<Array>} Records
+ */
+export const getAllRecords = (store) => runRequest(store, 'readonly', s => s.getAll());
+
+/**
+ * Get a record by id
+ * @param {string} store - Object store name
+ * @param {string} id - Record id
+ * @returns {Promise<Object|undefined>} Record
+ */
+export const getRecord = (store, id) => runRequest(store, 'readonly', s => s.get(id));
+
+/**
+ * Get several records by id in one transaction
+ * @param {string} store - Object store name
+ * @param {Array<string>} ids - Record ids
+ * @returns {Promise<Array>} Records in id order (undefined where missing)
+ */
+export const getRecords = (store, ids) => runRequests(store, 'readonly', s => ids.map(id => s.get(id)));
+
+/**
+ * Insert or replace a record
+ * @param {string} store - Object store name
+ * @param {Object} record - Record with an `id`
+ * @returns {Promise<string>} Record id
+ */
+export const putRecord = (store, record) => runRequest(store, 'readwrite', s => s.put(record));
+
+/**
+ * Insert or replace several records in one transaction
+ * @param {string} store - Object store name
+ * @param {Array<Object>} records - Records with an `id`
+ * @returns {Promise<Array<string>>} Record ids
+ */
+export const putRecords = (store, records) => runRequests(store, 'readwrite', s => records.map(record => s.put(record)));
+
+/**
+ * Delete a record by id
+ * @param {string} store - Object store name
+ * @param {string} id - Record id
+ * @returns {Promise} Resolves once deleted
+ */
+export const deleteRecord = (store, id) => runRequest(store, 'readwrite', s => s.delete(id));
+
+export default {
+  STORES,
+  isStorageAvailable,
+  openDatabase,
+  getAllRecords,
+  getRecord,
+  getRecords,
+  putRecord,
+  putRecords,
+  deleteRecord,
+};
@@ -0,0 +1,187 @@
+import { STORES, isStorageAvailable, getRecords, putRecords } from './db';
+import { getRoutingProvider, locationKey, createMatrixDistance, estimateRoadDistance } from './routing';
+import { log } from './api';
+
+/**
+ * Distance matrix cache
+ * Driving distances and times between locations are kept per routing
+ * provider and origin, keyed by rounded coordinates, in memory and in
+ * IndexedDB. A matrix request only asks the provider for the pairs that are
+ * not cached yet, so regenerating the same day after tweaking constraints
+ * needs no routing requests at all. Straight-line estimates (no routing
+ * service, or the service failed) are cheap to recompute and never stored:
+ * they are computed when the solver asks for a pair the cache does not have.
+ */
+
+// Record id -> { id, provider, origin, distances: { key: km }, durations: { key: minutes } }
+const memoryCache = new Map();
+
+const recordId = (providerName, originKey) => `${providerName}|${originKey}`;
+
+/**
+ * Load the persisted rows of origins that are not in memory yet
+ */
+const loadRows = async (providerName, originKeys) => {
+  const ids = originKeys.map(key => recordId(providerName, key)).filter(id => !memoryCache.has(id));
+  if (ids.length === 0 || !isStorageAvailable()) return;
+  try {
+    const records = await getRecords(STORES.distances, ids);
+    records.forEach((record) => {
+      if (record) memoryCache.set(record.id, record);
+    });
+  } catch (error) {
+    log('error', 'Failed to load cached distances:', error);
+  }
+};
+
+/**
+ * Persist changed rows (failures are logged, not thrown)
+ */
+const saveRows = async (records) => {
+  if (records.length === 0 || !isStorageAvailable()) return;
+  try {
+    await putRecords(STORES.distances, records);
+  } catch (error) {
+    log('error', 'Failed to save cached distances:', error);
+  }
+};
+
+/**
+ * Get the distance matrix of a set of locations
+ * Pairs already cached for the provider are reused; for the rest the
+ * provider is asked for the rows and columns of a few locations that cover
+ * every missing pair. Distances are read from the cached rows when asked
+ * for; no dense matrix is built.
+ * @param {Array} points - Points with valid lat/lng; duplicates share a location
+ * @param {Object} options - { provider (defaults to the configured routing provider), signal }
+ * @returns {Promise<Object>} { getDistance(fromKey, toKey), getDuration(fromKey, toKey), distances, estimated }
+ *   with keys from locationKey; km and minutes, undefined or null where unknown. `distances` holds
+ *   the cached rows ({ fromKey: { toKey: km } }) the lookups read. When the provider only had
+ *   estimates (estimated is true) the missing pairs stay unknown.
+ */
+export const getMatrix = async (points = [], { provider = getRoutingProvider(), signal } = {}) => {
+  const locationsByKey = new Map();
+  points.forEach((point) => {
+    const key = locationKey(point);
+    if (!locationsByKey.has(key)) locationsByKey.set(key, point);
+  });
+  const keys = [...locationsByKey.keys()];
+  const locations = [...locationsByKey.values()];
+
+  await loadRows(provider.name, keys);
+  const cachedRows = keys.map(key => memoryCache.get(recordId(provider.name, key)));
+  const isCached = (from, to) => cachedRows[from]?.distances[keys[to]] !== undefined;
+  const isMissing = (a, b) => !isCached(a, b) || !isCached(b, a);
+
+  // Pick locations covering every missing pair, those with the most missing
+  // pairs (typically the new ones) first
+  const missingCounts = keys.map((_, index) => keys.filter((__, other) => isMissing(index, other)).length);
+  const cover = new Set();
+  keys.map((_, index) => index)
+    .filter(index => missingCounts[index] > 0)
+    .sort((a, b) => missingCounts[b] - missingCounts[a])
+    .forEach((index) => {
+      if (keys.some((_, other) => !cover.has(other) && isMissing(index, other))) cover.add(index);
+    });
+
+  const changed = new Set();
+  let estimated = false;
+
+  if (cover.size > 0) {
+    const all = keys.map((_, index) => index);
+    const covered = [...cover];
+    const rest = all.filter(index => !cover.has(index));
+    const requests = [{ sources: covered, destinations: all }];
+    if (rest.length > 0) requests.push({ sources: rest, destinations: covered });
+
+    for (const request of requests) {
+      const result = await provider.getMatrix(locations, { ...request, signal });
+      // Straight-line estimates cost less to recompute than to keep
+      if (result.estimated) {
+        estimated = true;
+        break;
+      }
+
+      request.sources.forEach((source, i) => {
+        const id = recordId(provider.name, keys[source]);
+        if (!memoryCache.has(id)) {
+          memoryCache.set(id, { id, provider: provider.name, origin: keys[source], distances: {}, durations: {} });
+        }
+        const row = memoryCache.get(id);
+        request.destinations.forEach((destination, j) => {
+          row.distances[keys[destination]] = result.distances[i][j];
+          row.durations[keys[destination]] = result.durations?.[i]?.[j] ?? null;
+        });
+        changed.add(id);
+      });
+    }
+  }
+
+  await saveRows([...changed].map(id => ({ ...memoryCache.get(id), updatedAt: new Date().toISOString() })));
+
+  const rowsByKey = new Map(keys.map(key => [key, memoryCache.get(recordId(provider.name, key))]));
+  const distances = {};
+  rowsByKey.forEach((row, key) => {
+    if (row) distances[key] = row.distances;
+  });
+  return {
+    getDistance: (from, to) => distances[from]?.[to],
+    getDuration: (from, to) => rowsByKey.get(from)?.durations[to] ?? null,
+    distances,
+    estimated,
+  };
+};
+
+/**
+ * Get the road distances between a set of locations as plain data
+ * Unlike a distance function, the table can be posted to a worker;
+ * createTableDistance turns it back into one.
+ * Points without valid coordinates are skipped; distances to them are estimated.
+ * @param {Array} points - Delivery points and depot locations with lat/lng
+ * @param {Object} options - { provider (defaults to the configured routing provider), signal }
+ * @returns {Promise<Object>} { distances: { fromKey: { toKey: km } }, detourFactor }; distances is
+ *   null without a road network
+ */
+export const getDistanceTable = async (points = [], options = {}) => {
+  const { provider = getRoutingProvider(), signal } = options;
+  if (!provider.roadNetwork) {
+    return { distances: null, detourFactor: provider.detourFactor };
+  }
+
+  const located = points.filter(point => (
+    point && Number.isFinite(parseFloat(point.lat)) && Number.isFinite(parseFloat(point.lng))
+  ));
+  const { distances } = await getMatrix(located, { provider, signal });
+  return { distances, detourFactor: provider.detourFactor };
+};
+
+/**
+ * Create a distance function from a table from getDistanceTable
+ * Without a road network straight-line estimates are computed when the
+ * solver asks for them.
+ * @param {Object} table - { distances, detourFactor }
+ * @returns {Function} Distance function (a, b) => km
+ */
+export const createTableDistance = ({ distances, detourFactor }) => {
+  if (!distances) {
+    return (a, b) => estimateRoadDistance(a, b, detourFactor);
+  }
+  return createMatrixDistance({ getDistance: (from, to) => distances[from]?.[to] });
+};
+
+/**
+ * Build a road distance function for a set of locations
+ * @param {Array} points - Delivery points and depot locations with lat/lng
+ * @param {Object} options - Options for getDistanceTable
+ * @returns {Promise<Function>} Distance function (a, b) => km
+ */
+export const getRoadDistance = async (points = [], options = {}) => {
+  return createTableDistance(await getDistanceTable(points, options));
+};
+
+export default {
+  getMatrix,
+  getDistanceTable,
+  createTableDistance,
+  getRoadDistance,
+};
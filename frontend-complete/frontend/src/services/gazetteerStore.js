@@ -0,0 +1,50 @@
+import { STORES, isStorageAvailable, getRecord, putRecord } from './db';
+import { log } from './api';
+
+/**
+ * Local gazetteer in IndexedDB
+ * The last uploaded gazetteer is kept so addresses can be geocoded offline
+ * in later sessions without uploading it again.
+ */
+
+const GAZETTEER_ID = 'default';
+
+/**
+ * Load the saved gazetteer
+ * @returns {Promise<Object|null>} { name, entries }, or null when none is saved
+ */
+export const loadGazetteer = async () => {
+  if (!isStorageAvailable()) return null;
+  try {
+    const record = await getRecord(STORES.gazetteers, GAZETTEER_ID);
+    return record ? { name: record.name, entries: record.entries } : null;
+  } catch (error) {
+    log('error', 'Failed to load gazetteer:', error);
+    return null;
+  }
+};
+
+/**
+ * Save a gazetteer, replacing the previous one
+ * @param {string} name - File name of the gazetteer
+ * @param {Array} entries - Gazetteer entries [{ name, postcode, lat, lng }]
+ * @returns {Promise} Resolves once saved (failures are logged, not thrown)
+ */
+export const saveGazetteer = async (name, entries) => {
+  if (!isStorageAvailable()) return;
+  try {
+    await putRecord(STORES.gazetteers, {
+      id: GAZETTEER_ID,
+      name,
+      entries,
+      updatedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    log('error', 'Failed to save gazetteer:', error);
+  }
+};
+
+export default {
+  loadGazetteer,
+  saveGazetteer,
+};
@@ -0,0 +1,48 @@
+import { STORES, isStorageAvailable, getRecord, putRecord } from './db';
+import { log } from './api';
+
+/**
+ * Column mapping profiles in IndexedDB
+ * Profiles are keyed by the header signature of the file they were made for,
+ * so the next file with the same columns is mapped automatically.
+ */
+
+/**
+ * Load the mapping saved for a header signature
+ * @param {string} signature - Header signature
+ * @returns {Promise<Object|null>} Mapping { [field]: header }, or null when none is saved
+ */
+export const loadMappingProfile = async (signature) => {
+  if (!isStorageAvailable()) return null;
+  try {
+    const profile = await getRecord(STORES.mappingProfiles, signature);
+    return profile?.mapping || null;
+  } catch (error) {
+    log('error', 'Failed to load column mapping profile:', error);
+    return null;
+  }
+};
+
+/**
+ * Save the mapping for a header signature
+ * @param {string} signature - Header signature
+ * @param {Object} mapping - Mapping { [field]: header }
+ * @returns {Promise} Resolves once saved (failures are logged, not thrown)
+ */
+export const saveMappingProfile = async (signature, mapping) => {
+  if (!isStorageAvailable()) return;
+  try {
+    await putRecord(STORES.mappingProfiles, {
+      id: signature,
+      mapping,
+      updatedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    log('error', 'Failed to save column mapping profile:', error);
+  }
+};
+
+export default {
+  loadMappingProfile,
+  saveMappingProfile,
+};
@@ -0,0 +1,51 @@
+import { STORES, getAllRecords, getRecord, putRecord, deleteRecord } from './db';
+
+/**
+ * Project storage in IndexedDB
+ * Projects are stored whole (plan plus scenarios), keyed by project id.
+ */
+
+/**
+ * List saved projects, most recently updated first
+ * @returns {Promise<Array>} Projects
+ */
+export const listProjects = async () => {
+  const projects = await getAllRecords(STORES.projects);
+  return projects.sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+};
+
+/**
+ * Load a project
+ * @param {string} id - Project id
+ * @returns {Promise<Object|null>} Project, or null when it does not exist
+ */
+export const loadProject = async (id) => {
+  return (await getRecord(STORES.projects, id)) || null;
+};
+
+/**
+ * Save a project, stamping its update time
+ * @param {Object} project - Project
+ * @returns {Promise<Object>} Saved project
+ */
+export const saveProject = async (project) => {
+  const saved = { ...project, updatedAt: new Date().toISOString() };
+  await putRecord(STORES.projects, saved);
+  return saved;
+};
+
+/**
+ * Delete a project
+ * @param {string} id - Project id
+ * @returns {Promise} Resolves once deleted
+ */
+export const deleteProject = async (id) => {
+  await deleteRecord(STORES.projects, id);
+};
+
+export default {
+  listProjects,
+  loadProject,
+  saveProject,
+  deleteProject,
+};
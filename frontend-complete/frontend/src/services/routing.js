@@ -0,0 +1,236 @@
+import axios from 'axios';
+import { calculateDistance } from '../utils/helpers';
+import { roundCoordinate } from '../utils/deliveryPoints';
+import { CancelledError } from './apiErrors';
+import { log } from './api';
+
+/**
+ * Routing service
+ * Road-network distances and geometries for solving and drawing routes.
+ *
+ * A provider is an object with a `name`, a `roadNetwork` flag and two methods:
+ * `getMatrix(points, { sources, destinations, signal })` resolves to
+ * { distances, durations, estimated } where distances[i][j] is the driving
+ * distance in km from the i-th source to the j-th destination (indices into
+ * points, all points by default), durations the driving time in minutes (null
+ * when unknown) and `estimated` is true when the distances are straight-line
+ * estimates; `getRouteGeometry(points)` resolves to the [lat, lng] positions
+ * of a path visiting the points in order.
+ *
+ * With VITE_OSRM_URL set, a self-hosted OSRM-compatible service answers both
+ * through its `table` and `route` APIs; large tables are requested in blocks
+ * the service accepts. Otherwise, or when the service fails,
+ * distances are the straight-line Haversine distance times a detour factor
+ * and geometries are straight lines between the points.
+ */
+
+// Base URL of the OSRM service, e.g. http://localhost:5000; empty to disable
+const OSRM_URL = import.meta.env.VITE_OSRM_URL || '';
+
+// OSRM routing profile the service was built with
+const OSRM_PROFILE = import.meta.env.VITE_OSRM_PROFILE || 'driving';
+
+// Roads are longer than the straight line between two points by roughly this factor
+export const DETOUR_FACTOR = parseFloat(import.meta.env.VITE_ROUTING_DETOUR_FACTOR) || 1.3;
+
+// Largest number of sources and of destinations in one table request;
+// osrm-routed rejects tables with more than --max-table-size squared pairs (100 by default)
+const OSRM_MAX_TABLE_SIZE = parseInt(import.meta.env.VITE_OSRM_MAX_TABLE_SIZE) || 100;
+
+const OSRM_TIMEOUT = 15000;
+
+/**
+ * Key of a location for matrix lookups and caching, from its rounded coordinates
+ * @param {Object} point - Point with lat/lng
+ * @returns {string} "lat,lng" key
+ */
+export const locationKey = (point) => `${roundCoordinate(parseFloat(point.lat))},${roundCoordinate(parseFloat(point.lng))}`;
+
+/**
+ * Indices of all points, the default sources and destinations of a matrix
+ */
+const allIndices = (points) => points.map((_, index) => index);
+
+/**
+ * Estimate the driving distance between two points from the straight line
+ * @param {Object} a - Point with lat/lng
+ * @param {Object} b - Point with lat/lng
+ * @param {number} detourFactor - Factor applied to the straight-line distance
+ * @returns {number} Distance in kilometers
+ */
+export const estimateRoadDistance = (a, b, detourFactor = DETOUR_FACTOR) => {
+  return calculateDistance(parseFloat(a.lat), parseFloat(a.lng), parseFloat(b.lat), parseFloat(b.lng)) * detourFactor;
+};
+
+/**
+ * Create the fallback provider: Haversine distances times a detour factor
+ * @param {Object} options - { detourFactor }
+ * @returns {Object} Routing provider
+ */
+export const createHaversineProvider = ({ detourFactor = DETOUR_FACTOR } = {}) => ({
+  name: 'Straight line',
+  roadNetwork: false,
+  detourFactor,
+
+  async getMatrix(points = [], { sources = allIndices(points), destinations = allIndices(points) } = {}) {
+    return {
+      distances: sources.map(i => destinations.map(j => estimateRoadDistance(points[i], points[j], detourFactor))),
+      durations: null,
+      estimated: true,
+    };
+  },
+
+  async getRouteGeometry(points = []) {
+    return points.map(point => [parseFloat(point.lat), parseFloat(point.lng)]);
+  },
+});
+
+/**
+ * Create a provider for an OSRM-compatible routing service
+ * Requests that fail, or that the service rejects, are answered by the
+ * fallback provider; a table request cancelled through its signal rejects
+ * with a CancelledError instead. Tables with more sources or destinations than the
+ * service accepts are requested block by block, each with only the
+ * coordinates of its block.
+ * @param {Object} options - { baseUrl, profile, maxTableSize, fallback, client (axios-like, for tests) }
+ * @returns {Object} Routing provider
+ */
+export const createOsrmProvider = ({
+  baseUrl = OSRM_URL,
+  profile = OSRM_PROFILE,
+  maxTableSize = OSRM_MAX_TABLE_SIZE,
+  fallback = createHaversineProvider(),
+  client = axios.create({ baseURL: baseUrl, timeout: OSRM_TIMEOUT }),
+} = {}) => {
+  // OSRM takes lng,lat pairs separated by semicolons
+  const coordinates = (points) => points.map(point => `${parseFloat(point.lng)},${parseFloat(point.lat)}`).join(';');
+
+  const request = async (service, points, params, { signal } = {}) => {
+    const response = await client.get(`/${service}/v1/${profile}/${coordinates(points)}`, { params, signal });
+    const data = response.data || {};
+    if (data.code !== 'Ok') {
+      throw new Error(data.message || `Routing service answered ${data.code || 'without a result'}`);
+    }
+    return data;
+  };
+
+  /**
+   * Request one block of a table; indices are into points
+   */
+  const requestTableBlock = async (points, sources, destinations, signal) => {
+    const indices = [...new Set([...sources, ...destinations])];
+    const position = new Map(indices.map((index, i) => [index, i]));
+    const data = await request('table', indices.map(index => points[index]), {
+      annotations: 'distance,duration',
+      sources: sources.map(index => position.get(index)).join(';'),
+      destinations: destinations.map(index => position.get(index)).join(';'),
+    }, { signal });
+    return { distances: data.distances, durations: data.durations || null };
+  };
+
+  /**
+   * Request a table with more locations than the service accepts, block by block
+   */
+  const requestBlockedTable = async (points, sources, destinations, signal) => {
+    const distances = sources.map(() => new Array(destinations.length));
+    const durations = sources.map(() => new Array(destinations.length).fill(null));
+
+    for (let s = 0; s < sources.length; s += maxTableSize) {
+      for (let d = 0; d < destinations.length; d += maxTableSize) {
+        const block = await requestTableBlock(
+          points,
+          sources.slice(s, s + maxTableSize),
+          destinations.slice(d, d + maxTableSize),
+          signal
+        );
+        block.distances.forEach((row, i) => row.forEach((meters, j) => {
+          distances[s + i][d + j] = meters;
+          durations[s + i][d + j] = block.durations?.[i]?.[j] ?? null;
+        }));
+      }
+    }
+    return { distances, durations };
+  };
+
+  return {
+    name: 'OSRM',
+    roadNetwork: true,
+
+    async getMatrix(points = [], options = {}) {
+      const { sources = allIndices(points), destinations = allIndices(points), signal } = options;
+      if (points.length < 2) return fallback.getMatrix(points, options);
+      try {
+        let data;
+        if (points.length > maxTableSize) {
+          data = await requestBlockedTable(points, sources, destinations, signal);
+        } else {
+          const params = { annotations: 'distance,duration' };
+          if (options.sources) params.sources = sources.join(';');
+          if (options.destinations) params.destinations = destinations.join(';');
+          data = await request('table', points, params, { signal });
+        }
+        // Unroutable pairs come back as null; estimate those from the straight line
+        return {
+          distances: data.distances.map((row, i) => row.map((meters, j) => (
+            meters === null ? estimateRoadDistance(points[sources[i]], points[destinations[j]]) : meters / 1000
+          ))),
+          durations: data.durations
+            ? data.durations.map(row => row.map(seconds => (seconds === null ? null : seconds / 60)))
+            : null,
+          estimated: false,
+        };
+      } catch (error) {
+        if (signal?.aborted) throw new CancelledError('Distance table request was cancelled', { cause: error });
+        log('error', 'Routing table error, using straight-line distances:', error.message);
+        return fallback.getMatrix(points, options);
+      }
+    },
+
+    async getRouteGeometry(points = []) {
+      if (points.length < 2) return fallback.getRouteGeometry(points);
+      try {
+        const data = await request('route', points, { overview: 'full', geometries: 'geojson' });
+        return data.routes[0].geometry.coordinates.map(([lng, lat]) => [lat, lng]);
+      } catch (error) {
+        log('error', 'Routing route error, drawing straight lines:', error.message);
+        return fallback.getRouteGeometry(points);
+      }
+    },
+  };
+};
+
+/**
+ * Get the configured routing provider
+ * @returns {Object} OSRM provider when VITE_OSRM_URL is set, otherwise the fallback
+ */
+export const getRoutingProvider = () => (OSRM_URL ? createOsrmProvider() : createHaversineProvider());
+
+/**
+ * Turn a matrix into a distance function for the route solver
+ * Pairs the matrix does not know are estimated from the straight line.
+ * @param {Object} matrix - { getDistance(fromKey, toKey) } returning km, or undefined
+ *   for unknown pairs, with location keys from locationKey
+ * @returns {Function} Distance function (a, b) => km
+ */
+export const createMatrixDistance = (matrix) => {
+  // The solver asks for the same point objects over and over
+  const keyCache = new WeakMap();
+  const keyOf = (point) => {
+    if (!keyCache.has(point)) keyCache.set(point, locationKey(point));
+    return keyCache.get(point);
+  };
+
+  return (a, b) => {
+    const km = matrix.getDistance(keyOf(a), keyOf(b));
+    return Number.isFinite(km) ? km : estimateRoadDistance(a, b);
+  };
+};
+
+export default {
+  locationKey,
+  estimateRoadDistance,
+  createHaversineProvider,
+  createOsrmProvider,
+  getRoutingProvider,
+  createMatrixDistance,
+};
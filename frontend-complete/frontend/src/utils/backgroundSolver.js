@@ -0,0 +1,30 @@
+/**
+ * Background route solving
+ * Runs the local heuristic solver in a Web Worker so that large days
+ * (hundreds of stops per route) do not freeze the page, and can be cancelled.
+ */
+
+import { SOLVER_TASKS } from '../workers/solverTasks';
+import { runWorkerTask } from './workerTasks';
+
+/**
+ * Solve the routing problem in the background
+ * @param {Array} deliveryPoints - Validated delivery points
+ * @param {Object} constraints - Constraints from ConstraintsForm
+ * @param {Object} options - { distanceTable (from getDistanceTable), onProgress({ progress }), signal: AbortSignal }
+ * @returns {Promise<Object>} Result of solveRoutes; rejects with an AbortError when cancelled
+ */
+export const solveRoutesInBackground = (deliveryPoints, constraints, options = {}) => {
+  const { distanceTable = null, ...taskOptions } = options;
+  return runWorkerTask(
+    () => new Worker(new URL('../workers/solverWorker.js', import.meta.url), { type: 'module' }),
+    SOLVER_TASKS,
+    'solve',
+    { deliveryPoints, constraints, distanceTable },
+    taskOptions
+  );
+};
+
+export default {
+  solveRoutesInBackground,
+};
@@ -0,0 +1,270 @@
+/**
+ * Column mapping utilities
+ * Delivery files from other systems use their own headers ("Latitude",
+ * "Cust Name", "Order#"). A mapping assigns a source header to each
+ * canonical delivery field; suggestions combine header-name similarity
+ * with how well the column's sample values fit the field.
+ */
+
+// Canonical delivery fields with the header names they commonly appear under
+export const CANONICAL_FIELDS = [
+  { field: 'id', label: 'ID', required: true, aliases: ['order', 'order no', 'order number', 'order id', 'stop id', 'customer id', 'delivery id', 'ref', 'reference', 'no', 'number'] },
+  { field: 'customer_name', label: 'Customer Name', required: true, aliases: ['name', 'customer', 'cust name', 'client', 'client name', 'store', 'store name', 'account', 'account name', 'consignee'] },
+  { field: 'lat', label: 'Latitude', required: true, aliases: ['latitude', 'lat deg', 'y', 'geo lat'] },
+  { field: 'lng', label: 'Longitude', required: true, aliases: ['longitude', 'long', 'lon', 'x', 'geo lng', 'geo lon'] },
+  { field: 'address', label: 'Address', required: true, aliases: ['street', 'addr', 'address line 1', 'street address', 'delivery address', 'location', 'ship to'] },
+  { field: 'window_start', label: 'Window Start', aliases: ['start', 'from', 'earliest', 'time from', 'window from', 'open', 'opens', 'earliest time'] },
+  { field: 'window_end', label: 'Window End', aliases: ['end', 'to', 'latest', 'time to', 'window to', 'close', 'closes', 'latest time'] },
+  { field: 'delivery_window', label: 'Delivery Window', aliases: ['window', 'time window', 'slot', 'delivery slot', 'time slot'] },
+  { field: 'service_minutes', label: 'Service Minutes', aliases: ['service time', 'service', 'duration', 'dwell', 'dwell time', 'unload time', 'stop time'] },
+  { field: 'demand', label: 'Demand', aliases: ['qty', 'quantity', 'volume', 'weight', 'cases', 'units', 'load', 'pallets'] },
+  { field: 'priority', label: 'Priority', aliases: ['prio', 'urgency', 'importance'] },
+  { field: 'notes', label: 'Notes', aliases: ['note', 'comment', 'comments', 'remarks', 'instructions', 'delivery notes'] },
+];
+
+export const REQUIRED_FIELDS = CANONICAL_FIELDS.filter(f => f.required).map(f => f.field);
+
+// Coordinates may both be left unmapped; rows are then geocoded from their address
+const COORDINATE_FIELDS = ['lat', 'lng'];
+
+// Suggestions scoring below this are left unmapped
+const SUGGESTION_THRESHOLD = 0.5;
+
+// Sample values only confirm a header that is at least this similar
+const MIN_NAME_SIMILARITY = 0.35;
+
+// Number of rows inspected for sample values
+const SAMPLE_SIZE = 20;
+
+/**
+ * Normalize a header for comparison: lower case, words separated by single spaces
+ * @param {string} header - Header as written in the file
+ * @returns {string} Normalized header
+ */
+export const normalizeHeader = (header) => {
+  return String(header ?? '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+};
+
+/**
+ * Build the header signature used to find a saved mapping profile
+ * Column order does not matter.
+ * @param {Array} headers - Headers as written in the file
+ * @returns {string} Signature
+ */
+export const getHeaderSignature = (headers = []) => {
+  return headers.map(normalizeHeader).sort().join('|');
+};
+
+/**
+ * Collect the headers of parsed rows, in first-seen order
+ * @param {Array} rows - Parsed row objects
+ * @returns {Array} Headers
+ */
+export const getHeaders = (rows = []) => {
+  const headers = [];
+  rows.slice(0, SAMPLE_SIZE).forEach(row => {
+    Object.keys(row || {}).forEach(key => {
+      if (!headers.includes(key)) headers.push(key);
+    });
+  });
+  return headers;
+};
+
+/**
+ * Dice coefficient of two strings' character bigrams
+ */
+const bigramSimilarity = (a, b) => {
+  if (a.length < 2 || b.length < 2) return a === b ? 1 : 0;
+  const bigrams = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const bigram = a.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+  let matches = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const bigram = b.slice(i, i + 2);
+    if (bigrams.get(bigram) > 0) {
+      bigrams.set(bigram, bigrams.get(bigram) - 1);
+      matches++;
+    }
+  }
+  return (2 * matches) / (a.length + b.length - 2);
+};
+
+/**
+ * Score how closely a header name matches a canonical field (0 to 1)
+ * @param {string} header - Header as written in the file
+ * @param {Object} definition - Canonical field definition
+ * @returns {number} Similarity
+ */
+export const headerSimilarity = (header, definition) => {
+  const normalized = normalizeHeader(header);
+  if (!normalized) return 0;
+  const names = [normalizeHeader(definition.field), ...definition.aliases];
+
+  if (names.includes(normalized)) return 1;
+  const compact = normalized.replace(/ /g, '');
+  return Math.max(...names.map(name => bigramSimilarity(compact, name.replace(/ /g, '')))) * 0.9;
+};
+
+/**
+ * Sample the non-empty values of a column
+ */
+const getSamples = (rows, header) => {
+  return rows
+    .slice(0, SAMPLE_SIZE)
+    .map(row => row?.[header])
+    .filter(value => value !== null && value !== undefined && String(value).trim() !== '');
+};
+
+const toNumber = (value) => {
+  const number = typeof value === 'number' ? value : parseFloat(String(value).replace(',', '.'));
+  return Number.isFinite(number) && /^\s*-?\d/.test(String(value)) ? number : null;
+};
+
+const fraction = (samples, test) => {
+  return samples.length > 0 ? samples.filter(test).length / samples.length : 0;
+};
+
+const TIME_PATTERN = /^\d{1,2}:\d{2}$/;
+const WINDOW_PATTERN = /^\d{1,2}:\d{2}\s*-\s*\d{1,2}:\d{2}$/;
+
+// How well sample values fit each field (0 to 1)
+const VALUE_TESTS = {
+  id: (samples) => (new Set(samples.map(String)).size === samples.length ? 1 : 0),
+  customer_name: (samples) => fraction(samples, v => toNumber(v) === null && /[a-z]/i.test(v)),
+  lat: (samples) => fraction(samples, v => {
+    const n = toNumber(v);
+    return n !== null && Math.abs(n) <= 90 && !Number.isInteger(n);
+  }),
+  lng: (samples) => fraction(samples, v => {
+    const n = toNumber(v);
+    return n !== null && Math.abs(n) <= 180 && !Number.isInteger(n);
+  }),
+  address: (samples) => fraction(samples, v => /[a-z]/i.test(v) && /\d/.test(v) && /\s/.test(v)),
+  window_start: (samples) => fraction(samples, v => TIME_PATTERN.test(String(v).trim())),
+  window_end: (samples) => fraction(samples, v => TIME_PATTERN.test(String(v).trim())),
+  delivery_window: (samples) => fraction(samples, v => WINDOW_PATTERN.test(String(v).trim())),
+  service_minutes: (samples) => fraction(samples, v => toNumber(v) !== null && toNumber(v) >= 0),
+  demand: (samples) => fraction(samples, v => toNumber(v) !== null && toNumber(v) >= 0),
+  priority: () => 0.5,
+  notes: (samples) => fraction(samples, v => toNumber(v) === null),
+};
+
+/**
+ * Suggest a mapping from canonical fields to source headers
+ * Each header is used at most once; the best-scoring pairs are assigned first.
+ * @param {Array} headers - Source headers
+ * @param {Array} rows - Parsed rows, used for sample values
+ * @returns {Object} Mapping { [field]: header }
+ */
+export const suggestMapping = (headers = [], rows = []) => {
+  const candidates = [];
+  headers.forEach(header => {
+    const samples = getSamples(rows, header);
+    CANONICAL_FIELDS.forEach(definition => {
+      const nameScore = headerSimilarity(header, definition);
+      if (nameScore < MIN_NAME_SIMILARITY) return;
+      const valueScore = samples.length > 0 ? VALUE_TESTS[definition.field](samples) : 0;
+      candidates.push({ header, field: definition.field, score: nameScore * 0.75 + valueScore * 0.25 });
+    });
+  });
+
+  const mapping = {};
+  const usedHeaders = new Set();
+  candidates
+    .filter(candidate => candidate.score >= SUGGESTION_THRESHOLD)
+    .sort((a, b) => b.score - a.score)
+    .forEach(({ header, field }) => {
+      if (mapping[field] || usedHeaders.has(header)) return;
+      mapping[field] = header;
+      usedHeaders.add(header);
+    });
+
+  return mapping;
+};
+
+/**
+ * List the required fields a mapping is missing
+ * Latitude and longitude are only missing when one of them is mapped,
+ * since a file without coordinates can be geocoded from its addresses.
+ * @param {Object} mapping - Mapping { [field]: header }
+ * @returns {Array} Missing field names
+ */
+export const getMissingFields = (mapping = {}) => {
+  const geocodable = COORDINATE_FIELDS.every(field => !mapping[field]);
+  return REQUIRED_FIELDS.filter(field => {
+    if (mapping[field]) return false;
+    return !(geocodable && COORDINATE_FIELDS.includes(field));
+  });
+};
+
+/**
+ * Check whether a mapping covers every required field
+ * @param {Object} mapping - Mapping { [field]: header }
+ * @returns {boolean} True when all required fields are mapped
+ */
+export const isMappingComplete = (mapping = {}) => {
+  return getMissingFields(mapping).length === 0;
+};
+
+/**
+ * Check whether a saved mapping can be applied to a file's headers
+ * @param {Object} mapping - Saved mapping
+ * @param {Array} headers - Headers of the current file
+ * @returns {boolean} True when every mapped header exists and required fields are covered
+ */
+export const isMappingApplicable = (mapping = {}, headers = []) => {
+  return isMappingComplete(mapping) &&
+    Object.values(mapping).every(header => !header || headers.includes(header));
+};
+
+/**
+ * Check whether a file's columns need mapping before validation
+ * Files that already have every required field, or whose columns are all
+ * canonical names (so there is nothing to rename), go straight to validation.
+ * @param {Array} headers - Source headers
+ * @returns {boolean} True when the mapping step should be shown
+ */
+export const needsMapping = (headers = []) => {
+  if (REQUIRED_FIELDS.every(field => headers.includes(field))) return false;
+  const canonicalNames = CANONICAL_FIELDS.map(f => f.field);
+  return headers.some(header => !canonicalNames.includes(header));
+};
+
+/**
+ * Rename the columns of parsed rows according to a mapping
+ * Columns that are not mapped are dropped.
+ * @param {Array} rows - Parsed rows
+ * @param {Object} mapping - Mapping { [field]: header }
+ * @returns {Array} Rows keyed by canonical field names
+ */
+export const applyMapping = (rows = [], mapping = {}) => {
+  const entries = Object.entries(mapping).filter(([, header]) => header);
+  return rows.map(row => {
+    const item = {};
+    entries.forEach(([field, header]) => {
+      if (row[header] !== undefined) item[field] = row[header];
+    });
+    return item;
+  });
+};
+
+export default {
+  CANONICAL_FIELDS,
+  REQUIRED_FIELDS,
+  normalizeHeader,
+  getHeaderSignature,
+  getHeaders,
+  headerSimilarity,
+  suggestMapping,
+  getMissingFields,
+  isMappingComplete,
+  isMappingApplicable,
+  needsMapping,
+  applyMapping,
+};
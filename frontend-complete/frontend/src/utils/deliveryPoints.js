@@ -0,0 +1,82 @@
+/**
+ * Delivery point utilities
+ * Points normally come from uploaded files; these helpers cover points
+ * created in the app, such as ad-hoc stops placed on the map.
+ */
+
+// Counter keeps ids unique when several points are created in the same tick
+let pointCounter = 0;
+
+// Indexes are built once per array; plan state is never mutated in place, so
+// an array that is still referenced still has the same contents
+const pointIndexes = new WeakMap();
+const stopIndexes = new WeakMap();
+
+/**
+ * Round a coordinate picked on the map to 6 decimals (about 10 cm)
+ * @param {number} value - Latitude or longitude
+ * @returns {number} Rounded coordinate
+ */
+export const roundCoordinate = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Create an ad-hoc delivery point
+ * Empty optional fields are left out so the point looks like an uploaded row;
+ * without an address the coordinates are used as one.
+ * @param {Object} fields - { customer_name, address, window_start, window_end, lat, lng }
+ * @returns {Object} Delivery point with a generated id
+ */
+export const createDeliveryPoint = (fields = {}) => {
+  const lat = roundCoordinate(fields.lat);
+  const lng = roundCoordinate(fields.lng);
+  const point = {
+    id: `stop-${Date.now().toString(36)}-${++pointCounter}`,
+    customer_name: String(fields.customer_name ?? '').trim(),
+    address: String(fields.address ?? '').trim() || `${lat}, ${lng}`,
+    lat,
+    lng,
+  };
+  ['window_start', 'window_end'].forEach((field) => {
+    if (fields[field]) point[field] = fields[field];
+  });
+  return point;
+};
+
+/**
+ * Index delivery points by id
+ * The index is cached per array, so components and helpers looking up points
+ * of the same data share one index instead of scanning the array per stop.
+ * @param {Array} points - Delivery points
+ * @returns {Map} Points by id
+ */
+export const indexPointsById = (points = []) => {
+  if (!pointIndexes.has(points)) {
+    pointIndexes.set(points, new Map(points.map(point => [point.id, point])));
+  }
+  return pointIndexes.get(points);
+};
+
+/**
+ * Index route stops by delivery point id
+ * @param {Array} routes - Routes
+ * @returns {Map} { routeIndex, stopIndex } by point id
+ */
+export const indexStopsById = (routes = []) => {
+  if (!stopIndexes.has(routes)) {
+    const index = new Map();
+    routes.forEach((route, routeIndex) => {
+      (route.stops || []).forEach((stop, stopIndex) => {
+        index.set(stop.id, { routeIndex, stopIndex });
+      });
+    });
+    stopIndexes.set(routes, index);
+  }
+  return stopIndexes.get(routes);
+};
+
+export default {
+  roundCoordinate,
+  createDeliveryPoint,
+  indexPointsById,
+  indexStopsById,
+};
@@ -0,0 +1,126 @@
+import { roundCoordinate } from './deliveryPoints';
+
+/**
+ * Depot utilities
+ * Constraints carry a `depots` list. Routes reference their origin and
+ * destination by `start_depot_id` / `end_depot_id`; `open_route` marks
+ * routes that do not return to any depot.
+ */
+
+// Fleet `endDepot` value for vehicles that finish at their last stop
+export const OPEN_ROUTE = 'open';
+
+// Counter keeps ids unique when several depots are created in the same tick
+let depotCounter = 0;
+
+/**
+ * Create a depot with default values
+ * @param {Object} overrides - Field values to override
+ * @returns {Object} Depot
+ */
+export const createDepot = (overrides = {}) => ({
+  id: `depot-${Date.now().toString(36)}-${++depotCounter}`,
+  name: '',
+  lat: '',
+  lng: '',
+  ...overrides,
+});
+
+/**
+ * Get the depot list from constraints
+ * Legacy constraints with startLocation/startLat/startLng yield a single depot.
+ * @param {Object} constraints - Route constraints
+ * @returns {Array} Depots
+ */
+export const getDepots = (constraints) => {
+  if (Array.isArray(constraints?.depots)) return constraints.depots;
+  if (constraints?.startLocation || constraints?.startLat || constraints?.startLng) {
+    return [{
+      id: 'depot',
+      name: constraints.startLocation || 'Start Location',
+      lat: constraints.startLat ?? '',
+      lng: constraints.startLng ?? '',
+    }];
+  }
+  return [];
+};
+
+/**
+ * Get the coordinates of a depot
+ * @param {Object} depot - Depot
+ * @returns {Object|null} Location with numeric lat/lng, or null without coordinates
+ */
+export const getDepotLocation = (depot) => {
+  if (!depot) return null;
+  if (depot.lat === '' || depot.lng === '' || depot.lat === null || depot.lng === null) return null;
+  const lat = parseFloat(depot.lat);
+  const lng = parseFloat(depot.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  return { lat, lng };
+};
+
+/**
+ * Find a depot by id (or by name, for older plans)
+ * @param {Array} depots - Depots
+ * @param {string} key - Depot id or name
+ * @returns {Object|null} Depot
+ */
+export const findDepot = (depots = [], key) => {
+  if (!key) return null;
+  return depots.find(d => d.id === key) || depots.find(d => d.name === key) || null;
+};
+
+/**
+ * Resolve the origin and destination depots of a route
+ * Routes without depot ids start and end at the first depot.
+ * @param {Object} route - Route with optional start_depot_id/end_depot_id/open_route
+ * @param {Array} depots - Depots
+ * @returns {Object} { start, end } depots; end is null for open routes
+ */
+export const resolveRouteDepots = (route, depots = []) => {
+  const start = findDepot(depots, route?.start_depot_id) || depots[0] || null;
+  if (route?.open_route) return { start, end: null };
+  const end = findDepot(depots, route?.end_depot_id) || start;
+  return { start, end };
+};
+
+/**
+ * Resolve the origin and destination depots a fleet vehicle uses
+ * @param {Object} vehicle - Vehicle class or vehicle with depot/endDepot
+ * @param {Array} depots - Depots
+ * @returns {Object} { start, end, open } depots
+ */
+export const resolveVehicleDepots = (vehicle, depots = []) => {
+  const start = findDepot(depots, vehicle?.depot) || depots[0] || null;
+  if (vehicle?.endDepot === OPEN_ROUTE) return { start, end: null, open: true };
+  const end = findDepot(depots, vehicle?.endDepot) || start;
+  return { start, end, open: false };
+};
+
+/**
+ * Move a depot to a location picked on the map
+ * Without a matching depot a new one is added at the location.
+ * @param {Array} depots - Depots
+ * @param {string} depotId - Id of the depot to move
+ * @param {Object} location - { lat, lng }
+ * @returns {Array} New depot list
+ */
+export const moveDepot = (depots = [], depotId, location) => {
+  const lat = roundCoordinate(location.lat);
+  const lng = roundCoordinate(location.lng);
+  if (!depots.some(depot => depot.id === depotId)) {
+    return [...depots, createDepot({ name: depots.length === 0 ? 'Main Warehouse' : `Depot ${depots.length + 1}`, lat, lng })];
+  }
+  return depots.map(depot => (depot.id === depotId ? { ...depot, lat, lng } : depot));
+};
+
+export default {
+  OPEN_ROUTE,
+  createDepot,
+  getDepots,
+  getDepotLocation,
+  findDepot,
+  resolveRouteDepots,
+  resolveVehicleDepots,
+  moveDepot,
+};
@@ -0,0 +1,53 @@
+/**
+ * Background file processing
+ * Parses and validates delivery files in a Web Worker so that large files
+ * (hundreds of thousands of rows) do not freeze the page. Where workers are
+ * not available (older browsers, tests) the same tasks run on the main thread.
+ */
+
+import { FILE_TASKS } from '../workers/fileTasks';
+import { runWorkerTask } from './workerTasks';
+
+/**
+ * Run a file task in the file worker
+ * @param {string} task - Task name from FILE_TASKS
+ * @param {Object} payload - Task payload
+ * @param {Object} options - { onProgress, signal: AbortSignal }
+ * @returns {Promise} Task result; rejects with an AbortError when cancelled
+ */
+const runFileTask = (task, payload, options) => runWorkerTask(
+  () => new Worker(new URL('../workers/fileWorker.js', import.meta.url), { type: 'module' }),
+  FILE_TASKS,
+  task,
+  payload,
+  options
+);
+
+/**
+ * Parse a delimited or JSON delivery file in the background
+ * @param {File} file - File to parse
+ * @param {string} format - 'delimited' or 'json'
+ * @param {Object} options - { onProgress({ loaded, total, rows }), signal: AbortSignal, dynamicTyping
+ *   (false keeps delimited values as text) }
+ * @returns {Promise<Array>} Parsed rows
+ */
+export const parseDeliveryFile = (file, format, options = {}) => {
+  const { dynamicTyping = true, ...taskOptions } = options;
+  return runFileTask('parse', { file, format, dynamicTyping }, taskOptions);
+};
+
+/**
+ * Normalize and validate delivery rows in the background
+ * @param {Array} rows - Parsed rows
+ * @param {Object} constraints - Constraints used to check time windows
+ * @param {Object} options - { signal: AbortSignal }
+ * @returns {Promise<Object>} { rows, report } with the validateDeliveryRows report
+ */
+export const validateDeliveryFile = (rows, constraints, options = {}) => {
+  return runFileTask('validate', { rows, constraints }, options);
+};
+
+export default {
+  parseDeliveryFile,
+  validateDeliveryFile,
+};
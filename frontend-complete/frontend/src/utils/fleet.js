@@ -0,0 +1,127 @@
+/**
+ * Fleet utilities
+ * A fleet is a list of vehicle classes; each class describes `count`
+ * identical vehicles. Routes reference individual vehicles by `vehicle_id`.
+ */
+
+// Counter keeps ids unique when several classes are created in the same tick
+let vehicleClassCounter = 0;
+
+/**
+ * Create a vehicle class with default values
+ * @param {Object} overrides - Field values to override
+ * @returns {Object} Vehicle class
+ */
+export const createVehicleClass = (overrides = {}) => ({
+  id: `vehicle-${Date.now().toString(36)}-${++vehicleClassCounter}`,
+  name: 'Standard Van',
+  count: 1,
+  capacity: 100,
+  maxStops: 10,
+  costPerKm: 1,
+  shiftStart: '08:00',
+  shiftEnd: '18:00',
+  depot: '',
+  endDepot: '',
+  ...overrides,
+});
+
+/**
+ * Get the fleet from constraints
+ * @param {Object} constraints - Route constraints
+ * @returns {Array} Vehicle classes (empty for legacy single-vehicle constraints)
+ */
+export const getFleet = (constraints) => {
+  return Array.isArray(constraints?.fleet) ? constraints.fleet : [];
+};
+
+/**
+ * Expand vehicle classes into individual vehicles
+ * @param {Array} fleet - Vehicle classes
+ * @returns {Array} Vehicles with vehicle_id, label and their class settings
+ */
+export const expandFleet = (fleet = []) => {
+  const vehicles = [];
+  fleet.forEach((vehicleClass) => {
+    const count = parseInt(vehicleClass.count) || 0;
+    for (let n = 1; n <= count; n++) {
+      vehicles.push({
+        ...vehicleClass,
+        vehicle_id: `${vehicleClass.id}-${n}`,
+        label: count > 1 ? `${vehicleClass.name} #${n}` : vehicleClass.name,
+      });
+    }
+  });
+  return vehicles;
+};
+
+/**
+ * Find the vehicle a route is assigned to
+ * @param {Object} route - Route with optional vehicle_id
+ * @param {Array} fleet - Vehicle classes
+ * @returns {Object|null} Vehicle or null when unassigned or unknown
+ */
+export const findRouteVehicle = (route, fleet = []) => {
+  if (!route?.vehicle_id) return null;
+  return expandFleet(fleet).find(v => v.vehicle_id === route.vehicle_id) || null;
+};
+
+/**
+ * Get a display label for a route's vehicle
+ * @param {Object} route - Route with optional vehicle_id
+ * @param {Array} fleet - Vehicle classes
+ * @returns {string} Vehicle label, raw vehicle_id, or empty string
+ */
+export const getVehicleLabel = (route, fleet = []) => {
+  const vehicle = findRouteVehicle(route, fleet);
+  if (vehicle) return vehicle.label;
+  return route?.vehicle_id || '';
+};
+
+/**
+ * Get the vehicle class with the largest capacity
+ * Routes left over once the fleet is used up are planned for it.
+ * @param {Array} fleet - Vehicle classes
+ * @returns {Object|null} Vehicle class, or null for an empty fleet
+ */
+export const getLargestVehicleClass = (fleet = []) => {
+  return [...fleet].sort((a, b) => (parseFloat(b.capacity) || 0) - (parseFloat(a.capacity) || 0))[0] || null;
+};
+
+/**
+ * Get the capacity that applies to a route
+ * Unassigned routes of a fleet plan get the largest class's capacity, as
+ * the solver plans them with it.
+ * @param {Object} route - Route with optional vehicle_id
+ * @param {Array} fleet - Vehicle classes
+ * @param {number} fallbackCapacity - Capacity for routes without a known vehicle
+ * @returns {number} Capacity (0 when unknown)
+ */
+export const getRouteCapacity = (route, fleet = [], fallbackCapacity = 0) => {
+  const vehicle = route?.vehicle_id ? findRouteVehicle(route, fleet) : getLargestVehicleClass(fleet);
+  const capacity = parseFloat(vehicle ? vehicle.capacity : fallbackCapacity);
+  return Number.isFinite(capacity) && capacity > 0 ? capacity : 0;
+};
+
+/**
+ * Get the driving cost of a route from its vehicle's cost per km
+ * @param {Object} route - Route with total_distance and optional vehicle_id
+ * @param {Array} fleet - Vehicle classes
+ * @returns {number|null} Cost, or null when the vehicle is unknown
+ */
+export const getRouteCost = (route, fleet = []) => {
+  const vehicle = findRouteVehicle(route, fleet);
+  if (!vehicle) return null;
+  return (route.total_distance || 0) * (parseFloat(vehicle.costPerKm) || 0);
+};
+
+export default {
+  createVehicleClass,
+  getFleet,
+  expandFleet,
+  findRouteVehicle,
+  getVehicleLabel,
+  getLargestVehicleClass,
+  getRouteCapacity,
+  getRouteCost,
+};
@@ -0,0 +1,257 @@
+/**
+ * Geocoding utilities
+ * Rows that have an address but no coordinates are geocoded before validation.
+ *
+ * A provider is an object with a `name` and a `geocode(queries)` method.
+ * `queries` is [{ key, address }]; the method returns (or resolves to)
+ * [{ key, lat, lng, confidence, match }], with lat/lng null when nothing
+ * matched and confidence between 0 and 1. The default provider matches
+ * against a local gazetteer or postcode-centroid file, so it needs no network.
+ */
+
+import { normalizeHeader } from './columnMapping';
+
+// Matches at or above this confidence are used without review
+export const MIN_CONFIDENCE = 0.8;
+
+// Matches below this confidence are not offered as candidates
+const MIN_CANDIDATE_CONFIDENCE = 0.4;
+
+// A postcode match places the point at the postcode centroid
+const POSTCODE_CONFIDENCE = 0.9;
+
+export const GEOCODE_RESOLVED = 'resolved';
+export const GEOCODE_LOW_CONFIDENCE = 'low';
+export const GEOCODE_UNRESOLVED = 'unresolved';
+
+// Gazetteer columns, by the header names they commonly appear under
+const GAZETTEER_COLUMNS = {
+  name: ['name', 'place', 'place name', 'address', 'street', 'locality', 'town', 'city', 'area'],
+  postcode: ['postcode', 'post code', 'postal code', 'postalcode', 'zip', 'zip code', 'zipcode', 'plz'],
+  lat: ['lat', 'latitude', 'y'],
+  lng: ['lng', 'lon', 'long', 'longitude', 'x'],
+};
+
+/**
+ * Normalize free text for matching: lower case words separated by single spaces
+ */
+const normalizeText = (value) => {
+  return String(value ?? '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+};
+
+/**
+ * Normalize a postcode for lookup ("sw1a 1aa" -> "SW1A1AA")
+ */
+const normalizePostcode = (value) => String(value ?? '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const hasValue = (value) => value !== null && value !== undefined && String(value).trim() !== '';
+
+/**
+ * Check whether a row has an address but is missing coordinates
+ * @param {Object} row - Delivery row with canonical field names
+ * @returns {boolean} True when the row should be geocoded
+ */
+export const needsGeocoding = (row) => {
+  return hasValue(row?.address) && (!hasValue(row.lat) || !hasValue(row.lng));
+};
+
+/**
+ * Read gazetteer entries from parsed CSV rows
+ * Columns are recognised by name: a place name or address and/or a postcode,
+ * plus latitude and longitude. Rows without valid coordinates are skipped.
+ * @param {Array} rows - Parsed gazetteer rows
+ * @returns {Array} Entries [{ name, postcode, lat, lng }]
+ */
+export const parseGazetteer = (rows = []) => {
+  const headers = Object.keys(rows[0] || {});
+  const columns = {};
+  Object.entries(GAZETTEER_COLUMNS).forEach(([key, aliases]) => {
+    columns[key] = headers.find(header => aliases.includes(normalizeHeader(header)));
+  });
+
+  if (!columns.lat || !columns.lng || (!columns.name && !columns.postcode)) {
+    throw new Error('Gazetteer needs latitude and longitude columns and a place name or postcode column');
+  }
+
+  const entries = [];
+  rows.forEach((row) => {
+    const lat = parseFloat(row[columns.lat]);
+    const lng = parseFloat(row[columns.lng]);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return;
+
+    const name = columns.name ? String(row[columns.name] ?? '').trim() : '';
+    const postcode = columns.postcode ? String(row[columns.postcode] ?? '').trim() : '';
+    if (name || postcode) {
+      entries.push({ name, postcode, lat, lng });
+    }
+  });
+
+  if (entries.length === 0) {
+    throw new Error('Gazetteer has no rows with valid coordinates');
+  }
+  return entries;
+};
+
+/**
+ * Create a provider that matches addresses against gazetteer entries
+ * A postcode in the address matches its centroid; otherwise the place name
+ * sharing the most words with the address wins.
+ * @param {Array} entries - Gazetteer entries from parseGazetteer
+ * @param {string} name - Provider name shown to the user
+ * @returns {Object} Geocoding provider
+ */
+export const createGazetteerProvider = (entries = [], name = 'Local gazetteer') => {
+  const byPostcode = new Map();
+  const byToken = new Map();
+
+  entries.forEach((entry) => {
+    const postcode = normalizePostcode(entry.postcode);
+    if (postcode && !byPostcode.has(postcode)) {
+      byPostcode.set(postcode, entry);
+    }
+
+    const tokens = new Set(normalizeText(entry.name).split(' ').filter(Boolean));
+    if (tokens.size === 0) return;
+    const indexed = { entry, tokens };
+    tokens.forEach((token) => {
+      if (!byToken.has(token)) byToken.set(token, []);
+      byToken.get(token).push(indexed);
+    });
+  });
+
+  /**
+   * Find the postcode in an address, trying single words and adjacent pairs ("SW1A 1AA")
+   */
+  const matchPostcode = (words) => {
+    for (let i = 0; i < words.length; i++) {
+      const pair = i + 1 < words.length ? normalizePostcode(words[i] + words[i + 1]) : null;
+      if (pair && byPostcode.has(pair)) return byPostcode.get(pair);
+      const single = normalizePostcode(words[i]);
+      if (byPostcode.has(single)) return byPostcode.get(single);
+    }
+    return null;
+  };
+
+  /**
+   * Find the place name sharing the most words with the address (Dice coefficient of word sets)
+   */
+  const matchName = (tokens) => {
+    const shared = new Map();
+    tokens.forEach((token) => {
+      (byToken.get(token) || []).forEach((indexed) => {
+        shared.set(indexed, (shared.get(indexed) || 0) + 1);
+      });
+    });
+
+    let best = null;
+    shared.forEach((count, indexed) => {
+      const score = (2 * count) / (tokens.size + indexed.tokens.size);
+      if (!best || score > best.score) best = { entry: indexed.entry, score };
+    });
+    return best;
+  };
+
+  const geocode = (queries = []) => {
+    return queries.map(({ key, address }) => {
+      const words = String(address ?? '').split(/[\s,;]+/).filter(Boolean);
+      const tokens = new Set(normalizeText(address).split(' ').filter(Boolean));
+
+      const postcodeEntry = matchPostcode(words);
+      const nameMatch = matchName(tokens);
+
+      if (postcodeEntry && (!nameMatch || nameMatch.score < POSTCODE_CONFIDENCE)) {
+        return {
+          key,
+          lat: postcodeEntry.lat,
+          lng: postcodeEntry.lng,
+          confidence: POSTCODE_CONFIDENCE,
+          match: postcodeEntry.postcode,
+        };
+      }
+      if (nameMatch && nameMatch.score >= MIN_CANDIDATE_CONFIDENCE) {
+        return {
+          key,
+          lat: nameMatch.entry.lat,
+          lng: nameMatch.entry.lng,
+          confidence: nameMatch.score,
+          match: nameMatch.entry.name,
+        };
+      }
+      return { key, lat: null, lng: null, confidence: 0, match: null };
+    });
+  };
+
+  return { name, size: entries.length, geocode };
+};
+
+/**
+ * Geocode every row that has an address but no coordinates
+ * @param {Array} rows - Delivery rows with canonical field names
+ * @param {Object} provider - Geocoding provider
+ * @param {Object} options - { minConfidence }
+ * @returns {Promise<Array>} Results [{ index, lat, lng, confidence, match, status }] by row index
+ */
+export const geocodeRows = async (rows, provider, { minConfidence = MIN_CONFIDENCE } = {}) => {
+  const queries = [];
+  rows.forEach((row, index) => {
+    if (needsGeocoding(row)) queries.push({ key: index, address: row.address });
+  });
+  if (queries.length === 0 || !provider) {
+    return queries.map(({ key }) => ({ index: key, lat: null, lng: null, confidence: 0, match: null, status: GEOCODE_UNRESOLVED }));
+  }
+
+  const matches = new Map((await provider.geocode(queries)).map(match => [match.key, match]));
+  return queries.map(({ key }) => {
+    const match = matches.get(key);
+    const found = match && match.lat !== null && match.lng !== null;
+    let status = GEOCODE_UNRESOLVED;
+    if (found) {
+      status = match.confidence >= minConfidence ? GEOCODE_RESOLVED : GEOCODE_LOW_CONFIDENCE;
+    }
+    return {
+      index: key,
+      lat: found ? match.lat : null,
+      lng: found ? match.lng : null,
+      confidence: match?.confidence ?? 0,
+      match: match?.match ?? null,
+      status,
+    };
+  });
+};
+
+/**
+ * Fill in the coordinates of resolved rows
+ * Low-confidence and unresolved rows keep their missing coordinates, so
+ * validation lists them.
+ * @param {Array} rows - Delivery rows
+ * @param {Array} results - Results from geocodeRows, possibly edited by the user
+ * @returns {Array} Rows with geocoded coordinates
+ */
+export const applyGeocodes = (rows, results = []) => {
+  const resolved = new Map(
+    results
+      .filter(result => result.status === GEOCODE_RESOLVED)
+      .map(result => [result.index, result])
+  );
+  return rows.map((row, index) => {
+    const result = resolved.get(index);
+    return result ? { ...row, lat: result.lat, lng: result.lng } : row;
+  });
+};
+
+export default {
+  MIN_CONFIDENCE,
+  GEOCODE_RESOLVED,
+  GEOCODE_LOW_CONFIDENCE,
+  GEOCODE_UNRESOLVED,
+  needsGeocoding,
+  parseGazetteer,
+  createGazetteerProvider,
+  geocodeRows,
+  applyGeocodes,
+};
@@ -1,26 +1,147 @@
 import Papa from 'papaparse';
+import readXlsxFile, { readSheetNames } from 'read-excel-file';
+import { OPEN_ROUTE } from './depots';
+import { indexPointsById } from './deliveryPoints';
 
 /**
  * Utility functions for data processing, validation, and formatting
  */
 
+// Delimiters recognised in delimited text files
+const DELIMITERS = [',', ';', '\t', '|'];
+
+// Bytes read to detect the delimiter, and bytes parsed per streamed chunk
+const DELIMITER_SAMPLE_BYTES = 64 * 1024;
+const PARSE_CHUNK_BYTES = 1024 * 1024;
+
+/**
+ * Create the error thrown when file processing is cancelled
+ * @returns {Error} Error named 'AbortError', like fetch and AbortController use
+ */
+export const createAbortError = () => {
+  const error = new Error('File processing was cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Check whether an error comes from a cancelled operation
+ * @param {Error} error - Caught error
+ * @returns {boolean} True when the operation was cancelled
+ */
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+/**
+ * Read a file as text
+ * @param {File} file - File to read
+ * @returns {Promise<string>} File contents
+ */
+const readFileAsText = (file) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(new Error('Failed to read file'));
+    reader.readAsText(file);
+  });
+};
+
+/**
+ * Read part of a file as bytes
+ * @param {Blob} blob - File or slice to read
+ * @returns {Promise<ArrayBuffer>} Contents
+ */
+const readFileAsArrayBuffer = (blob) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(new Error('Failed to read file'));
+    reader.readAsArrayBuffer(blob);
+  });
+};
+
+/**
+ * Count occurrences of a character outside double-quoted sections
+ */
+const countUnquoted = (line, char) => {
+  let count = 0;
+  let inQuotes = false;
+  for (const c of line) {
+    if (c === '"') inQuotes = !inQuotes;
+    else if (c === char && !inQuotes) count++;
+  }
+  return count;
+};
+
+/**
+ * Detect the delimiter of delimited text from its header line
+ * @param {string} text - File contents
+ * @returns {string} Delimiter: comma, semicolon, tab or pipe (comma when unsure)
+ */
+export const detectDelimiter = (text) => {
+  const header = text.split(/\r?\n/).find(line => line.trim() !== '') || '';
+  let best = ',';
+  let bestCount = 0;
+  DELIMITERS.forEach((delimiter) => {
+    const count = countUnquoted(header, delimiter);
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+  return best;
+};
+
 /**
- * Parse CSV file and return JSON data
- * @param {File} file - CSV file to parse
+ * Parse a CSV, semicolon-separated or TSV file and return JSON data
+ * The delimiter is detected from the header line. Semicolon-separated files
+ * usually come from locales with decimal commas, so "40,7128" is read as 40.7128.
+ * The file is streamed in chunks so large files do not have to be held as one string.
+ * @param {File} file - Delimited text file to parse
+ * @param {Object} options - { onProgress({ loaded, total, rows }), signal: AbortSignal, dynamicTyping
+ *   (false keeps every value as text, e.g. postcodes with leading zeros) }
  * @returns {Promise<Array>} Parsed data as array of objects
  */
-export const parseCSV = (file) => {
+export const parseCSV = async (file, { onProgress, signal, dynamicTyping = true } = {}) => {
+  const delimiter = detectDelimiter(await readFileAsText(file.slice(0, DELIMITER_SAMPLE_BYTES)));
+
   return new Promise((resolve, reject) => {
+    const rows = [];
+    let failed = false;
+
+    const fail = (parser, error) => {
+      failed = true;
+      parser.abort();
+      reject(error);
+    };
+
     Papa.parse(file, {
       header: true,
+      delimiter,
       skipEmptyLines: true,
-      dynamicTyping: true,
-      complete: (results) => {
+      dynamicTyping,
+      chunkSize: PARSE_CHUNK_BYTES,
+      transformHeader: (header) => header.trim(),
+      transform: delimiter === ';'
+        ? (value) => (/^-?\d+,\d+$/.test(value.trim()) ? value.trim().replace(',', '.') : value)
+        : undefined,
+      chunk: (results, parser) => {
+        if (signal?.aborted) {
+          fail(parser, createAbortError());
+          return;
+        }
         if (results.errors.length > 0) {
-          reject(new Error(`CSV parsing error: ${results.errors[0].message}`));
-        } else {
-          resolve(results.data);
+          fail(parser, new Error(`CSV parsing error: ${results.errors[0].message}`));
+          return;
         }
+        results.data.forEach(row => rows.push(row));
+        onProgress && onProgress({
+          loaded: Math.min(results.meta.cursor, file.size),
+          total: file.size,
+          rows: rows.length,
+        });
+      },
+      complete: () => {
+        if (!failed) resolve(rows);
       },
       error: (error) => {
         reject(new Error(`Failed to parse CSV: ${error.message}`));
@@ -29,6 +150,68 @@ export const parseCSV = (file) => {
   });
 };
 
+/**
+ * List the sheets of an Excel workbook
+ * @param {File} file - .xlsx file
+ * @returns {Promise<Array>} Sheet names
+ */
+export const getSpreadsheetSheets = async (file) => {
+  try {
+    return await readSheetNames(file);
+  } catch (error) {
+    throw new Error(`Failed to read spreadsheet: ${error.message}`);
+  }
+};
+
+/**
+ * Convert a spreadsheet cell to the value a CSV parse would give
+ * Time-only cells (dates in 1899/1900) become "HH:MM"; other dates become ISO strings.
+ */
+const convertSpreadsheetCell = (value) => {
+  if (!(value instanceof Date)) return value;
+  if (value.getUTCFullYear() <= 1900) {
+    const hours = String(value.getUTCHours()).padStart(2, '0');
+    const minutes = String(value.getUTCMinutes()).padStart(2, '0');
+    return `${hours}:${minutes}`;
+  }
+  return value.toISOString();
+};
+
+/**
+ * Convert spreadsheet rows to objects keyed by the header row
+ * Blank rows are skipped.
+ * @param {Array} rows - Rows of cells, header first
+ * @returns {Array} Row objects
+ */
+export const sheetRowsToObjects = (rows = []) => {
+  if (rows.length === 0) return [];
+  const headers = rows[0].map(header => String(header ?? '').trim());
+
+  return rows.slice(1)
+    .filter(row => row.some(cell => cell !== null && cell !== undefined && cell !== ''))
+    .map(row => {
+      const item = {};
+      headers.forEach((header, index) => {
+        if (header) item[header] = convertSpreadsheetCell(row[index] ?? null);
+      });
+      return item;
+    });
+};
+
+/**
+ * Parse one sheet of an Excel workbook and return JSON data
+ * @param {File} file - .xlsx file
+ * @param {string|number} sheet - Sheet name, or 1-based sheet number
+ * @returns {Promise<Array>} Parsed data as array of objects
+ */
+export const parseSpreadsheet = async (file, sheet = 1) => {
+  try {
+    return sheetRowsToObjects(await readXlsxFile(file, { sheet }));
+  } catch (error) {
+    throw new Error(`Failed to parse spreadsheet: ${error.message}`);
+  }
+};
+
 /**
  * Parse JSON file and return data
  * @param {File} file - JSON file to parse
@@ -51,36 +234,516 @@ export const parseJSON = (file) => {
 };
 
 /**
- * Validate delivery data structure
- * @param {Array} data - Delivery data to validate
- * @returns {Object} Validation result with isValid and errors
+ * Split the elements of a top-level JSON array as its text arrives
+ * Each complete element is parsed on its own, so the whole file never has
+ * to be held as one string.
+ * @returns {Object} { push(text), end() } returning the rows parsed so far
  */
-export const validateDeliveryData = (data) => {
-  const errors = [];
-  const requiredFields = ['id', 'customer_name', 'lat', 'lng', 'address'];
+const createJSONArrayReader = () => {
+  let text = '';
+  let position = 0;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let started = false;
+  let finished = false;
+  let elementCount = 0;
+  const invalid = () => new Error('Invalid JSON format');
 
-  if (!Array.isArray(data) || data.length === 0) {
-    return { isValid: false, errors: ['Data must be a non-empty array'] };
+  const push = (chunk) => {
+    const rows = [];
+    text += chunk;
+    let elementStart = 0;
+
+    for (; position < text.length; position++) {
+      const char = text[position];
+      if (finished) {
+        if (!/\s/.test(char)) throw invalid();
+      } else if (!started) {
+        if (char === '[') {
+          started = true;
+          depth = 1;
+          elementStart = position + 1;
+        } else if (!/\s/.test(char)) {
+          throw invalid();
+        }
+      } else if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '[' || char === '{') {
+        depth++;
+      } else if (char === ']' || char === '}') {
+        depth--;
+      }
+
+      if (started && !finished && !inString && ((depth === 1 && char === ',') || depth === 0)) {
+        const element = text.slice(elementStart, position).trim();
+        // A comma needs an element before it; only an empty array closes without one
+        if (element === '' && (char === ',' || elementCount > 0)) throw invalid();
+        if (element !== '') {
+          try {
+            rows.push(JSON.parse(element));
+          } catch (error) {
+            throw invalid();
+          }
+          elementCount++;
+        }
+        elementStart = position + 1;
+        if (depth === 0) finished = true;
+      }
+    }
+
+    // Keep only the element still being read
+    text = text.slice(elementStart);
+    position -= elementStart;
+    return rows;
+  };
+
+  const end = () => {
+    if (!finished) throw invalid();
+  };
+
+  return { push, end };
+};
+
+/**
+ * Parse the rows of a JSON delivery file in chunks
+ * A top-level array is streamed element by element with progress and
+ * cancellation between chunks; any other JSON value is read whole and
+ * becomes a single row, as with parseJSON.
+ * @param {File} file - JSON file to parse
+ * @param {Object} options - { onProgress({ loaded, total, rows }), signal: AbortSignal, chunkSize (bytes) }
+ * @returns {Promise<Array>} Parsed rows
+ */
+export const parseJSONRows = async (file, { onProgress, signal, chunkSize = PARSE_CHUNK_BYTES } = {}) => {
+  const head = (await readFileAsText(file.slice(0, 64))).trimStart();
+  if (head[0] !== '[') {
+    const rows = await parseJSON(file);
+    onProgress && onProgress({ loaded: file.size, total: file.size, rows: rows.length });
+    return rows;
   }
 
-  data.forEach((item, index) => {
-    requiredFields.forEach(field => {
-      if (!(field in item) || item[field] === null || item[field] === undefined || item[field] === '') {
-        errors.push(`Row ${index + 1}: Missing or empty field '${field}'`);
+  const decoder = new TextDecoder();
+  const reader = createJSONArrayReader();
+  const rows = [];
+
+  for (let offset = 0; offset < file.size; offset += chunkSize) {
+    if (signal?.aborted) throw createAbortError();
+    const bytes = await readFileAsArrayBuffer(file.slice(offset, offset + chunkSize));
+    const last = offset + chunkSize >= file.size;
+    reader.push(decoder.decode(bytes, { stream: !last })).forEach(row => rows.push(row));
+    onProgress && onProgress({ loaded: Math.min(offset + chunkSize, file.size), total: file.size, rows: rows.length });
+  }
+  reader.end();
+
+  return rows;
+};
+
+/**
+ * Parse a 24-hour "HH:MM" time string into minutes after midnight
+ * @param {string} value - Time string, e.g. "08:30"
+ * @returns {number|null} Minutes after midnight, or null if malformed
+ */
+export const parseTimeToMinutes = (value) => {
+  if (value === null || value === undefined) return null;
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+  if (!match) return null;
+
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+};
+
+/**
+ * Format minutes after midnight as a 24-hour "HH:MM" clock string
+ * @param {number} totalMinutes - Minutes after midnight
+ * @returns {string} Clock string
+ */
+export const formatClock = (totalMinutes) => {
+  const rounded = Math.round(totalMinutes);
+  const hours = Math.floor(rounded / 60);
+  const mins = rounded % 60;
+  return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
+};
+
+/**
+ * Format the time window of a delivery point for display
+ * Falls back to the free-text delivery_window when no structured window exists.
+ * @param {Object} point - Delivery point
+ * @returns {string} Window label, or empty string when the point has none
+ */
+export const formatTimeWindow = (point) => {
+  if (!point) return '';
+  if (point.window_start && point.window_end) {
+    return `${point.window_start}–${point.window_end}`;
+  }
+  if (point.window_start) return `from ${point.window_start}`;
+  if (point.window_end) return `until ${point.window_end}`;
+  return point.delivery_window || '';
+};
+
+/**
+ * Check whether a planned arrival misses the stop's window end
+ * @param {string} arrivalTime - Planned arrival ("HH:MM")
+ * @param {Object} point - Delivery point with optional window_end
+ * @returns {boolean} True if the stop is reached late
+ */
+export const isArrivalLate = (arrivalTime, point) => {
+  const arrival = parseTimeToMinutes(arrivalTime);
+  const windowEnd = parseTimeToMinutes(point?.window_end);
+  return arrival !== null && windowEnd !== null && arrival > windowEnd;
+};
+
+/**
+ * Check whether a field holds a value (not null, undefined or empty string)
+ */
+const hasValue = (value) => value !== null && value !== undefined && value !== '';
+
+/**
+ * Normalize delivery points before validation
+ * Splits a legacy "HH:MM-HH:MM" delivery_window into window_start/window_end
+ * and coerces service_minutes and demand to numbers.
+ * @param {Array} data - Validated delivery data
+ * @returns {Array} Normalized delivery data
+ */
+export const normalizeDeliveryData = (data) => {
+  return data.map((item) => {
+    const point = { ...item };
+
+    if (!hasValue(point.window_start) && !hasValue(point.window_end) && hasValue(point.delivery_window)) {
+      const [start, end] = String(point.delivery_window).split('-').map(part => part.trim());
+      if (parseTimeToMinutes(start) !== null && parseTimeToMinutes(end) !== null) {
+        point.window_start = start;
+        point.window_end = end;
       }
+    }
+
+    if (hasValue(point.service_minutes) && Number.isFinite(Number(point.service_minutes))) {
+      point.service_minutes = Number(point.service_minutes);
+    }
+
+    if (hasValue(point.demand) && Number.isFinite(Number(point.demand))) {
+      point.demand = Number(point.demand);
+    }
+
+    return point;
+  });
+};
+
+/**
+ * Validate the optional time window and service duration fields of one row
+ * @param {Object} item - Delivery point
+ * @param {Object} constraints - Global constraints with deliveryWindowStart/End
+ * @returns {Array} Issues ({ field, severity, message })
+ */
+const validateTimeFields = (item, constraints) => {
+  const issues = [];
+  const error = (field, message) => issues.push({ field, severity: SEVERITY_ERROR, message });
+  const start = hasValue(item.window_start) ? parseTimeToMinutes(item.window_start) : null;
+  const end = hasValue(item.window_end) ? parseTimeToMinutes(item.window_end) : null;
+
+  if (hasValue(item.window_start) && start === null) {
+    error('window_start', `Invalid window_start '${item.window_start}' (expected HH:MM)`);
+  }
+  if (hasValue(item.window_end) && end === null) {
+    error('window_end', `Invalid window_end '${item.window_end}' (expected HH:MM)`);
+  }
+  if (start !== null && end !== null && start >= end) {
+    error('window_start', 'window_start must be before window_end');
+  }
+
+  const globalStart = parseTimeToMinutes(constraints?.deliveryWindowStart);
+  const globalEnd = parseTimeToMinutes(constraints?.deliveryWindowEnd);
+  if (start !== null && globalStart !== null && start < globalStart) {
+    error('window_start', `window_start ${item.window_start} is before the delivery window start (${constraints.deliveryWindowStart})`);
+  }
+  if (end !== null && globalEnd !== null && end > globalEnd) {
+    error('window_end', `window_end ${item.window_end} is after the delivery window end (${constraints.deliveryWindowEnd})`);
+  }
+
+  if (hasValue(item.service_minutes)) {
+    const service = Number(item.service_minutes);
+    if (!Number.isFinite(service) || service < 0) {
+      error('service_minutes', `Invalid service_minutes value (${item.service_minutes})`);
+    }
+  }
+
+  return issues;
+};
+
+/**
+ * Get the demand of a delivery point (0 when not provided)
+ * Demand is expressed in the same unit as vehicleCapacity (units, weight or volume).
+ * @param {Object} point - Delivery point
+ * @returns {number} Demand in capacity units
+ */
+export const getPointDemand = (point) => {
+  const demand = parseFloat(point?.demand);
+  return Number.isFinite(demand) && demand > 0 ? demand : 0;
+};
+
+/**
+ * Calculate the cumulative load carried along a route
+ * @param {Object} route - Route with stops
+ * @param {Array} deliveryPoints - All delivery points, used to look up demand
+ * @returns {Object} Load after each stop (cumulative) and total load
+ */
+export const calculateRouteLoad = (route, deliveryPoints = []) => {
+  const pointsById = indexPointsById(deliveryPoints);
+  let total = 0;
+  const cumulative = (route?.stops || []).map((stop) => {
+    const point = pointsById.get(stop.id);
+    total += getPointDemand(point);
+    return total;
+  });
+  return { cumulative, total };
+};
+
+/**
+ * Calculate total stops, distance and time across routes
+ * @param {Array} routes - Routes
+ * @returns {Object} Totals { stops, distance, time }
+ */
+export const calculateTotalMetrics = (routes = []) => {
+  return routes.reduce((acc, route) => ({
+    stops: acc.stops + route.stops.length,
+    distance: acc.distance + (route.total_distance || 0),
+    time: acc.time + (route.estimated_time || 0),
+  }), { stops: 0, distance: 0, time: 0 });
+};
+
+// Validation issue severities; only errors block loading the data
+export const SEVERITY_ERROR = 'error';
+export const SEVERITY_WARNING = 'warning';
+
+// Points further than this from the cluster centre (and far beyond the typical spread) are flagged
+const OUTLIER_MIN_DISTANCE_KM = 50;
+const OUTLIER_SPREAD_FACTOR = 5;
+
+/**
+ * Read a coordinate as a number
+ * @param {number|string} value - Coordinate as parsed from the file
+ * @returns {number|null} Coordinate, or null when it is not numeric
+ */
+const toCoordinate = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string' || !/^\s*[-+]?\d+(\.\d+)?\s*$/.test(value)) return null;
+  return parseFloat(value);
+};
+
+/**
+ * Median of a list of numbers
+ */
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Validate the coordinates of one row
+ * Swapped coordinates come with a `fix` that swaps them back.
+ * @param {Object} item - Delivery point
+ * @returns {Array} Issues ({ field, severity, message, fix })
+ */
+const validateCoordinates = (item) => {
+  const issues = [];
+  if (!hasValue(item.lat) || !hasValue(item.lng)) return issues;
+
+  const lat = toCoordinate(item.lat);
+  const lng = toCoordinate(item.lng);
+  if (lat === null) {
+    issues.push({ field: 'lat', severity: SEVERITY_ERROR, message: `Latitude is not a number (${item.lat})` });
+  }
+  if (lng === null) {
+    issues.push({ field: 'lng', severity: SEVERITY_ERROR, message: `Longitude is not a number (${item.lng})` });
+  }
+  if (lat === null || lng === null) return issues;
+
+  if (lat === 0 && lng === 0) {
+    issues.push({ field: 'lat', severity: SEVERITY_ERROR, message: 'Coordinates are (0, 0), usually a failed geocode' });
+  } else if (Math.abs(lat) > 90 && Math.abs(lng) <= 90) {
+    issues.push({
+      field: 'lat',
+      severity: SEVERITY_ERROR,
+      message: `Invalid latitude value (${item.lat}); latitude and longitude look swapped`,
+      fix: { lat: item.lng, lng: item.lat },
     });
+  } else {
+    if (Math.abs(lat) > 90) {
+      issues.push({ field: 'lat', severity: SEVERITY_ERROR, message: `Invalid latitude value (${item.lat})` });
+    }
+    if (Math.abs(lng) > 180) {
+      issues.push({ field: 'lng', severity: SEVERITY_ERROR, message: `Invalid longitude value (${item.lng})` });
+    }
+  }
+
+  return issues;
+};
+
+/**
+ * Flag points far from the rest of the data set
+ * A point whose swapped coordinates would sit inside the cluster is reported as swapped.
+ * @param {Array} located - [{ index, lat, lng }] rows with valid coordinates
+ * @returns {Map} Issues by row index
+ */
+const findCoordinateOutliers = (located) => {
+  const issues = new Map();
+  if (located.length < 4) return issues;
+
+  const centre = { lat: median(located.map(p => p.lat)), lng: median(located.map(p => p.lng)) };
+  const distances = located.map(p => calculateDistance(centre.lat, centre.lng, p.lat, p.lng));
+  const limit = Math.max(OUTLIER_MIN_DISTANCE_KM, median(distances) * OUTLIER_SPREAD_FACTOR);
+
+  located.forEach((point, i) => {
+    if (distances[i] <= limit) return;
+    const swappedDistance = Math.abs(point.lng) <= 90
+      ? calculateDistance(centre.lat, centre.lng, point.lng, point.lat)
+      : Infinity;
+
+    issues.set(point.index, swappedDistance <= limit
+      ? {
+        field: 'lat',
+        severity: SEVERITY_WARNING,
+        message: 'Latitude and longitude look swapped',
+        fix: { lat: point.lng, lng: point.lat },
+      }
+      : {
+        field: 'lat',
+        severity: SEVERITY_WARNING,
+        message: `Point is ${formatDistance(distances[i])} from the other deliveries`,
+      });
+  });
+
+  return issues;
+};
 
-    // Validate coordinates
-    if (item.lat && (item.lat < -90 || item.lat > 90)) {
-      errors.push(`Row ${index + 1}: Invalid latitude value (${item.lat})`);
+// Fields every delivery row needs
+const REQUIRED_FIELDS = ['id', 'customer_name', 'lat', 'lng', 'address'];
+
+/**
+ * Validate the fields of one delivery row
+ * Checks that depend on other rows are made by findCrossRowIssues.
+ * @param {Object} item - Delivery point
+ * @param {Object} constraints - Optional constraints used to check time windows
+ * @returns {Array} Issues ({ field, severity, message, fix? })
+ */
+export const validateDeliveryRow = (item, constraints = {}) => {
+  const issues = [];
+
+  REQUIRED_FIELDS.forEach(field => {
+    if (!(field in item) || !hasValue(item[field])) {
+      issues.push({ field, severity: SEVERITY_ERROR, message: `Missing or empty field '${field}'` });
     }
-    if (item.lng && (item.lng < -180 || item.lng > 180)) {
-      errors.push(`Row ${index + 1}: Invalid longitude value (${item.lng})`);
+  });
+
+  issues.push(...validateCoordinates(item));
+  issues.push(...validateTimeFields(item, constraints));
+
+  if (hasValue(item.demand)) {
+    const demand = Number(item.demand);
+    if (!Number.isFinite(demand) || demand < 0) {
+      issues.push({ field: 'demand', severity: SEVERITY_ERROR, message: `Invalid demand value (${item.demand})` });
+    }
+  }
+
+  return issues;
+};
+
+/**
+ * Find the issues that depend on other rows: duplicate ids and coordinate outliers
+ * @param {Array} data - Delivery data
+ * @param {Object} options - { excludedRows: Set of 0-based row indexes to skip }
+ * @returns {Array} Issues ({ row, field, severity, message, fix? }) in row order
+ */
+export const findCrossRowIssues = (data, options = {}) => {
+  const excludedRows = options.excludedRows || new Set();
+  const issues = [];
+  const firstRowById = new Map();
+  const located = [];
+
+  data.forEach((item, index) => {
+    if (excludedRows.has(index)) return;
+    const row = index + 1;
+
+    if (hasValue(item.id)) {
+      const key = String(item.id);
+      if (firstRowById.has(key)) {
+        issues.push({ row, field: 'id', severity: SEVERITY_ERROR, message: `Duplicate id '${item.id}' (first used in row ${firstRowById.get(key)})` });
+      } else {
+        firstRowById.set(key, row);
+      }
+    }
+
+    if (hasValue(item.lat) && hasValue(item.lng) && validateCoordinates(item).length === 0) {
+      located.push({ index, lat: toCoordinate(item.lat), lng: toCoordinate(item.lng) });
     }
   });
 
+  findCoordinateOutliers(located).forEach((issue, index) => issues.push({ row: index + 1, ...issue }));
+  return issues.sort((a, b) => a.row - b.row);
+};
+
+/**
+ * Summarize validation issues
+ * @param {Array} issues - Issues in row order
+ * @returns {Object} { isValid, issues, errorCount, warningCount }
+ */
+export const summarizeIssues = (issues) => {
+  const errorCount = issues.filter(issue => issue.severity === SEVERITY_ERROR).length;
   return {
-    isValid: errors.length === 0,
+    isValid: errorCount === 0,
+    issues,
+    errorCount,
+    warningCount: issues.length - errorCount,
+  };
+};
+
+/**
+ * Validate delivery data and report every issue
+ * @param {Array} data - Delivery data to validate
+ * @param {Object} constraints - Optional constraints used to check time windows
+ * @param {Object} options - { excludedRows: Set of 0-based row indexes to skip }
+ * @returns {Object} { isValid, issues: [{ row, field, severity, message, fix? }], errorCount, warningCount }
+ */
+export const validateDeliveryRows = (data, constraints = {}, options = {}) => {
+  const excludedRows = options.excludedRows || new Set();
+
+  if (!Array.isArray(data) || data.length === 0) {
+    const issue = { row: null, field: null, severity: SEVERITY_ERROR, message: 'Data must be a non-empty array' };
+    return { isValid: false, issues: [issue], errorCount: 1, warningCount: 0 };
+  }
+
+  const issues = [];
+  data.forEach((item, index) => {
+    if (excludedRows.has(index)) return;
+    validateDeliveryRow(item, constraints).forEach(issue => issues.push({ row: index + 1, ...issue }));
+  });
+  issues.push(...findCrossRowIssues(data, { excludedRows }));
+  issues.sort((a, b) => a.row - b.row);
+
+  return summarizeIssues(issues);
+};
+
+/**
+ * Validate delivery data structure
+ * Summary form of validateDeliveryRows: errors only, as "Row N: message" strings.
+ * @param {Array} data - Delivery data to validate
+ * @param {Object} constraints - Optional constraints used to check time windows
+ * @returns {Object} Validation result with isValid and errors
+ */
+export const validateDeliveryData = (data, constraints = {}) => {
+  const { isValid, issues } = validateDeliveryRows(data, constraints);
+  const errors = issues
+    .filter(issue => issue.severity === SEVERITY_ERROR)
+    .map(issue => (issue.row ? `Row ${issue.row}: ${issue.message}` : issue.message));
+
+  return {
+    isValid,
     errors: errors.slice(0, 10) // Limit to first 10 errors
   };
 };
@@ -160,6 +823,28 @@ export const getRouteColor = (index) => {
   return colors[index % colors.length];
 };
 
+/**
+ * Build the JSON export structure for a route plan
+ * Also used as the project file format, so exports can be imported again.
+ * @param {Object} routeData - { routes, delivery_points, constraints, engine }
+ * @returns {Object} Export data with a generation timestamp and summary
+ */
+export const buildExportData = (routeData) => {
+  const totals = calculateTotalMetrics(routeData.routes || []);
+  return {
+    generated_at: new Date().toISOString(),
+    summary: {
+      total_routes: routeData.routes?.length || 0,
+      total_stops: totals.stops,
+      total_distance: totals.distance,
+    },
+    engine: routeData.engine || null,
+    constraints: routeData.constraints,
+    routes: routeData.routes,
+    delivery_points: routeData.delivery_points,
+  };
+};
+
 /**
  * Export data to JSON file
  * @param {Object} data - Data to export
@@ -206,12 +891,21 @@ export const calculateMapBounds = (points) => {
     return [[0, 0], [0, 0]];
   }
 
-  const lats = points.map(p => p.lat);
-  const lngs = points.map(p => p.lng);
+  // A single pass instead of Math.min(...lats), which overflows the call stack on large files
+  let minLat = Infinity;
+  let minLng = Infinity;
+  let maxLat = -Infinity;
+  let maxLng = -Infinity;
+  points.forEach(({ lat, lng }) => {
+    if (lat < minLat) minLat = lat;
+    if (lat > maxLat) maxLat = lat;
+    if (lng < minLng) minLng = lng;
+    if (lng > maxLng) maxLng = lng;
+  });
 
   return [
-    [Math.min(...lats), Math.min(...lngs)],
-    [Math.max(...lats), Math.max(...lngs)]
+    [minLat, minLng],
+    [maxLat, maxLng]
   ];
 };
 
@@ -245,26 +939,162 @@ export const formatDateTime = (dateString) => {
   });
 };
 
+/**
+ * Validate the driving speed settings
+ * Error keys take the form `speedProfile.<row>.<field>`.
+ * @param {Object} constraints - Constraints with optional averageSpeedKmh and speedProfile
+ * @returns {Object} Errors keyed by field path
+ */
+const validateSpeeds = (constraints) => {
+  const errors = {};
+
+  if (hasValue(constraints.averageSpeedKmh) && !(Number(constraints.averageSpeedKmh) > 0)) {
+    errors.averageSpeedKmh = 'Must be greater than 0';
+  }
+
+  (constraints.speedProfile || []).forEach((period, index) => {
+    const key = (field) => `speedProfile.${index}.${field}`;
+    const start = parseTimeToMinutes(period.start);
+    const end = parseTimeToMinutes(period.end);
+
+    if (start === null) errors[key('start')] = 'Enter a time';
+    if (end === null) errors[key('end')] = 'Enter a time';
+    if (start !== null && end !== null && start >= end) {
+      errors[key('end')] = 'Must be after the start';
+    }
+    if (!(Number(period.speedKmh) > 0)) {
+      errors[key('speedKmh')] = 'Must be greater than 0';
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Validate the depot list
+ * Error keys take the form `depots.<row>.<field>`.
+ * @param {Array} depots - Depots
+ * @returns {Object} Errors keyed by field path
+ */
+const validateDepots = (depots) => {
+  const errors = {};
+
+  if (depots.length === 0) {
+    errors.depots = 'At least one depot is required';
+    return errors;
+  }
+
+  depots.forEach((depot, index) => {
+    const key = (field) => `depots.${index}.${field}`;
+
+    if (!depot.name || String(depot.name).trim() === '') {
+      errors[key('name')] = 'Name is required';
+    }
+    // Coordinates are optional, but must be valid and come in pairs
+    if (hasValue(depot.lat) !== hasValue(depot.lng)) {
+      errors[key(hasValue(depot.lat) ? 'lng' : 'lat')] = 'Enter both coordinates';
+    }
+    if (hasValue(depot.lat) && !(Math.abs(Number(depot.lat)) <= 90)) {
+      errors[key('lat')] = 'Must be between -90 and 90';
+    }
+    if (hasValue(depot.lng) && !(Math.abs(Number(depot.lng)) <= 180)) {
+      errors[key('lng')] = 'Must be between -180 and 180';
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Validate the rows of a fleet table
+ * Error keys take the form `fleet.<row>.<field>`.
+ * @param {Array} fleet - Vehicle classes
+ * @param {Array} depots - Depots the fleet's depot fields may reference
+ * @returns {Object} Errors keyed by field path
+ */
+const validateFleet = (fleet, depots) => {
+  const errors = {};
+
+  if (fleet.length === 0) {
+    errors.fleet = 'At least one vehicle is required';
+    return errors;
+  }
+
+  fleet.forEach((vehicle, index) => {
+    const key = (field) => `fleet.${index}.${field}`;
+
+    if (!vehicle.name || String(vehicle.name).trim() === '') {
+      errors[key('name')] = 'Name is required';
+    }
+    if (!Number.isInteger(Number(vehicle.count)) || Number(vehicle.count) < 1) {
+      errors[key('count')] = 'Must be at least 1';
+    }
+    if (!(Number(vehicle.capacity) >= 1)) {
+      errors[key('capacity')] = 'Must be at least 1';
+    }
+    if (!Number.isInteger(Number(vehicle.maxStops)) || Number(vehicle.maxStops) < 1) {
+      errors[key('maxStops')] = 'Must be at least 1';
+    }
+    if (vehicle.costPerKm === '' || !(Number(vehicle.costPerKm) >= 0)) {
+      errors[key('costPerKm')] = 'Must be 0 or more';
+    }
+
+    const shiftStart = parseTimeToMinutes(vehicle.shiftStart);
+    const shiftEnd = parseTimeToMinutes(vehicle.shiftEnd);
+    if (shiftStart === null) {
+      errors[key('shiftStart')] = 'Invalid time';
+    }
+    if (shiftEnd === null) {
+      errors[key('shiftEnd')] = 'Invalid time';
+    }
+    if (shiftStart !== null && shiftEnd !== null && shiftStart >= shiftEnd) {
+      errors[key('shiftEnd')] = 'Must be after shift start';
+    }
+
+    if (Array.isArray(depots)) {
+      const depotIds = depots.map(d => d.id);
+      if (hasValue(vehicle.depot) && !depotIds.includes(vehicle.depot)) {
+        errors[key('depot')] = 'Unknown depot';
+      }
+      if (hasValue(vehicle.endDepot) && vehicle.endDepot !== OPEN_ROUTE && !depotIds.includes(vehicle.endDepot)) {
+        errors[key('endDepot')] = 'Unknown depot';
+      }
+    }
+  });
+
+  return errors;
+};
+
 /**
  * Validate constraints form data
+ * Constraints with a `fleet` table are validated per vehicle class;
+ * legacy constraints use maxStopsPerRoute and vehicleCapacity.
  * @param {Object} constraints - Constraints object
  * @returns {Object} Validation result
  */
 export const validateConstraints = (constraints) => {
-  const errors = {};
+  let errors = {};
 
-  if (!constraints.maxStopsPerRoute || constraints.maxStopsPerRoute < 1) {
-    errors.maxStopsPerRoute = 'Must be at least 1';
-  }
+  if (Array.isArray(constraints.fleet)) {
+    errors = validateFleet(constraints.fleet, constraints.depots);
+  } else {
+    if (!constraints.maxStopsPerRoute || constraints.maxStopsPerRoute < 1) {
+      errors.maxStopsPerRoute = 'Must be at least 1';
+    }
 
-  if (!constraints.vehicleCapacity || constraints.vehicleCapacity < 1) {
-    errors.vehicleCapacity = 'Must be at least 1';
+    if (!constraints.vehicleCapacity || constraints.vehicleCapacity < 1) {
+      errors.vehicleCapacity = 'Must be at least 1';
+    }
   }
 
-  if (!constraints.startLocation || constraints.startLocation.trim() === '') {
+  if (Array.isArray(constraints.depots)) {
+    Object.assign(errors, validateDepots(constraints.depots));
+  } else if (!constraints.startLocation || constraints.startLocation.trim() === '') {
     errors.startLocation = 'Start location is required';
   }
 
+  Object.assign(errors, validateSpeeds(constraints));
+
   return {
     isValid: Object.keys(errors).length === 0,
     errors
@@ -0,0 +1,102 @@
+/**
+ * Map clustering utilities
+ * Nearby points are grouped on a pixel grid at the current zoom so that dense
+ * data sets draw a handful of cluster markers instead of thousands of points.
+ */
+
+// Grid cell size in screen pixels
+export const CLUSTER_RADIUS = 60;
+
+// At this zoom and closer every point is drawn on its own
+export const CLUSTER_MAX_ZOOM = 15;
+
+// Leaflet tile size; pixel coordinates at zoom z span TILE_SIZE * 2^z
+const TILE_SIZE = 256;
+
+// Web Mercator is undefined at the poles
+const MAX_LATITUDE = 85.0511287798;
+
+/**
+ * Project a location to Web Mercator pixel coordinates, as Leaflet does
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} zoom - Map zoom level
+ * @returns {Object} { x, y } in pixels
+ */
+export const projectToPixels = (lat, lng, zoom) => {
+  const scale = TILE_SIZE * Math.pow(2, zoom);
+  const clamped = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+  const sin = Math.sin((clamped * Math.PI) / 180);
+  return {
+    x: ((lng + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale,
+  };
+};
+
+/**
+ * Group points that fall in the same grid cell at a zoom level
+ * Cells holding a single point return it as a cluster of one, so callers can
+ * draw it as a normal marker.
+ * @param {Array} points - Points with lat/lng
+ * @param {number} zoom - Map zoom level
+ * @param {Object} options - { radius, maxZoom }
+ * @returns {Array} Clusters [{ id, lat, lng, count, points, bounds }], centred on the mean position
+ */
+export const clusterPoints = (points = [], zoom, { radius = CLUSTER_RADIUS, maxZoom = CLUSTER_MAX_ZOOM } = {}) => {
+  const single = (point) => ({
+    id: `point-${point.id}`,
+    lat: point.lat,
+    lng: point.lng,
+    count: 1,
+    points: [point],
+    bounds: [[point.lat, point.lng], [point.lat, point.lng]],
+  });
+
+  if (zoom >= maxZoom) {
+    return points.map(single);
+  }
+
+  const cells = new Map();
+  points.forEach((point) => {
+    const { x, y } = projectToPixels(point.lat, point.lng, zoom);
+    const key = `${Math.floor(x / radius)}:${Math.floor(y / radius)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(point);
+  });
+
+  const clusters = [];
+  cells.forEach((cellPoints, key) => {
+    if (cellPoints.length === 1) {
+      clusters.push(single(cellPoints[0]));
+      return;
+    }
+
+    let latSum = 0;
+    let lngSum = 0;
+    let minLat = Infinity, maxLat = -Infinity, minLng = Infinity, maxLng = -Infinity;
+    cellPoints.forEach(({ lat, lng }) => {
+      latSum += lat;
+      lngSum += lng;
+      minLat = Math.min(minLat, lat);
+      maxLat = Math.max(maxLat, lat);
+      minLng = Math.min(minLng, lng);
+      maxLng = Math.max(maxLng, lng);
+    });
+    clusters.push({
+      id: `cluster-${zoom}-${key}`,
+      lat: latSum / cellPoints.length,
+      lng: lngSum / cellPoints.length,
+      count: cellPoints.length,
+      points: cellPoints,
+      bounds: [[minLat, minLng], [maxLat, maxLng]],
+    });
+  });
+  return clusters;
+};
+
+export default {
+  CLUSTER_RADIUS,
+  CLUSTER_MAX_ZOOM,
+  projectToPixels,
+  clusterPoints,
+};
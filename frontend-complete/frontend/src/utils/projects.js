@@ -0,0 +1,211 @@
+import { buildExportData, normalizeDeliveryData } from './helpers';
+import { createVehicleClass } from './fleet';
+import { createDepot, getDepots } from './depots';
+
+/**
+ * Project utilities
+ * A project bundles the current plan (delivery data, constraints, routes
+ * including manual edits) with its saved scenarios. Project files use the
+ * same JSON structure as the route plan export, plus the project name and
+ * scenarios, so a plan export can be imported as a project too.
+ */
+
+export const DEFAULT_PROJECT_NAME = 'Untitled Project';
+
+// Counter keeps ids unique when several projects are created in the same tick
+let projectCounter = 0;
+
+const createProjectId = () => `project-${Date.now().toString(36)}-${++projectCounter}`;
+
+/**
+ * Create a project
+ * @param {string} name - Project name
+ * @param {Object} plan - { deliveryData, constraints, routes, routeEngine }
+ * @param {Array} scenarios - Saved scenarios
+ * @returns {Object} Project
+ */
+export const createProject = (name = DEFAULT_PROJECT_NAME, plan = {}, scenarios = []) => {
+  const now = new Date().toISOString();
+  return {
+    id: createProjectId(),
+    name,
+    createdAt: now,
+    updatedAt: now,
+    plan: {
+      deliveryData: plan.deliveryData ?? null,
+      constraints: plan.constraints,
+      routes: plan.routes ?? null,
+      routeEngine: plan.routeEngine ?? null,
+    },
+    scenarios,
+  };
+};
+
+/**
+ * Copy a project under a new id
+ * @param {Object} project - Project to copy
+ * @returns {Object} Copy named "<name> (copy)"
+ */
+export const duplicateProject = (project) => {
+  return createProject(`${project.name} (copy)`, project.plan, project.scenarios);
+};
+
+/**
+ * Convert a plan to the export structure
+ * @param {Object} plan - { deliveryData, constraints, routes, routeEngine }
+ * @returns {Object} Export data
+ */
+const planToExport = (plan) => buildExportData({
+  routes: plan.routes,
+  delivery_points: plan.deliveryData,
+  constraints: plan.constraints,
+  engine: plan.routeEngine,
+});
+
+/**
+ * Check whether parsed JSON is an exported route plan rather than delivery data
+ * @param {*} data - Parsed JSON
+ * @returns {boolean} True for plan exports and project files
+ */
+export const isPlanExport = (data) => {
+  return Boolean(data) && typeof data === 'object' && !Array.isArray(data) &&
+    Array.isArray(data.delivery_points) && ('routes' in data || 'constraints' in data);
+};
+
+/**
+ * Convert constraints from older exports to the fleet/depot form
+ * Legacy single-vehicle settings become one vehicle class with enough
+ * vehicles for the exported routes, and the start location becomes a depot.
+ * @param {Object} constraints - Imported constraints
+ * @param {number} routeCount - Number of routes in the imported plan
+ * @returns {Object} Constraints with `fleet` and `depots`
+ */
+export const upgradeConstraints = (constraints = {}, routeCount = 0) => {
+  if (Array.isArray(constraints.fleet) && Array.isArray(constraints.depots)) return constraints;
+
+  const legacyDepots = getDepots(constraints);
+  const windowStart = constraints.deliveryWindowStart || '08:00';
+  const windowEnd = constraints.deliveryWindowEnd || '18:00';
+
+  return {
+    deliveryWindowStart: windowStart,
+    deliveryWindowEnd: windowEnd,
+    depots: legacyDepots.length > 0 ? legacyDepots : [createDepot({ name: 'Main Warehouse' })],
+    fleet: Array.isArray(constraints.fleet) ? constraints.fleet : [createVehicleClass({
+      count: Math.max(1, routeCount),
+      capacity: parseInt(constraints.vehicleCapacity) || 100,
+      maxStops: parseInt(constraints.maxStopsPerRoute) || 10,
+      shiftStart: windowStart,
+      shiftEnd: windowEnd,
+    })],
+  };
+};
+
+/**
+ * Read a plan from the export structure
+ * @param {Object} data - Export data
+ * @returns {Object} { deliveryData, constraints, routes, routeEngine }
+ */
+export const planFromExport = (data) => {
+  const routes = Array.isArray(data.routes) ? data.routes : null;
+  return {
+    deliveryData: Array.isArray(data.delivery_points) ? normalizeDeliveryData(data.delivery_points) : null,
+    constraints: upgradeConstraints(data.constraints || {}, routes?.length),
+    routes,
+    routeEngine: data.engine || null,
+  };
+};
+
+/**
+ * Check that a plan's routes only visit its delivery points, each at most once
+ * @param {Object} plan - { deliveryData, routes }
+ * @returns {Array} Error messages (empty when the plan is consistent)
+ */
+export const validatePlanIntegrity = (plan) => {
+  const errors = [];
+  const pointIds = new Set((plan.deliveryData || []).map(point => point.id));
+  const visited = new Set();
+
+  (plan.routes || []).forEach((route, routeIndex) => {
+    if (!Array.isArray(route?.stops)) {
+      errors.push(`Route ${routeIndex + 1}: Missing stops`);
+      return;
+    }
+    route.stops.forEach((stop, stopIndex) => {
+      const where = `Route ${routeIndex + 1}, stop ${stopIndex + 1}`;
+      if (!pointIds.has(stop.id)) {
+        errors.push(`${where}: Unknown delivery point id '${stop.id}'`);
+      } else if (visited.has(stop.id)) {
+        errors.push(`${where}: Delivery point '${stop.id}' is visited more than once`);
+      }
+      visited.add(stop.id);
+    });
+  });
+
+  return errors.slice(0, 10); // Limit to first 10 errors
+};
+
+/**
+ * Build the project file contents
+ * @param {Object} project - Project
+ * @returns {Object} Plan export data with `project` and `scenarios`
+ */
+export const projectToExport = (project) => ({
+  ...planToExport(project.plan),
+  project: {
+    name: project.name,
+    created_at: project.createdAt,
+  },
+  scenarios: (project.scenarios || []).map(scenario => ({
+    ...planToExport(scenario),
+    id: scenario.id,
+    name: scenario.name,
+    created_at: scenario.createdAt,
+  })),
+});
+
+/**
+ * Create a project from a project file or plan export
+ * @param {Object} data - Parsed JSON
+ * @param {string} fallbackName - Name used when the file has none (e.g. the file name)
+ * @returns {Object} New project
+ * @throws {Error} When the data is not a plan export
+ */
+export const projectFromExport = (data, fallbackName = DEFAULT_PROJECT_NAME) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Project file must contain a JSON object');
+  }
+  if (!data.constraints || typeof data.constraints !== 'object') {
+    throw new Error('Project file is missing constraints');
+  }
+  if (data.delivery_points !== undefined && data.delivery_points !== null && !Array.isArray(data.delivery_points)) {
+    throw new Error('Project file delivery_points must be an array');
+  }
+
+  const plan = planFromExport(data);
+  const integrityErrors = validatePlanIntegrity(plan);
+  if (integrityErrors.length > 0) {
+    throw new Error(`Project routes do not match its delivery points: ${integrityErrors.join(', ')}`);
+  }
+
+  const scenarios = (Array.isArray(data.scenarios) ? data.scenarios : []).map((scenario, index) => ({
+    ...planFromExport(scenario),
+    id: scenario.id || `scenario-imported-${index + 1}`,
+    name: scenario.name || `Scenario ${index + 1}`,
+    createdAt: scenario.created_at || scenario.generated_at || new Date().toISOString(),
+  }));
+
+  return createProject(data.project?.name || fallbackName, plan, scenarios);
+};
+
+export default {
+  DEFAULT_PROJECT_NAME,
+  createProject,
+  duplicateProject,
+  isPlanExport,
+  upgradeConstraints,
+  planFromExport,
+  validatePlanIntegrity,
+  projectToExport,
+  projectFromExport,
+};
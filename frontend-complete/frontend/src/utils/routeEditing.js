@@ -0,0 +1,110 @@
+import { calculateDistance, formatClock, parseTimeToMinutes } from './helpers';
+import { scheduleSequence, getSequenceDistance } from './routeSolver';
+import { getSpeedSettings } from './schedule';
+import { getFleet, findRouteVehicle } from './fleet';
+import { getDepots, getDepotLocation, resolveRouteDepots } from './depots';
+import { indexPointsById } from './deliveryPoints';
+
+/**
+ * Route editing utilities
+ * Manual edits (moving or reordering stops) are applied to a copy of the
+ * plan and the affected routes are recalculated locally, with Haversine
+ * distances unless a road distance function is passed, so edited plans flow
+ * straight into the map, table and export.
+ */
+
+/**
+ * Distance between two points with lat/lng
+ */
+const haversine = (a, b) => calculateDistance(a.lat, a.lng, b.lat, b.lng);
+
+/**
+ * Recalculate per-stop distances, arrival times and route totals
+ * @param {Object} route - Route with stops
+ * @param {Array} deliveryPoints - All delivery points
+ * @param {Object} constraints - Constraints (depots, fleet, delivery window and speed settings)
+ * @param {Object} options - Optional overrides ({ distance })
+ * @returns {Object} Recalculated route
+ */
+export const recalculateRoute = (route, deliveryPoints = [], constraints = {}, options = {}) => {
+  const distance = options.distance || haversine;
+  const depots = getDepots(constraints);
+  const { start, end } = resolveRouteDepots(route, depots);
+  const ends = { start: getDepotLocation(start), end: getDepotLocation(end) };
+
+  const vehicle = findRouteVehicle(route, getFleet(constraints));
+  const startMinutes = parseTimeToMinutes(vehicle?.shiftStart) ??
+    parseTimeToMinutes(constraints.deliveryWindowStart) ?? 0;
+
+  const pointsById = indexPointsById(deliveryPoints);
+  const sequence = route.stops
+    .map(stop => pointsById.get(stop.id))
+    .filter(Boolean)
+    .map(point => ({ ...point, lat: parseFloat(point.lat), lng: parseFloat(point.lng) }));
+  const schedule = scheduleSequence(sequence, ends, startMinutes, distance, getSpeedSettings(constraints));
+
+  let previous = ends.start;
+  const stops = sequence.map((point, index) => {
+    const original = route.stops.find(stop => stop.id === point.id);
+    const legDistance = previous ? distance(previous, point) : 0;
+    previous = point;
+    return {
+      ...original,
+      distance: legDistance,
+      arrival_time: formatClock(schedule.arrivals[index].arrival),
+    };
+  });
+
+  return {
+    ...route,
+    stops,
+    total_distance: getSequenceDistance(sequence, ends, distance),
+    estimated_time: sequence.length > 0 ? schedule.endMinutes - startMinutes : 0,
+    manually_edited: true,
+  };
+};
+
+/**
+ * Move a stop within a route or to another route
+ * Empty routes left behind are removed.
+ * @param {Array} routes - Current routes
+ * @param {Object} move - { fromRoute, fromIndex, toRoute, toIndex }; toIndex defaults to the end
+ * @param {Array} deliveryPoints - All delivery points
+ * @param {Object} constraints - Constraints used for recalculation
+ * @param {Object} options - Optional overrides ({ distance })
+ * @returns {Array} New routes
+ */
+export const moveStop = (routes, move, deliveryPoints = [], constraints = {}, options = {}) => {
+  const { fromRoute, fromIndex, toRoute } = move;
+  const source = routes[fromRoute];
+  const target = routes[toRoute];
+  if (!source || !target || !source.stops[fromIndex]) return routes;
+
+  const stops = routes.map(route => [...route.stops]);
+  const [stop] = stops[fromRoute].splice(fromIndex, 1);
+
+  let toIndex;
+  if (move.toIndex === undefined || move.toIndex === null) {
+    toIndex = stops[toRoute].length;
+  } else {
+    toIndex = move.toIndex;
+    // Dropping further down the same route shifts the index by the removed stop
+    if (fromRoute === toRoute && toIndex > fromIndex) toIndex -= 1;
+  }
+  toIndex = Math.max(0, Math.min(toIndex, stops[toRoute].length));
+  stops[toRoute].splice(toIndex, 0, stop);
+
+  if (fromRoute === toRoute && toIndex === fromIndex) return routes;
+
+  return routes
+    .map((route, index) => {
+      if (index !== fromRoute && index !== toRoute) return route;
+      return recalculateRoute({ ...route, stops: stops[index] }, deliveryPoints, constraints, options);
+    })
+    .filter(route => route.stops.length > 0);
+};
+
+export default {
+  recalculateRoute,
+  moveStop,
+};
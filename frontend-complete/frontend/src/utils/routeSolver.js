@@ -0,0 +1,473 @@
+import { calculateDistance, parseTimeToMinutes, formatClock, getPointDemand } from './helpers';
+import { getServiceMinutes, getSpeedSettings, getTravelMinutes } from './schedule';
+import { getFleet, expandFleet, getLargestVehicleClass } from './fleet';
+import { getDepots, getDepotLocation, resolveVehicleDepots } from './depots';
+
+/**
+ * Client-side heuristic route solver
+ * Used as an offline fallback when the backend is not reachable.
+ * Builds routes with nearest-neighbour construction and improves each
+ * route with 2-opt and Or-opt moves. Per-stop time windows are honoured
+ * where possible: late arrivals are minimized before distance. With a
+ * fleet, each route is built for one vehicle, cheapest vehicles first,
+ * starting at its home depot and ending at its end depot (or open).
+ * Travel times follow the constraints' speed settings, as stop ETAs do.
+ * Output matches the backend's
+ * `{ routes: [{ stops, total_distance, estimated_time, summary }] }` shape.
+ */
+
+// Engine identifiers used to label where a plan came from
+export const ENGINE_BACKEND = 'backend';
+export const ENGINE_LOCAL = 'local';
+
+// Or-opt moves segments of up to this many consecutive stops
+const OR_OPT_MAX_SEGMENT = 3;
+// Improvement sweeps per route; long routes stop improving well before this
+const MAX_IMPROVEMENT_PASSES = 20;
+const EPSILON = 1e-9;
+
+/**
+ * Get the time window of a delivery point in minutes after midnight
+ * @param {Object} point - Delivery point
+ * @returns {Object} Window with start and end (open sides are +/-Infinity)
+ */
+const getTimeWindow = (point) => {
+  const start = parseTimeToMinutes(point?.window_start);
+  const end = parseTimeToMinutes(point?.window_end);
+  return {
+    start: start === null ? -Infinity : start,
+    end: end === null ? Infinity : end,
+  };
+};
+
+/**
+ * Get the start and end locations of a vehicle's route
+ * @param {Object|null} vehicle - Fleet vehicle, or null for legacy/overflow routes
+ * @param {Array} depots - Depots from constraints
+ * @returns {Object} Route ends with start/end locations and depot ids
+ */
+const getRouteEnds = (vehicle, depots) => {
+  const { start, end, open } = resolveVehicleDepots(vehicle, depots);
+  return {
+    start: getDepotLocation(start),
+    end: getDepotLocation(end),
+    startDepotId: start ? start.id : null,
+    endDepotId: end ? end.id : null,
+    open,
+  };
+};
+
+/**
+ * Distance between two points with lat/lng
+ */
+const haversine = (a, b) => calculateDistance(a.lat, a.lng, b.lat, b.lng);
+
+/**
+ * Total length of a stop sequence, including depot legs where depots exist
+ * @param {Array} sequence - Ordered delivery points
+ * @param {Object|null} ends - Route ends with start/end locations (either may be null)
+ * @param {Function} distance - Distance function (a, b) => km
+ * @returns {number} Length in kilometers
+ */
+export const getSequenceDistance = (sequence, ends, distance = haversine) => {
+  if (sequence.length === 0) return 0;
+
+  let total = 0;
+  for (let i = 1; i < sequence.length; i++) {
+    total += distance(sequence[i - 1], sequence[i]);
+  }
+  if (ends?.start) {
+    total += distance(ends.start, sequence[0]);
+  }
+  if (ends?.end) {
+    total += distance(sequence[sequence.length - 1], ends.end);
+  }
+  return total;
+};
+
+/**
+ * Walk a stop sequence in time, waiting for windows to open
+ * @param {Array} sequence - Ordered delivery points
+ * @param {Object|null} ends - Route ends with start/end locations (either may be null)
+ * @param {number} startMinutes - Departure time from the depot
+ * @param {Function} distance - Distance function (a, b) => km
+ * @param {Object} speed - Speed settings from getSpeedSettings
+ * @returns {Object} Per-stop arrivals, route end time and total lateness
+ */
+export const scheduleSequence = (sequence, ends, startMinutes, distance = haversine, speed = getSpeedSettings()) => {
+  let clock = startMinutes;
+  let previous = ends?.start || null;
+  let lateness = 0;
+
+  const arrivals = sequence.map((point) => {
+    const arrival = clock + (previous ? getTravelMinutes(distance(previous, point), clock, speed) : 0);
+    const window = getTimeWindow(point);
+    const serviceStart = Math.max(arrival, window.start);
+    const late = arrival > window.end;
+    if (late) lateness += arrival - window.end;
+
+    clock = serviceStart + getServiceMinutes(point);
+    previous = point;
+    return { arrival, late };
+  });
+
+  if (ends?.end && previous) {
+    clock += getTravelMinutes(distance(previous, ends.end), clock, speed);
+  }
+
+  return { arrivals, endMinutes: clock, lateness };
+};
+
+/**
+ * Score a stop sequence: lateness first, then distance
+ */
+const scoreSequence = (sequence, ends, startMinutes, distance, speed) => ({
+  lateness: scheduleSequence(sequence, ends, startMinutes, distance, speed).lateness,
+  distance: getSequenceDistance(sequence, ends, distance),
+});
+
+/**
+ * Compare two sequence scores: less lateness wins, then shorter distance
+ */
+const isBetterScore = (candidate, best) => {
+  if (candidate.lateness < best.lateness - EPSILON) return true;
+  if (candidate.lateness > best.lateness + EPSILON) return false;
+  return candidate.distance < best.distance - EPSILON;
+};
+
+/**
+ * Check whether any stop has a window end; without one no order is ever late
+ * and moves can be scored by distance alone
+ */
+const hasDeadlines = sequence => sequence.some(point => getTimeWindow(point).end !== Infinity);
+
+/**
+ * Distance of a leg; a missing depot costs nothing
+ */
+const getLegDistance = (from, to, distance) => (from && to ? distance(from, to) : 0);
+
+/**
+ * Stops of a sequence between its route ends (null where there is no depot)
+ */
+const getRouteNodes = (sequence, ends) => [ends?.start || null, ...sequence, ends?.end || null];
+
+/**
+ * Route nodes with running leg totals in both directions, so that the
+ * length of any reversed segment is known in O(1)
+ * @returns {Object} { nodes, forward, backward }
+ */
+const getLegTotals = (sequence, ends, distance) => {
+  const nodes = getRouteNodes(sequence, ends);
+  const forward = [0];
+  const backward = [0];
+  for (let t = 1; t < nodes.length; t++) {
+    forward.push(forward[t - 1] + getLegDistance(nodes[t - 1], nodes[t], distance));
+    backward.push(backward[t - 1] + getLegDistance(nodes[t], nodes[t - 1], distance));
+  }
+  return { nodes, forward, backward };
+};
+
+/**
+ * Change in route length from reversing the stops i..k (2-opt)
+ */
+const getTwoOptDelta = ({ nodes, forward, backward }, i, k, distance) => {
+  // Stop s is nodes[s + 1]
+  const before = nodes[i];
+  const first = nodes[i + 1];
+  const last = nodes[k + 1];
+  const after = nodes[k + 2];
+  return getLegDistance(before, last, distance) + getLegDistance(first, after, distance) -
+    getLegDistance(before, first, distance) - getLegDistance(last, after, distance) +
+    (backward[k + 1] - backward[i + 1]) - (forward[k + 1] - forward[i + 1]);
+};
+
+/**
+ * Change in route length from moving the `length` stops starting at i so
+ * that they follow the j-th remaining stop (Or-opt)
+ */
+const getOrOptDelta = (nodes, i, length, j, distance) => {
+  const first = nodes[i + 1];
+  const last = nodes[i + length];
+  const removed = getLegDistance(nodes[i], first, distance) +
+    getLegDistance(last, nodes[i + length + 1], distance) -
+    getLegDistance(nodes[i], nodes[i + length + 1], distance);
+  // Nodes without the segment
+  const restNode = index => (index <= i ? nodes[index] : nodes[index + length]);
+  const before = restNode(j);
+  const after = restNode(j + 1);
+  const inserted = getLegDistance(before, first, distance) + getLegDistance(last, after, distance) -
+    getLegDistance(before, after, distance);
+  return inserted - removed;
+};
+
+const reverseSegment = (sequence, i, k) => [
+  ...sequence.slice(0, i),
+  ...sequence.slice(i, k + 1).reverse(),
+  ...sequence.slice(k + 1),
+];
+
+const moveSegment = (sequence, i, length, j) => {
+  const segment = sequence.slice(i, i + length);
+  const rest = [...sequence.slice(0, i), ...sequence.slice(i + length)];
+  return [...rest.slice(0, j), ...segment, ...rest.slice(j)];
+};
+
+/**
+ * Build one route greedily for a vehicle profile: always drive to the
+ * unvisited stop that can be served soonest and still fits (on time,
+ * within the shift and within capacity). Chosen stops are removed from
+ * `unvisited`.
+ * @param {Array} points - All delivery points
+ * @param {Set} unvisited - Indices of points not yet routed
+ * @param {Object|null} start - Start location
+ * @param {Object} profile - { maxStops, capacity, startMinutes, endMinutes }
+ * @param {Function} distance - Distance function (a, b) => km
+ * @param {Object} speed - Speed settings from getSpeedSettings
+ * @returns {Array} Ordered delivery points
+ */
+const buildNearestNeighbourRoute = (points, unvisited, start, profile, distance, speed) => {
+  const route = [];
+  let load = 0;
+  let current = start;
+  let clock = profile.startMinutes;
+
+  while (route.length < profile.maxStops && unvisited.size > 0) {
+    let bestIndex = -1;
+    let bestScore = Infinity;
+
+    unvisited.forEach((index) => {
+      const point = points[index];
+      const demand = getPointDemand(point);
+      // An oversized or unreachable stop still gets a route of its own
+      if (route.length > 0 && load + demand > profile.capacity) return;
+
+      const d = current ? distance(current, point) : 0;
+      const arrival = clock + getTravelMinutes(d, clock, speed);
+      const window = getTimeWindow(point);
+      const serviceStart = Math.max(arrival, window.start);
+      if (route.length > 0 && (arrival > window.end || serviceStart > profile.endMinutes)) return;
+
+      const score = serviceStart - clock + d * EPSILON;
+      if (score < bestScore) {
+        bestScore = score;
+        bestIndex = index;
+      }
+    });
+
+    if (bestIndex === -1) break;
+
+    const next = points[bestIndex];
+    const arrival = clock + getTravelMinutes(current ? distance(current, next) : 0, clock, speed);
+    unvisited.delete(bestIndex);
+    route.push(next);
+    load += getPointDemand(next);
+    clock = Math.max(arrival, getTimeWindow(next).start) + getServiceMinutes(next);
+    current = next;
+  }
+
+  return route;
+};
+
+/**
+ * Get the planning profile of a fleet vehicle
+ */
+const getVehicleProfile = (vehicle, fallbackStart) => ({
+  maxStops: parseInt(vehicle.maxStops) > 0 ? parseInt(vehicle.maxStops) : Infinity,
+  capacity: parseFloat(vehicle.capacity) > 0 ? parseFloat(vehicle.capacity) : Infinity,
+  startMinutes: parseTimeToMinutes(vehicle.shiftStart) ?? fallbackStart,
+  endMinutes: parseTimeToMinutes(vehicle.shiftEnd) ?? Infinity,
+});
+
+/**
+ * Get the planning profile for legacy single-vehicle constraints
+ */
+const getLegacyProfile = (constraints, startMinutes) => ({
+  maxStops: parseInt(constraints.maxStopsPerRoute) > 0
+    ? parseInt(constraints.maxStopsPerRoute)
+    : Infinity,
+  capacity: parseFloat(constraints.vehicleCapacity) > 0
+    ? parseFloat(constraints.vehicleCapacity)
+    : Infinity,
+  startMinutes,
+  endMinutes: Infinity,
+});
+
+/**
+ * Check whether a move with the given change in length can improve a route
+ * With window ends, a move is rescheduled unless the route is on time and
+ * the move makes it longer.
+ */
+const isImprovingMove = (delta, candidate, state, ends, startMinutes, distance, speed) => {
+  if (!state.timed || state.score.lateness <= EPSILON) {
+    if (delta >= -EPSILON) return false;
+    if (!state.timed) return true;
+  }
+  const score = scoreSequence(candidate(), ends, startMinutes, distance, speed);
+  if (!isBetterScore(score, state.score)) return false;
+  state.score = score;
+  return true;
+};
+
+/**
+ * Improve a route by reversing segments while it gets shorter (2-opt)
+ * Moves are scored from the legs they change; the route is only rescheduled
+ * where window ends could make a longer route better.
+ */
+const applyTwoOpt = (sequence, ends, startMinutes, distance, speed) => {
+  const timed = hasDeadlines(sequence);
+  const state = { timed, score: timed ? scoreSequence(sequence, ends, startMinutes, distance, speed) : null };
+  let best = sequence;
+  let legs = getLegTotals(best, ends, distance);
+  let improved = true;
+
+  for (let pass = 0; improved && pass < MAX_IMPROVEMENT_PASSES; pass++) {
+    improved = false;
+    for (let i = 0; i < best.length - 1; i++) {
+      for (let k = i + 1; k < best.length; k++) {
+        const candidate = () => reverseSegment(best, i, k);
+        if (isImprovingMove(getTwoOptDelta(legs, i, k, distance), candidate, state, ends, startMinutes, distance, speed)) {
+          best = candidate();
+          legs = getLegTotals(best, ends, distance);
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Improve a route by relocating short segments of stops (Or-opt)
+ * Scored like applyTwoOpt.
+ */
+const applyOrOpt = (sequence, ends, startMinutes, distance, speed) => {
+  const timed = hasDeadlines(sequence);
+  const state = { timed, score: timed ? scoreSequence(sequence, ends, startMinutes, distance, speed) : null };
+  let best = sequence;
+  let nodes = getRouteNodes(best, ends);
+  let improved = true;
+
+  for (let pass = 0; improved && pass < MAX_IMPROVEMENT_PASSES; pass++) {
+    improved = false;
+    for (let length = 1; length <= OR_OPT_MAX_SEGMENT; length++) {
+      for (let i = 0; i + length <= best.length; i++) {
+        for (let j = 0; j <= best.length - length; j++) {
+          if (j === i) continue;
+          const candidate = () => moveSegment(best, i, length, j);
+          if (isImprovingMove(getOrOptDelta(nodes, i, length, j, distance), candidate, state, ends, startMinutes, distance, speed)) {
+            best = candidate();
+            nodes = getRouteNodes(best, ends);
+            improved = true;
+            break;
+          }
+        }
+      }
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Convert an ordered stop sequence into the route shape used by the UI
+ * @param {Array} sequence - Ordered delivery points
+ * @param {Object|null} ends - Route ends with start/end locations (either may be null)
+ * @param {number} startMinutes - Departure time from the depot
+ * @param {Function} distance - Distance function (a, b) => km
+ * @param {Object} speed - Speed settings from getSpeedSettings
+ * @returns {Object} Route with stops, total_distance, estimated_time and summary
+ */
+export const buildRoute = (sequence, ends, startMinutes = 0, distance = haversine, speed = getSpeedSettings()) => {
+  const schedule = scheduleSequence(sequence, ends, startMinutes, distance, speed);
+  let previous = ends?.start || null;
+  const stops = sequence.map((point, index) => {
+    const legDistance = previous ? distance(previous, point) : 0;
+    previous = point;
+    return {
+      id: point.id,
+      distance: legDistance,
+      arrival_time: formatClock(schedule.arrivals[index].arrival),
+    };
+  });
+
+  const totalDistance = getSequenceDistance(sequence, ends, distance);
+  const estimatedTime = schedule.endMinutes - startMinutes;
+  const load = sequence.reduce((acc, point) => acc + getPointDemand(point), 0);
+
+  return {
+    stops,
+    total_distance: totalDistance,
+    estimated_time: estimatedTime,
+    summary: `Local heuristic route with ${sequence.length} stops` +
+      (load > 0 ? ` and a load of ${load} units.` : '.'),
+  };
+};
+
+/**
+ * Solve the routing problem in the browser
+ * @param {Array} deliveryPoints - Validated delivery points
+ * @param {Object} constraints - Constraints from ConstraintsForm
+ * @param {Object} options - Optional overrides ({ distance, onProgress({ progress }) with the
+ *   share of points routed })
+ * @returns {Object} Result with routes and the engine that produced them
+ */
+export const solveRoutes = (deliveryPoints, constraints = {}, options = {}) => {
+  const distance = options.distance || haversine;
+  const speed = getSpeedSettings(constraints);
+  const points = (deliveryPoints || []).map(point => ({
+    ...point,
+    lat: parseFloat(point.lat),
+    lng: parseFloat(point.lng),
+  }));
+
+  const depots = getDepots(constraints);
+  const startMinutes = parseTimeToMinutes(constraints.deliveryWindowStart) ?? 0;
+
+  // Cheapest vehicles are used first; larger ones first among equal cost
+  const fleet = getFleet(constraints);
+  const vehicles = expandFleet(fleet).sort((a, b) =>
+    (parseFloat(a.costPerKm) || 0) - (parseFloat(b.costPerKm) || 0) ||
+    (parseFloat(b.capacity) || 0) - (parseFloat(a.capacity) || 0)
+  );
+  // Stops left over once the fleet is used up go on unassigned routes
+  const largestClass = getLargestVehicleClass(fleet);
+  const overflowProfile = largestClass
+    ? getVehicleProfile(largestClass, startMinutes)
+    : getLegacyProfile(constraints, startMinutes);
+
+  const unvisited = new Set(points.map((_, index) => index));
+  const routes = [];
+  let vehicleIndex = 0;
+
+  while (unvisited.size > 0) {
+    const vehicle = vehicles[vehicleIndex++] || null;
+    const profile = vehicle ? getVehicleProfile(vehicle, startMinutes) : overflowProfile;
+
+    const ends = getRouteEnds(vehicle || largestClass, depots);
+
+    let sequence = buildNearestNeighbourRoute(points, unvisited, ends.start, profile, distance, speed);
+    sequence = applyTwoOpt(sequence, ends, profile.startMinutes, distance, speed);
+    sequence = applyOrOpt(sequence, ends, profile.startMinutes, distance, speed);
+
+    const route = buildRoute(sequence, ends, profile.startMinutes, distance, speed);
+    route.vehicle_id = vehicle ? vehicle.vehicle_id : null;
+    route.start_depot_id = ends.startDepotId;
+    route.end_depot_id = ends.endDepotId;
+    if (ends.open) route.open_route = true;
+    if (!vehicle && fleet.length > 0) {
+      route.summary += ' No vehicle left in the fleet for this route.';
+    }
+    routes.push(route);
+    options.onProgress && options.onProgress({ progress: 1 - unvisited.size / points.length });
+  }
+
+  return { routes, engine: ENGINE_LOCAL };
+};
+
+export default {
+  solveRoutes,
+  buildRoute,
+  scheduleSequence,
+  getSequenceDistance,
+};
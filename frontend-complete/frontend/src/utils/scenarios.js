@@ -0,0 +1,85 @@
+import { calculateTotalMetrics, calculateRouteLoad } from './helpers';
+import { getFleet, expandFleet, getRouteCapacity } from './fleet';
+
+/**
+ * Scenario utilities
+ * A scenario is a named snapshot of a generated plan: the constraints it was
+ * generated with, the resulting routes and the delivery points they visit.
+ * Scenarios are compared on route totals and vehicle utilisation.
+ */
+
+// Comparison view shows at most this many scenarios side by side
+export const MIN_COMPARED_SCENARIOS = 2;
+export const MAX_COMPARED_SCENARIOS = 4;
+
+// Counter keeps ids unique when several scenarios are saved in the same tick
+let scenarioCounter = 0;
+
+/**
+ * Create a scenario snapshot
+ * @param {string} name - Scenario name
+ * @param {Object} plan - { deliveryData, constraints, routes, routeEngine }
+ * @returns {Object} Scenario
+ */
+export const createScenario = (name, plan) => ({
+  id: `scenario-${Date.now().toString(36)}-${++scenarioCounter}`,
+  name,
+  createdAt: new Date().toISOString(),
+  deliveryData: plan.deliveryData,
+  constraints: plan.constraints,
+  routes: plan.routes,
+  routeEngine: plan.routeEngine,
+});
+
+/**
+ * Suggest a name that is not used by any existing scenario
+ * @param {Array} scenarios - Existing scenarios
+ * @returns {string} Name such as "Scenario 3"
+ */
+export const getNextScenarioName = (scenarios = []) => {
+  const names = new Set(scenarios.map(s => s.name));
+  let n = scenarios.length + 1;
+  while (names.has(`Scenario ${n}`)) n++;
+  return `Scenario ${n}`;
+};
+
+/**
+ * Calculate the comparison metrics of a scenario
+ * Utilisation is the total load over the total capacity of the routes' vehicles;
+ * it is null when no route has a known capacity.
+ * @param {Object} scenario - Scenario (or any plan with routes, constraints, deliveryData)
+ * @returns {Object} { routes, stops, distance, time, vehiclesUsed, vehicleCount, utilisation }
+ */
+export const getScenarioMetrics = (scenario) => {
+  const routes = scenario?.routes || [];
+  const constraints = scenario?.constraints || {};
+  const fleet = getFleet(constraints);
+
+  let load = 0;
+  let capacity = 0;
+  routes.forEach((route) => {
+    const routeCapacity = getRouteCapacity(route, fleet, constraints.vehicleCapacity);
+    if (routeCapacity > 0) {
+      load += calculateRouteLoad(route, scenario.deliveryData || []).total;
+      capacity += routeCapacity;
+    }
+  });
+
+  const vehicleIds = new Set(routes.map(route => route.vehicle_id).filter(Boolean));
+
+  return {
+    ...calculateTotalMetrics(routes),
+    routes: routes.length,
+    vehiclesUsed: vehicleIds.size,
+    vehicleCount: expandFleet(fleet).length,
+    utilisation: capacity > 0 ? load / capacity : null,
+  };
+};
+
+export default {
+  MIN_COMPARED_SCENARIOS,
+  MAX_COMPARED_SCENARIOS,
+  createScenario,
+  getNextScenarioName,
+  getScenarioMetrics,
+};
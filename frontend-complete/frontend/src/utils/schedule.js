@@ -0,0 +1,192 @@
+/**
+ * Stop scheduling
+ * Compute arrival, wait and departure times for every stop of a route from
+ * the leg distances, a driving speed and the stops' service times, starting
+ * at the depot departure time. Routes from the backend only carry a total
+ * `estimated_time`, so ETAs are always computed here.
+ *
+ * The speed is an average speed in km/h, optionally overridden during parts
+ * of the day by a speed profile: [{ start: 'HH:MM', end: 'HH:MM', speedKmh }],
+ * e.g. a lower speed during rush hour. Legs crossing a period boundary are
+ * driven at each period's speed in turn.
+ */
+
+import { parseTimeToMinutes } from './helpers';
+import { getFleet, findRouteVehicle } from './fleet';
+import { indexPointsById } from './deliveryPoints';
+
+// Planning assumptions where constraints and delivery points set none
+export const AVERAGE_SPEED_KMH = 40;
+export const DEFAULT_SERVICE_MINUTES = 10;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Counter keeps ids unique when several periods are created in the same tick
+let speedPeriodCounter = 0;
+
+/**
+ * Create a speed profile period with default values
+ * @param {Object} overrides - Field values to override
+ * @returns {Object} Period { id, start, end, speedKmh }
+ */
+export const createSpeedPeriod = (overrides = {}) => ({
+  id: `speed-${Date.now().toString(36)}-${++speedPeriodCounter}`,
+  start: '07:00',
+  end: '09:00',
+  speedKmh: 25,
+  ...overrides,
+});
+
+/**
+ * Get the service duration of a delivery point
+ * @param {Object} point - Delivery point
+ * @returns {number} Service time in minutes
+ */
+export const getServiceMinutes = (point) => {
+  const service = parseFloat(point?.service_minutes);
+  return Number.isFinite(service) && service >= 0 ? service : DEFAULT_SERVICE_MINUTES;
+};
+
+/**
+ * Read the driving speed settings from constraints
+ * Invalid periods are ignored.
+ * @param {Object} constraints - Constraints with optional averageSpeedKmh and speedProfile
+ * @returns {Object} { averageSpeedKmh, periods: [{ start, end, speedKmh }] } with times in minutes
+ */
+export const getSpeedSettings = (constraints = {}) => {
+  const average = parseFloat(constraints.averageSpeedKmh);
+  const periods = (Array.isArray(constraints.speedProfile) ? constraints.speedProfile : [])
+    .map(period => ({
+      start: parseTimeToMinutes(period.start),
+      end: parseTimeToMinutes(period.end),
+      speedKmh: parseFloat(period.speedKmh),
+    }))
+    .filter(period => period.start !== null && period.end !== null && period.start < period.end &&
+      Number.isFinite(period.speedKmh) && period.speedKmh > 0)
+    .sort((a, b) => a.start - b.start);
+
+  return {
+    averageSpeedKmh: Number.isFinite(average) && average > 0 ? average : AVERAGE_SPEED_KMH,
+    periods,
+  };
+};
+
+/**
+ * Driving speed at a time of day, and until when it applies
+ */
+const getSpeedAt = (minutes, { averageSpeedKmh, periods }) => {
+  const timeOfDay = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const dayStart = minutes - timeOfDay;
+
+  for (const period of periods) {
+    if (timeOfDay >= period.start && timeOfDay < period.end) {
+      return { speedKmh: period.speedKmh, until: dayStart + period.end };
+    }
+  }
+  const next = periods.find(period => period.start > timeOfDay);
+  return {
+    speedKmh: averageSpeedKmh,
+    until: next ? dayStart + next.start : dayStart + MINUTES_PER_DAY,
+  };
+};
+
+/**
+ * Driving time of a leg that starts at a given time
+ * @param {number} km - Leg distance in kilometers
+ * @param {number} startMinutes - Departure time in minutes after midnight
+ * @param {Object} speed - Speed settings from getSpeedSettings
+ * @returns {number} Driving time in minutes
+ */
+export const getTravelMinutes = (km, startMinutes, speed = getSpeedSettings()) => {
+  let remaining = Math.max(parseFloat(km) || 0, 0);
+  let clock = startMinutes;
+
+  while (remaining > 1e-9) {
+    const { speedKmh, until } = getSpeedAt(clock, speed);
+    const reachable = (speedKmh * (until - clock)) / 60;
+    if (reachable >= remaining) {
+      clock += (remaining / speedKmh) * 60;
+      break;
+    }
+    remaining -= reachable;
+    clock = until;
+  }
+  return clock - startMinutes;
+};
+
+/**
+ * Compute the schedule of a route
+ * Each stop is reached after driving its leg (`distance`); service starts when
+ * the stop's window opens at the earliest, and the vehicle leaves once
+ * service is done. The return leg is the part of total_distance not covered
+ * by the stop legs.
+ * @param {Object} route - Route with stops ({ id, distance }) and total_distance
+ * @param {Array} deliveryPoints - Delivery points, for windows and service times
+ * @param {Object} options - { departure (minutes after midnight), speed (from getSpeedSettings) }
+ * @returns {Object} { departure, stops, returnTime, duration }; stops are
+ *   [{ id, arrival, wait, serviceStart, serviceMinutes, departure, windowStart, windowEnd, late }] in minutes
+ */
+export const scheduleRoute = (route, deliveryPoints = [], { departure = 0, speed = getSpeedSettings() } = {}) => {
+  const pointsById = indexPointsById(deliveryPoints);
+  let clock = departure;
+  let legTotal = 0;
+
+  const stops = (route?.stops || []).map((stop) => {
+    const point = pointsById.get(stop.id) || {};
+    const legKm = parseFloat(stop.distance) || 0;
+    legTotal += legKm;
+
+    const arrival = clock + getTravelMinutes(legKm, clock, speed);
+    const windowStart = parseTimeToMinutes(point.window_start);
+    const windowEnd = parseTimeToMinutes(point.window_end);
+    const serviceStart = windowStart !== null ? Math.max(arrival, windowStart) : arrival;
+    const serviceMinutes = getServiceMinutes(point);
+    clock = serviceStart + serviceMinutes;
+
+    return {
+      id: stop.id,
+      arrival,
+      wait: serviceStart - arrival,
+      serviceStart,
+      serviceMinutes,
+      departure: clock,
+      windowStart,
+      windowEnd,
+      late: windowEnd !== null && arrival > windowEnd,
+    };
+  });
+
+  const returnKm = Math.max(0, (parseFloat(route?.total_distance) || 0) - legTotal);
+  const returnTime = stops.length > 0 ? clock + getTravelMinutes(returnKm, clock, speed) : departure;
+
+  return { departure, stops, returnTime, duration: returnTime - departure };
+};
+
+/**
+ * Compute the schedule of a route from the plan constraints
+ * The vehicle leaves at its shift start, or at the delivery window start for
+ * routes without a known vehicle.
+ * @param {Object} route - Route
+ * @param {Array} deliveryPoints - Delivery points
+ * @param {Object} constraints - Constraints with fleet, delivery window and speed settings
+ * @returns {Object} Schedule from scheduleRoute, plus the vehicle's shiftEnd (minutes or null)
+ */
+export const getRouteSchedule = (route, deliveryPoints = [], constraints = {}) => {
+  const vehicle = findRouteVehicle(route, getFleet(constraints));
+  const departure = parseTimeToMinutes(vehicle?.shiftStart) ??
+    parseTimeToMinutes(constraints.deliveryWindowStart) ?? 0;
+
+  return {
+    ...scheduleRoute(route, deliveryPoints, { departure, speed: getSpeedSettings(constraints) }),
+    shiftEnd: parseTimeToMinutes(vehicle?.shiftEnd) ?? parseTimeToMinutes(constraints.deliveryWindowEnd),
+  };
+};
+
+export default {
+  getServiceMinutes,
+  createSpeedPeriod,
+  getSpeedSettings,
+  getTravelMinutes,
+  scheduleRoute,
+  getRouteSchedule,
+};
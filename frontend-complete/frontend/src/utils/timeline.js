@@ -0,0 +1,92 @@
+/**
+ * Timeline utilities
+ * Turn route schedules into Gantt-style lanes for the delivery day: per route
+ * the departure, a service block per stop, the travel between them and the
+ * return, all in minutes after midnight.
+ */
+
+import { parseTimeToMinutes } from './helpers';
+import { getRouteSchedule } from './schedule';
+import { indexPointsById } from './deliveryPoints';
+
+/**
+ * Build the lane of one route from its computed schedule
+ * @param {Object} route - Route with stops and total_distance
+ * @param {Array} deliveryPoints - Delivery points, for windows and service times
+ * @param {Object} constraints - Constraints, for the fleet, delivery window and speeds
+ * @returns {Object} Lane { blocks, travel, departure, end, shiftEnd, overtime }; times in minutes
+ */
+export const buildRouteTimeline = (route, deliveryPoints = [], constraints = {}) => {
+  const pointsById = indexPointsById(deliveryPoints);
+  const schedule = getRouteSchedule(route, deliveryPoints, constraints);
+  const { shiftEnd } = schedule;
+
+  if (schedule.stops.length === 0) {
+    return { blocks: [], travel: [], departure: null, end: null, shiftEnd, overtime: 0 };
+  }
+
+  const blocks = schedule.stops.map((stop, stopIndex) => ({
+    stopId: stop.id,
+    stopIndex,
+    customerName: pointsById.get(stop.id)?.customer_name || '',
+    arrival: stop.arrival,
+    serviceStart: stop.serviceStart,
+    serviceEnd: stop.departure,
+    windowStart: stop.windowStart,
+    windowEnd: stop.windowEnd,
+    isLate: stop.late,
+  }));
+
+  const travel = [];
+  let previousEnd = schedule.departure;
+  blocks.forEach((block) => {
+    if (block.arrival > previousEnd) travel.push({ start: previousEnd, end: block.arrival });
+    previousEnd = block.serviceEnd;
+  });
+  if (schedule.returnTime > previousEnd) travel.push({ start: previousEnd, end: schedule.returnTime });
+
+  return {
+    blocks,
+    travel,
+    departure: schedule.departure,
+    end: schedule.returnTime,
+    shiftEnd,
+    overtime: shiftEnd !== null ? Math.max(0, schedule.returnTime - shiftEnd) : 0,
+  };
+};
+
+/**
+ * Build the timeline of all routes
+ * The range covers the delivery window, widened to whole hours and to any
+ * route that starts earlier or runs later.
+ * @param {Array} routes - Routes
+ * @param {Array} deliveryPoints - Delivery points
+ * @param {Object} constraints - Constraints with deliveryWindowStart/End
+ * @returns {Object} { start, end, windowStart, windowEnd, lanes } in minutes after midnight
+ */
+export const buildTimeline = (routes = [], deliveryPoints = [], constraints = {}) => {
+  const lanes = routes.map(route => buildRouteTimeline(route, deliveryPoints, constraints));
+  const windowStart = parseTimeToMinutes(constraints.deliveryWindowStart);
+  const windowEnd = parseTimeToMinutes(constraints.deliveryWindowEnd);
+
+  let start = windowStart ?? Infinity;
+  let end = windowEnd ?? -Infinity;
+  lanes.forEach((lane) => {
+    if (lane.departure === null) return;
+    start = Math.min(start, lane.departure);
+    end = Math.max(end, lane.end);
+  });
+  if (!Number.isFinite(start) || !Number.isFinite(end)) {
+    start = 8 * 60;
+    end = 18 * 60;
+  }
+
+  start = Math.floor(start / 60) * 60;
+  end = Math.max(Math.ceil(end / 60) * 60, start + 60);
+  return { start, end, windowStart, windowEnd, lanes };
+};
+
+export default {
+  buildRouteTimeline,
+  buildTimeline,
+};
@@ -0,0 +1,74 @@
+/**
+ * Background tasks
+ * Runs named tasks in a Web Worker so that heavy work does not freeze the
+ * page. Where workers are not available (older browsers, tests) the same
+ * tasks run on the main thread.
+ */
+
+import { createAbortError } from './helpers';
+
+/**
+ * Check whether module workers can be used
+ * @returns {boolean} True when tasks can run in a worker
+ */
+const canUseWorker = () => typeof Worker !== 'undefined';
+
+/**
+ * Run a task in a worker, or inline when workers are unavailable
+ * @param {Function} createWorker - Creates the worker serving the tasks
+ * @param {Object} tasks - Task functions by name, (payload, { onProgress, signal }) => Promise
+ * @param {string} task - Task name
+ * @param {Object} payload - Task payload (structured-clonable)
+ * @param {Object} options - { onProgress, signal: AbortSignal }
+ * @returns {Promise} Task result; rejects with an AbortError when cancelled
+ */
+export const runWorkerTask = (createWorker, tasks, task, payload, { onProgress, signal } = {}) => {
+  if (signal?.aborted) {
+    return Promise.reject(createAbortError());
+  }
+
+  if (!canUseWorker()) {
+    return tasks[task](payload, { onProgress, signal }).then((result) => {
+      if (signal?.aborted) throw createAbortError();
+      return result;
+    });
+  }
+
+  return new Promise((resolve, reject) => {
+    const worker = createWorker();
+
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener('abort', handleAbort);
+    };
+    const handleAbort = () => {
+      finish();
+      reject(createAbortError());
+    };
+
+    signal?.addEventListener('abort', handleAbort);
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        onProgress && onProgress(data.progress);
+        return;
+      }
+      finish();
+      if (data.type === 'error') {
+        reject(new Error(data.message));
+      } else {
+        resolve(data.result);
+      }
+    };
+    worker.onerror = (event) => {
+      event.preventDefault?.();
+      finish();
+      reject(new Error(event.message || `Background task ${task} failed`));
+    };
+
+    worker.postMessage({ task, payload });
+  });
+};
+
+export default {
+  runWorkerTask,
+};
@@ -0,0 +1,39 @@
+import {
+  parseCSV,
+  parseJSONRows,
+  normalizeDeliveryData,
+  validateDeliveryRows,
+} from '../utils/helpers';
+
+/**
+ * File processing tasks
+ * Run inside the file worker, or on the main thread where workers are not
+ * available. Payloads and results must be structured-clonable.
+ */
+
+/**
+ * Parse a delimited or JSON delivery file
+ * @param {Object} payload - { file, format: 'delimited' | 'json', dynamicTyping (delimited files only) }
+ * @param {Object} options - { onProgress, signal }
+ * @returns {Promise<Array>} Parsed rows
+ */
+const parse = async ({ file, format, dynamicTyping = true }, { onProgress, signal } = {}) => {
+  if (format === 'json') {
+    return parseJSONRows(file, { onProgress, signal });
+  }
+  return parseCSV(file, { onProgress, signal, dynamicTyping });
+};
+
+/**
+ * Normalize and validate delivery rows
+ * @param {Object} payload - { rows, constraints }
+ * @returns {Promise<Object>} { rows, report } with the validateDeliveryRows report
+ */
+const validate = async ({ rows, constraints }) => {
+  const data = Array.isArray(rows) ? normalizeDeliveryData(rows) : rows;
+  return { rows: data, report: validateDeliveryRows(data, constraints) };
+};
+
+export const FILE_TASKS = { parse, validate };
+
+export default FILE_TASKS;
@@ -0,0 +1,7 @@
+import { FILE_TASKS } from './fileTasks';
+import { serveTasks } from './serveTasks';
+
+/**
+ * Web Worker running file processing tasks off the main thread
+ */
+serveTasks(FILE_TASKS);
@@ -0,0 +1,23 @@
+/**
+ * Answer task messages inside a Web Worker
+ * Receives { task, payload } and posts { type: 'progress', progress },
+ * then { type: 'result', result } or { type: 'error', message }.
+ * Cancellation terminates the worker.
+ * @param {Object} tasks - Task functions by name, (payload, { onProgress }) => Promise
+ */
+export const serveTasks = (tasks) => {
+  self.onmessage = async ({ data }) => {
+    const { task, payload } = data;
+
+    try {
+      const result = await tasks[task](payload, {
+        onProgress: (progress) => self.postMessage({ type: 'progress', progress }),
+      });
+      self.postMessage({ type: 'result', result });
+    } catch (error) {
+      self.postMessage({ type: 'error', message: error.message });
+    }
+  };
+};
+
+export default serveTasks;
@@ -0,0 +1,24 @@
+import { solveRoutes } from '../utils/routeSolver';
+import { createTableDistance } from '../services/distanceMatrix';
+
+/**
+ * Route solver tasks
+ * Run inside the solver worker, or on the main thread where workers are not
+ * available. Payloads and results must be structured-clonable, so road
+ * distances arrive as a table from getDistanceTable.
+ */
+
+/**
+ * Solve the routing problem with the local heuristic solver
+ * @param {Object} payload - { deliveryPoints, constraints, distanceTable (optional) }
+ * @param {Object} options - { onProgress }
+ * @returns {Promise<Object>} Result of solveRoutes
+ */
+const solve = async ({ deliveryPoints, constraints, distanceTable }, { onProgress } = {}) => {
+  const distance = distanceTable ? createTableDistance(distanceTable) : undefined;
+  return solveRoutes(deliveryPoints, constraints, { distance, onProgress });
+};
+
+export const SOLVER_TASKS = { solve };
+
+export default SOLVER_TASKS;
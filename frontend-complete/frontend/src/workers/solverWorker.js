@@ -0,0 +1,7 @@
+import { SOLVER_TASKS } from './solverTasks';
+import { serveTasks } from './serveTasks';
+
+/**
+ * Web Worker running the local route solver off the main thread
+ */
+serveTasks(SOLVER_TASKS);